@@ -0,0 +1,149 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Framework adapters
+//
+//    Fastify    Plugin decorating fastify.requireAccessToken(options) and request.locals
+//    Koa        Middleware setting ctx.state.tokenScope, ctx.state.user, ctx.state.token
+//    node:http  Request handler wrapper setting req.locals
+//
+//  Each adapter uses the same validation pipeline as the Express middleware.
+//
+// ------------------------------
+
+/**
+ * Send authorization error with a node:http response object
+ * @param {Object} res - Node response object
+ * @param {Error} err - Error prepared with status and headers
+ * @param {Object} formatted - { contentType, body } from handlers.formatError()
+ */
+const _writeNodeError = (res, err, formatted) => {
+  if (res.headersSent) return res.end();
+  Object.keys(err.headers).forEach((name) => res.setHeader(name, err.headers[name]));
+  res.setHeader('Content-Type', formatted.contentType);
+  res.statusCode = err.status;
+  res.end(formatted.body);
+};
+
+/**
+ * Fastify plugin.
+ * The plugin skips Fastify encapsulation, so decorators are available to the parent instance.
+ * @example
+ * fastify.register(createFastifyPlugin(handlers));
+ * fastify.get('/api', { preHandler: fastify.requireAccessToken({ scope: 'api.read' }) }, handler);
+ * @param {Object} handlers - Functions from the token auth instance
+ * @param {Function} handlers.parseRouteOptions - (options) => parsed options
+ * @param {Function} handlers.authorize - (req, res, opt) => Promise resolving req.locals
+ * @param {Function} handlers.formatError - (err) => { contentType, body }
+ * @returns {Function} Fastify plugin (fastify, pluginOptions, done)
+ */
+exports.createFastifyPlugin = (handlers) => {
+  const plugin = (fastify, pluginOptions, done) => {
+    if (!fastify.hasRequestDecorator('locals')) fastify.decorateRequest('locals', null);
+    fastify.decorate('requireAccessToken', (options) => {
+      const opt = handlers.parseRouteOptions(options);
+      // preHandler hook, runs after the body is parsed
+      return (request, reply) => {
+        const req = {
+          method: request.method,
+          url: request.url,
+          headers: request.headers,
+          body: request.body,
+          protocol: request.protocol,
+          socket: request.raw.socket
+        };
+        const res = { setHeader: (name, value) => reply.header(name, value) };
+        return handlers.authorize(req, res, opt)
+          .then((locals) => {
+            request.locals = locals;
+          })
+          .catch((err) => {
+            const formatted = handlers.formatError(err);
+            reply.code(err.status).headers(err.headers)
+              .type(formatted.contentType).send(formatted.body);
+            return reply;
+          });
+      };
+    });
+    done();
+  };
+  // Same as the fastify-plugin package, without the dependency
+  plugin[Symbol.for('skip-override')] = true;
+  plugin[Symbol.for('fastify.display-name')] = 'collab-backend-token-auth';
+  return plugin;
+};
+
+/**
+ * Koa middleware
+ * @example
+ * router.get('/api', createKoaMiddleware(opt, handlers), handler);
+ * // ctx.state.tokenScope, ctx.state.user, ctx.state.token
+ * @param {Object} opt - Parsed options from handlers.parseRouteOptions()
+ * @param {Object} handlers - Functions from the token auth instance, see createFastifyPlugin()
+ * @returns {Function} Koa middleware (ctx, next) => Promise
+ */
+exports.createKoaMiddleware = (opt, handlers) => {
+  return (ctx, next) => {
+    const req = {
+      method: ctx.method,
+      url: ctx.url,
+      headers: ctx.headers,
+      body: ctx.request.body,
+      protocol: ctx.protocol,
+      socket: ctx.req.socket
+    };
+    const res = { setHeader: (name, value) => ctx.set(name, value) };
+    let authorized = false;
+    return handlers.authorize(req, res, opt)
+      .then((locals) => {
+        Object.assign(ctx.state, locals);
+        authorized = true;
+      })
+      .catch((err) => {
+        const formatted = handlers.formatError(err);
+        ctx.set(err.headers);
+        ctx.status = err.status;
+        ctx.type = formatted.contentType;
+        ctx.body = formatted.body;
+      })
+      // Errors from downstream middleware are not caught here
+      .then(() => (authorized) ? next() : undefined);
+  };
+};
+
+/**
+ * Wrap a node:http request handler
+ * @example
+ * http.createServer(createHttpHandler(opt, (req, res) => { ... req.locals ... }, handlers));
+ * @param {Object} opt - Parsed options from handlers.parseRouteOptions()
+ * Errors thrown by the handler are logged, and answered with status 500 unless
+ * the response headers were already sent, then the connection is closed.
+ * @param {Function} handler - Request handler (req, res), called when authorized
+ * @param {Object} handlers - Functions from the token auth instance, see createFastifyPlugin(),
+ * and log(level, message)
+ * @returns {Function} Request handler (req, res) => Promise
+ */
+exports.createHttpHandler = (opt, handler, handlers) => {
+  return (req, res) => {
+    let authorized = false;
+    return handlers.authorize(req, res, opt)
+      .then(() => {
+        authorized = true;
+      })
+      .catch((err) => _writeNodeError(res, err, handlers.formatError(err)))
+      .then(() => (authorized) ? handler(req, res) : undefined)
+      .catch((err) => {
+        // Error thrown by the request handler, node:http has no error handler
+        handlers.log('error', 'Token auth: request handler error, ' +
+          ((err) ? (err.message || err.toString()) : 'unknown error'));
+        if (!res.headersSent) {
+          res.statusCode = 500;
+          res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+          res.end('Internal server error');
+        } else if (!res.writableEnded) {
+          res.destroy();
+        }
+      });
+  };
+};
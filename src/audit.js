@@ -0,0 +1,170 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Authorization decision audit trail
+//
+//  An audit sink is an object with the following functions.
+//
+//    write(record)     Save one decision record. May return a Promise.
+//    close()           Optional, write pending records and release resources.
+//
+//  One record is written for each authorization decision, allowed or denied.
+//  Records never include the access token.
+//
+// ------------------------------
+
+const fs = require('node:fs');
+
+/**
+ * Append-only JSON Lines file audit sink, with size based rotation.
+ * When the file would exceed maxBytes, it is renamed to filename.1,
+ * filename.1 to filename.2 and so on. Files above maxFiles are deleted.
+ * Records are written in order, one JSON object per line.
+ * @example
+ * authInit({
+ *   ...
+ *   auditSink: createFileAuditSink({ filename: '/var/log/api/auth-audit.jsonl' })
+ * });
+ * @param {Object} options
+ * @param {string} options.filename - Audit file path
+ * @param {number} [options.maxBytes] - Rotate before file exceeds this size, default 10485760
+ * @param {number} [options.maxFiles] - Number of rotated files kept, default 5
+ * @param {number} [options.mode] - File permissions of new files, default 0o600
+ * @returns {Object} Audit sink with write, close and rotate functions
+ * @throws Will throw error for invalid options
+ */
+exports.createFileAuditSink = (options) => {
+  const opt = options || {};
+  if ((typeof opt.filename !== 'string') || (opt.filename.length === 0)) {
+    throw new Error('token-check, invalid filename in audit sink options');
+  }
+  const filename = opt.filename;
+  const maxBytes = (opt.maxBytes > 0) ? parseInt(opt.maxBytes) : 10 * 1024 * 1024;
+  const maxFiles = (opt.maxFiles >= 0) ? parseInt(opt.maxFiles) : 5;
+  const mode = opt.mode || 0o600;
+
+  /** @type {Object} fileHandle - Open file, null = not open */
+  let fileHandle = null;
+  /** @type {number} fileSize - Current file size in bytes */
+  let fileSize = 0;
+  /** @type {Promise} queue - Previous write, writes are serialized */
+  let queue = Promise.resolve();
+  let closed = false;
+
+  /**
+   * Open audit file for append
+   * @returns {Promise} Resolves when open
+   */
+  const _open = () => {
+    return fs.promises.open(filename, 'a', mode)
+      .then((handle) => {
+        fileHandle = handle;
+        return handle.stat();
+      })
+      .then((stats) => {
+        fileSize = stats.size;
+      });
+  };
+
+  /**
+   * Rename, ignoring file not found
+   * @param {string} from - Old path
+   * @param {string} to - New path
+   * @returns {Promise} Resolves when done
+   */
+  const _rename = (from, to) => {
+    return fs.promises.rename(from, to).catch((err) => {
+      if (err.code !== 'ENOENT') throw err;
+    });
+  };
+
+  /**
+   * Close current file and shift rotated files, filename.1 is the most recent
+   * @returns {Promise} Resolves when done, file is not open
+   */
+  const _rotate = () => {
+    const handle = fileHandle;
+    fileHandle = null;
+    let rotation = (handle) ? handle.close() : Promise.resolve();
+    if (maxFiles === 0) {
+      return rotation.then(() => fs.promises.rm(filename, { force: true }));
+    }
+    rotation = rotation.then(() => fs.promises.rm(filename + '.' + maxFiles.toString(), { force: true }));
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      rotation = rotation.then(() => _rename(filename + '.' + i.toString(),
+        filename + '.' + (i + 1).toString()));
+    }
+    return rotation.then(() => _rename(filename, filename + '.1'));
+  };
+
+  /**
+   * Append one line, rotating first if needed
+   * @param {string} line - JSON text with line ending
+   * @returns {Promise} Resolves when written
+   */
+  const _append = (line) => {
+    const data = Buffer.from(line, 'utf8');
+    return ((fileHandle) ? Promise.resolve() : _open())
+      .then(() => {
+        // A record larger than maxBytes is written to an empty file
+        if ((fileSize > 0) && (fileSize + data.length > maxBytes)) {
+          return _rotate().then(_open);
+        }
+      })
+      .then(() => fileHandle.write(data))
+      .then(() => {
+        fileSize += data.length;
+      });
+  };
+
+  /**
+   * Add work to the write queue
+   * @param {Function} task - () => Promise
+   * @returns {Promise} Resolves or rejects with the task result
+   */
+  const _enqueue = (task) => {
+    const result = queue.then(task);
+    // A failed write does not stop later writes
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  /**
+   * Append decision record
+   * @param {Object} record - Audit record
+   * @returns {Promise} Resolves when written, rejects on file error
+   */
+  const write = (record) => {
+    if (closed) return Promise.reject(new Error('Audit sink closed, ' + filename));
+    const line = JSON.stringify(record) + '\n';
+    return _enqueue(() => _append(line));
+  };
+
+  /**
+   * Rotate now, for example from a log rotation schedule
+   * @returns {Promise} Resolves when done
+   */
+  const rotate = () => {
+    return _enqueue(() => _rotate());
+  };
+
+  /**
+   * Write pending records and close the file
+   * @returns {Promise} Resolves when closed
+   */
+  const close = () => {
+    closed = true;
+    return _enqueue(() => {
+      const handle = fileHandle;
+      fileHandle = null;
+      return (handle) ? handle.close() : undefined;
+    });
+  };
+
+  return {
+    write,
+    rotate,
+    close
+  };
+};
@@ -0,0 +1,277 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Token cache stores
+//
+//  A token cache store is an object with the following asynchronous functions.
+//  Each function returns a Promise.
+//
+//    get(key)                  Resolves cached entry, or undefined if not found or expired
+//    set(key, entry, seconds)  Save entry, discard after ttl seconds
+//    delete(key)               Remove entry
+//    clear()                   Remove all entries
+//
+//  Optional:
+//
+//    add(key, entry, seconds)  Save entry only if the key is not cached, as one atomic step,
+//                              resolves true if saved, false if the key exists.
+//                              Required for DPoP and revocation webhook replayStore
+//    prune()                   Remove expired entries, called by cleanup timer,
+//                              resolves number of entries removed
+//    purge(predicate)          Remove entries where predicate(entry) returns true,
+//                              resolves number of entries removed
+//    size()                    Number of cached entries
+//    stats()                   Cache statistics object
+//
+//  The key is a SHA-256 hex digest of the access token. Raw tokens are never stored.
+//  The entry is a JSON serializable object { introspect, validatedBy, cacheExpires }
+//
+// ------------------------------
+
+const { createRespClient } = require('./resp-client');
+
+/**
+ * In-memory token cache store (default)
+ * Least recently used (LRU) cache held in a Map within the node process.
+ * The key is already a SHA-256 digest, so lookup is a constant time Map access,
+ * rather than a compare against every cached token.
+ * Map iteration order is insertion order, so each get() moves the entry to the end,
+ * and when the cache is full, the entry at the start (least recently used) is evicted.
+ * Example:
+ * Map {
+ *   "5f1d...sha256 hex digest..." => {
+ *     entry: {
+ *       introspect: {
+ *          ... token metadata ...
+ *       },
+ *       validatedBy: "introspect",
+ *       cacheExpires: 1688751095057
+ *     },
+ *     storeExpires: 1688751095057
+ *   }
+ * }
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Maximum number of cached tokens, default 10000,
+ * Infinity = never evicted
+ * @returns {Object} Token cache store
+ */
+exports.createMemoryStore = (options) => {
+  let maxEntries = 10000;
+  if ((options) && (options.maxEntries === Infinity)) {
+    maxEntries = Infinity;
+  } else if ((options) && (options.maxEntries > 0)) {
+    maxEntries = parseInt(options.maxEntries);
+  }
+  const tokenCache = new Map();
+  const counters = {
+    hits: 0,
+    misses: 0,
+    evictions: 0,
+    expired: 0
+  };
+
+  const get = (key) => {
+    const stored = tokenCache.get(key);
+    if (stored == null) {
+      counters.misses++;
+      return Promise.resolve(undefined);
+    }
+    tokenCache.delete(key);
+    if (stored.storeExpires <= Date.now()) {
+      counters.expired++;
+      counters.misses++;
+      return Promise.resolve(undefined);
+    }
+    // Move to most recently used position
+    tokenCache.set(key, stored);
+    counters.hits++;
+    return Promise.resolve(stored.entry);
+  };
+
+  const set = (key, entry, ttlSeconds) => {
+    tokenCache.delete(key);
+    while (tokenCache.size >= maxEntries) {
+      // First key in Map is least recently used
+      tokenCache.delete(tokenCache.keys().next().value);
+      counters.evictions++;
+    }
+    tokenCache.set(key, {
+      entry,
+      storeExpires: Date.now() + (ttlSeconds * 1000)
+    });
+    return Promise.resolve();
+  };
+
+  const add = (key, entry, ttlSeconds) => {
+    const stored = tokenCache.get(key);
+    if ((!(stored == null)) && (stored.storeExpires > Date.now())) return Promise.resolve(false);
+    return set(key, entry, ttlSeconds).then(() => true);
+  };
+
+  const del = (key) => {
+    tokenCache.delete(key);
+    return Promise.resolve();
+  };
+
+  const clear = () => {
+    tokenCache.clear();
+    return Promise.resolve();
+  };
+
+  const prune = () => {
+    const now = Date.now();
+    let removed = 0;
+    tokenCache.forEach((stored, key) => {
+      if (stored.storeExpires <= now) {
+        // console.log('Removing expired token ' + key);
+        tokenCache.delete(key);
+        counters.expired++;
+        removed++;
+      }
+    });
+    return Promise.resolve(removed);
+  };
+
+  const purge = (predicate) => {
+    let removed = 0;
+    tokenCache.forEach((stored, key) => {
+      if (predicate(stored.entry)) {
+        tokenCache.delete(key);
+        removed++;
+      }
+    });
+    return Promise.resolve(removed);
+  };
+
+  /**
+   * Cache statistics
+   * @returns {Object} { size, maxEntries, hits, misses, evictions, expired }
+   */
+  const stats = () => {
+    return Object.assign({ size: tokenCache.size, maxEntries }, counters);
+  };
+
+  return {
+    get,
+    set,
+    add,
+    delete: del,
+    clear,
+    prune,
+    purge,
+    size: () => tokenCache.size,
+    stats
+  };
+};
+
+/**
+ * Redis token cache store, shared between node processes.
+ * Connects using the Redis serialization protocol (RESP).
+ * Entries are saved as JSON strings with an expiration time (SET key value PX ms).
+ * @example
+ * authInit({
+ *   ...
+ *   tokenStore: createRedisStore({ host: '127.0.0.1', port: 6379, keyPrefix: 'api1:token:' })
+ * });
+ * @param {Object} options
+ * @param {string} [options.host] - Redis server host, default '127.0.0.1'
+ * @param {number} [options.port] - Redis server port, default 6379
+ * @param {string} [options.username] - Optional ACL username
+ * @param {string} [options.password] - Optional password
+ * @param {number} [options.db] - Optional database number
+ * @param {number} [options.timeoutMs] - Command timeout, default 2000
+ * @param {string} [options.keyPrefix] - Prefix for Redis keys, default 'token-auth:'
+ * @param {Object} [options.client] - Optional existing client with command(args) function
+ * @returns {Object} Token cache store
+ */
+exports.createRedisStore = (options) => {
+  const opt = options || {};
+  const client = opt.client || createRespClient(opt);
+  const keyPrefix = opt.keyPrefix || 'token-auth:';
+
+  const get = (key) => {
+    return client.command(['GET', keyPrefix + key])
+      .then((value) => {
+        if (value == null) return undefined;
+        return JSON.parse(value);
+      });
+  };
+
+  const set = (key, entry, ttlSeconds) => {
+    const ttlMs = Math.ceil(ttlSeconds * 1000);
+    if (ttlMs <= 0) return Promise.resolve();
+    return client.command(['SET', keyPrefix + key, JSON.stringify(entry), 'PX', ttlMs])
+      .then(() => undefined);
+  };
+
+  const add = (key, entry, ttlSeconds) => {
+    const ttlMs = Math.ceil(ttlSeconds * 1000);
+    if (ttlMs <= 0) return Promise.resolve(false);
+    // NX, saved only if the key does not exist, the reply is null otherwise
+    return client.command(['SET', keyPrefix + key, JSON.stringify(entry), 'PX', ttlMs, 'NX'])
+      .then((reply) => (reply === 'OK'));
+  };
+
+  const del = (key) => {
+    return client.command(['DEL', keyPrefix + key])
+      .then(() => undefined);
+  };
+
+  // Incremental SCAN of prefixed keys, deleting each batch
+  const _clearFromCursor = (cursor) => {
+    return client.command(['SCAN', cursor, 'MATCH', keyPrefix + '*', 'COUNT', 100])
+      .then((reply) => {
+        const nextCursor = reply[0];
+        const keys = reply[1];
+        let deleted = Promise.resolve();
+        if (keys.length > 0) deleted = client.command(['DEL'].concat(keys));
+        return deleted.then(() => {
+          if (nextCursor === '0') return undefined;
+          return _clearFromCursor(nextCursor);
+        });
+      });
+  };
+
+  const clear = () => _clearFromCursor('0');
+
+  // Incremental SCAN of prefixed keys, deleting entries matching predicate
+  const _purgeFromCursor = (cursor, predicate, removed) => {
+    return client.command(['SCAN', cursor, 'MATCH', keyPrefix + '*', 'COUNT', 100])
+      .then((reply) => {
+        const nextCursor = reply[0];
+        const keys = reply[1];
+        let values = Promise.resolve([]);
+        if (keys.length > 0) values = client.command(['MGET'].concat(keys));
+        return values
+          .then((entries) => {
+            const matched = keys.filter((key, i) => {
+              if (entries[i] == null) return false;
+              try {
+                return predicate(JSON.parse(entries[i]));
+              } catch (e) {
+                return false;
+              }
+            });
+            if (matched.length === 0) return 0;
+            return client.command(['DEL'].concat(matched));
+          })
+          .then((deleted) => {
+            if (nextCursor === '0') return removed + deleted;
+            return _purgeFromCursor(nextCursor, predicate, removed + deleted);
+          });
+      });
+  };
+
+  const purge = (predicate) => _purgeFromCursor('0', predicate, 0);
+
+  return {
+    get,
+    set,
+    add,
+    delete: del,
+    clear,
+    purge,
+    close: () => (client.quit) ? client.quit() : Promise.resolve()
+  };
+};
@@ -0,0 +1,92 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Circuit breaker for authorization server network requests
+//
+//  closed     Requests are sent. Consecutive failures are counted.
+//  open       After failureThreshold consecutive failures, requests fail fast
+//             without a network request for resetSeconds.
+//  half-open  After resetSeconds, one trial request is sent.
+//             Success closes the breaker, failure opens it again.
+//
+// ------------------------------
+
+/**
+ * Create a circuit breaker
+ * @example
+ * const breaker = createCircuitBreaker({ failureThreshold: 5, resetSeconds: 30 });
+ * if (breaker.allowRequest()) {
+ *   fetch(...).then(() => breaker.success(), () => breaker.failure());
+ * }
+ * @param {Object} options
+ * @param {number} options.failureThreshold - Consecutive failures to open, 0 = disabled
+ * @param {number} options.resetSeconds - Time to remain open before trial request
+ * @returns {Object} Circuit breaker
+ */
+exports.createCircuitBreaker = (options) => {
+  const failureThreshold = options.failureThreshold;
+  const resetSeconds = options.resetSeconds;
+
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialPending = false;
+
+  /**
+   * Check if a request may be sent
+   * @returns {boolean} True if request is allowed
+   */
+  const allowRequest = () => {
+    if ((failureThreshold <= 0) || (state === 'closed')) return true;
+    if ((state === 'open') && (Date.now() - openedAt >= resetSeconds * 1000)) {
+      state = 'half-open';
+      trialPending = false;
+    }
+    if ((state === 'half-open') && (!trialPending)) {
+      trialPending = true;
+      return true;
+    }
+    return false;
+  };
+
+  /**
+   * Record successful request
+   */
+  const success = () => {
+    state = 'closed';
+    failures = 0;
+    trialPending = false;
+  };
+
+  /**
+   * Record failed request
+   */
+  const failure = () => {
+    failures++;
+    trialPending = false;
+    if ((failureThreshold > 0) &&
+      ((state === 'half-open') || (failures >= failureThreshold))) {
+      state = 'open';
+      openedAt = Date.now();
+    }
+  };
+
+  /**
+   * Seconds until a trial request will be allowed
+   * @returns {number} Seconds, 0 if closed
+   */
+  const retryAfterSeconds = () => {
+    if (state === 'closed') return 0;
+    const remaining = (resetSeconds * 1000) - (Date.now() - openedAt);
+    return Math.max(1, Math.ceil(remaining / 1000));
+  };
+
+  return {
+    allowRequest,
+    success,
+    failure,
+    retryAfterSeconds,
+    getState: () => state
+  };
+};
@@ -0,0 +1,246 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Client credentials grant (RFC 6749 4.4)
+//
+//  Access tokens for outbound requests to other protected APIs.
+//  Tokens are cached by scope and refreshed before expiration.
+//  Concurrent requests for the same scope share one token request.
+//
+// ------------------------------
+
+const { decodeJwt } = require('./jwt');
+
+/**
+ * Cache key for scope, order of scope values is not significant
+ * @param {string|string[]} scope - Space delimited string or array, or null
+ * @returns {string} Sorted space delimited scope, empty string for no scope
+ */
+const _scopeKey = (scope) => {
+  if (scope == null) return '';
+  const list = (Array.isArray(scope)) ? scope : String(scope).split(' ');
+  return list.filter((item) => ((typeof item === 'string') && (item.length > 0)))
+    .sort().join(' ');
+};
+
+/**
+ * Token lifetime in seconds, from expires_in or the JWT exp claim
+ * @param {Object} tokenResponse - Token endpoint response
+ * @returns {number} Seconds until expiration, or null if not known
+ */
+const _lifetimeSeconds = (tokenResponse) => {
+  if ((typeof tokenResponse.expires_in === 'number') && (tokenResponse.expires_in > 0)) {
+    return tokenResponse.expires_in;
+  }
+  try {
+    const exp = decodeJwt(tokenResponse.access_token).payload.exp;
+    if (typeof exp === 'number') return exp - Math.floor(Date.now() / 1000);
+  } catch (e) {
+    // Opaque token
+  }
+  return null;
+};
+
+/**
+ * Create client token provider
+ * @example
+ * const clientTokens = createClientTokenProvider({
+ *   tokenURL: 'http://127.0.0.1:3500/oauth/token',
+ *   clientId: 'abc123',
+ *   clientSecret: 'ssh-secret'
+ * });
+ * clientTokens.getToken({ scope: 'api.read' }).then((accessToken) => { ... });
+ * @param {Object} options
+ * @param {string} options.tokenURL - Authorization server token endpoint
+ * @param {Function} [options.getEndpoint] - () => Promise resolving { url, authMethod },
+ * used instead of tokenURL, for example from authorization server metadata
+ * @param {string} options.clientId - Client account credentials
+ * @param {string|string[]} options.clientSecret - Client account credentials, or list of
+ * secrets tried in order during rotation
+ * @param {number} [options.timeoutMs] - Token request timeout, default 5000
+ * @param {number} [options.refreshAheadSeconds] - Refresh before expiration, default 60
+ * @param {number} [options.defaultLifetimeSeconds] - Used if token has no expiration, default 300
+ * @param {Function} [options.log] - (level, message) => undefined
+ * @returns {Object} Provider with getToken and clear functions
+ */
+exports.createClientTokenProvider = (options) => {
+  const timeoutMs = options.timeoutMs || 5000;
+  const refreshAheadSeconds = (options.refreshAheadSeconds >= 0) ? options.refreshAheadSeconds : 60;
+  const defaultLifetimeSeconds = options.defaultLifetimeSeconds || 300;
+  const log = options.log || (() => {});
+  /** @type {Map} tokens - Cached tokens by scope key { accessToken, expiresAt, refreshAt } */
+  const tokens = new Map();
+  /** @type {Map} inflight - Pending token requests by scope key */
+  const inflight = new Map();
+  const clientSecrets = (Array.isArray(options.clientSecret))
+    ? options.clientSecret
+    : [options.clientSecret];
+  /** @type {number} secretIndex - Index of the secret last accepted */
+  let secretIndex = 0;
+
+  /**
+   * Request a new access token from the token endpoint
+   * @param {string} scopeKey - Space delimited scope, or empty string
+   * @param {string} clientSecret - Client secret for this request
+   * @returns {Promise} Resolves token endpoint response object
+   */
+  const _fetchToken = (scopeKey, clientSecret) => {
+    const fetchController = new AbortController();
+    const body = new URLSearchParams({ grant_type: 'client_credentials' });
+    if (scopeKey.length > 0) body.set('scope', scopeKey);
+    const fetchOptions = {
+      method: 'POST',
+      redirect: 'error',
+      cache: 'no-store',
+      signal: fetchController.signal,
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json'
+      }
+    };
+    let tokenURL = options.tokenURL;
+    let fetchTimerId = null;
+    const endpoint = (options.getEndpoint)
+      ? options.getEndpoint()
+      : Promise.resolve({ url: options.tokenURL, authMethod: 'client_secret_basic' });
+    return endpoint
+      .then((resolved) => {
+        tokenURL = resolved.url;
+        if (resolved.authMethod === 'client_secret_post') {
+          body.set('client_id', options.clientId);
+          body.set('client_secret', clientSecret);
+        } else {
+          fetchOptions.headers.Authorization = 'Basic ' +
+            Buffer.from(options.clientId + ':' + clientSecret).toString('base64');
+        }
+        fetchOptions.body = body.toString();
+        fetchTimerId = setTimeout(() => fetchController.abort(), timeoutMs);
+        return fetch(tokenURL, fetchOptions);
+      })
+      .then((response) => {
+        if (response.status === 200) return response.json();
+        return response.text()
+          .then((remoteErrorText) => {
+            const err = new Error('HTTP status error, ' + response.status.toString() + ' ' +
+              response.statusText + ', POST ' + tokenURL + ', ' + remoteErrorText);
+            err.status = response.status;
+            // RFC 6749 5.2, status 401, or 400 for client_secret_post
+            err.invalidClient = ((response.status === 401) ||
+              ((response.status === 400) && (/invalid_client/.test(remoteErrorText))));
+            throw err;
+          });
+      })
+      .then((tokenResponse) => {
+        clearTimeout(fetchTimerId);
+        if ((tokenResponse == null) || (typeof tokenResponse.access_token !== 'string') ||
+          (tokenResponse.access_token.length === 0)) {
+          throw new Error('Token response missing access_token, POST ' + tokenURL);
+        }
+        return tokenResponse;
+      })
+      .catch((err) => {
+        clearTimeout(fetchTimerId);
+        const error = new Error((err.status)
+          ? err.message
+          : 'Fetch error, POST ' + tokenURL + ', ' + (err.message || err.toString()));
+        // Network error, timeout or server error, authorization server unavailable
+        error.status = ((!err.status) || (err.status >= 500)) ? 503 : 500;
+        error.unavailable = (error.status === 503);
+        error.invalidClient = (err.invalidClient === true);
+        throw error;
+      });
+  };
+
+  /**
+   * Request a new access token, trying each client secret during rotation
+   * The secret last accepted is tried first, then the others in list order.
+   * @param {string} scopeKey - Space delimited scope, or empty string
+   * @returns {Promise} Resolves token endpoint response object
+   */
+  const _fetchTokenWithSecrets = (scopeKey) => {
+    const order = [secretIndex].concat(clientSecrets.map((secret, index) => index)
+      .filter((index) => (index !== secretIndex)));
+    const _tryNext = (position) => {
+      const index = order[position];
+      return _fetchToken(scopeKey, clientSecrets[index])
+        .then((tokenResponse) => {
+          if (index !== secretIndex) {
+            secretIndex = index;
+            log('info', 'Token auth: client secret ' + (index + 1).toString() + ' of ' +
+              clientSecrets.length.toString() + ' accepted by token endpoint');
+          }
+          return tokenResponse;
+        }, (err) => {
+          if ((err.invalidClient) && (position + 1 < order.length)) return _tryNext(position + 1);
+          throw err;
+        });
+    };
+    return _tryNext(0);
+  };
+
+  /**
+   * Request token and save to cache. Concurrent calls share one request.
+   * @param {string} scopeKey - Space delimited scope, or empty string
+   * @returns {Promise} Resolves cached token entry
+   */
+  const _refreshToken = (scopeKey) => {
+    let pending = inflight.get(scopeKey);
+    if (pending == null) {
+      pending = _fetchTokenWithSecrets(scopeKey)
+        .then((tokenResponse) => {
+          const lifetimeSeconds = _lifetimeSeconds(tokenResponse) || defaultLifetimeSeconds;
+          const now = Date.now();
+          const entry = {
+            accessToken: tokenResponse.access_token,
+            expiresAt: now + (lifetimeSeconds * 1000),
+            // Short lived tokens refresh at half lifetime
+            refreshAt: now + (Math.max(lifetimeSeconds - refreshAheadSeconds, lifetimeSeconds / 2) * 1000)
+          };
+          tokens.set(scopeKey, entry);
+          log('debug', 'Token auth: client token issued for scope "' + scopeKey + '"');
+          return entry;
+        })
+        .finally(() => inflight.delete(scopeKey));
+      inflight.set(scopeKey, pending);
+    }
+    return pending;
+  };
+
+  /**
+   * Get access token for scope
+   * @param {Object} [tokenOptions]
+   * @param {string|string[]} [tokenOptions.scope] - Requested scope
+   * @param {boolean} [tokenOptions.forceRefresh] - Ignore cached token
+   * @returns {Promise} Resolves access token string
+   */
+  const getToken = (tokenOptions) => {
+    const scopeKey = _scopeKey((tokenOptions) ? tokenOptions.scope : null);
+    const forceRefresh = ((tokenOptions) && (tokenOptions.forceRefresh === true));
+    const cached = tokens.get(scopeKey);
+    const now = Date.now();
+    if ((!forceRefresh) && (cached) && (cached.expiresAt > now)) {
+      if (cached.refreshAt <= now) {
+        // Refresh in background, cached token remains valid
+        _refreshToken(scopeKey).catch((err) => {
+          log('warn', 'Token auth: client token refresh failed, ' + err.message);
+        });
+      }
+      return Promise.resolve(cached.accessToken);
+    }
+    if ((forceRefresh) && (cached)) tokens.delete(scopeKey);
+    return _refreshToken(scopeKey).then((entry) => entry.accessToken);
+  };
+
+  /**
+   * Remove all cached client tokens
+   */
+  const clear = () => {
+    tokens.clear();
+  };
+
+  return {
+    getToken,
+    clear
+  };
+};
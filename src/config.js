@@ -0,0 +1,135 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Configuration from environment variables and secrets file
+//
+//  Environment variable names are the prefix, default TOKEN_AUTH_, followed by
+//  the option name in upper case, for example TOKEN_AUTH_CLIENT_ID for clientId.
+//  During client secret rotation, TOKEN_AUTH_CLIENT_SECRET_PREVIOUS holds the old secret.
+//
+//  A secrets file is a JSON object with authInit() options, for example
+//
+//    { "clientId": "abc123", "clientSecret": ["new-secret", "old-secret"] }
+//
+// ------------------------------
+
+const fs = require('node:fs');
+
+/**
+ * Options that may be set by environment variable, name suffix to [option, type]
+ * @type {Object} envOptions
+ */
+const envOptions = {
+  AUTH_URL: ['authURL', 'string'],
+  CLIENT_ID: ['clientId', 'string'],
+  ISSUER: ['issuer', 'string'],
+  JWKS_URL: ['jwksURL', 'string'],
+  INTROSPECT_URL: ['introspectURL', 'string'],
+  INTROSPECT_FORMAT: ['introspectFormat', 'string'],
+  TOKEN_URL: ['tokenURL', 'string'],
+  VALIDATION_MODE: ['validationMode', 'string'],
+  REALM: ['realm', 'string'],
+  ERROR_FORMAT: ['errorFormat', 'string'],
+  TOKEN_TYPE: ['tokenType', 'string'],
+  AUDIENCE: ['audience', 'list'],
+  ALLOWED_CLIENTS: ['allowedClients', 'list'],
+  DENIED_CLIENTS: ['deniedClients', 'list'],
+  DISCOVERY: ['discovery', 'boolean'],
+  SCOPE_HIERARCHY: ['scopeHierarchy', 'boolean'],
+  EXTRACTORS: ['extractors', 'list'],
+  TOKEN_CACHE_SECONDS: ['tokenCacheSeconds', 'number'],
+  TOKEN_CACHE_CLEAN_SECONDS: ['tokenCacheCleanSeconds', 'number'],
+  NEGATIVE_CACHE_SECONDS: ['negativeCacheSeconds', 'number'],
+  INTROSPECT_TIMEOUT_MS: ['introspectTimeoutMs', 'number'],
+  INTROSPECT_RETRIES: ['introspectRetries', 'number'],
+  INTROSPECT_RETRY_DELAY_MS: ['introspectRetryDelayMs', 'number'],
+  BREAKER_FAILURE_THRESHOLD: ['breakerFailureThreshold', 'number'],
+  BREAKER_RESET_SECONDS: ['breakerResetSeconds', 'number'],
+  TOKEN_CACHE_MAX_ENTRIES: ['tokenCacheMaxEntries', 'number'],
+  MAX_TOKEN_LIFETIME_SECONDS: ['maxTokenLifetimeSeconds', 'number'],
+  JWKS_CACHE_SECONDS: ['jwksCacheSeconds', 'number'],
+  CLOCK_SKEW_SECONDS: ['clockSkewSeconds', 'number'],
+  STALE_IF_ERROR_SECONDS: ['staleIfErrorSeconds', 'number'],
+  DISCOVERY_REFRESH_SECONDS: ['discoveryRefreshSeconds', 'number']
+};
+
+/**
+ * Convert environment variable string to option value
+ * @param {string} value - Environment variable value
+ * @param {string} type - 'string', 'number', 'boolean' or 'list'
+ * @param {string} name - Variable name for error messages
+ * @returns {*} Option value
+ * @throws Will throw error for invalid value
+ */
+const _envValue = (value, type, name) => {
+  if (type === 'number') {
+    const number = Number(value);
+    if ((value.trim().length === 0) || (!Number.isFinite(number))) {
+      throw new Error('token-check, invalid ' + name + ' in environment');
+    }
+    return number;
+  }
+  if (type === 'boolean') {
+    if (['true', 'false'].indexOf(value) < 0) {
+      throw new Error('token-check, invalid ' + name + ' in environment');
+    }
+    return (value === 'true');
+  }
+  if (type === 'list') {
+    return value.split(',').map((item) => item.trim()).filter((item) => (item.length > 0));
+  }
+  return value;
+};
+
+/**
+ * Read authInit() options from environment variables
+ * Empty variables are ignored.
+ * @example
+ * // TOKEN_AUTH_AUTH_URL=http://127.0.0.1:3500 TOKEN_AUTH_CLIENT_ID=abc123
+ * configFromEnv(process.env);
+ * // { authURL: 'http://127.0.0.1:3500', clientId: 'abc123' }
+ * @param {Object} env - Environment, such as process.env
+ * @param {string} [prefix] - Variable name prefix, default 'TOKEN_AUTH_'
+ * @returns {Object} authInit() options
+ * @throws Will throw error for invalid value
+ */
+exports.configFromEnv = (env, prefix) => {
+  const namePrefix = (typeof prefix === 'string') ? prefix : 'TOKEN_AUTH_';
+  const options = {};
+  Object.keys(envOptions).forEach((suffix) => {
+    const name = namePrefix + suffix;
+    if ((typeof env[name] !== 'string') || (env[name].length === 0)) return;
+    options[envOptions[suffix][0]] = _envValue(env[name], envOptions[suffix][1], name);
+  });
+  const secret = env[namePrefix + 'CLIENT_SECRET'];
+  const previousSecret = env[namePrefix + 'CLIENT_SECRET_PREVIOUS'];
+  if ((typeof secret === 'string') && (secret.length > 0)) {
+    // New secret is tried first
+    options.clientSecret = ((typeof previousSecret === 'string') && (previousSecret.length > 0))
+      ? [secret, previousSecret]
+      : secret;
+  }
+  return options;
+};
+
+/**
+ * Read authInit() options from a JSON secrets file
+ * @param {string} filename - File path
+ * @returns {Object} authInit() options
+ * @throws Will throw error if the file can not be read or is not a JSON object
+ */
+exports.readConfigFile = (filename) => {
+  let options = null;
+  try {
+    options = JSON.parse(fs.readFileSync(filename, 'utf8'));
+  } catch (err) {
+    // Parse error messages may contain file content, such as a secret
+    throw new Error('token-check, unable to read configFile ' + filename +
+      ((err.code) ? ', ' + err.code : ', invalid JSON'));
+  }
+  if ((options == null) || (typeof options !== 'object') || (Array.isArray(options))) {
+    throw new Error('token-check, configFile ' + filename + ' must contain a JSON object');
+  }
+  return options;
+};
@@ -0,0 +1,234 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Authorization server metadata discovery
+//
+//    RFC 8414   <origin>/.well-known/oauth-authorization-server<issuer path>
+//    OIDC       <issuer>/.well-known/openid-configuration
+//
+//  The metadata document is cached and refreshed periodically.
+//  The document issuer must be identical to the configured issuer (RFC 8414 3.3).
+//
+// ------------------------------
+
+/**
+ * Build a discovery error
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status, 503 if authorization server unavailable
+ * @param {string} code - Error code
+ * @returns {Error} Error with status and code
+ */
+const _discoveryError = (message, status, code) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  if (status === 503) err.unavailable = true;
+  // Detailed message includes auth server URL, not sent to client
+  err.publicMessage = 'Authorization server configuration error';
+  return err;
+};
+
+/**
+ * Metadata document URLs for an issuer, in the order they are tried
+ * @param {string} issuer - Issuer identifier URL
+ * @returns {string[]} RFC 8414 URL, then OpenID Connect discovery URL
+ */
+exports.wellKnownURLs = (issuer) => {
+  const parsed = new URL(issuer);
+  const issuerPath = parsed.pathname.replace(/\/+$/, '');
+  return [
+    // RFC 8414 3.1, well-known path inserted before the issuer path
+    parsed.origin + '/.well-known/oauth-authorization-server' + issuerPath,
+    parsed.origin + issuerPath + '/.well-known/openid-configuration'
+  ];
+};
+
+/**
+ * Choose a client authentication method supported by both sides
+ * @param {string[]} supported - Metadata *_auth_methods_supported value, or undefined
+ * @returns {string} 'client_secret_basic' or 'client_secret_post'
+ * @throws Will throw error if neither method is supported
+ */
+const _selectAuthMethod = (supported) => {
+  // RFC 8414 2, default is client_secret_basic when omitted
+  if ((!Array.isArray(supported)) || (supported.indexOf('client_secret_basic') >= 0)) {
+    return 'client_secret_basic';
+  }
+  if (supported.indexOf('client_secret_post') >= 0) return 'client_secret_post';
+  throw _discoveryError('Authorization server metadata, client_secret_basic or ' +
+    'client_secret_post authentication not supported', 500, 'ERR_DISCOVERY_AUTH_METHOD');
+};
+
+/**
+ * Create authorization server metadata client
+ * @example
+ * const discovery = createMetadataClient({ issuer: 'https://auth.example.com' });
+ * discovery.getEndpoint('introspection_endpoint').then((endpoint) => { ... endpoint.url ... });
+ * @param {Object} options
+ * @param {string} options.issuer - Issuer identifier URL
+ * @param {number} [options.refreshSeconds] - Metadata cache time, default 3600
+ * @param {number} [options.minRefreshSeconds] - Minimum time between fetches, default 30
+ * @param {number} [options.timeoutMs] - Network request timeout, default 5000
+ * @param {Function} [options.log] - (level, message) => undefined
+ * @returns {Object} Metadata client with getMetadata and getEndpoint functions
+ * @throws Will throw error if issuer is not a valid URL
+ */
+exports.createMetadataClient = (options) => {
+  const issuer = options.issuer;
+  const documentURLs = exports.wellKnownURLs(issuer);
+  const refreshSeconds = (options.refreshSeconds > 0) ? options.refreshSeconds : 3600;
+  const minRefreshSeconds = (options.minRefreshSeconds == null) ? 30 : options.minRefreshSeconds;
+  const timeoutMs = options.timeoutMs || 5000;
+  const log = options.log || (() => {});
+
+  /** @type {Object} metadata - Cached metadata document, null = not fetched */
+  let metadata = null;
+  /** @type {number} fetchedAt - Time of last fetch attempt in ms, 0 = never */
+  let fetchedAt = 0;
+  /** @type {Error} lastError - Error of last failed fetch */
+  let lastError = null;
+  /** @type {Promise} pendingFetch - In-flight request shared between callers */
+  let pendingFetch = null;
+
+  /**
+   * Fetch one metadata document URL
+   * @param {string} url - Well-known URL
+   * @returns {Promise} Resolves document object, or null for a 4xx response
+   */
+  const _fetchDocument = (url) => {
+    const fetchController = new AbortController();
+    const fetchTimerId = setTimeout(() => fetchController.abort(), timeoutMs);
+    const fetchOptions = {
+      method: 'GET',
+      redirect: 'error',
+      cache: 'no-store',
+      signal: fetchController.signal,
+      headers: {
+        Accept: 'application/json'
+      }
+    };
+    return fetch(url, fetchOptions)
+      .then((response) => {
+        if (response.status === 200) return response.json();
+        if ((response.status >= 400) && (response.status < 500)) {
+          // Not found, try the next well-known location
+          return response.text().then(() => null);
+        }
+        throw _discoveryError('HTTP status error, ' + response.status.toString() + ' ' +
+          response.statusText + ', GET ' + url, 503, 'ERR_DISCOVERY_FETCH');
+      })
+      .then((document) => {
+        clearTimeout(fetchTimerId);
+        return document;
+      })
+      .catch((err) => {
+        clearTimeout(fetchTimerId);
+        if (err.code) throw err;
+        throw _discoveryError('Fetch error, GET ' + url + ', ' +
+          (err.message || err.toString()), 503, 'ERR_DISCOVERY_FETCH');
+      });
+  };
+
+  /**
+   * Validate metadata document
+   * @param {Object} document - Metadata document
+   * @param {string} url - Well-known URL for error messages
+   * @returns {Object} Metadata document
+   * @throws Will throw 500 error for issuer mismatch or malformed document
+   */
+  const _checkDocument = (document, url) => {
+    if ((document == null) || (typeof document !== 'object') || (Array.isArray(document))) {
+      throw _discoveryError('Authorization server metadata not an object, GET ' + url,
+        500, 'ERR_DISCOVERY_DOCUMENT');
+    }
+    // RFC 8414 3.3, prevents metadata of one issuer being used for another
+    if (document.issuer !== issuer) {
+      throw _discoveryError('Authorization server metadata issuer mismatch, expected ' +
+        issuer + ', GET ' + url, 500, 'ERR_DISCOVERY_ISSUER');
+    }
+    return document;
+  };
+
+  /**
+   * Fetch metadata, trying each well-known location in order
+   * @returns {Promise} Resolves metadata document
+   */
+  const _refresh = () => {
+    if (pendingFetch) return pendingFetch;
+    const _tryNext = (index) => {
+      if (index >= documentURLs.length) {
+        return Promise.reject(_discoveryError('Authorization server metadata not found, GET ' +
+          documentURLs.join(', '), 500, 'ERR_DISCOVERY_NOT_FOUND'));
+      }
+      return _fetchDocument(documentURLs[index])
+        .then((document) => {
+          if (document == null) return _tryNext(index + 1);
+          return _checkDocument(document, documentURLs[index]);
+        });
+    };
+    pendingFetch = _tryNext(0)
+      .then((document) => {
+        metadata = document;
+        fetchedAt = Date.now();
+        lastError = null;
+        pendingFetch = null;
+        log('debug', 'Token auth: authorization server metadata loaded for ' + issuer);
+        return metadata;
+      })
+      .catch((err) => {
+        // Prevent repeated fetch on every request while the endpoint is failing
+        fetchedAt = Date.now() - ((refreshSeconds - minRefreshSeconds) * 1000);
+        lastError = err;
+        pendingFetch = null;
+        throw err;
+      });
+    return pendingFetch;
+  };
+
+  /**
+   * Get cached metadata document, fetched when expired.
+   * When a previous document exists, it is returned while refreshing in background.
+   * @returns {Promise} Resolves metadata document, or rejects 500 or 503 error
+   */
+  const getMetadata = () => {
+    const expired = (Date.now() - fetchedAt > refreshSeconds * 1000);
+    if (metadata == null) {
+      if ((!expired) && (!(lastError == null))) return Promise.reject(lastError);
+      return _refresh();
+    }
+    if (expired) {
+      _refresh().catch((err) => {
+        log('warn', 'Token auth: authorization server metadata refresh failed, ' + err.message);
+      });
+    }
+    return Promise.resolve(metadata);
+  };
+
+  /**
+   * Get endpoint URL and client authentication method from metadata
+   * @param {string} name - Metadata name, such as 'introspection_endpoint', 'jwks_uri'
+   * @returns {Promise} Resolves { url, authMethod }, or rejects 500 error if not published
+   */
+  const getEndpoint = (name) => {
+    return getMetadata()
+      .then((document) => {
+        if ((typeof document[name] !== 'string') || (document[name].length === 0)) {
+          throw _discoveryError('Authorization server metadata missing ' + name + ' for ' +
+            issuer, 500, 'ERR_DISCOVERY_ENDPOINT');
+        }
+        return {
+          url: document[name],
+          // For example introspection_endpoint_auth_methods_supported
+          authMethod: (name.endsWith('_endpoint'))
+            ? _selectAuthMethod(document[name + '_auth_methods_supported'])
+            : null
+        };
+      });
+  };
+
+  return {
+    getMetadata,
+    getEndpoint
+  };
+};
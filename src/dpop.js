@@ -0,0 +1,224 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Sender-constrained access tokens
+//
+//    DPoP (RFC 9449)
+//      Authorization: DPoP <access token>
+//      DPoP: <proof JWT signed with the client key in the jwk header>
+//      The token is bound by introspection cnf.jkt, the JWK SHA-256 thumbprint (RFC 7638)
+//
+//    Mutual TLS (RFC 8705)
+//      The token is bound by introspection cnf["x5t#S256"],
+//      the SHA-256 thumbprint of the client certificate
+//
+// ------------------------------
+
+const crypto = require('node:crypto');
+const { decodeJwt, verifyJwtSignature, jwsAlgorithmNames } = require('./jwt');
+const { createMemoryStore } = require('./cache-stores');
+
+/**
+ * Required JWK members for the RFC 7638 thumbprint, by key type
+ * @type {Object} thumbprintMembers
+ */
+const thumbprintMembers = {
+  EC: ['crv', 'kty', 'x', 'y'],
+  RSA: ['e', 'kty', 'n'],
+  OKP: ['crv', 'kty', 'x']
+};
+
+/**
+ * Build a DPoP proof error
+ * @param {string} message - Error message
+ * @returns {Error} Error with status 401 and oauthError invalid_dpop_proof
+ */
+const _proofError = (message) => {
+  const err = new Error(message);
+  err.status = 401;
+  err.oauthError = 'invalid_dpop_proof';
+  err.authScheme = 'DPoP';
+  return err;
+};
+
+/**
+ * Base64url SHA-256 digest
+ * @param {string|Buffer} data - Input data
+ * @returns {string} base64url encoded digest
+ */
+const _sha256 = (data) => {
+  return crypto.createHash('sha256').update(data).digest('base64url');
+};
+
+/**
+ * Normalize URL for htu comparison, without query and fragment (RFC 9449 4.3)
+ * @param {string} url - Absolute URL
+ * @returns {string} Normalized URL, or null if not a valid URL
+ */
+const _normalizeUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return parsed.origin + parsed.pathname;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * JWK SHA-256 thumbprint (RFC 7638)
+ * @param {Object} jwk - Public JSON Web Key
+ * @returns {string} base64url thumbprint
+ * @throws Will throw error for unsupported key type
+ */
+exports.jwkThumbprint = (jwk) => {
+  const members = thumbprintMembers[jwk.kty];
+  if (members == null) throw new Error('Unsupported JWK key type');
+  // Members in lexicographic order, no white space
+  const canonical = '{' + members.map((name) => {
+    if (typeof jwk[name] !== 'string') throw new Error('JWK missing ' + name);
+    return JSON.stringify(name) + ':' + JSON.stringify(jwk[name]);
+  }).join(',') + '}';
+  return _sha256(canonical);
+};
+
+/**
+ * Client certificate SHA-256 thumbprint (RFC 8705 3.1)
+ * @param {Buffer|string|Object} certificate - DER Buffer, PEM string,
+ * X509Certificate, or tls getPeerCertificate() object
+ * @returns {string} base64url thumbprint, or null if no certificate
+ */
+exports.certificateThumbprint = (certificate) => {
+  if (certificate == null) return null;
+  let der = null;
+  if (Buffer.isBuffer(certificate)) {
+    der = certificate;
+  } else if (typeof certificate === 'string') {
+    try {
+      der = new crypto.X509Certificate(certificate).raw;
+    } catch (e) {
+      return null;
+    }
+  } else if (Buffer.isBuffer(certificate.raw)) {
+    der = certificate.raw;
+  }
+  if ((der == null) || (der.length === 0)) return null;
+  return _sha256(der);
+};
+
+/**
+ * Create DPoP proof verifier
+ * @example
+ * const verifier = createDpopVerifier({ maxAgeSeconds: 300 });
+ * verifier.verifyProof(req.headers.dpop, { method: 'GET', url: 'https://api.example.com/x', accessToken })
+ *   .then((proof) => { ... proof.jkt ... });
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeSeconds] - Accepted proof age, default 300
+ * @param {number} [options.clockSkewSeconds] - Allowed clock difference, default 30
+ * @param {string[]} [options.algorithms] - Accepted proof alg values, default all supported
+ * @param {Object} [options.replayStore] - Token cache store for proof jti, default in memory
+ * @returns {Object} Verifier with verifyProof function
+ */
+exports.createDpopVerifier = (options) => {
+  const opts = options || {};
+  const maxAgeSeconds = (opts.maxAgeSeconds > 0) ? parseInt(opts.maxAgeSeconds) : 300;
+  const clockSkewSeconds = (opts.clockSkewSeconds >= 0) ? parseInt(opts.clockSkewSeconds) : 30;
+  const algorithms = opts.algorithms || jwsAlgorithmNames;
+  const replayStore = opts.replayStore || createMemoryStore({ maxEntries: 100000 });
+
+  /**
+   * Decode and validate proof, without replay check
+   * @param {string} proof - DPoP header value
+   * @param {Object} request - { method, url, accessToken }
+   * @returns {Object} { jkt, jti }
+   * @throws Will throw 401 invalid_dpop_proof error
+   */
+  const _validateProof = (proof, request) => {
+    let decoded = null;
+    try {
+      decoded = decodeJwt(proof);
+    } catch (err) {
+      throw _proofError('DPoP proof malformed');
+    }
+    const header = decoded.header;
+    const payload = decoded.payload;
+    if (header.typ !== 'dpop+jwt') throw _proofError('DPoP proof typ not dpop+jwt');
+    if (algorithms.indexOf(header.alg) < 0) throw _proofError('DPoP proof algorithm not accepted');
+    if ((header.jwk == null) || (typeof header.jwk !== 'object') ||
+      (Object.hasOwn(header.jwk, 'd'))) {
+      throw _proofError('DPoP proof jwk must be a public key');
+    }
+    let keyObject = null;
+    let jkt = null;
+    try {
+      keyObject = crypto.createPublicKey({ key: header.jwk, format: 'jwk' });
+      jkt = exports.jwkThumbprint(header.jwk);
+    } catch (e) {
+      throw _proofError('DPoP proof jwk invalid');
+    }
+    let signatureValid = false;
+    try {
+      signatureValid = verifyJwtSignature(decoded, keyObject);
+    } catch (e) {
+      throw _proofError('DPoP proof ' + e.message);
+    }
+    if (!signatureValid) throw _proofError('DPoP proof signature verification failed');
+    if ((typeof payload.jti !== 'string') || (payload.jti.length === 0) ||
+      (payload.jti.length > 256)) {
+      throw _proofError('DPoP proof jti missing');
+    }
+    if (payload.htm !== request.method) throw _proofError('DPoP proof htm mismatch');
+    const htu = (typeof payload.htu === 'string') ? _normalizeUrl(payload.htu) : null;
+    if ((htu == null) || (htu !== _normalizeUrl(request.url))) {
+      throw _proofError('DPoP proof htu mismatch');
+    }
+    const now = Math.floor(Date.now() / 1000);
+    if ((typeof payload.iat !== 'number') || (payload.iat - clockSkewSeconds > now) ||
+      (payload.iat + maxAgeSeconds < now)) {
+      throw _proofError('DPoP proof iat outside accepted window');
+    }
+    if (payload.ath !== _sha256(request.accessToken)) {
+      throw _proofError('DPoP proof ath mismatch');
+    }
+    return { jkt, jti: payload.jti };
+  };
+
+  /**
+   * Verify DPoP proof for a request
+   * @param {string} proof - DPoP header value
+   * @param {Object} request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Absolute request URL
+   * @param {string} request.accessToken - Access token from Authorization header
+   * @returns {Promise} Resolves { jkt, jti }, or rejects 401 invalid_dpop_proof error
+   */
+  const verifyProof = (proof, request) => {
+    let result = null;
+    try {
+      if ((typeof proof !== 'string') || (proof.length >= 8192)) {
+        throw _proofError('DPoP proof missing');
+      }
+      result = _validateProof(proof, request);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    // Replay cache key includes key thumbprint, jti is chosen by the client
+    const replayKey = 'dpop:' + _sha256(result.jkt + ':' + result.jti);
+    // Atomic, so two processes sharing the store can not both accept the proof
+    return replayStore.add(replayKey, { cacheExpires: 0 }, maxAgeSeconds + clockSkewSeconds)
+      .then((added) => !added, (err) => {
+        // Replay check is required, fail closed
+        const storeErr = new Error('DPoP replay store error, ' + err.message);
+        storeErr.status = 503;
+        throw storeErr;
+      })
+      .then((replayed) => {
+        if (replayed) throw _proofError('DPoP proof jti already used');
+        return result;
+      });
+  };
+
+  return {
+    verifyProof
+  };
+};
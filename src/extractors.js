@@ -0,0 +1,286 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Access token extractors
+//
+//    'authorization'               Authorization: Bearer header (RFC 6750 2.1, default),
+//                                  or Authorization: DPoP header (RFC 9449)
+//    'body'                        Form-encoded body parameter access_token (RFC 6750 2.2)
+//    'query'                       URI query parameter access_token (RFC 6750 2.3)
+//    { cookie: 'name' }            Named cookie
+//    { header: 'x-access-token' }  Custom header containing the token
+//    { websocketProtocol: 'access_token' }
+//                                  Sec-WebSocket-Protocol header, token follows the named protocol
+//    (req) => token                Function returning token string, or null
+//
+//  All configured extractors are checked. A request presenting
+//  the token in more than one place is rejected (RFC 6750 section 2).
+//
+// ------------------------------
+
+/**
+ * Build an error for a malformed request
+ * @param {string} message - Error message
+ * @param {number} [status] - HTTP status, default 401
+ * @returns {Error} Error with status and oauthError invalid_request
+ */
+const _requestError = (message, status) => {
+  const err = new Error(message);
+  err.status = status || 401;
+  err.oauthError = 'invalid_request';
+  return err;
+};
+
+/**
+ * Input validation for token string
+ * @param {string} token - Access token
+ * @param {string} source - Extractor name for error messages
+ * @returns {string} Access token
+ * @throws Will throw 401 error for invalid token string
+ */
+const _checkToken = (token, source) => {
+  if (typeof token !== 'string') {
+    throw _requestError('Expected access token string in ' + source);
+  }
+  // Typical collab-auth token string length 554 bytes
+  if (token.length >= 4096) {
+    throw _requestError('Access token in ' + source + ' exceeds maximum length');
+  }
+  // JWT token "xxxxxx.xxxxxx.xxxxx"
+  if ((token.length === 0) || (token.split('.').length !== 3)) {
+    throw _requestError('Expected Bearer token');
+  }
+  return token;
+};
+
+/**
+ * Authorization request header field (RFC 6750 2.1)
+ * With other extractors configured, an Authorization header with another scheme,
+ * such as Basic, is not an access token and is ignored.
+ * The DPoP scheme (RFC 9449) is accepted here, the proof is checked by the caller.
+ * @param {Object} req - Node request object
+ * @param {boolean} ignoreOtherSchemes - Return null for schemes other than Bearer and DPoP
+ * @returns {string} Access token, or null if not present
+ */
+const _fromAuthorizationHeader = (req, ignoreOtherSchemes) => {
+  if ((!Object.hasOwn(req.headers, 'authorization')) ||
+    (typeof req.headers.authorization !== 'string')) {
+    return null;
+  }
+  if (req.headers.authorization.length >= 4096) {
+    throw _requestError('Authorization header exceeds maximum length');
+  }
+  const authHeaderArray = req.headers.authorization.split(' ');
+  const tokenScheme = (['bearer', 'dpop'].indexOf(authHeaderArray[0].toLowerCase()) >= 0);
+  if ((tokenScheme) && (authHeaderArray.length === 2)) {
+    return _checkToken(authHeaderArray[1], 'authorization header');
+  } else if ((!tokenScheme) && (ignoreOtherSchemes)) {
+    return null;
+  } else {
+    throw _requestError('Expected Bearer token');
+  }
+};
+
+/**
+ * Form-encoded body parameter (RFC 6750 2.2)
+ * Requires a body parser, such as express.urlencoded(), before the middleware.
+ * Only used with Content-Type application/x-www-form-urlencoded
+ * and a request method other than GET.
+ * @param {Object} req - Node request object
+ * @returns {string} Access token, or null if not present
+ */
+const _fromFormBody = (req) => {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if ((contentType !== 'application/x-www-form-urlencoded') ||
+    (req.method === 'GET') || (req.method === 'HEAD') ||
+    (req.body == null) || (typeof req.body !== 'object') ||
+    (!Object.hasOwn(req.body, 'access_token'))) {
+    return null;
+  }
+  if (Array.isArray(req.body.access_token)) {
+    throw _requestError('Multiple access_token body parameters', 400);
+  }
+  return _checkToken(req.body.access_token, 'request body');
+};
+
+/**
+ * URI query parameter (RFC 6750 2.3)
+ * The response includes Cache-Control: private
+ * @param {Object} req - Node request object
+ * @param {Object} res - Node response object
+ * @returns {string} Access token, or null if not present
+ */
+const _fromQuery = (req, res) => {
+  if (typeof req.url !== 'string') return null;
+  const queryStart = req.url.indexOf('?');
+  if (queryStart < 0) return null;
+  const values = new URLSearchParams(req.url.slice(queryStart + 1)).getAll('access_token');
+  if (values.length === 0) return null;
+  if (values.length > 1) {
+    throw _requestError('Multiple access_token query parameters', 400);
+  }
+  const token = _checkToken(values[0], 'query parameter');
+  if ((res) && (typeof res.setHeader === 'function')) res.setHeader('Cache-Control', 'private');
+  return token;
+};
+
+/**
+ * Named cookie
+ * @param {Object} req - Node request object
+ * @param {string} cookieName - Cookie name
+ * @returns {string} Access token, or null if not present
+ */
+const _fromCookie = (req, cookieName) => {
+  if (typeof req.headers.cookie !== 'string') return null;
+  let found = null;
+  req.headers.cookie.split(';').forEach((pair) => {
+    const separator = pair.indexOf('=');
+    if (separator < 0) return;
+    if ((found == null) && (pair.slice(0, separator).trim() === cookieName)) {
+      let value = pair.slice(separator + 1).trim();
+      if ((value.length > 1) && (value.startsWith('"')) && (value.endsWith('"'))) {
+        value = value.slice(1, -1);
+      }
+      try {
+        found = decodeURIComponent(value);
+      } catch (e) {
+        throw _requestError('Unable to decode cookie ' + cookieName);
+      }
+    }
+  });
+  if (found == null) return null;
+  return _checkToken(found, 'cookie ' + cookieName);
+};
+
+/**
+ * Custom header containing the token without "Bearer" prefix
+ * @param {Object} req - Node request object
+ * @param {string} headerName - Header name, lower case
+ * @returns {string} Access token, or null if not present
+ */
+const _fromCustomHeader = (req, headerName) => {
+  if (!Object.hasOwn(req.headers, headerName)) return null;
+  if (Array.isArray(req.headers[headerName])) {
+    throw _requestError('Multiple ' + headerName + ' headers', 400);
+  }
+  return _checkToken(req.headers[headerName], headerName + ' header');
+};
+
+/**
+ * Sec-WebSocket-Protocol header.
+ * Browsers can not add headers to a WebSocket request, so the token
+ * is sent as the protocol following a marker protocol.
+ * Example: new WebSocket(url, ['access_token', token])
+ * @param {Object} req - Node request object
+ * @param {string} marker - Protocol name preceding the token
+ * @returns {string} Access token, or null if not present
+ */
+const _fromWebSocketProtocol = (req, marker) => {
+  if (typeof req.headers['sec-websocket-protocol'] !== 'string') return null;
+  const protocols = req.headers['sec-websocket-protocol'].split(',')
+    .map((protocol) => protocol.trim());
+  const index = protocols.indexOf(marker);
+  if (index < 0) return null;
+  if (index + 1 >= protocols.length) {
+    throw _requestError('Expected access token after ' + marker + ' in Sec-WebSocket-Protocol');
+  }
+  return _checkToken(protocols[index + 1], 'Sec-WebSocket-Protocol header');
+};
+
+/**
+ * Authorization scheme of a token found by the authorization extractor
+ * @param {Object} req - Node request object
+ * @returns {string} 'DPoP' or 'Bearer'
+ */
+const _authorizationScheme = (req) => {
+  return (req.headers.authorization.split(' ')[0].toLowerCase() === 'dpop') ? 'DPoP' : 'Bearer';
+};
+
+/**
+ * Validate and compile extractor configuration
+ * @example
+ * const extractors = compileExtractors(['authorization', { cookie: 'access_token' }]);
+ * @param {Array} list - Array of extractor names, objects or functions
+ * @returns {Object[]} Array of { source, extract(req, res) }
+ * @throws Will throw error for invalid configuration
+ */
+exports.compileExtractors = (list) => {
+  if ((!Array.isArray(list)) || (list.length === 0)) {
+    throw new Error('token-check, invalid extractors in options');
+  }
+  const sources = [];
+  const compiled = list.map((item) => {
+    let extractor = null;
+    if (item === 'authorization') {
+      extractor = {
+        source: 'authorization',
+        extract: (req) => _fromAuthorizationHeader(req, (list.length > 1))
+      };
+    } else if (item === 'body') {
+      extractor = { source: 'body', extract: _fromFormBody };
+    } else if (item === 'query') {
+      extractor = { source: 'query', extract: _fromQuery };
+    } else if (typeof item === 'function') {
+      extractor = {
+        source: 'custom',
+        extract: (req, res) => {
+          const token = item(req, res);
+          return (token == null) ? null : _checkToken(token, 'custom extractor');
+        }
+      };
+    } else if ((!(item == null)) && (typeof item === 'object') &&
+      (typeof item.cookie === 'string') && (item.cookie.length > 0)) {
+      extractor = {
+        source: 'cookie:' + item.cookie,
+        extract: (req) => _fromCookie(req, item.cookie)
+      };
+    } else if ((!(item == null)) && (typeof item === 'object') &&
+      (typeof item.header === 'string') && (/^[a-zA-Z0-9!#$%&'*+.^_`|~-]+$/.test(item.header)) &&
+      (item.header.toLowerCase() !== 'authorization')) {
+      const headerName = item.header.toLowerCase();
+      extractor = {
+        source: 'header:' + headerName,
+        extract: (req) => _fromCustomHeader(req, headerName)
+      };
+    } else if ((!(item == null)) && (typeof item === 'object') &&
+      (typeof item.websocketProtocol === 'string') && (item.websocketProtocol.length > 0)) {
+      extractor = {
+        source: 'websocket-protocol',
+        extract: (req) => _fromWebSocketProtocol(req, item.websocketProtocol)
+      };
+    } else {
+      throw new Error('token-check, invalid extractor ' + JSON.stringify(item) + ' in options');
+    }
+    if ((extractor.source !== 'custom') && (sources.indexOf(extractor.source) >= 0)) {
+      throw new Error('token-check, duplicate extractor ' + extractor.source + ' in options');
+    }
+    sources.push(extractor.source);
+    return extractor;
+  });
+  return compiled;
+};
+
+/**
+ * Extract access token from request using compiled extractors
+ * @param {Object} req - Node request object
+ * @param {Object} res - Node response object
+ * @param {Object[]} extractors - Return value from compileExtractors()
+ * @returns {Object} { token, source, scheme }, or null if no token found
+ * @throws Will throw error for malformed or ambiguous request
+ */
+exports.extractToken = (req, res, extractors) => {
+  const found = [];
+  extractors.forEach((extractor) => {
+    const token = extractor.extract(req, res);
+    if (!(token == null)) found.push({ token, source: extractor.source });
+  });
+  if (found.length > 1) {
+    throw _requestError('Access token presented in more than one place, ' +
+      found.map((item) => item.source).join(', '), 400);
+  }
+  if (found.length === 0) return null;
+  // Only the Authorization header has a scheme, other locations are bearer tokens
+  found[0].scheme = (found[0].source === 'authorization') ? _authorizationScheme(req) : 'Bearer';
+  return found[0];
+};
@@ -5,188 +5,214 @@
 // ------------------------------
 
 const crypto = require('node:crypto');
+const http = require('node:http');
+const { EventEmitter } = require('node:events');
+const {
+  decodeJwt, verifyJwtSignature, validateJwtClaims, createJwksClient, jwsAlgorithmNames
+} = require('./jwt');
+const { createMemoryStore, createRedisStore } = require('./cache-stores');
+const { createCircuitBreaker } = require('./circuit-breaker');
+const { createMetrics } = require('./metrics');
+const { createRevocationWebhook } = require('./revocation');
+const { compileScope, compileScopeCached, partitionScopes } = require('./scope');
+const { compilePolicy } = require('./policy');
+const { compileOpenApi, checkOperationScope } = require('./openapi');
+const { compileExtractors, extractToken } = require('./extractors');
+const { createFastifyPlugin, createKoaMiddleware, createHttpHandler } = require('./adapters');
+const { createDpopVerifier, certificateThumbprint } = require('./dpop');
+const { createClientTokenProvider } = require('./client-token');
+const { createMetadataClient } = require('./discovery');
+const { configFromEnv, readConfigFile } = require('./config');
+const {
+  createRateLimiter, createMemoryRateLimitStore, createRedisRateLimitStore
+} = require('./rate-limit');
+const { createFileAuditSink } = require('./audit');
 
-/**
- * Example cache:
- * [
- *   {
- *     token: "xxxxxxx.xxxxxxx.xxxxxxx",
- *     introspect: {
- *        ... token metadata ...
- *     },
- *     cacheExpires: "2023-07-07T17:31:35.057Z"
- *   },
- *   {
- *      ... more tokens ...
- *   }
- * ]
- * @type {Array} tokenCache - Module variable to hold array of cached tokens
- */
-const tokenCache = [];
-
-/**
- * Remove expired cached tokens (internal timer handler)
- */
-const _removeExpiredCachedTokens = () => {
-  if (tokenCache.length > 0) {
-    for (let i = tokenCache.length - 1; i >= 0; i--) {
-      if ((tokenCache[i].introspect.exp < Math.floor(Date.now() / 1000)) ||
-        // Time as javascript Date object
-        (tokenCache[i].cacheExpires < new Date())) {
-        // console.log('Removing expired token at ' + i.toString());
-        tokenCache.splice(i, 1);
-      }
-    }
-  }
-  // At startup called first time in authInit();
-  setTimeout(_removeExpiredCachedTokens, tokenCacheCleanSeconds * 1000);
-};
-
-// ------------------------
-// Module Configuration
-// ------------------------
-/** @type {string} authURL - Authorization server URL */
-let authURL = null;
-/** @type {string} clientId */
-let clientId = null;
-/** @type {string} clientSecret */
-let clientSecret = null;
-/** @type {number} tokenCacheSeconds */
-let tokenCacheSeconds = 60;
-/** @type {number} tokenCacheCleanSeconds */
-let tokenCacheCleanSeconds = 300;
+// -------------------------
+// Module Internal Functions
+// -------------------------
 
 /**
- * Function to be run at program start to initialize module configuration
- * @example
- * authInit({
- *   authURL: 'http://127.0.0.1:3500',
- *   clientId: 'abc123',
- *   clientSecret: 'ssh-secret',
- *   tokenCacheSeconds: 60,
- *   tokenCacheCleanSeconds: 300
- * });
- * @param {Object} optionsObj - Module configuration data
- * @param {string} optionsObj.authURL - Authorization server URL
+ * Parse authorization server connection options into an issuer configuration object.
+ * Used for the authInit() top level options and for each entry of the issuers array.
+ * @param {Object} options - Authorization server options
+ * @param {string} options.authURL - Authorization server URL
  * @param {string} options.clientId - Client account credentials
- * @param {string} options.clientSecret - Client account credentials
- * @param {number} optionsObj.tokenCacheSeconds - User's access token trusted for this time.
- * @param {number} optionsObj.tokenCacheCleanSeconds - Prune untrusted user's access tokens.
+ * @param {string|string[]} options.clientSecret - Client account credentials, list during rotation
+ * @param {string} options.issuer - Expected token iss claim
+ * @param {string} options.jwksURL - JSON Web Key Set URL
+ * @param {number} options.jwksCacheSeconds - Public key cache time
+ * @param {string} options.introspectURL - Introspection endpoint, default authURL/oauth/introspect
+ * @param {string} options.introspectFormat - 'collab-auth' (default) or 'rfc7662'
+ * @param {boolean} options.discovery - Discover endpoints from issuer metadata
+ * @param {number} options.discoveryRefreshSeconds - Metadata cache time, default 3600
+ * @param {boolean} needJwks - True when validationMode is jwt or hybrid
+ * @param {Object} discoveryContext - { timeoutMs, log } for the metadata client
+ * @returns {Object} Issuer configuration object
  * @throws Will throw error for missing arguments
  */
-exports.authInit = (options) => {
-  if (options == null) {
-    throw new Error('authInit requires an options object.');
+const _parseIssuerOptions = (options, needJwks, discoveryContext) => {
+  const issuerConfig = Object.create(null);
+  issuerConfig.discovery = null;
+  if (Object.hasOwn(options, 'discovery')) {
+    if (typeof options.discovery !== 'boolean') {
+      throw new Error('token-check, invalid discovery in options');
+    }
+    if (options.discovery) {
+      try {
+        issuerConfig.discovery = createMetadataClient({
+          issuer: options.issuer,
+          refreshSeconds: options.discoveryRefreshSeconds,
+          timeoutMs: discoveryContext.timeoutMs,
+          log: discoveryContext.log
+        });
+      } catch (e) {
+        throw new Error('token-check, discovery requires issuer URL in options');
+      }
+    }
   }
   if ((Object.hasOwn(options, 'authURL')) &&
     (typeof options.authURL === 'string') &&
     (options.authURL.length > 0)) {
-    authURL = options.authURL;
+    issuerConfig.authURL = options.authURL;
+  } else if (issuerConfig.discovery) {
+    issuerConfig.authURL = options.issuer;
   } else {
     throw new Error('token-check, invalid authURL in options');
   }
   if ((Object.hasOwn(options, 'clientId')) &&
     (typeof options.clientId === 'string') &&
     (options.clientId.length > 0)) {
-    clientId = options.clientId;
+    issuerConfig.clientId = options.clientId;
   } else {
     throw new Error('token-check, invalid clientId in options');
   }
   if ((Object.hasOwn(options, 'clientSecret')) &&
     (typeof options.clientSecret === 'string') &&
     (options.clientSecret.length > 0)) {
-    clientSecret = options.clientSecret;
+    issuerConfig.clientSecrets = [options.clientSecret];
+  } else if ((Object.hasOwn(options, 'clientSecret')) && (_isStringList(options.clientSecret))) {
+    // Secret rotation, each secret is tried in order
+    issuerConfig.clientSecrets = options.clientSecret.slice();
   } else {
     throw new Error('token-check, invalid clientSecret in options');
   }
-  if (Object.hasOwn(options, 'tokenCacheSeconds')) {
-    tokenCacheSeconds = parseInt(options.tokenCacheSeconds);
+  // Index of the secret last accepted by the authorization server
+  issuerConfig.secretIndex = 0;
+  issuerConfig.issuer = null;
+  if (Object.hasOwn(options, 'issuer')) {
+    issuerConfig.issuer = options.issuer;
+  }
+  // null = discovered introspection_endpoint
+  issuerConfig.introspectURL = (issuerConfig.discovery)
+    ? null
+    : issuerConfig.authURL + '/oauth/introspect';
+  if (Object.hasOwn(options, 'introspectURL')) {
+    if ((typeof options.introspectURL !== 'string') || (options.introspectURL.length === 0)) {
+      throw new Error('token-check, invalid introspectURL in options');
+    }
+    issuerConfig.introspectURL = options.introspectURL;
   }
-  if (Object.hasOwn(options, 'tokenCacheCleanSeconds')) {
-    tokenCacheCleanSeconds = parseInt(options.tokenCacheCleanSeconds);
+  issuerConfig.introspectFormat = 'collab-auth';
+  if (Object.hasOwn(options, 'introspectFormat')) {
+    if (['collab-auth', 'rfc7662'].indexOf(options.introspectFormat) < 0) {
+      throw new Error('token-check, invalid introspectFormat in options');
+    }
+    issuerConfig.introspectFormat = options.introspectFormat;
   }
-  // unless token cache is disabled, restart it for first prune cycle
-  if (tokenCacheSeconds !== 0) {
-    setTimeout(_removeExpiredCachedTokens, tokenCacheCleanSeconds * 1000);
+  issuerConfig.jwksClient = null;
+  if (needJwks) {
+    if ((Object.hasOwn(options, 'jwksURL')) &&
+      (typeof options.jwksURL === 'string') &&
+      (options.jwksURL.length > 0)) {
+      issuerConfig.jwksClient = createJwksClient({
+        jwksURL: options.jwksURL,
+        cacheSeconds: options.jwksCacheSeconds
+      });
+    } else if (issuerConfig.discovery) {
+      issuerConfig.jwksClient = _discoveredJwksClient(issuerConfig.discovery,
+        options.jwksCacheSeconds);
+    } else {
+      throw new Error('token-check, invalid jwksURL in options');
+    }
   }
+  return issuerConfig;
 };
 
-// -------------------------
-// Module Internal Functions
-// -------------------------
-
 /**
- * Initialize the chain object.
- * The chain object will be used to hold state related data as it passes down the promise chain.
- * @param {Object} options - argument to requireAccessToken(options) authorization
- * @param {string||string[]} options.scope - Token scope restrictions
- * @returns {Promise} Resolved with a new chain object
+ * JWKS client using the jwks_uri from authorization server metadata.
+ * A new key set client is created if the metadata jwks_uri changes.
+ * @param {Object} discovery - Metadata client from createMetadataClient()
+ * @param {number} cacheSeconds - Public key cache time
+ * @returns {Object} JWKS client with getKey(header) function
  */
-const _initChainObject = (options) => {
-  if ((authURL == null) || (clientId == null) || (clientSecret == null)) {
-    const err = new Error('Module configuration not found. Did you forget in run authInit() ?');
-    return Promise.reject(err);
-  }
-  // Options parser
-  const opt = Object.create(null);
-  if ((!(options == null)) && (Object.hasOwn(options, 'scope'))) {
-    opt.scope = [];
-    if ((typeof options.scope === 'string') && (options.scope.length > 0)) {
-      opt.scope.push(options.scope);
-    } else if ((Array.isArray(options.scope) && options.scope.length > 0)) {
-      options.scope.forEach((scopeString) => {
-        if ((typeof scopeString === 'string') && (scopeString.length > 0)) {
-          opt.scope.push(scopeString);
-        }
-      });
+const _discoveredJwksClient = (discovery, cacheSeconds) => {
+  let jwksURL = null;
+  let jwksClient = null;
+  return {
+    getKey: (header) => {
+      return discovery.getEndpoint('jwks_uri')
+        .then((endpoint) => {
+          if (endpoint.url !== jwksURL) {
+            jwksURL = endpoint.url;
+            jwksClient = createJwksClient({ jwksURL, cacheSeconds });
+          }
+          return jwksClient.getKey(header);
+        });
     }
+  };
+};
+
+/**
+ * Introspection endpoint of an authorization server
+ * @param {Object} issuerConfig - Authorization server, see _parseIssuerOptions()
+ * @returns {Promise} Resolves { url, authMethod }
+ */
+const _introspectionEndpoint = (issuerConfig) => {
+  if (issuerConfig.introspectURL == null) {
+    return issuerConfig.discovery.getEndpoint('introspection_endpoint');
   }
-  // Create a new chain object, to be passed between promises.
-  const chainObj = Object.create(null);
-  chainObj.options = opt;
-  chainObj.accessToken = null;
-  chainObj.introspect = null;
-  return Promise.resolve(chainObj);
+  return Promise.resolve({ url: issuerConfig.introspectURL, authMethod: 'client_secret_basic' });
 };
 
 /**
- * Extract token from http header with input validation
+ * Extract token from request with input validation
  * @param {Object} req - Node request object
+ * @param {Object} res - Node response object
  * @param {Object} chain - chain object passes access token and metadata
  * @param {Object} chain.options argument to requireAccessToken(options) authorization
- * @param {string|string[]} chain.options.scope - Token scope restrictions
+ * @param {Object[]} chain.extractors - Compiled token extractors
  * @param {string} chain.accessToken - Oauth 2.0 JWT access token
  * @param {Object} chain.introspect - Decoded token metadata
  * @returns {Promise} Resolved with chain object, or reject with error
  */
-const _extractTokenFromHeader = (req, chain) => {
+const _extractTokenFromRequest = (req, res, chain) => {
   if (req.headers) {
-    if ((Object.hasOwn(req.headers, 'authorization')) &&
-      (typeof req.headers.authorization === 'string')) {
-      // Typical collab-auth token string length 554 bytes
-      if (req.headers.authorization.length < 4096) {
-        const authHeaderArray = req.headers.authorization.split(' ');
-        if ((authHeaderArray.length === 2) &&
-          (authHeaderArray[0].toLowerCase() === 'bearer') &&
-          (authHeaderArray[1].length > 0) &&
-          // JWT token "xxxxxx.xxxxxx.xxxxx"
-          (authHeaderArray[1].split('.').length === 3)) {
-          // Input validation succeeded, add Bearer token to chain object
-          chain.accessToken = authHeaderArray[1];
-          return Promise.resolve(chain);
-        } else {
-          const err = new Error('Expected Bearer token');
-          err.status = 401;
-          return Promise.reject(err);
-        }
-      } else {
-        const err = new Error('Authorization header exceeds maximum length');
-        err.status = 401;
-        return Promise.reject(err);
-      }
+    let found = null;
+    try {
+      found = extractToken(req, res, chain.extractors);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    if ((found) && (found.scheme === 'DPoP') && (!chain.dpopEnabled)) {
+      const err = new Error('Expected Bearer token');
+      err.status = 401;
+      err.oauthError = 'invalid_request';
+      return Promise.reject(err);
+    }
+    if (found) {
+      // Input validation succeeded, add token to chain object
+      chain.accessToken = found.token;
+      chain.tokenSource = found.source;
+      chain.tokenScheme = found.scheme;
+      return Promise.resolve(chain);
     } else {
-      const err = new Error('No authorization header');
+      const defaultOnly = ((chain.extractors.length === 1) &&
+        (chain.extractors[0].source === 'authorization'));
+      const err = new Error((defaultOnly) ? 'No authorization header' : 'No access token in request');
       err.status = 401;
+      // RFC 6750 3.1, no error code when request lacks authentication information
+      err.oauthError = null;
       return Promise.reject(err);
     }
   } else {
@@ -196,173 +222,168 @@ const _extractTokenFromHeader = (req, chain) => {
     return Promise.reject(err);
   }
 };
+
 /**
- * Timing safe compare for two access tokens
- * @param   {String} token1 - Access token
- * @param   {String} token2 - Access token
- * @returns {Boolean} Return true if successful match, else false
+ * Token cache key, SHA-256 hex digest of access token.
+ * Raw access tokens are never saved in a token cache store.
+ * @param   {String} token - Access token
+ * @returns {String} Cache key
  */
-const safeCompare = function (token1, token2) {
-  const token1Length = Buffer.byteLength(token1, 'utf8');
-  const token2Length = Buffer.byteLength(token2, 'utf8');
-  const bufferLength = (token1Length > token2Length) ? token1Length : token2Length;
-  const token1Buffer = Buffer.alloc(bufferLength);
-  const token2Buffer = Buffer.alloc(bufferLength);
-  token1Buffer.write(token1, 'utf8');
-  token2Buffer.write(token2, 'utf8');
-  return crypto.timingSafeEqual(token1Buffer, token2Buffer);
+const _tokenCacheKey = (token) => {
+  return crypto.createHash('sha256').update(token, 'utf8').digest('hex');
 };
 
 /**
- * Lookup access token to return cached token meta-data
- * @param {Object} chain - chain object passes access token and metadata
- * @param {Object} chain.options argument to requireAccessToken(options) authorization
- * @param {string|string[]} chain.options.scope - Token scope restrictions
- * @param {string} chain.accessToken - Oauth 2.0 JWT access token
- * @param {Object} chain.introspect - Decoded token metadata
- * @returns {Promise} Resolved with chain object
+ * Token fingerprint for logs and events, first 16 characters of token cache key.
+ * Identifies a token without disclosing the token.
+ * @param   {String} tokenCacheKey - SHA-256 hex digest of access token
+ * @returns {String} Fingerprint, or null
  */
-const _findCachedToken = (chain) => {
-  if ((!(chain == null)) &&
-    (Object.hasOwn(chain, 'accessToken')) && (!(chain.accessToken == null))) {
-    // If not cache disabled (seconds = 0), lookup the token
-    if (tokenCacheSeconds > 0) {
-      const found = tokenCache.find((storedToken) => {
-        return (
-          // storedToken is found
-          (safeCompare(storedToken.token, chain.accessToken)) &&
-          // Token is "active" state from auth server
-          (storedToken.introspect.active) &&
-          // Access-token not expired (unix time in seconds)
-          (storedToken.introspect.exp > Math.floor(Date.now() / 1000)) &&
-          // Cache entry not expired (Time as javascript Date object)
-          (storedToken.cacheExpires > new Date())
-        );
-      });
-      if (found) {
-        // console.log('Access token found in tokenCache');
-        // found, return authorization metadata
-        chain.introspect = found.introspect;
-        chain.introspectWasCached = true;
-        return Promise.resolve(chain);
-      } else {
-        // console.log('Access token not found in tokenCache');
-        // not found in cache, return null
-        chain.introspect = null;
-        return Promise.resolve(chain);
-      }
-    } else {
-      // cache disabled, return false
-      chain.introspect = null;
-      return Promise.resolve(chain);
-    }
-  } else {
-    // access token not in chain, skip
-    chain.introspect = null;
-    return Promise.resolve(chain);
+const _tokenFingerprint = (tokenCacheKey) => {
+  return (tokenCacheKey) ? tokenCacheKey.slice(0, 16) : null;
+};
+
+/**
+ * Response status of an authorization error.
+ * Errors without status are internal errors, such as a missing configuration.
+ * @param {Error} err - Error with optional status
+ * @returns {number} Status 400, 401, 403, 429, 500 or 503
+ */
+const _errorStatus = (err) => {
+  if (!err.status) return 500;
+  if ([400, 401, 403, 429, 500, 503].indexOf(err.status) >= 0) return err.status;
+  return 401;
+};
+
+/**
+ * Short error reason for events and metrics, limited set of values
+ * @param {Error} err - Error with status and optional oauthError
+ * @returns {string} Reason, example 'invalid_token'
+ */
+const _errorReason = (err) => {
+  const status = _errorStatus(err);
+  if (status === 503) return 'temporarily_unavailable';
+  if (status === 500) return 'server_error';
+  if (status === 429) return 'rate_limited';
+  if (err.oauthError) return err.oauthError;
+  if (status === 403) return 'insufficient_scope';
+  // oauthError null, request had no authorization header
+  if (Object.hasOwn(err, 'oauthError')) return 'missing_token';
+  return 'invalid_token';
+};
+
+/**
+ * Default logger, writes to console. Debug messages are discarded.
+ * @type {Object} _consoleLogger
+ */
+const _consoleLogger = {
+  debug: () => {},
+  info: (message) => console.log(message),
+  warn: (message) => console.log(message),
+  error: (message) => console.log(message)
+};
+
+/**
+ * Logger used when configured as logger: null
+ * @type {Object} _silentLogger
+ */
+const _silentLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+/**
+ * Check object implements the token cache store interface, see cache-stores.js
+ * @param {Object} store - Token cache store
+ * @returns {boolean} True if valid
+ */
+const _isTokenStore = (store) => {
+  return ((!(store == null)) &&
+    (typeof store.get === 'function') &&
+    (typeof store.set === 'function') &&
+    (typeof store.delete === 'function') &&
+    (typeof store.clear === 'function'));
+};
+
+/**
+ * Convert verified JWT claims, or a standard RFC 7662 introspection response,
+ * to the same shape as a collab-auth introspection response.
+ * Client id is taken from client_id (RFC 9068), azp or cid claims.
+ * Scope may be space delimited string (scope) or array (scope or scp).
+ * User id is taken from a user object claim, else from sub when sub is not the client.
+ * @param {Object} payload - Verified JWT payload or active introspection response
+ * @returns {Object} Token meta-data compatible with /oauth/introspect response
+ */
+const _claimsToIntrospect = (payload) => {
+  const introspect = Object.create(null);
+  introspect.active = true;
+  ['jti', 'iss', 'aud', 'sub', 'exp', 'iat', 'nbf', 'cnf', 'token_type'].forEach((claim) => {
+    if (Object.hasOwn(payload, claim)) introspect[claim] = payload[claim];
+  });
+  const tokenClientId = payload.client_id || payload.azp || payload.cid;
+  if ((typeof tokenClientId === 'string') && (tokenClientId.length > 0)) {
+    introspect.client = { clientId: tokenClientId };
   }
+  let scope = payload.scope || payload.scp || [];
+  if (typeof scope === 'string') scope = scope.split(' ');
+  introspect.scope = scope.filter((scopeString) => {
+    return ((typeof scopeString === 'string') && (scopeString.length > 0));
+  });
+  if ((!(payload.user == null)) && (typeof payload.user === 'object')) {
+    introspect.user = payload.user;
+  } else if ((typeof payload.sub === 'string') && (payload.sub !== tokenClientId)) {
+    introspect.user = { id: payload.sub };
+    if (typeof payload.username === 'string') introspect.user.username = payload.username;
+  }
+  return introspect;
 };
 
 /**
- * Send token to authorization server for validation returning token meta-data
- * If a trusted token exists in the cache, the token is trusted implicitly
- * without sending the token to the authorization server.
- * @param {Object} chain - chain object passes access token and metadata
- * @param {Object} chain.options argument to requireAccessToken(options) authorization
- * @param {string|string[]} chain.options.scope - Token scope restrictions
- * @param {string} chain.accessToken - Oauth 2.0 JWT access token
- * @param {Object} chain.introspect - Decoded token metadata
- * @throws Throws error on fetch network request failure
- * @returns {Promise} resolving to chain object.
+ * Get client id from token meta-data
+ * @param {Object} introspect - Decoded token metadata
+ * @returns {string} Client id, or null
  */
-const _validateToken = (chain) => {
-  // console.log(JSON.stringify(chain, null, 2));
-  // Unexpired tokens in cache are assumed to be valid.
-  // Check for cached token, if valid token from cache, return it.
-  if ((!(chain == null)) &&
-    (Object.hasOwn(chain, 'accessToken')) &&
-    (!(chain.accessToken == null)) && (chain.accessToken.length > 0) &&
-    (Object.hasOwn(chain, 'introspectWasCached')) && (chain.introspectWasCached === true) &&
-    (Object.hasOwn(chain, 'introspect')) &&
-    (Object.hasOwn(chain.introspect, 'active')) && (chain.introspect.active === true)) {
-    // console.log('validate cached, skipping fetch');
-    // Cached tokens that are not expired are trusted implicitly
-    return Promise.resolve(chain);
-  } else {
-    return new Promise((resolve, reject) => {
-      // Else, not cached, send access token to authorization server for validation
-      //
-      // Network request supervisory timer
-      const fetchController = new AbortController();
-      // Authorization server introspect route
-      const fetchURL = authURL + '/oauth/introspect';
-      const clientAuth = Buffer.from(clientId + ':' + clientSecret).toString('base64');
-      const body = {
-        access_token: chain.accessToken
-      };
-      const fetchOptions = {
-        method: 'POST',
-        redirect: 'error',
-        cache: 'no-store',
-        signal: fetchController.signal,
-        headers: {
-          'Content-Type': 'application/json',
-          Accept: 'application/json',
-          Authorization: 'Basic ' + clientAuth
-        },
-        body: JSON.stringify(body)
-      };
-      const fetchTimerId = setTimeout(() => fetchController.abort(), 5000);
-      fetch(fetchURL, fetchOptions)
-        .then((response) => {
-          if (response.status === 200) {
-            return response.json();
-          } else {
-            // Retrieve error message from remote web server and pass to error handler
-            return response.text()
-              .then((remoteErrorText) => {
-                const err = new Error('HTTP status error');
-                err.status = response.status;
-                err.statusText = response.statusText;
-                err.remoteErrorText = remoteErrorText;
-                if (response.headers.get('WWW-Authenticate')) {
-                  err.oauthHeaderText = response.headers.get('WWW-Authenticate');
-                }
-                throw err;
-              });
-          }
-        })
-        .then((responseJson) => {
-          // console.log('responseJson ' + JSON.stringify(responseJson, null, 2));
-          if (fetchTimerId) clearTimeout(fetchTimerId);
-          // Save token meta-data. It's contents validated in the next function call.
-          chain.introspect = responseJson;
-          resolve(chain);
-        })
-        .catch((err) => {
-          if (fetchTimerId) clearTimeout(fetchTimerId);
-          // Build generic error message to catch network errors
-          let message = ('Fetch error, ' + fetchOptions.method + ' ' + fetchURL + ', ' +
-            (err.message || err.toString() || 'HTTP Error'));
-          if (err.status) {
-            // Case of HTTP status error, build descriptive error message
-            message = ('HTTP status error, ') + err.status.toString() + ' ' +
-              err.statusText + ', ' + fetchOptions.method + ' ' + fetchURL;
-          }
-          if (err.remoteErrorText) {
-            message += ', ' + err.remoteErrorText;
-          }
-          if (err.oauthHeaderText) {
-            message += ', ' + err.oauthHeaderText;
-          }
-          const error = new Error(message);
-          error.status = 401;
-          reject(error);
-        });
-    }); // new Promise()
+const _introspectClientId = (introspect) => {
+  if ((introspect == null) || (introspect.client == null)) return null;
+  return introspect.client.clientId || introspect.client.id || null;
+};
+
+/**
+ * Get user id from token meta-data
+ * @param {Object} introspect - Decoded token metadata
+ * @returns {string} User id, or null
+ */
+const _introspectUserId = (introspect) => {
+  if ((introspect == null) || (introspect.user == null)) return null;
+  return introspect.user.id || null;
+};
+
+/**
+ * Check for an absolute http or https URL
+ * @param {string} value - URL string
+ * @returns {boolean} True if valid
+ */
+const _isAbsoluteUrl = (value) => {
+  if (!/^https?:\/\//i.test(value)) return false;
+  try {
+    return (new URL(value).host.length > 0);
+  } catch (e) {
+    return false;
   }
 };
 
+/**
+ * Check for non-empty array of non-empty strings
+ * @param {*} value - Option value
+ * @returns {boolean} True if valid
+ */
+const _isStringList = (value) => {
+  return ((Array.isArray(value)) && (value.length > 0) &&
+    (value.every((item) => ((typeof item === 'string') && (item.length > 0)))));
+};
+
 /**
  * Confirm token is active=true, therefore valid
  * @param {Object} chain - chain object passes access token and metadata
@@ -388,41 +409,6 @@ const _checkTokenActive = (chain) => {
   }
 };
 
-/**
- * Cache token meta-data to service future requests
- * @param {Object} chain - chain object passes access token and metadata
- * @param {Object} chain.options argument to requireAccessToken(options) authorization
- * @param {string|string[]} chain.options.scope - Token scope restrictions
- * @param {string} chain.accessToken - Oauth 2.0 JWT access token
- * @param {Object} chain.introspect - Decoded token metadata
- * @returns {Promise} Resolved with chain object
- */
-const _saveTokenToCache = (chain) => {
-  // If cache enabled (second != 0), and token not previously cached.
-  if (tokenCacheSeconds > 0) {
-    if ((!(chain == null)) &&
-      (Object.hasOwn(chain, 'accessToken')) && (!(chain.accessToken == null)) &&
-      (Object.hasOwn(chain, 'introspect')) && (!(chain.introspect == null)) &&
-      ((!Object.hasOwn(chain, 'introspectWasCached')))) {
-      // console.log('saving token to tokenCache');
-      tokenCache.push({
-        token: chain.accessToken,
-        introspect: chain.introspect,
-        // Time as javascript Date object
-        cacheExpires: new Date(Date.now() + (tokenCacheSeconds * 1000))
-      });
-      // console.log('Token saved to cache');
-      return Promise.resolve(chain);
-    } else {
-      // case of cached, skipping
-      return Promise.resolve(chain);
-    }
-  } else {
-    // case of cache disabled
-    return Promise.resolve(chain);
-  }
-};
-
 /**
  * Add token scope to node request object
  * Purpose:
@@ -454,7 +440,6 @@ const _addTokenScopeToReqObject = (req, chain) => {
   return Promise.resolve(chain);
 };
 
-//
 /**
  * Add user id and user number to node request object
  * Purpose:
@@ -498,46 +483,74 @@ const _addUserIdToReqObject = (req, chain) => {
       if (!Object.hasOwn(req.locals, 'user')) req.locals.user = Object.create(null);
       req.locals.user.id = chain.introspect.user.id;
     }
+    if ((typeof chain.introspect.user.username === 'string') &&
+      (chain.introspect.user.username.length > 0)) {
+      if (!Object.hasOwn(req.locals, 'user')) req.locals.user = Object.create(null);
+      req.locals.user.username = chain.introspect.user.username;
+    }
   }
   return Promise.resolve(chain);
 };
 
 /**
- * Optional: Restrict access based on scope or array of scopes
+ * Add token information to node request object
+ * Purpose:
+ * Identify the token and client in later middleware without the raw token.
+ * example:
+ *   req.locals {
+ *     token: {
+ *       fingerprint: "5f1d2a6b9c0e7f34",
+ *       clientId: "abc123",
+ *       source: "authorization",
+ *       binding: "dpop"
+ *     }
+ *   }
+ * @param {Object} req - Node request object
+ * @param {Object} chain - chain object passes access token and metadata
+ * @param {string} chain.tokenCacheKey - SHA-256 digest of access token
+ * @param {Object} chain.introspect - Decoded token metadata
+ * @returns {Promise} Resolved with chain object
+ */
+const _addTokenInfoToReqObject = (req, chain) => {
+  if (!Object.hasOwn(req, 'locals')) req.locals = Object.create(null);
+  req.locals.token = Object.create(null);
+  req.locals.token.fingerprint = _tokenFingerprint(chain.tokenCacheKey);
+  req.locals.token.clientId = _introspectClientId(chain.introspect);
+  req.locals.token.source = chain.tokenSource || null;
+  req.locals.token.binding = chain.tokenBinding || null;
+  return Promise.resolve(chain);
+};
+
+/**
+ * Optional: Restrict access based on scope requirement
  * @param {Object} req - Node request object
  * @param {string[]}} req.locals.scope is array of strings extracted from access token
  * @param {Object} chain - chain object passes access token and metadata
  * @param {Object} chain.options
- * @param {string|string[]} chain.options.scope - From requireAccessToken({ scope: 'api.write' })
+ * @param {Object} chain.options.scope - Compiled scope from requireAccessToken({ scope: 'api.write' })
+ * @param {boolean} chain.scopeHierarchy - Enable hierarchical scope
  * @param {string} chain.accessToken - Oauth 2.0 JWT access token
  * @param {Object} chain.introspect - Decoded token metadata
  * @returns {Promise} Resolved with chain object
  */
 const _restrictByScope = (req, chain) => {
   if ((Object.hasOwn(chain, 'options')) && (!(chain.options == null)) &&
-    (Object.hasOwn(chain.options, 'scope')) &&
-    // may be non-empty array or non-empty string
-    (chain.options.scope.length > 0)) {
+    (Object.hasOwn(chain.options, 'scope')) && (!(chain.options.scope == null))) {
     let scopeFound = false;
     if ((Object.hasOwn(req, 'locals')) &&
       (Object.hasOwn(req.locals, 'tokenScope'))) {
-      // scope requirements from middleware argument requireAccessToken({ scope: 'api.write' })
-      let chainScope = chain.options.scope;
       // decoded token scopes
       let reqScope = req.locals.tokenScope;
-      if (typeof chainScope === 'string') chainScope = [chainScope];
       if (typeof reqScope === 'string') reqScope = [reqScope];
-      if ((chainScope.length > 0) && (reqScope.length > 0)) {
-        chainScope.forEach((scopeString) => {
-          if (reqScope.indexOf(scopeString) >= 0) scopeFound = true;
-        });
-      }
+      scopeFound = chain.options.scope.test(reqScope, chain.scopeHierarchy);
     }
     if (scopeFound) {
       return Promise.resolve(chain);
     } else {
       const err = new Error('Forbidden, token has insufficient scope');
       err.status = 403;
+      err.oauthError = 'insufficient_scope';
+      err.requiredScope = chain.options.scope.scopes;
       return Promise.reject(err);
     }
   } else {
@@ -547,12 +560,49 @@ const _restrictByScope = (req, chain) => {
   }
 };
 
+/**
+ * Format a value as quoted-string for the WWW-Authenticate header.
+ * RFC 6750 limits values to printable ASCII, excluding double quote and backslash.
+ * @param {string} value - Header parameter value
+ * @returns {string} Quoted value
+ */
+const _quoteAuthParam = (value) => {
+  return '"' + String(value).replace(/[^\x20-\x7E]/g, '').replace(/["\\]/g, '') + '"';
+};
+
+/**
+ * Build RFC 6750 WWW-Authenticate header for 401 and 403 responses
+ * @example
+ * // Bearer realm="api", error="insufficient_scope", error_description="...", scope="api.write"
+ * @param {string} realm - Optional realm, null to omit
+ * @param {string} oauthError - invalid_request, invalid_token, insufficient_scope, or null
+ * @param {string} description - Error description
+ * @param {string[]} requiredScope - Scope values for insufficient_scope error
+ * @param {string} [scheme] - 'Bearer' (default) or 'DPoP'
+ * @param {string[]} [algs] - DPoP proof algorithms (RFC 9449 7.1)
+ * @returns {string} Header value
+ */
+const _buildAuthenticateHeader = (realm, oauthError, description, requiredScope, scheme, algs) => {
+  const params = [];
+  if (!(realm == null)) params.push('realm=' + _quoteAuthParam(realm));
+  if ((scheme === 'DPoP') && (Array.isArray(algs))) params.push('algs=' + _quoteAuthParam(algs.join(' ')));
+  if (!(oauthError == null)) {
+    params.push('error=' + _quoteAuthParam(oauthError));
+    if (description) params.push('error_description=' + _quoteAuthParam(description));
+    if ((oauthError === 'insufficient_scope') && (Array.isArray(requiredScope))) {
+      params.push('scope=' + _quoteAuthParam(requiredScope.join(' ')));
+    }
+  }
+  if (params.length === 0) return scheme || 'Bearer';
+  return (scheme || 'Bearer') + ' ' + params.join(', ');
+};
+
 /**
  * Inserting this optional debug function into the promise chain
  * can be used to show progression of data added to the chain object.
  * @Example
  *  _initChainObject(options)
- *    .then((chain) => _extractTokenFromHeader(req, chain))
+ *    .then((chain) => _extractTokenFromRequest(req, res, chain))
  *    .then((chain) => _debugShowChain(chain))  // <--------------------
  *    .then((chain) => _findCachedToken(chain))
  * @param   {Object} chain (Optional) - chain object used to pass data between multiple promises.
@@ -566,121 +616,2898 @@ const _debugShowChain = (req, chain) => {
 };
 
 /**
- * Middleware to enforce access token authorization
- * @example
- * // require access token on all subsequent routes
- * app.use(requireAccessToken());
- * @example
- * // require access token and scope for specific route
- * app.get('/somewhere', requireAccessToken({ scope: 'api.write' }), routeHandler)
- * @param {Object} options
- * @param {string|string[]} options.scope - Scope restrictions
+ * Instance configuration defaults
+ * Used before authInit(), and for options omitted from authInit().
+ * @returns {Object} New configuration object
  */
-exports.requireAccessToken = (options) => {
-  return (req, res, next) => {
-    //
-    // Chain of asynchronous promises
-    //
-    _initChainObject(options)
-      .then((chain) => _extractTokenFromHeader(req, chain))
-      .then((chain) => _findCachedToken(chain))
-      .then((chain) => _validateToken(chain))
-      .then((chain) => _checkTokenActive(chain))
-      .then((chain) => _saveTokenToCache(chain))
-      .then((chain) => _addTokenScopeToReqObject(req, chain))
-      .then((chain) => _addUserIdToReqObject(req, chain))
-      .then((chain) => _restrictByScope(req, chain))
-      // .then((chain) => _debugShowChain(req, chain))
-      .then((chain) => { return next(); })
-      .catch((err) => {
-        let message = err.message || err.toString() || 'Token authentication error';
-        console.log('Token auth: ' + message);
-        // limit to 1 line
-        message = message.split('\n')[0];
-        // Two choices, 401 or 403
-        let status = 401;
-        if ((err.status) && (err.status === 403)) status = 403;
-        if ((err.status) && (err.status === 500)) status = 500;
-        return res.status(status).send(message);
-      });
+const _defaultConfig = () => {
+  return {
+    /** @type {Object} tokenStore - Token cache store, set by createTokenAuth() and authInit() */
+    tokenStore: null,
+    /** @type {number} tokenCacheMaxEntries - Size of the default memory store, null = tokenStore option */
+    tokenCacheMaxEntries: 10000,
+    /** @type {Object} revocationStore - Store of revoked markers, set by createTokenAuth() and authInit() */
+    revocationStore: null,
+    /** @type {Object[]} issuers - Trusted authorization servers, see _parseIssuerOptions() */
+    issuers: [],
+    /** @type {boolean} routeByIssuer - Select issuer by token iss claim */
+    routeByIssuer: false,
+    /** @type {number} tokenCacheSeconds */
+    tokenCacheSeconds: 60,
+    /** @type {number} tokenCacheCleanSeconds */
+    tokenCacheCleanSeconds: 300,
+    /** @type {number} negativeCacheSeconds - Cache time for inactive tokens, 0 = disabled */
+    negativeCacheSeconds: 0,
+    /** @type {number} introspectTimeoutMs - Network request timeout */
+    introspectTimeoutMs: 5000,
+    /** @type {number} introspectRetries - Retry count for network and 5xx errors */
+    introspectRetries: 0,
+    /** @type {number} introspectRetryDelayMs - Base delay for exponential backoff */
+    introspectRetryDelayMs: 200,
+    /** @type {number} breakerFailureThreshold - Consecutive failures to open breaker, 0 = disabled */
+    breakerFailureThreshold: 5,
+    /** @type {number} breakerResetSeconds - Time breaker remains open */
+    breakerResetSeconds: 30,
+    /** @type {number} staleIfErrorSeconds - Use expired cache entries when auth server unavailable */
+    staleIfErrorSeconds: 0,
+    /** @type {number} maxTokenLifetimeSeconds - Longest access token lifetime, time revoked markers are kept */
+    maxTokenLifetimeSeconds: 86400,
+    /** @type {string} realm - WWW-Authenticate realm, null = omitted */
+    realm: null,
+    /** @type {string} errorFormat - Error response body 'text', 'json' or 'problem+json' */
+    errorFormat: 'text',
+    /** @type {Function} onError - Optional error handler onError(err, req, res, next) */
+    onError: null,
+    /** @type {Object[]} extractors - Compiled token extractors, default Authorization header */
+    extractors: compileExtractors(['authorization']),
+    /** @type {boolean} scopeHierarchy - Token scope "api" or "api.*" grants "api.read" */
+    scopeHierarchy: false,
+    /** @type {Object} logger - Object with debug, info, warn, error functions */
+    logger: _consoleLogger,
+    /** @type {string} validationMode - One of 'introspect', 'jwt', 'hybrid' */
+    validationMode: 'introspect',
+    /** @type {string|string[]} tokenAudience - Accepted aud claim, null = not checked */
+    tokenAudience: null,
+    /** @type {number} clockSkewSeconds - Allowed clock difference for exp, nbf and iat */
+    clockSkewSeconds: 30,
+    /** @type {string[]} allowedClients - Accepted token client ids, null = any client */
+    allowedClients: null,
+    /** @type {string[]} deniedClients - Rejected token client ids */
+    deniedClients: [],
+    /** @type {string} requiredTokenType - Required introspection token_type, null = not checked */
+    requiredTokenType: null,
+    /** @type {Object} dpop - DPoP configuration { verifier, verifierSettings, replayStore, algorithms,
+     * baseURL, trustProxy }, null = disabled */
+    dpop: null,
+    /** @type {Object} mtls - Certificate binding configuration { getCertificate }, null = disabled */
+    mtls: null,
+    /** @type {Object} clientTokens - Client credentials token provider, see src/client-token.js */
+    clientTokens: null,
+    /** @type {string} clientTokenSettings - Options of clientTokens as JSON, to keep it on reload */
+    clientTokenSettings: null,
+    /** @type {Function} claimMapper - Optional claimMapper(introspect, raw) for token meta-data */
+    claimMapper: null,
+    /** @type {Object} auditSink - Authorization decision records, see src/audit.js, null = disabled */
+    auditSink: null
   };
 };
 
 /**
- * Middleware to enforce route specific token scope restrictions
- * @param   {string|string[]} requiredScope - Scope values that will be accepted
- * Scope value comes from middleware requireScopeForApiRoute(['api.write']).
+ * Create an authorization middleware instance.
+ * Each instance holds its own configuration and token cache,
+ * so one process may use different authorization servers,
+ * and tests may create an isolated instance for each test.
+ * The module level functions authInit(), requireAccessToken(),
+ * requireScopeForApiRoute() and matchScope() use a default instance.
  * @example
- * // Require scope for route (requireAccessToken() called previously)
- * app.get('/v1, requireAccessToken(), ... )
- * // requireScopeForApiRoute uses tokens scope extracted in requireAccessToken()
- * router.get('/v1/someRoute',
- *   requireScopeForApiRoute(['api.read', 'api.write', 'api.admin']),
- *   validations.list, controller.list);
- * @throws Throws error on missing argument
- **/
-exports.requireScopeForApiRoute = (requiredScope) => {
-  if ((requiredScope == null) ||
-    ((typeof requiredScope !== 'string') &&
-    (!Array.isArray(requiredScope)))) {
-    throw new Error('requireScopeForWebPanel requires string or array');
-  }
-  if (typeof requiredScope === 'string') {
-    requiredScope = [requiredScope];
-  }
-  // Return Express middleware function.
-  return (req, res, next) => {
-    let scopeFound = false;
-    if ((Object.hasOwn(req, 'locals')) &&
-      (Object.hasOwn(req.locals, 'tokenScope')) &&
-      (Array.isArray(req.locals.tokenScope))) {
-      requiredScope.forEach((scopeString) => {
-        if (req.locals.tokenScope.indexOf(scopeString) >= 0) scopeFound = true;
-      });
-      if (scopeFound) {
-        return next();
-      } else {
-        const message = 'Token scope: Forbidden, Access token insufficient scope';
-        console.log(message);
-        return res.status(403).send(message);
-      }
-    } else {
-      const err = new Error('Error, Tokens scope not found in request object');
-      return next(err);
-    }
+ * const tokenAuth = createTokenAuth({
+ *   authURL: 'http://127.0.0.1:3500',
+ *   clientId: 'abc123',
+ *   clientSecret: 'ssh-secret'
+ * });
+ * app.use(tokenAuth.requireAccessToken());
+ * @param {Object} [factoryOptions] - Optional, same as authInit(options)
+ * @returns {Object} Instance with authInit, requireAccessToken, requireScopeForApiRoute,
+ * matchScope, and tokenStore properties
+ * @throws Will throw error for invalid options
+ */
+const createTokenAuth = (factoryOptions) => {
+  // ------------------------
+  // Instance Configuration
+  // ------------------------
+  /**
+   * Instance configuration, see _defaultConfig()
+   * authInit() replaces the whole object, so a request never sees a partly applied configuration.
+   * Token cache store entries, key is hash of access token, see cache-stores.js
+   * Example entry:
+   *   {
+   *     introspect: {
+   *        ... token metadata ...
+   *     },
+   *     validatedBy: "introspect",
+   *     cacheExpires: 1688751095057
+   *   }
+   * @type {Object} config
+   */
+  let config = _defaultConfig();
+  config.tokenStore = createMemoryStore({ maxEntries: config.tokenCacheMaxEntries });
+  /** @type {Object} revokedMarkers - Default revocationStore, never evicted, kept by authInit() */
+  const revokedMarkers = createMemoryStore({ maxEntries: Infinity });
+  config.revocationStore = revokedMarkers;
+
+  // ------------------------
+  // Instance State
+  // ------------------------
+  /** @type {EventEmitter} events - Authorization lifecycle events */
+  const events = new EventEmitter();
+  /** @type {Object} metrics - Counters for getStats() and metricsMiddleware() */
+  const metrics = createMetrics();
+  /** @type {WeakMap} upgradeTokens - Request to token state, for watchToken() */
+  const upgradeTokens = new WeakMap();
+  /** @type {WeakMap} tokenClaims - req.locals.token object to token meta-data, for policies */
+  const tokenClaims = new WeakMap();
+  /** @type {WeakMap} tokenValidation - req.locals.token object to { validatedBy, cacheHit }, for audit */
+  const tokenValidation = new WeakMap();
+  /** @type {Set} tokenWatchers - Functions called with cachePurged details */
+  const tokenWatchers = new Set();
+  /** @type {Map} inflightIntrospections - Pending introspection promises, key is token digest */
+  const inflightIntrospections = new Map();
+  /** @type {Set} inflightControllers - AbortController of each introspection fetch */
+  const inflightControllers = new Set();
+  /** @type {number} revocationGeneration - Incremented by each revocation, purge and clear */
+  let revocationGeneration = 0;
+  /** @type {Object} pruneTimerId - Timer of _removeExpiredCachedTokens(), null = stopped */
+  let pruneTimerId = null;
+  /** @type {Object} reloadSignal - { signal, listener } for configuration reload, null = none */
+  let reloadSignal = null;
+
+  /**
+   * Build event details object
+   * Contains token fingerprint, never the raw access token.
+   * @param {Object} chain - chain object passes access token and metadata
+   * @param {Object} [extra] - Additional event specific properties
+   * @returns {Object} { fingerprint, clientId, userId, durationMs, ...extra }
+   */
+  const _eventDetails = (chain, extra) => {
+    const details = {
+      fingerprint: _tokenFingerprint(chain.tokenCacheKey),
+      clientId: _introspectClientId(chain.introspect),
+      userId: _introspectUserId(chain.introspect),
+      durationMs: (chain.startTime) ? Date.now() - chain.startTime : 0
+    };
+    return Object.assign(details, extra);
+  };
+
+  /**
+   * Update metrics and emit authorization event
+   * @param {string} eventName - Event name
+   * @param {Object} details - Event details object
+   */
+  const _emitEvent = (eventName, details) => {
+    metrics.record(eventName, details);
+    if (eventName === 'cachePurged') tokenWatchers.forEach((watcher) => watcher(details));
+    events.emit(eventName, details);
+  };
+
+  /**
+   * Write authorization decision record to the audit sink
+   * Sink errors are logged, they do not change the decision.
+   * @param {Object} req - Node request object
+   * @param {Object} decision
+   * @param {string} decision.middleware - Name of the function making the decision
+   * @param {boolean} decision.allowed - True if access granted
+   * @param {string} [decision.reason] - Description of allowed decision
+   * @param {Error} [decision.err] - Error of denied request, with status
+   * @param {string} [decision.error] - Error code of denied request, default from err
+   * @param {Object} [decision.chain] - chain object, for requireAccessToken() decisions
+   * @param {string[]} [decision.requiredScope] - Scope names required by the route
+   */
+  const _auditDecision = (req, decision) => {
+    if (config.auditSink == null) return;
+    const sink = config.auditSink;
+    const locals = ((req) && (req.locals)) || {};
+    const chain = decision.chain || null;
+    const token = locals.token || null;
+    const introspect = ((chain) && (chain.introspect)) ||
+      ((token) && (tokenClaims.get(token))) || null;
+    const validation = ((chain) && (chain.validatedBy))
+      ? { validatedBy: chain.validatedBy, cacheHit: (chain.introspectWasCached === true) }
+      : ((token) && (tokenValidation.get(token))) || null;
+    const tokenScope = (Array.isArray(locals.tokenScope))
+      ? locals.tokenScope
+      : (((introspect) && (Array.isArray(introspect.scope))) ? introspect.scope : null);
+    const requiredScope = decision.requiredScope || null;
+    const scopes = (requiredScope)
+      ? partitionScopes(requiredScope, tokenScope, config.scopeHierarchy)
+      : { matched: null, missing: null };
+    const url = ((req) && (req.originalUrl || req.url)) || null;
+    const err = decision.err || null;
+    const record = {
+      timestamp: new Date().toISOString(),
+      middleware: decision.middleware,
+      method: ((req) && (req.method)) || null,
+      // Query removed, it may contain the access token
+      route: (url) ? String(url).split('?')[0] : null,
+      routePattern: ((req) && (req.route) && (req.route.path)) || null,
+      outcome: (decision.allowed) ? 'allow' : 'deny',
+      status: (err) ? _errorStatus(err) : null,
+      error: (err) ? (decision.error || _errorReason(err)) : null,
+      reason: (err) ? (err.message || err.toString()) : (decision.reason || null),
+      fingerprint: ((chain) && (_tokenFingerprint(chain.tokenCacheKey))) ||
+        ((token) && (token.fingerprint)) || null,
+      userId: _introspectUserId(introspect),
+      userNumber: ((introspect) && (introspect.user) && (introspect.user.number)) || null,
+      clientId: _introspectClientId(introspect),
+      requiredScope,
+      matchedScope: scopes.matched,
+      missingScope: scopes.missing,
+      validatedBy: (validation) ? validation.validatedBy : null,
+      cacheHit: (validation) ? validation.cacheHit : null
+    };
+    Promise.resolve()
+      .then(() => sink.write(record))
+      .catch((writeErr) => {
+        config.logger.error('Token auth: audit sink write error, ' + writeErr.message);
+      });
+  };
+
+  /**
+   * Remove expired cached tokens (internal timer handler)
+   */
+  const _removeExpiredCachedTokens = () => {
+    // Shared stores, such as Redis, expire their own entries
+    if (typeof config.tokenStore.prune === 'function') {
+      config.tokenStore.prune()
+        .then((removed) => {
+          const size = (typeof config.tokenStore.size === 'function') ? config.tokenStore.size() : null;
+          config.logger.debug('Token auth: token cache pruned', { removed, size });
+          _emitEvent('cachePruned', { removed, size });
+        })
+        .catch((err) => {
+          config.logger.error('Token auth: token cache prune error, ' + err.message);
+        });
+    }
+    if ((config.revocationStore !== config.tokenStore) && (typeof config.revocationStore.prune === 'function')) {
+      config.revocationStore.prune()
+        .catch((err) => {
+          config.logger.error('Token auth: revocation store prune error, ' + err.message);
+        });
+    }
+    // At startup called first time in authInit();
+    _schedulePrune();
+  };
+
+  /**
+   * Start the token cache prune timer, replacing any previous timer
+   * The timer does not keep the node process running.
+   */
+  const _schedulePrune = () => {
+    if (pruneTimerId) clearTimeout(pruneTimerId);
+    pruneTimerId = setTimeout(_removeExpiredCachedTokens, config.tokenCacheCleanSeconds * 1000);
+    pruneTimerId.unref();
+  };
+
+  /**
+   * Merge authInit() options with environment variables and secrets file
+   * Precedence is secrets file, then environment variables, then authInit() options.
+   * @param {Object} initOptions - authInit() options
+   * @returns {Object} Module configuration options
+   * @throws Will throw error if the configuration can not be loaded
+   */
+  const _loadConfiguration = (initOptions) => {
+    const sources = [{}, initOptions];
+    if (Object.hasOwn(initOptions, 'configFromEnv')) {
+      if ((typeof initOptions.configFromEnv !== 'boolean') &&
+        (typeof initOptions.configFromEnv !== 'string')) {
+        throw new Error('token-check, invalid configFromEnv in options');
+      }
+      if (initOptions.configFromEnv !== false) {
+        sources.push(configFromEnv(process.env, (initOptions.configFromEnv === true)
+          ? null
+          : initOptions.configFromEnv));
+      }
+    }
+    if (Object.hasOwn(initOptions, 'configFile')) {
+      if ((typeof initOptions.configFile !== 'string') || (initOptions.configFile.length === 0)) {
+        throw new Error('token-check, invalid configFile in options');
+      }
+      sources.push(readConfigFile(initOptions.configFile));
+    }
+    return Object.assign.apply(null, sources);
+  };
+
+  /**
+   * Listen for configuration reload signal, replacing any previous listener
+   * If the configuration can not be loaded, the previous configuration remains in use.
+   * @param {Object} initOptions - authInit() options, reloadSignal checked by authInit()
+   */
+  const _watchReloadSignal = (initOptions) => {
+    if (reloadSignal) {
+      process.removeListener(reloadSignal.signal, reloadSignal.listener);
+      reloadSignal = null;
+    }
+    if ((!Object.hasOwn(initOptions, 'reloadSignal')) || (initOptions.reloadSignal == null)) return;
+    const listener = () => {
+      try {
+        // Environment and secrets file are read again
+        authInit(initOptions);
+        config.logger.info('Token auth: configuration reloaded on ' + initOptions.reloadSignal);
+      } catch (err) {
+        config.logger.error('Token auth: configuration reload failed, ' + err.message);
+      }
+    };
+    process.on(initOptions.reloadSignal, listener);
+    reloadSignal = { signal: initOptions.reloadSignal, listener };
+  };
+
+  /**
+   * Parse and validate number option
+   * @param {Object} options - authInit() options
+   * @param {string} name - Option name
+   * @param {number} defaultValue - Value when option is omitted
+   * @param {number} minimum - Smallest accepted value
+   * @returns {number} Integer option value
+   * @throws Will throw error for invalid value
+   */
+  const _parseNumberOption = (options, name, defaultValue, minimum) => {
+    if (!Object.hasOwn(options, name)) return defaultValue;
+    const value = parseInt(options[name]);
+    if ((!Number.isFinite(value)) || (value < minimum)) {
+      throw new Error('token-check, invalid ' + name + ' in options');
+    }
+    return value;
+  };
+
+  /**
+   * Parse and validate all authInit() options into a new configuration object
+   * Options that are omitted have default values. The current token cache store
+   * is kept, unless the tokenStore or tokenCacheMaxEntries option changes it.
+   * The DPoP verifier, circuit breakers and client token provider are kept
+   * when their options do not change.
+   * The current configuration is not modified.
+   * @param {Object} options - Merged authInit() options, see _loadConfiguration()
+   * @returns {Object} New configuration, see _defaultConfig()
+   * @throws Will throw error for invalid options
+   */
+  const _parseConfig = (options) => {
+    const next = _defaultConfig();
+    next.tokenCacheSeconds = _parseNumberOption(options, 'tokenCacheSeconds',
+      next.tokenCacheSeconds, 0);
+    next.tokenCacheCleanSeconds = _parseNumberOption(options, 'tokenCacheCleanSeconds',
+      next.tokenCacheCleanSeconds, 1);
+    next.negativeCacheSeconds = _parseNumberOption(options, 'negativeCacheSeconds',
+      next.negativeCacheSeconds, 0);
+    next.introspectTimeoutMs = _parseNumberOption(options, 'introspectTimeoutMs',
+      next.introspectTimeoutMs, 1);
+    next.introspectRetries = _parseNumberOption(options, 'introspectRetries',
+      next.introspectRetries, 0);
+    next.introspectRetryDelayMs = _parseNumberOption(options, 'introspectRetryDelayMs',
+      next.introspectRetryDelayMs, 0);
+    next.breakerFailureThreshold = _parseNumberOption(options, 'breakerFailureThreshold',
+      next.breakerFailureThreshold, 0);
+    next.breakerResetSeconds = _parseNumberOption(options, 'breakerResetSeconds',
+      next.breakerResetSeconds, 0);
+    next.staleIfErrorSeconds = _parseNumberOption(options, 'staleIfErrorSeconds',
+      next.staleIfErrorSeconds, 0);
+    next.maxTokenLifetimeSeconds = _parseNumberOption(options, 'maxTokenLifetimeSeconds',
+      next.maxTokenLifetimeSeconds, 1);
+    next.clockSkewSeconds = _parseNumberOption(options, 'clockSkewSeconds',
+      next.clockSkewSeconds, 0);
+    if (Object.hasOwn(options, 'realm')) {
+      if ((!(options.realm == null)) && (typeof options.realm !== 'string')) {
+        throw new Error('token-check, invalid realm in options');
+      }
+      next.realm = options.realm;
+    }
+    if (Object.hasOwn(options, 'errorFormat')) {
+      if (['text', 'json', 'problem+json'].indexOf(options.errorFormat) < 0) {
+        throw new Error('token-check, invalid errorFormat in options');
+      }
+      next.errorFormat = options.errorFormat;
+    }
+    if (Object.hasOwn(options, 'onError')) {
+      if ((!(options.onError == null)) && (typeof options.onError !== 'function')) {
+        throw new Error('token-check, invalid onError in options');
+      }
+      next.onError = options.onError;
+    }
+    if (Object.hasOwn(options, 'extractors')) {
+      next.extractors = compileExtractors(options.extractors);
+    }
+    if (Object.hasOwn(options, 'scopeHierarchy')) {
+      if (typeof options.scopeHierarchy !== 'boolean') {
+        throw new Error('token-check, invalid scopeHierarchy in options');
+      }
+      next.scopeHierarchy = options.scopeHierarchy;
+    }
+    if (Object.hasOwn(options, 'logger')) {
+      if (options.logger == null) {
+        next.logger = _silentLogger;
+      } else if (['debug', 'info', 'warn', 'error'].every((level) => {
+        return (typeof options.logger[level] === 'function');
+      })) {
+        next.logger = options.logger;
+      } else {
+        throw new Error('token-check, invalid logger in options');
+      }
+    }
+    if (Object.hasOwn(options, 'tokenCacheMaxEntries')) {
+      if ((!Number.isInteger(options.tokenCacheMaxEntries)) || (options.tokenCacheMaxEntries < 1)) {
+        throw new Error('token-check, invalid tokenCacheMaxEntries in options');
+      }
+      next.tokenCacheMaxEntries = options.tokenCacheMaxEntries;
+    }
+    if (Object.hasOwn(options, 'tokenStore')) {
+      if (!_isTokenStore(options.tokenStore)) {
+        throw new Error('token-check, invalid tokenStore in options');
+      }
+      next.tokenStore = options.tokenStore;
+      next.tokenCacheMaxEntries = null;
+    } else if (next.tokenCacheMaxEntries === config.tokenCacheMaxEntries) {
+      // Same default memory store, cached tokens and store counters are kept
+      next.tokenStore = config.tokenStore;
+    } else {
+      next.tokenStore = createMemoryStore({ maxEntries: next.tokenCacheMaxEntries });
+    }
+    if (Object.hasOwn(options, 'revocationStore')) {
+      if (!_isTokenStore(options.revocationStore)) {
+        throw new Error('token-check, invalid revocationStore in options');
+      }
+      next.revocationStore = options.revocationStore;
+    } else if (Object.hasOwn(options, 'tokenStore')) {
+      // Shared store, such as Redis, revoked markers apply to all processes
+      next.revocationStore = options.tokenStore;
+    } else {
+      next.revocationStore = revokedMarkers;
+    }
+    if (Object.hasOwn(options, 'validationMode')) {
+      if (['introspect', 'jwt', 'hybrid'].indexOf(options.validationMode) < 0) {
+        throw new Error('token-check, invalid validationMode in options');
+      }
+      next.validationMode = options.validationMode;
+    }
+    if (Object.hasOwn(options, 'audience')) {
+      if ((!(options.audience == null)) && (!_isStringList(options.audience)) &&
+        ((typeof options.audience !== 'string') || (options.audience.length === 0))) {
+        throw new Error('token-check, invalid audience in options');
+      }
+      next.tokenAudience = options.audience;
+    }
+    if (Object.hasOwn(options, 'allowedClients')) {
+      if ((!(options.allowedClients == null)) && (!_isStringList(options.allowedClients))) {
+        throw new Error('token-check, invalid allowedClients in options');
+      }
+      next.allowedClients = options.allowedClients;
+    }
+    if (Object.hasOwn(options, 'deniedClients')) {
+      if ((!Array.isArray(options.deniedClients)) ||
+        ((options.deniedClients.length > 0) && (!_isStringList(options.deniedClients)))) {
+        throw new Error('token-check, invalid deniedClients in options');
+      }
+      next.deniedClients = options.deniedClients;
+    }
+    if (Object.hasOwn(options, 'tokenType')) {
+      if ((!(options.tokenType == null)) &&
+        ((typeof options.tokenType !== 'string') || (options.tokenType.length === 0))) {
+        throw new Error('token-check, invalid tokenType in options');
+      }
+      next.requiredTokenType = options.tokenType;
+    }
+    if (Object.hasOwn(options, 'claimMapper')) {
+      if ((!(options.claimMapper == null)) && (typeof options.claimMapper !== 'function')) {
+        throw new Error('token-check, invalid claimMapper in options');
+      }
+      next.claimMapper = options.claimMapper;
+    }
+    if (Object.hasOwn(options, 'auditSink')) {
+      if ((!(options.auditSink == null)) &&
+        ((typeof options.auditSink !== 'object') || (typeof options.auditSink.write !== 'function'))) {
+        throw new Error('token-check, invalid auditSink in options');
+      }
+      next.auditSink = options.auditSink || null;
+    }
+    if (Object.hasOwn(options, 'dpop')) {
+      next.dpop = _parseDpopOptions(options.dpop, next.clockSkewSeconds);
+    }
+    if (Object.hasOwn(options, 'mtls')) {
+      next.mtls = _parseMtlsOptions(options.mtls);
+    }
+    const needJwks = (next.validationMode !== 'introspect');
+    const discoveryContext = {
+      timeoutMs: next.introspectTimeoutMs,
+      log: (level, message) => config.logger[level](message)
+    };
+    if (Object.hasOwn(options, 'issuers')) {
+      if ((!Array.isArray(options.issuers)) || (options.issuers.length === 0)) {
+        throw new Error('token-check, invalid issuers in options');
+      }
+      next.issuers = options.issuers.map((issuerOptions) => {
+        if ((issuerOptions == null) ||
+          (typeof issuerOptions.issuer !== 'string') ||
+          (issuerOptions.issuer.length === 0)) {
+          throw new Error('token-check, invalid issuer in issuers options');
+        }
+        // Top level properties are defaults for each issuer
+        return _parseIssuerOptions(Object.assign({}, options, issuerOptions), needJwks,
+          discoveryContext);
+      });
+      next.routeByIssuer = true;
+    } else {
+      next.issuers = [_parseIssuerOptions(options, needJwks, discoveryContext)];
+    }
+    next.issuers.forEach((issuerConfig) => {
+      issuerConfig.breakerSettings = JSON.stringify([issuerConfig.authURL, issuerConfig.introspectURL,
+        issuerConfig.issuer, next.breakerFailureThreshold, next.breakerResetSeconds]);
+      // Same authorization server and breaker options, an open circuit breaker stays open
+      const previous = config.issuers.find((previousIssuer) => {
+        return (previousIssuer.breakerSettings === issuerConfig.breakerSettings);
+      });
+      issuerConfig.breaker = (previous)
+        ? previous.breaker
+        : createCircuitBreaker({
+          failureThreshold: next.breakerFailureThreshold,
+          resetSeconds: next.breakerResetSeconds
+        });
+    });
+    // Outbound tokens use the credentials of the first authorization server
+    let tokenURL = next.issuers[0].authURL + '/oauth/token';
+    let getTokenEndpoint = null;
+    if (Object.hasOwn(options, 'tokenURL')) {
+      if ((typeof options.tokenURL !== 'string') || (options.tokenURL.length === 0)) {
+        throw new Error('token-check, invalid tokenURL in options');
+      }
+      tokenURL = options.tokenURL;
+    } else if (next.issuers[0].discovery) {
+      // Discovery client of the current configuration, the provider may be kept by authInit()
+      getTokenEndpoint = () => {
+        if ((config.issuers.length === 0) || (config.issuers[0].discovery == null)) {
+          return Promise.reject(new Error('Authorization server metadata discovery not enabled'));
+        }
+        return config.issuers[0].discovery.getEndpoint('token_endpoint');
+      };
+    }
+    next.clientTokenSettings = JSON.stringify([(getTokenEndpoint) ? null : tokenURL,
+      next.issuers[0].clientId, next.issuers[0].clientSecrets, next.introspectTimeoutMs]);
+    if ((config.clientTokens) && (config.clientTokenSettings === next.clientTokenSettings)) {
+      // Same options, cached client tokens are kept
+      next.clientTokens = config.clientTokens;
+    } else {
+      next.clientTokens = createClientTokenProvider({
+        tokenURL,
+        getEndpoint: getTokenEndpoint,
+        clientId: next.issuers[0].clientId,
+        clientSecret: next.issuers[0].clientSecrets,
+        timeoutMs: next.introspectTimeoutMs,
+        log: (level, message) => config.logger[level](message)
+      });
+    }
+    return next;
+  };
+
+  /**
+   * Function to be run at program start to initialize module configuration
+   * Calling authInit() again replaces the whole configuration. Omitted options
+   * have default values. If an option is invalid, authInit() throws before any
+   * change and the previous configuration remains in use.
+   * @example
+   * authInit({
+   *   authURL: 'http://127.0.0.1:3500',
+   *   clientId: 'abc123',
+   *   clientSecret: 'ssh-secret',
+   *   tokenCacheSeconds: 60,
+   *   tokenCacheCleanSeconds: 300
+   * });
+   * @example
+   * // Verify JWT signature locally, fall back to introspection for unknown kid
+   * authInit({
+   *   authURL: 'http://127.0.0.1:3500',
+   *   clientId: 'abc123',
+   *   clientSecret: 'ssh-secret',
+   *   validationMode: 'hybrid',
+   *   jwksURL: 'http://127.0.0.1:3500/.well-known/jwks.json',
+   *   issuer: 'http://127.0.0.1:3500',
+   *   audience: 'api.example.com'
+   * });
+   * @example
+   * // Endpoints from https://auth.example.com/.well-known/oauth-authorization-server
+   * authInit({
+   *   issuer: 'https://auth.example.com',
+   *   discovery: true,
+   *   introspectFormat: 'rfc7662',
+   *   clientId: 'abc123',
+   *   clientSecret: 'ssh-secret'
+   * });
+   * @example
+   * // Trust multiple authorization servers, selected by token iss claim
+   * authInit({
+   *   clientId: 'abc123',
+   *   clientSecret: 'ssh-secret',
+   *   issuers: [
+   *     { issuer: 'https://auth1.example.com', authURL: 'https://auth1.example.com' },
+   *     { issuer: 'https://auth2.example.com', authURL: 'https://auth2.example.com',
+   *       clientId: 'def456', clientSecret: 'other-secret' }
+   *   ]
+   * });
+   * @param {Object} optionsObj - Module configuration data
+   * @param {string} optionsObj.authURL - Authorization server URL
+   * @param {string} options.clientId - Client account credentials
+   * @param {string|string[]} options.clientSecret - Client account credentials, or list of
+   * secrets tried in order during rotation
+   * @param {number} optionsObj.tokenCacheSeconds - User's access token trusted for this time.
+   * @param {number} optionsObj.tokenCacheCleanSeconds - Prune untrusted user's access tokens.
+   * @param {string} optionsObj.validationMode - 'introspect' (default), 'jwt' or 'hybrid'
+   * @param {string} optionsObj.jwksURL - JSON Web Key Set URL, required for jwt and hybrid modes
+   * @param {number} optionsObj.jwksCacheSeconds - Public key cache time, default 3600
+   * @param {string} optionsObj.issuer - Expected token iss claim
+   * @param {string|string[]} optionsObj.audience - Accepted token aud claim
+   * @param {number} optionsObj.clockSkewSeconds - Allowed clock difference, default 30
+   * @param {string[]} optionsObj.allowedClients - Accepted token client ids, default any
+   * @param {string[]} optionsObj.deniedClients - Rejected token client ids
+   * @param {string} optionsObj.tokenType - Required introspection token_type
+   * @param {boolean|Object} optionsObj.dpop - Accept DPoP tokens, or { maxAgeSeconds, algorithms,
+   * replayStore, baseURL, trustProxy }, baseURL or trustProxy is required
+   * @param {boolean|Object} optionsObj.mtls - Check certificate bound tokens, or { getCertificate }
+   * @param {string} optionsObj.tokenURL - Token endpoint for getClientToken(), default authURL/oauth/token
+   * @param {string} optionsObj.introspectURL - Introspection endpoint, default authURL/oauth/introspect
+   * @param {string} optionsObj.introspectFormat - 'collab-auth' (default) or 'rfc7662'
+   * @param {Function} optionsObj.claimMapper - claimMapper(introspect, raw) returns token meta-data
+   * @param {boolean} optionsObj.discovery - Discover endpoints from issuer metadata (RFC 8414)
+   * @param {number} optionsObj.discoveryRefreshSeconds - Metadata cache time, default 3600
+   * @param {Object[]} optionsObj.issuers - Trusted authorization servers, each with
+   * issuer, authURL, and optional clientId, clientSecret, jwksURL overriding top level values.
+   * @param {number} optionsObj.negativeCacheSeconds - Inactive tokens rejected for this time.
+   * @param {number} optionsObj.introspectTimeoutMs - Introspect request timeout, default 5000
+   * @param {number} optionsObj.introspectRetries - Retries for network and 5xx errors, default 0
+   * @param {number} optionsObj.introspectRetryDelayMs - Base retry delay, default 200
+   * @param {number} optionsObj.breakerFailureThreshold - Failures to open circuit breaker, default 5
+   * @param {number} optionsObj.breakerResetSeconds - Circuit breaker open time, default 30
+   * @param {number} optionsObj.staleIfErrorSeconds - Trust expired cache while auth server down
+   * @param {number} optionsObj.maxTokenLifetimeSeconds - Revoked user and client markers kept
+   * for this time, default 86400
+   * @param {string} optionsObj.realm - Optional realm in WWW-Authenticate header
+   * @param {string} optionsObj.errorFormat - Response body 'text' (default), 'json', 'problem+json'
+   * @param {Function} optionsObj.onError - Optional handler onError(err, req, res, next)
+   * @param {Array} optionsObj.extractors - Token locations, default ['authorization']
+   * @param {boolean} optionsObj.scopeHierarchy - Scope "api" or "api.*" grants "api.read"
+   * @param {Object} optionsObj.logger - Logger with debug, info, warn, error, null = silent
+   * @param {number} optionsObj.tokenCacheMaxEntries - Size limit of default in memory store
+   * @param {Object} optionsObj.tokenStore - Token cache store, default in memory
+   * @param {Object} optionsObj.revocationStore - Store of revoked markers, default tokenStore option,
+   * or in memory without eviction
+   * @param {Object} optionsObj.auditSink - Authorization decision records, see src/audit.js
+   * @param {boolean|string} optionsObj.configFromEnv - Read options from environment variables,
+   * or variable name prefix, default prefix 'TOKEN_AUTH_'
+   * @param {string} optionsObj.configFile - Read options from JSON secrets file
+   * @param {string} optionsObj.reloadSignal - Reload configuration on signal, such as 'SIGHUP'
+   * @throws Will throw error for missing or invalid arguments
+   */
+  const authInit = (initOptions) => {
+    if (initOptions == null) {
+      throw new Error('authInit requires an options object.');
+    }
+    if ((Object.hasOwn(initOptions, 'reloadSignal')) && (!(initOptions.reloadSignal == null)) &&
+      ((typeof initOptions.reloadSignal !== 'string') ||
+      (!/^SIG[A-Z0-9]+$/.test(initOptions.reloadSignal)))) {
+      throw new Error('token-check, invalid reloadSignal in options');
+    }
+    // Throws before any change, the previous configuration remains in use
+    const nextConfig = _parseConfig(_loadConfiguration(initOptions));
+    config = nextConfig;
+    config.issuers.forEach((issuerConfig) => {
+      if (issuerConfig.discovery) {
+        // Load metadata at startup, errors are retried on first use
+        issuerConfig.discovery.getMetadata().catch((err) => {
+          config.logger.warn('Token auth: ' + err.message);
+        });
+      }
+    });
+    // unless token cache is disabled, restart it for first prune cycle
+    // Calling authInit() again replaces the previous timer
+    if (config.tokenCacheSeconds !== 0) {
+      _schedulePrune();
+    } else if (pruneTimerId) {
+      clearTimeout(pruneTimerId);
+      pruneTimerId = null;
+    }
+    _watchReloadSignal(initOptions);
+  };
+
+  /**
+   * Stop the module, for graceful shutdown and between tests
+   * Clears the token cache prune timer, removes the reload signal listener and
+   * aborts in-flight introspection requests, which fail with status 503.
+   * Cached tokens are kept. A tokenStore from authInit() options is not closed.
+   * Requests are rejected until authInit() is called again.
+   * @example
+   * process.on('SIGTERM', () => {
+   *   server.close();
+   *   authShutdown().then(() => tokenStore.close());
+   * });
+   * @returns {Promise} Resolves when pending introspection requests have settled
+   */
+  const authShutdown = () => {
+    if (pruneTimerId) clearTimeout(pruneTimerId);
+    pruneTimerId = null;
+    if (reloadSignal) {
+      process.removeListener(reloadSignal.signal, reloadSignal.listener);
+      reloadSignal = null;
+    }
+    config = Object.assign({}, config, { issuers: [], clientTokens: null });
+    const pending = Array.from(inflightIntrospections.values());
+    inflightControllers.forEach((fetchController) => {
+      fetchController.abort(new Error('Token auth shutdown'));
+    });
+    inflightControllers.clear();
+    config.logger.info('Token auth: shutdown');
+    return Promise.allSettled(pending).then(() => undefined);
+  };
+
+  /**
+   * Initialize the chain object.
+   * The chain object will be used to hold state related data as it passes down the promise chain.
+   * @param {Object} opt - parsed argument to requireAccessToken(options) authorization
+   * @param {Object} opt.scope - Compiled token scope restrictions
+   * @param {boolean} opt.introspect - Require validation by authorization server
+   * @param {Object[]} opt.extractors - Route specific compiled token extractors
+   * @returns {Promise} Resolved with a new chain object
+   */
+  const _initChainObject = (opt) => {
+    if (config.issuers.length === 0) {
+      const err = new Error('Module configuration not found. Did you forget in run authInit() ?');
+      err.status = 500;
+      return Promise.reject(err);
+    }
+    // Create a new chain object, to be passed between promises.
+    const chainObj = Object.create(null);
+    chainObj.options = opt;
+    chainObj.scopeHierarchy = config.scopeHierarchy;
+    chainObj.extractors = opt.extractors || config.extractors;
+    chainObj.dpopEnabled = (!(config.dpop == null));
+    chainObj.accessToken = null;
+    chainObj.introspect = null;
+    chainObj.startTime = Date.now();
+    return Promise.resolve(chainObj);
+  };
+
+  /**
+   * Select the trusted authorization server that will validate the token.
+   * With a single authorization server, it is always selected.
+   * When configured with a list of issuers, the unverified iss claim of the JWT
+   * is used to route the token. The claim is confirmed later during validation.
+   * @param {Object} chain - chain object passes access token and metadata
+   * @param {string} chain.accessToken - Oauth 2.0 JWT access token
+   * @returns {Promise} Resolved with chain object, or reject with error
+   */
+  const _selectIssuer = (chain) => {
+    if (!config.routeByIssuer) {
+      chain.issuer = config.issuers[0];
+      return Promise.resolve(chain);
+    }
+    let tokenIssuer = null;
+    try {
+      tokenIssuer = decodeJwt(chain.accessToken).payload.iss;
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    const found = config.issuers.find((issuerConfig) => (issuerConfig.issuer === tokenIssuer));
+    if (found) {
+      chain.issuer = found;
+      return Promise.resolve(chain);
+    } else {
+      const err = new Error('Token issuer not trusted');
+      err.status = 401;
+      return Promise.reject(err);
+    }
+  };
+
+  /**
+   * Lookup access token to return cached token meta-data
+   * @param {Object} chain - chain object passes access token and metadata
+   * @param {Object} chain.options argument to requireAccessToken(options) authorization
+   * @param {string|string[]} chain.options.scope - Token scope restrictions
+   * @param {string} chain.accessToken - Oauth 2.0 JWT access token
+   * @param {Object} chain.introspect - Decoded token metadata
+   * @returns {Promise} Resolved with chain object
+   */
+  const _findCachedToken = (chain) => {
+    if ((!(chain == null)) &&
+      (Object.hasOwn(chain, 'accessToken')) && (!(chain.accessToken == null))) {
+      chain.tokenCacheKey = _tokenCacheKey(chain.accessToken);
+      // A result validated while a revocation runs is not cached, see _saveTokenToCache()
+      chain.revocationGeneration = revocationGeneration;
+      // The store is checked with cache disabled (seconds = 0) too, it may hold
+      // a revoked entry from revokeCachedToken() or a security event
+      const cacheEnabled = ((config.tokenCacheSeconds > 0) || (config.negativeCacheSeconds > 0));
+      return config.tokenStore.get(chain.tokenCacheKey)
+        .catch((err) => {
+          // Cache store failure is handled as cache miss
+          config.logger.error('Token auth: token cache get error, ' + err.message);
+          return undefined;
+        })
+        .then((stored) => {
+          const found = ((stored) && ((cacheEnabled) || (stored.validatedBy === 'revoked')))
+            ? stored
+            : undefined;
+          if ((found) &&
+            // Token is "active" state from auth server
+            (found.introspect.active) &&
+            // Access-token not expired (unix time in seconds)
+            (found.introspect.exp > Math.floor(Date.now() / 1000)) &&
+            // Cache entry not expired (unix time in milliseconds)
+            (found.cacheExpires > Date.now()) &&
+            // Revocation sensitive routes only accept introspection results
+            ((!chain.options.introspect) || (found.validatedBy === 'introspect'))) {
+            // found, return authorization metadata
+            chain.introspect = found.introspect;
+            chain.introspectWasCached = true;
+            chain.validatedBy = found.validatedBy;
+            config.logger.debug('Token auth: access token found in token cache',
+              { fingerprint: _tokenFingerprint(chain.tokenCacheKey) });
+            _emitEvent('cacheHit', _eventDetails(chain, { negative: false }));
+            return chain;
+          } else if ((found) &&
+            // Stale entry, used only if auth server is unavailable
+            (found.introspect.active === true) &&
+            (found.introspect.exp > Math.floor(Date.now() / 1000)) &&
+            (found.cacheExpires + (config.staleIfErrorSeconds * 1000) > Date.now()) &&
+            ((!chain.options.introspect) || (found.validatedBy === 'introspect'))) {
+            chain.staleIntrospect = found.introspect;
+            chain.introspect = null;
+            _emitEvent('cacheMiss', _eventDetails(chain, { stale: true }));
+            return chain;
+          } else if ((found) &&
+            // Negative cache, token was reported not active by auth server
+            (found.introspect.active === false) &&
+            (found.cacheExpires > Date.now())) {
+            // Rejected in _checkTokenActive() without contacting auth server
+            chain.introspect = found.introspect;
+            chain.introspectWasCached = true;
+            _emitEvent('cacheHit', _eventDetails(chain, { negative: true }));
+            return chain;
+          } else {
+            // not found in cache, return null
+            chain.introspect = null;
+            config.logger.debug('Token auth: access token not found in token cache',
+              { fingerprint: _tokenFingerprint(chain.tokenCacheKey) });
+            if (cacheEnabled) _emitEvent('cacheMiss', _eventDetails(chain, { stale: false }));
+            return chain;
+          }
+        });
+    } else {
+      // access token not in chain, skip
+      chain.introspect = null;
+      return Promise.resolve(chain);
+    }
+  };
+
+  /**
+   * Send token to authorization server for validation returning token meta-data
+   * @param {Object} issuerConfig - Authorization server, see _parseIssuerOptions()
+   * @param {string} accessToken - Oauth 2.0 JWT access token
+   * @param {string} clientSecret - Client secret for this request
+   * @throws Throws error on fetch network request failure
+   * @returns {Promise} resolving to introspect response object.
+   */
+  const _fetchIntrospection = (issuerConfig, accessToken, clientSecret) => {
+    // Network request supervisory timer
+    const fetchController = new AbortController();
+    // Aborted by authShutdown(), also while the endpoint is discovered
+    inflightControllers.add(fetchController);
+    const aborted = new Promise((resolve, reject) => {
+      fetchController.signal.addEventListener('abort', () => {
+        const err = new Error('Fetch error, introspection aborted, ' + fetchController.signal.reason.message);
+        err.status = 503;
+        err.unavailable = true;
+        reject(err);
+      }, { once: true });
+    });
+    const endpointOrAbort = Promise.race([_introspectionEndpoint(issuerConfig), aborted]);
+    return endpointOrAbort.then((endpoint) => new Promise((resolve, reject) => {
+      // Send access token to authorization server for validation
+      //
+      // Authorization server introspect route
+      const fetchURL = endpoint.url;
+      const fetchOptions = {
+        method: 'POST',
+        redirect: 'error',
+        cache: 'no-store',
+        signal: fetchController.signal,
+        headers: {
+          Accept: 'application/json'
+        }
+      };
+      const requestParams = Object.create(null);
+      if (endpoint.authMethod === 'client_secret_post') {
+        requestParams.client_id = issuerConfig.clientId;
+        requestParams.client_secret = clientSecret;
+      } else {
+        const clientAuth = Buffer.from(issuerConfig.clientId + ':' +
+          clientSecret).toString('base64');
+        fetchOptions.headers.Authorization = 'Basic ' + clientAuth;
+      }
+      if (issuerConfig.introspectFormat === 'rfc7662') {
+        // RFC 7662 2.1 Introspection Request
+        fetchOptions.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        fetchOptions.body = new URLSearchParams(Object.assign({
+          token: accessToken,
+          token_type_hint: 'access_token'
+        }, requestParams)).toString();
+      } else {
+        fetchOptions.headers['Content-Type'] = 'application/json';
+        fetchOptions.body = JSON.stringify(Object.assign({ access_token: accessToken }, requestParams));
+      }
+      const fetchTimerId = setTimeout(() => fetchController.abort(), config.introspectTimeoutMs);
+      fetch(fetchURL, fetchOptions)
+        .then((response) => {
+          if (response.status === 200) {
+            return response.json();
+          } else {
+            // Retrieve error message from remote web server and pass to error handler
+            return response.text()
+              .then((remoteErrorText) => {
+                const err = new Error('HTTP status error');
+                err.status = response.status;
+                err.statusText = response.statusText;
+                err.remoteErrorText = remoteErrorText;
+                if (response.headers.get('WWW-Authenticate')) {
+                  err.oauthHeaderText = response.headers.get('WWW-Authenticate');
+                }
+                throw err;
+              });
+          }
+        })
+        .then((responseJson) => {
+          // console.log('responseJson ' + JSON.stringify(responseJson, null, 2));
+          if (fetchTimerId) clearTimeout(fetchTimerId);
+          inflightControllers.delete(fetchController);
+          // Return token meta-data. It's contents validated later in the chain.
+          resolve(responseJson);
+        })
+        .catch((err) => {
+          if (fetchTimerId) clearTimeout(fetchTimerId);
+          inflightControllers.delete(fetchController);
+          // Build generic error message to catch network errors
+          let message = ('Fetch error, ' + fetchOptions.method + ' ' + fetchURL + ', ' +
+            (err.message || err.toString() || 'HTTP Error'));
+          if (err.status) {
+            // Case of HTTP status error, build descriptive error message
+            message = ('HTTP status error, ') + err.status.toString() + ' ' +
+              err.statusText + ', ' + fetchOptions.method + ' ' + fetchURL;
+          }
+          if (err.remoteErrorText) {
+            message += ', ' + err.remoteErrorText;
+          }
+          if (err.oauthHeaderText) {
+            message += ', ' + err.oauthHeaderText;
+          }
+          const error = new Error(message);
+          if ((!err.status) || (err.status >= 500)) {
+            // Network error, timeout or server error, authorization server unavailable
+            error.status = 503;
+            error.unavailable = true;
+          } else {
+            error.status = 401;
+            // Detailed message includes auth server URL, not sent to client
+            error.publicMessage = 'Token validation failed';
+            // Client credentials rejected, another secret may be tried
+            error.invalidClient = ((err.status === 401) ||
+              ((err.status === 400) && (/invalid_client/.test(err.remoteErrorText || ''))));
+          }
+          reject(error);
+        });
+    }), (err) => {
+      // Endpoint discovery failed or aborted
+      inflightControllers.delete(fetchController);
+      throw err;
+    }); // new Promise()
+  };
+
+  /**
+   * Apply the authInit() claimMapper function
+   * @param {Object} introspect - Token meta-data, collab-auth introspection shape
+   * @param {Object} raw - Introspection response or JWT payload
+   * @returns {Object} Token meta-data
+   * @throws Will throw 500 error if claimMapper fails or does not return an object
+   */
+  const _applyClaimMapper = (introspect, raw) => {
+    if (config.claimMapper == null) return introspect;
+    let mapped = null;
+    try {
+      mapped = config.claimMapper(introspect, raw);
+    } catch (e) {
+      mapped = e;
+    }
+    if ((mapped == null) || (typeof mapped !== 'object') || (mapped instanceof Error)) {
+      const err = new Error('claimMapper error, ' + ((mapped instanceof Error)
+        ? mapped.message
+        : 'token meta-data object not returned'));
+      // Configuration error, details are logged, not sent to client
+      err.status = 500;
+      err.publicMessage = 'Token meta-data error';
+      throw err;
+    }
+    return mapped;
+  };
+
+  /**
+   * Convert introspection response to token meta-data
+   * In rfc7662 format, scope is space delimited, and sub, client_id and username
+   * are mapped to user and client properties.
+   * @param {Object} issuerConfig - Authorization server, see _parseIssuerOptions()
+   * @param {Object} response - Introspection response
+   * @returns {Object} Token meta-data, collab-auth introspection shape
+   */
+  const _mapIntrospectResponse = (issuerConfig, response) => {
+    let introspect = response;
+    if (issuerConfig.introspectFormat === 'rfc7662') {
+      if ((!(response == null)) && (response.active === true)) {
+        introspect = _claimsToIntrospect(response);
+        // client_id is optional in RFC 7662
+        if (introspect.client == null) introspect.client = { clientId: null };
+      } else {
+        introspect = { active: false };
+      }
+    }
+    return _applyClaimMapper(introspect, response);
+  };
+
+  /**
+   * Send token to authorization server, trying each client secret during rotation
+   * The secret last accepted is tried first, then the others in list order.
+   * @param {Object} issuerConfig - Authorization server, see _parseIssuerOptions()
+   * @param {string} accessToken - Oauth 2.0 JWT access token
+   * @returns {Promise} resolving to introspect response object.
+   */
+  const _fetchIntrospectionWithSecrets = (issuerConfig, accessToken) => {
+    const secrets = issuerConfig.clientSecrets;
+    const order = [issuerConfig.secretIndex].concat(secrets.map((secret, index) => index)
+      .filter((index) => (index !== issuerConfig.secretIndex)));
+    const _tryNext = (position) => {
+      const index = order[position];
+      return _fetchIntrospection(issuerConfig, accessToken, secrets[index])
+        .then((response) => {
+          if (index !== issuerConfig.secretIndex) {
+            issuerConfig.secretIndex = index;
+            config.logger.info('Token auth: client secret ' + (index + 1).toString() + ' of ' +
+              secrets.length.toString() + ' accepted by ' + issuerConfig.authURL);
+          }
+          return response;
+        }, (err) => {
+          if ((err.invalidClient) && (position + 1 < order.length)) return _tryNext(position + 1);
+          throw err;
+        });
+    };
+    return _tryNext(0);
+  };
+
+  /**
+   * Send token to authorization server, retry if the authorization server is unavailable
+   * Retry delay is exponential backoff with random jitter.
+   * @param {Object} issuerConfig - Authorization server, see _parseIssuerOptions()
+   * @param {string} accessToken - Oauth 2.0 JWT access token
+   * @param {number} attempt - Retry count, 0 for first request
+   * @returns {Promise} resolving to introspect response object.
+   */
+  const _fetchIntrospectionWithRetry = (issuerConfig, accessToken, attempt) => {
+    return _fetchIntrospectionWithSecrets(issuerConfig, accessToken)
+      .catch((err) => {
+        // No retry after authShutdown() or when authInit() replaced the issuer
+        if ((err.unavailable) && (attempt < config.introspectRetries) &&
+          (config.issuers.indexOf(issuerConfig) >= 0)) {
+          const delayMs = Math.random() * config.introspectRetryDelayMs * Math.pow(2, attempt);
+          return new Promise((resolve) => setTimeout(resolve, delayMs))
+            .then(() => _fetchIntrospectionWithRetry(issuerConfig, accessToken, attempt + 1));
+        }
+        throw err;
+      });
+  };
+
+  /**
+   * Send token to authorization server for validation returning token meta-data
+   * Concurrent requests presenting the same token share one introspection request.
+   * While the circuit breaker is open, requests fail without a network request.
+   * If the authorization server is unavailable, a recently expired cache entry
+   * may be used, limited by staleIfErrorSeconds.
+   * @param {Object} chain - chain object passes access token and metadata
+   * @param {Object} chain.options argument to requireAccessToken(options) authorization
+   * @param {string|string[]} chain.options.scope - Token scope restrictions
+   * @param {string} chain.accessToken - Oauth 2.0 JWT access token
+   * @param {Object} chain.introspect - Decoded token metadata
+   * @returns {Promise} resolving to chain object.
+   */
+  const _introspectToken = (chain) => {
+    const key = chain.tokenCacheKey;
+    const breaker = chain.issuer.breaker;
+    let pending = inflightIntrospections.get(key);
+    if (pending == null) {
+      if (breaker.allowRequest()) {
+        const fetchStartTime = Date.now();
+        pending = _fetchIntrospectionWithRetry(chain.issuer, chain.accessToken, 0)
+          .then((response) => _mapIntrospectResponse(chain.issuer, response))
+          .then((introspect) => {
+            breaker.success();
+            _emitEvent('introspectSuccess', {
+              fingerprint: _tokenFingerprint(key),
+              clientId: _introspectClientId(introspect),
+              userId: _introspectUserId(introspect),
+              durationMs: Date.now() - fetchStartTime,
+              active: ((!(introspect == null)) && (introspect.active === true))
+            });
+            return introspect;
+          }, (err) => {
+            // A 4xx response shows the authorization server is reachable
+            if (err.unavailable) {
+              breaker.failure();
+            } else {
+              breaker.success();
+            }
+            _emitEvent('introspectFailure', {
+              fingerprint: _tokenFingerprint(key),
+              clientId: null,
+              userId: null,
+              durationMs: Date.now() - fetchStartTime,
+              status: err.status,
+              reason: err.message
+            });
+            throw err;
+          })
+          .finally(() => inflightIntrospections.delete(key));
+        inflightIntrospections.set(key, pending);
+      } else {
+        const err = new Error('Authorization server unavailable, circuit breaker open');
+        err.status = 503;
+        err.unavailable = true;
+        err.retryAfter = breaker.retryAfterSeconds();
+        pending = Promise.reject(err);
+      }
+    }
+    return pending.then((introspect) => {
+      // Save token meta-data. It's contents validated in the next function call.
+      chain.introspect = introspect;
+      chain.validatedBy = 'introspect';
+      return chain;
+    }, (err) => {
+      if ((err.unavailable) && (!(chain.staleIntrospect == null))) {
+        // Authorization server down, continue to trust recently cached token
+        config.logger.warn('Token auth: ' + err.message + ', using stale cached token');
+        chain.introspect = chain.staleIntrospect;
+        chain.introspectWasCached = true;
+        chain.validatedBy = 'introspect';
+        return chain;
+      }
+      throw err;
+    });
+  };
+
+  /**
+   * Verify JWT access token locally using public key from authorization server JWKS
+   * @param {Object} chain - chain object passes access token and metadata
+   * @param {Object} chain.options argument to requireAccessToken(options) authorization
+   * @param {string} chain.accessToken - Oauth 2.0 JWT access token
+   * @param {Object} chain.introspect - Decoded token metadata
+   * @returns {Promise} resolving to chain object, or reject with 401 error
+   */
+  const _verifyJwtLocally = (chain) => {
+    let decoded = null;
+    try {
+      decoded = decodeJwt(chain.accessToken);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    return chain.issuer.jwksClient.getKey(decoded.header)
+      .then((keyObject) => {
+        if (!verifyJwtSignature(decoded, keyObject)) {
+          const err = new Error('JWT signature verification failed');
+          err.status = 401;
+          throw err;
+        }
+        validateJwtClaims(decoded.payload, {
+          issuer: chain.issuer.issuer,
+          audience: config.tokenAudience,
+          clockSkewSeconds: config.clockSkewSeconds
+        });
+        chain.introspect = _applyClaimMapper(_claimsToIntrospect(decoded.payload), decoded.payload);
+        chain.validatedBy = 'jwt';
+        return chain;
+      });
+  };
+
+  /**
+   * Validate token, returning token meta-data
+   * If a trusted token exists in the cache, the token is trusted implicitly
+   * without sending the token to the authorization server.
+   * Depending on validationMode, the token is sent to the authorization server
+   * introspect route (introspect), verified locally by signature (jwt), or
+   * verified locally with fallback to introspection (hybrid) for unknown signing keys.
+   * Routes with option { introspect: true } are always sent to the authorization server.
+   * @param {Object} chain - chain object passes access token and metadata
+   * @param {Object} chain.options argument to requireAccessToken(options) authorization
+   * @param {string|string[]} chain.options.scope - Token scope restrictions
+   * @param {string} chain.accessToken - Oauth 2.0 JWT access token
+   * @param {Object} chain.introspect - Decoded token metadata
+   * @returns {Promise} resolving to chain object.
+   */
+  const _validateToken = (chain) => {
+    // console.log(JSON.stringify(chain, null, 2));
+    // Unexpired tokens in cache are assumed to be valid.
+    // Check for cached token, if valid token from cache, return it.
+    if ((!(chain == null)) &&
+      (Object.hasOwn(chain, 'accessToken')) &&
+      (!(chain.accessToken == null)) && (chain.accessToken.length > 0) &&
+      (Object.hasOwn(chain, 'introspectWasCached')) && (chain.introspectWasCached === true) &&
+      (Object.hasOwn(chain, 'introspect')) &&
+      (Object.hasOwn(chain.introspect, 'active'))) {
+      // console.log('validate cached, skipping fetch');
+      // Cached tokens that are not expired are trusted implicitly,
+      // cached inactive tokens are rejected by _checkTokenActive()
+      return Promise.resolve(chain);
+    } else if (chain.options.introspect) {
+      // Revocation sensitive route, send access token to authorization server
+      return _introspectToken(chain);
+    } else if (config.validationMode === 'jwt') {
+      return _verifyJwtLocally(chain);
+    } else if (config.validationMode === 'hybrid') {
+      return _verifyJwtLocally(chain)
+        .catch((err) => {
+          if ((err.code === 'ERR_JWKS_NO_MATCHING_KEY') || (err.code === 'ERR_JWKS_FETCH')) {
+            // Key not available locally, let authorization server decide
+            return _introspectToken(chain);
+          }
+          throw err;
+        });
+    } else {
+      // Else, not cached, send access token to authorization server for validation
+      return _introspectToken(chain);
+    }
+  };
+
+  /**
+   * Negative cache, remember tokens reported as not active by the authorization server,
+   * so that repeated requests with the same token are rejected without a network request.
+   * @param {Object} chain - chain object passes access token and metadata
+   * @param {string} chain.accessToken - Oauth 2.0 JWT access token
+   * @param {Object} chain.introspect - Decoded token metadata
+   * @returns {Promise} Resolved with chain object
+   */
+  const _saveInactiveTokenToCache = (chain) => {
+    if ((config.negativeCacheSeconds > 0) &&
+      (chain.validatedBy === 'introspect') &&
+      (!Object.hasOwn(chain, 'introspectWasCached')) &&
+      (!(chain.introspect == null)) &&
+      (chain.introspect.active !== true)) {
+      const entry = {
+        introspect: { active: false },
+        validatedBy: 'introspect',
+        // Time as unix time in milliseconds
+        cacheExpires: Date.now() + (config.negativeCacheSeconds * 1000)
+      };
+      return config.tokenStore.set(chain.tokenCacheKey, entry, config.negativeCacheSeconds)
+        .catch((err) => {
+          config.logger.error('Token auth: token cache set error, ' + err.message);
+        })
+        .then(() => chain);
+    } else {
+      return Promise.resolve(chain);
+    }
+  };
+
+  /**
+   * Reject locally verified tokens that are revoked, or of a revoked user or client.
+   * revokeCachedToken() saves a revoked marker of the token until it expires.
+   * purgeCacheByUser() and purgeCacheByClient() save a revoked marker. Tokens issued
+   * at or before the marker are rejected until maxTokenLifetimeSeconds has passed.
+   * Markers are kept in revocationStore, they are not evicted with cached tokens.
+   * Introspection results are current, they are not checked.
+   * @param {Object} chain - chain object passes access token and metadata
+   * @param {Object} chain.introspect - Decoded token metadata
+   * @returns {Promise} Resolved with chain object, or reject with 401 error
+   */
+  const _checkRevokedSubject = (chain) => {
+    if (chain.validatedBy !== 'jwt') return Promise.resolve(chain);
+    const lookups = [];
+    const userId = _introspectUserId(chain.introspect);
+    const clientId = _introspectClientId(chain.introspect);
+    lookups.push(config.revocationStore.get(_revokedMarkerKey('token', chain.tokenCacheKey)));
+    if (userId) lookups.push(config.revocationStore.get(_revokedMarkerKey('user', userId)));
+    if (clientId) lookups.push(config.revocationStore.get(_revokedMarkerKey('client', clientId)));
+    return Promise.all(lookups)
+      .catch((err) => {
+        // Cache store failure is handled as cache miss
+        config.logger.error('Token auth: revocation store get error, ' + err.message);
+        return [];
+      })
+      .then((markers) => {
+        const issuedAt = (typeof chain.introspect.iat === 'number') ? chain.introspect.iat : 0;
+        const revoked = markers.some((marker) => {
+          return ((marker) && (marker.validatedBy === 'revoked') &&
+            (marker.cacheExpires > Date.now()) && (issuedAt <= marker.revokedAt));
+        });
+        if (revoked) {
+          const err = new Error('Access token revoked');
+          err.status = 401;
+          throw err;
+        }
+        return chain;
+      });
+  };
+
+  /**
+   * Check token meta-data claims against authInit() configuration.
+   * Introspection results are not checked by the authorization server
+   * for the intended resource server, so aud, iss, client and time claims
+   * are checked here. Each check has a different error message.
+   * @param {Object} chain - chain object passes access token and metadata
+   * @param {Object} chain.introspect - Decoded token metadata, active token
+   * @returns {Promise} Resolved with chain object, or reject with 401 error
+   */
+  const _checkTokenClaims = (chain) => {
+    const introspect = chain.introspect;
+    const now = Math.floor(Date.now() / 1000);
+    const _claimError = (message, code) => {
+      const err = new Error(message);
+      err.status = 401;
+      err.code = code;
+      return Promise.reject(err);
+    };
+    if (!(config.tokenAudience == null)) {
+      const expected = (Array.isArray(config.tokenAudience)) ? config.tokenAudience : [config.tokenAudience];
+      const actual = (Array.isArray(introspect.aud)) ? introspect.aud : [introspect.aud];
+      if (!actual.some((aud) => (expected.indexOf(aud) >= 0))) {
+        return _claimError('Token audience not accepted', 'ERR_TOKEN_AUDIENCE');
+      }
+    }
+    // iss is optional in introspection responses (RFC 7662), checked when present
+    if ((!(chain.issuer.issuer == null)) && (Object.hasOwn(introspect, 'iss')) &&
+      (introspect.iss !== chain.issuer.issuer)) {
+      return _claimError('Token issuer mismatch', 'ERR_TOKEN_ISSUER');
+    }
+    const clientId = _introspectClientId(introspect);
+    if (config.deniedClients.indexOf(clientId) >= 0) {
+      return _claimError('Token client denied', 'ERR_TOKEN_CLIENT');
+    }
+    if ((!(config.allowedClients == null)) && (config.allowedClients.indexOf(clientId) < 0)) {
+      return _claimError('Token client not allowed', 'ERR_TOKEN_CLIENT');
+    }
+    // token_type is only returned by introspection
+    if ((!(config.requiredTokenType == null)) && (chain.validatedBy !== 'jwt') &&
+      ((typeof introspect.token_type !== 'string') ||
+      (introspect.token_type.toLowerCase() !== config.requiredTokenType.toLowerCase()))) {
+      return _claimError('Token type not accepted', 'ERR_TOKEN_TYPE');
+    }
+    if ((Object.hasOwn(introspect, 'nbf')) &&
+      ((typeof introspect.nbf !== 'number') || (introspect.nbf - config.clockSkewSeconds > now))) {
+      return _claimError('Token not yet valid', 'ERR_TOKEN_NBF');
+    }
+    if ((Object.hasOwn(introspect, 'iat')) &&
+      ((typeof introspect.iat !== 'number') || (introspect.iat - config.clockSkewSeconds > now))) {
+      return _claimError('Token issued in the future', 'ERR_TOKEN_IAT');
+    }
+    return Promise.resolve(chain);
+  };
+
+  /**
+   * Parse authInit() dpop property
+   * @param {boolean|Object} dpopOptions - true, false, or options object
+   * @param {number} clockSkewSeconds - Allowed clock difference of the new configuration
+   * @returns {Object} DPoP configuration, or null if disabled
+   * @throws Will throw error for invalid options
+   */
+  const _parseDpopOptions = (dpopOptions, clockSkewSeconds) => {
+    if ((dpopOptions == null) || (dpopOptions === false)) return null;
+    const opts = (dpopOptions === true) ? {} : dpopOptions;
+    if (typeof opts !== 'object') throw new Error('token-check, invalid dpop in options');
+    if ((Object.hasOwn(opts, 'algorithms')) &&
+      ((!_isStringList(opts.algorithms)) ||
+      (!opts.algorithms.every((alg) => (jwsAlgorithmNames.indexOf(alg) >= 0))))) {
+      throw new Error('token-check, invalid dpop.algorithms in options');
+    }
+    if ((Object.hasOwn(opts, 'replayStore')) &&
+      ((!_isTokenStore(opts.replayStore)) || (typeof opts.replayStore.add !== 'function'))) {
+      throw new Error('token-check, invalid dpop.replayStore in options');
+    }
+    let baseURL = null;
+    if (Object.hasOwn(opts, 'baseURL')) {
+      try {
+        baseURL = new URL(opts.baseURL).origin;
+      } catch (e) {
+        throw new Error('token-check, invalid dpop.baseURL in options');
+      }
+    }
+    if ((Object.hasOwn(opts, 'trustProxy')) && (typeof opts.trustProxy !== 'boolean')) {
+      throw new Error('token-check, invalid dpop.trustProxy in options');
+    }
+    // The Host header is chosen by the client, unless set by a trusted proxy
+    if ((baseURL == null) && (opts.trustProxy !== true)) {
+      throw new Error('token-check, dpop requires baseURL or trustProxy in options');
+    }
+    const algorithms = opts.algorithms || ['ES256', 'ES384', 'ES512', 'PS256', 'RS256', 'EdDSA'];
+    const verifierSettings = JSON.stringify([opts.maxAgeSeconds, clockSkewSeconds, algorithms]);
+    const replayStore = opts.replayStore || null;
+    let verifier = null;
+    if ((config.dpop) && (config.dpop.verifierSettings === verifierSettings) &&
+      (config.dpop.replayStore === replayStore)) {
+      // Same options, the default in memory replay store keeps used proof jti values
+      verifier = config.dpop.verifier;
+    } else {
+      verifier = createDpopVerifier({
+        maxAgeSeconds: opts.maxAgeSeconds,
+        clockSkewSeconds,
+        algorithms,
+        replayStore: opts.replayStore
+      });
+    }
+    return {
+      verifier,
+      verifierSettings,
+      replayStore,
+      algorithms,
+      baseURL,
+      trustProxy: (opts.trustProxy === true)
+    };
   };
-};
 
-/**
- * Utility to match arbitrary scope using request object
- * @example
- * // Compare scope, requireAccessToken() called previously
- * if (matchScope(req, 'api.admin')) {
- *   // case of scope match, do some custom stuff
- * }
- * @param   {string|string[]} requiredScope - Scope values that will be accepted
- * @throws Throws error on missing argument
- * @returns {boolean} return true if scope in list, otherwise return false
- */
-exports.matchScope = (req, requiredScope) => {
-  if ((requiredScope == null) ||
-    ((typeof requiredScope !== 'string') &&
-    (!Array.isArray(requiredScope)))) {
-    throw new Error('matchScope requires string or array');
-  }
-  if (typeof requiredScope === 'string') {
-    requiredScope = [requiredScope];
-  }
-  let scopeFound = false;
-  if ((Object.hasOwn(req, 'locals')) &&
-    (Object.hasOwn(req.locals, 'tokenScope')) &&
-    (Array.isArray(req.locals.tokenScope))) {
-    requiredScope.forEach((scopeString) => {
-      if (req.locals.tokenScope.indexOf(scopeString) >= 0) scopeFound = true;
+  /**
+   * Parse authInit() mtls property
+   * @param {boolean|Object} mtlsOptions - true, false, or options object
+   * @returns {Object} Certificate binding configuration, or null if disabled
+   * @throws Will throw error for invalid options
+   */
+  const _parseMtlsOptions = (mtlsOptions) => {
+    if ((mtlsOptions == null) || (mtlsOptions === false)) return null;
+    const opts = (mtlsOptions === true) ? {} : mtlsOptions;
+    if ((typeof opts !== 'object') ||
+      ((Object.hasOwn(opts, 'getCertificate')) && (typeof opts.getCertificate !== 'function'))) {
+      throw new Error('token-check, invalid mtls in options');
+    }
+    return {
+      // Default, certificate from TLS connection of node https server
+      getCertificate: opts.getCertificate || ((req) => {
+        if ((req.socket) && (typeof req.socket.getPeerCertificate === 'function')) {
+          return req.socket.getPeerCertificate();
+        }
+        return null;
+      })
+    };
+  };
+
+  /**
+   * Absolute request URL for the DPoP proof htu claim.
+   * The origin is dpop.baseURL, or with dpop.trustProxy, the request Host header and protocol.
+   * @param {Object} req - Node request object, req.url may be absolute for verifyRequest()
+   * @returns {string} URL
+   */
+  const _requestUrl = (req) => {
+    let path = req.originalUrl || req.url || '/';
+    let origin = null;
+    if (_isAbsoluteUrl(path)) {
+      const absolute = new URL(path);
+      origin = absolute.origin;
+      path = absolute.pathname + absolute.search;
+    }
+    if (!(config.dpop.baseURL == null)) return config.dpop.baseURL + path;
+    if (!(origin == null)) return origin + path;
+    // Express req.protocol respects the trust proxy setting
+    const protocol = req.protocol ||
+      (((req.socket) && (req.socket.encrypted)) ? 'https' : 'http');
+    return protocol + '://' + req.headers.host + path;
+  };
+
+  /**
+   * Check sender-constrained token binding.
+   * DPoP (RFC 9449): Token cnf.jkt must match the key of a valid DPoP proof.
+   * Mutual TLS (RFC 8705): Token cnf["x5t#S256"] must match the client certificate.
+   * Each check is enabled by authInit() dpop and mtls properties.
+   * @param {Object} req - Node request object
+   * @param {Object} chain - chain object passes access token and metadata
+   * @param {Object} chain.introspect - Decoded token metadata, active token
+   * @param {string} chain.tokenScheme - 'Bearer' or 'DPoP'
+   * @returns {Promise} Resolved with chain object, or reject with 401 error
+   */
+  const _checkTokenBinding = (req, chain) => {
+    const cnf = chain.introspect.cnf;
+    const jkt = ((!(cnf == null)) && (typeof cnf.jkt === 'string')) ? cnf.jkt : null;
+    const x5t = ((!(cnf == null)) && (typeof cnf['x5t#S256'] === 'string')) ? cnf['x5t#S256'] : null;
+    const _bindingError = (message, oauthError) => {
+      const err = new Error(message);
+      err.status = 401;
+      err.oauthError = oauthError;
+      if (config.dpop) err.authScheme = 'DPoP';
+      return Promise.reject(err);
+    };
+    let pending = Promise.resolve(chain);
+    if (chain.tokenScheme === 'DPoP') {
+      if (jkt == null) return _bindingError('DPoP scheme used with token not bound to a key', 'invalid_token');
+      if (typeof req.headers.dpop !== 'string') {
+        return _bindingError('DPoP proof missing or more than one', 'invalid_dpop_proof');
+      }
+      if ((typeof req.method !== 'string') || (typeof req.url !== 'string')) {
+        // Configuration error, not the client
+        const err = new Error('DPoP proof requires request method and url, see verifyRequest() options');
+        err.status = 500;
+        return Promise.reject(err);
+      }
+      pending = config.dpop.verifier.verifyProof(req.headers.dpop, {
+        method: req.method,
+        url: _requestUrl(req),
+        accessToken: chain.accessToken
+      })
+        .then((proof) => {
+          if (proof.jkt !== jkt) {
+            const err = new Error('DPoP proof key does not match token binding');
+            err.status = 401;
+            err.oauthError = 'invalid_token';
+            err.authScheme = 'DPoP';
+            throw err;
+          }
+          chain.tokenBinding = 'dpop';
+          return chain;
+        });
+    } else if ((!(config.dpop == null)) && (!(jkt == null))) {
+      // RFC 9449 7.2, DPoP bound token presented as bearer token
+      return _bindingError('DPoP bound token requires DPoP authorization', 'invalid_token');
+    }
+    return pending.then(() => {
+      if ((!(config.mtls == null)) && (!(x5t == null))) {
+        if (certificateThumbprint(config.mtls.getCertificate(req)) !== x5t) {
+          return _bindingError('Client certificate does not match token binding', 'invalid_token');
+        }
+        if (chain.tokenBinding == null) chain.tokenBinding = 'mtls';
+      }
+      if ((chain.options.senderConstrained) && (chain.tokenBinding == null)) {
+        return _bindingError('Sender-constrained token required', 'invalid_token');
+      }
+      return chain;
     });
-  } else {
-    throw new Error('Error, Scope not found in request object');
-  }
-  // return result as boolean
-  return scopeFound;
+  };
+
+  /**
+   * Cache token meta-data to service future requests
+   * Not saved if a revocation, purge or clear ran while the token was validated.
+   * @param {Object} chain - chain object passes access token and metadata
+   * @param {Object} chain.options argument to requireAccessToken(options) authorization
+   * @param {string|string[]} chain.options.scope - Token scope restrictions
+   * @param {string} chain.accessToken - Oauth 2.0 JWT access token
+   * @param {Object} chain.introspect - Decoded token metadata
+   * @returns {Promise} Resolved with chain object
+   */
+  const _saveTokenToCache = (chain) => {
+    // If cache enabled (second != 0), and token not previously cached.
+    if (config.tokenCacheSeconds > 0) {
+      if ((!(chain == null)) &&
+        (Object.hasOwn(chain, 'accessToken')) && (!(chain.accessToken == null)) &&
+        (Object.hasOwn(chain, 'introspect')) && (!(chain.introspect == null)) &&
+        ((!Object.hasOwn(chain, 'introspectWasCached')))) {
+        config.logger.debug('Token auth: saving token to token cache',
+          { fingerprint: _tokenFingerprint(chain.tokenCacheKey) });
+        const cacheExpires = Date.now() + (config.tokenCacheSeconds * 1000);
+        // Store entry is discarded at cache expiration or token expiration, whichever is first.
+        // The stale-if-error window extends the time the store keeps the entry.
+        let ttlSeconds = config.tokenCacheSeconds + config.staleIfErrorSeconds;
+        if (typeof chain.introspect.exp === 'number') {
+          ttlSeconds = Math.min(ttlSeconds, chain.introspect.exp - Math.floor(Date.now() / 1000));
+        }
+        if (ttlSeconds <= 0) return Promise.resolve(chain);
+        if (chain.revocationGeneration !== revocationGeneration) {
+          // Revoked or purged since the token was looked up, the entry may replace a revoked entry
+          config.logger.debug('Token auth: token cache revoked during validation, not saved',
+            { fingerprint: _tokenFingerprint(chain.tokenCacheKey) });
+          return Promise.resolve(chain);
+        }
+        const entry = {
+          introspect: chain.introspect,
+          validatedBy: chain.validatedBy,
+          // Time as unix time in milliseconds
+          cacheExpires
+        };
+        return config.tokenStore.set(chain.tokenCacheKey, entry, ttlSeconds)
+          .catch((err) => {
+            // Token was validated, cache store failure is not an authorization failure
+            config.logger.error('Token auth: token cache set error, ' + err.message);
+          })
+          .then(() => chain);
+      } else {
+        // case of cached, skipping
+        return Promise.resolve(chain);
+      }
+    } else {
+      // case of cache disabled
+      return Promise.resolve(chain);
+    }
+  };
+
+  /**
+   * Normalize error for the response, adding err.status, err.oauthError,
+   * err.publicMessage and err.headers.
+   * Errors without status become 500. For 500 and 503 errors without publicMessage,
+   * err.message is replaced by a generic message.
+   * @param {Error} err - Error with status, optional oauthError and requiredScope
+   * @returns {Error} Same error object
+   */
+  const _prepareAuthError = (err) => {
+    // Two choices, 401 or 403, malformed request 400, rate limit 429, or server errors 500 and 503
+    const status = _errorStatus(err);
+    // Server error messages may include internal details, they are logged, not sent
+    let message = err.publicMessage ||
+      ((status >= 500) ? 'Internal server error' : err.message) || 'Token authentication error';
+    if (status === 503) message = 'Authorization server unavailable';
+    // limit to 1 line
+    message = message.split('\n')[0];
+    let oauthError = null;
+    if (status === 401) oauthError = 'invalid_token';
+    if (status === 403) oauthError = 'insufficient_scope';
+    if (Object.hasOwn(err, 'oauthError')) oauthError = err.oauthError;
+    const headers = {};
+    if ((status === 400) || (status === 401) || (status === 403)) {
+      headers['WWW-Authenticate'] =
+        _buildAuthenticateHeader(config.realm, oauthError, message, err.requiredScope,
+          err.authScheme, (config.dpop) ? config.dpop.algorithms : null);
+    }
+    if (((status === 429) || (status === 503)) && (err.retryAfter)) {
+      headers['Retry-After'] = err.retryAfter.toString();
+    }
+    err.status = status;
+    err.oauthError = oauthError;
+    err.publicMessage = message;
+    err.headers = headers;
+    return err;
+  };
+
+  /**
+   * Send authorization error response
+   * Adds RFC 6750 WWW-Authenticate header to 401 and 403 responses.
+   * Detailed error messages are logged by the caller. Messages that may contain
+   * internal details, such as the authorization server URL, are replaced
+   * by err.publicMessage in the response.
+   * If an onError handler is configured, the response is left to the handler,
+   * with err.status, err.oauthError and err.publicMessage set.
+   * @param {Error} err - Error with status, optional oauthError and requiredScope
+   * @param {Object} req - Node request object
+   * @param {Object} res - Node response object
+   * @param {Function} next - Express next function
+   */
+  const _sendAuthError = (err, req, res, next) => {
+    _prepareAuthError(err);
+    Object.keys(err.headers).forEach((name) => res.setHeader(name, err.headers[name]));
+    if (config.onError) {
+      return config.onError(err, req, res, next);
+    }
+    const body = _authErrorBody(err);
+    if (config.errorFormat === 'json') {
+      return res.status(err.status).json(body);
+    } else if (config.errorFormat === 'problem+json') {
+      res.setHeader('Content-Type', 'application/problem+json; charset=utf-8');
+      return res.status(err.status).send(JSON.stringify(body));
+    } else {
+      return res.status(err.status).send(body);
+    }
+  };
+
+  /**
+   * Error response body using the authInit() errorFormat
+   * @param {Error} err - Error from _prepareAuthError()
+   * @returns {string|Object} Message string for 'text', otherwise body object
+   */
+  const _authErrorBody = (err) => {
+    if (config.errorFormat === 'json') {
+      const body = Object.create(null);
+      body.error = err.oauthError;
+      if ((body.error == null) && (err.status === 503)) {
+        body.error = 'temporarily_unavailable';
+      } else if ((body.error == null) && (err.status === 500)) {
+        body.error = 'server_error';
+      } else if ((body.error == null) && (err.status === 429)) {
+        body.error = 'rate_limited';
+      } else if ((body.error == null) && (err.status === 403)) {
+        body.error = 'forbidden';
+      } else if (body.error == null) {
+        body.error = 'unauthorized';
+      }
+      body.error_description = err.publicMessage;
+      return body;
+    } else if (config.errorFormat === 'problem+json') {
+      // RFC 7807 Problem Details
+      const body = {
+        type: 'about:blank',
+        title: http.STATUS_CODES[err.status],
+        status: err.status,
+        detail: err.publicMessage
+      };
+      if (!(err.oauthError == null)) body.error = err.oauthError;
+      return body;
+    } else {
+      return err.publicMessage;
+    }
+  };
+
+  /**
+   * Serialize error response for framework adapters
+   * @param {Error} err - Error from _prepareAuthError()
+   * @returns {Object} { contentType, body } with body string
+   */
+  const _formatAuthError = (err) => {
+    const body = _authErrorBody(err);
+    if (config.errorFormat === 'json') {
+      return { contentType: 'application/json; charset=utf-8', body: JSON.stringify(body) };
+    } else if (config.errorFormat === 'problem+json') {
+      return { contentType: 'application/problem+json; charset=utf-8', body: JSON.stringify(body) };
+    } else {
+      return { contentType: 'text/plain; charset=utf-8', body };
+    }
+  };
+
+  /**
+   * Parse requireAccessToken() and authenticateUpgrade() options.
+   * Scope requirement and extractors are compiled once.
+   * @param {Object} options - Route options
+   * @returns {Object} Parsed options { scope, introspect, extractors, senderConstrained }
+   * @throws Throws error on malformed scope expression or invalid extractors
+   */
+  const _parseRouteOptions = (options) => {
+    const opt = Object.create(null);
+    if ((!(options == null)) && (Object.hasOwn(options, 'scope'))) {
+      // Empty string or empty array, no scope restriction
+      if ((!(options.scope == null)) && (options.scope.length !== 0)) {
+        opt.scope = compileScope(options.scope);
+      }
+    }
+    // Revocation sensitive route, always confirm token with authorization server
+    opt.introspect = ((!(options == null)) && (options.introspect === true));
+    // Route specific token extractors, otherwise authInit() extractors
+    if ((!(options == null)) && (Object.hasOwn(options, 'extractors'))) {
+      opt.extractors = compileExtractors(options.extractors);
+    }
+    // Reject bearer tokens, require DPoP or certificate bound token
+    opt.senderConstrained = ((!(options == null)) && (options.senderConstrained === true));
+    return opt;
+  };
+
+  /**
+   * Validate access token in request and add token information to req.locals
+   * @param {Object} req - Node request object
+   * @param {Object} res - Node response object, or null for upgrade requests
+   * @param {Object} opt - Parsed options from _parseRouteOptions()
+   * @param {Object} state - Receives state.chain for error reporting
+   * @returns {Promise} Resolved with chain object, or reject with error
+   */
+  const _authorizeRequest = (req, res, opt, state) => {
+    //
+    // Chain of asynchronous promises
+    //
+    return _initChainObject(opt)
+      .then((chain) => {
+        state.chain = chain;
+        return _extractTokenFromRequest(req, res, chain);
+      })
+      .then((chain) => _selectIssuer(chain))
+      .then((chain) => _findCachedToken(chain))
+      .then((chain) => _validateToken(chain))
+      .then((chain) => _saveInactiveTokenToCache(chain))
+      .then((chain) => _checkTokenActive(chain))
+      .then((chain) => _checkRevokedSubject(chain))
+      .then((chain) => _checkTokenClaims(chain))
+      .then((chain) => _saveTokenToCache(chain))
+      .then((chain) => _checkTokenBinding(req, chain))
+      .then((chain) => _addTokenScopeToReqObject(req, chain))
+      .then((chain) => _addUserIdToReqObject(req, chain))
+      .then((chain) => _addTokenInfoToReqObject(req, chain))
+      .then((chain) => {
+        // Token meta-data for requirePolicy() claims rules
+        tokenClaims.set(req.locals.token, chain.introspect);
+        tokenValidation.set(req.locals.token, {
+          validatedBy: chain.validatedBy || null,
+          cacheHit: (chain.introspectWasCached === true)
+        });
+        return chain;
+      })
+      .then((chain) => _restrictByScope(req, chain))
+      // .then((chain) => _debugShowChain(req, chain))
+      .then((chain) => {
+        metrics.record('tokenAccepted', null);
+        return chain;
+      });
+  };
+
+  /**
+   * Validate access token in request without sending a response.
+   * Denied requests are logged, and the error is prepared with status,
+   * publicMessage and headers.
+   * @param {Object} req - Node request object, or object with headers, method, url and body
+   * @param {Object} res - Object with setHeader(), or null
+   * @param {Object} opt - Parsed options from _parseRouteOptions()
+   * @returns {Promise} Resolved with chain object, or reject with prepared error
+   */
+  const _verifyRequest = (req, res, opt) => {
+    const state = Object.create(null);
+    return _authorizeRequest(req, res, opt, state)
+      .then((chain) => {
+        _auditDecision(req, _tokenDecision(chain, null));
+        return chain;
+      })
+      .catch((err) => {
+        _reportAuthError(err, state.chain);
+        _auditDecision(req, _tokenDecision(state.chain, err));
+        throw _prepareAuthError(err);
+      });
+  };
+
+  /** @type {Object} adapterHandlers - Token auth functions used by framework adapters */
+  const adapterHandlers = {
+    parseRouteOptions: (options) => _parseRouteOptions(options),
+    authorize: (req, res, opt) => _verifyRequest(req, res, opt).then(() => req.locals),
+    formatError: (err) => _formatAuthError(err),
+    log: (level, message) => config.logger[level](message)
+  };
+
+  /**
+   * Log denied request and emit tokenRejected or scopeDenied event
+   * @param {Error} err - Error with status
+   * @param {Object} chain - chain object, or undefined if not created
+   */
+  const _reportAuthError = (err, chain) => {
+    const message = err.message || err.toString() || 'Token authentication error';
+    const status = _errorStatus(err);
+    const details = _eventDetails(chain || {},
+      { status, error: _errorReason(err), reason: message });
+    if (status === 403) {
+      config.logger.warn('Token auth: ' + message, details);
+      _emitEvent('scopeDenied', details);
+    } else {
+      if (status >= 500) {
+        config.logger.error('Token auth: ' + message, details);
+      } else {
+        config.logger.warn('Token auth: ' + message, details);
+      }
+      _emitEvent('tokenRejected', details);
+    }
+  };
+
+  /**
+   * Audit decision of access token validation
+   * @param {Object} chain - chain object, or undefined if not created
+   * @param {Error} err - Error of denied request, null if allowed
+   * @returns {Object} Decision for _auditDecision()
+   */
+  const _tokenDecision = (chain, err) => {
+    return {
+      middleware: 'requireAccessToken',
+      allowed: (err == null),
+      reason: 'Access token accepted',
+      err,
+      chain: chain || null,
+      requiredScope: ((chain) && (chain.options) && (chain.options.scope))
+        ? chain.options.scope.scopes.slice()
+        : null
+    };
+  };
+
+  /**
+   * Middleware to enforce access token authorization
+   * @example
+   * // require access token on all subsequent routes
+   * app.use(requireAccessToken());
+   * @example
+   * // require access token and scope for specific route
+   * app.get('/somewhere', requireAccessToken({ scope: 'api.write' }), routeHandler)
+   * @example
+   * // revocation sensitive route, always check token with authorization server
+   * app.post('/password', requireAccessToken({ introspect: true }), routeHandler)
+   * @example
+   * // scope expression
+   * app.delete('/invoices/:id', requireAccessToken({ scope: 'api.write AND billing.admin' }), routeHandler)
+   * @param {Object} options
+   * @param {string|string[]|Object} options.scope - Scope restrictions, see src/scope.js
+   * @param {boolean} options.introspect - Bypass local JWT verification (jwt and hybrid modes)
+   * @param {Array} options.extractors - Route specific token locations, see src/extractors.js
+   * @param {boolean} options.senderConstrained - Require DPoP or certificate bound token
+   * @throws Throws error on malformed scope expression or invalid extractors
+   */
+  const requireAccessToken = (options) => {
+    // Options parsed once when route is defined
+    const opt = _parseRouteOptions(options);
+    return (req, res, next) => {
+      // Retained for logging and events after an error
+      const state = Object.create(null);
+      _authorizeRequest(req, res, opt, state)
+        .then((chain) => {
+          _auditDecision(req, _tokenDecision(chain, null));
+          return next();
+        })
+        .catch((err) => {
+          _reportAuthError(err, state.chain);
+          _auditDecision(req, _tokenDecision(state.chain, err));
+          return _sendAuthError(err, req, res, next);
+        })
+        .catch((err) => {
+          // onError hook failed, or response could not be sent
+          return next(err);
+        });
+    };
+  };
+
+  /**
+   * Middleware to enforce route specific token scope restrictions
+   * @param   {string|string[]|Object} requiredScope - Scope values or expression that will be accepted
+   * Scope value comes from middleware requireScopeForApiRoute(['api.write']).
+   * @example
+   * // Require scope for route (requireAccessToken() called previously)
+   * app.get('/v1, requireAccessToken(), ... )
+   * // requireScopeForApiRoute uses tokens scope extracted in requireAccessToken()
+   * router.get('/v1/someRoute',
+   *   requireScopeForApiRoute(['api.read', 'api.write', 'api.admin']),
+   *   validations.list, controller.list);
+   * router.post('/v1/invoices', requireScopeForApiRoute({ allOf: ['api.write', 'billing.read'] }),
+   *   controller.create);
+   * @throws Throws error on missing argument or malformed scope expression
+   **/
+  const requireScopeForApiRoute = (requiredScope) => {
+    if ((requiredScope == null) ||
+      ((typeof requiredScope !== 'string') &&
+      (typeof requiredScope !== 'object'))) {
+      throw new Error('requireScopeForWebPanel requires string, array or object');
+    }
+    // Compiled once, when the route is defined
+    const compiledScope = compileScope(requiredScope);
+    // Return Express middleware function.
+    return (req, res, next) => {
+      if ((Object.hasOwn(req, 'locals')) &&
+        (Object.hasOwn(req.locals, 'tokenScope')) &&
+        (Array.isArray(req.locals.tokenScope))) {
+        const decision = {
+          middleware: 'requireScopeForApiRoute',
+          allowed: true,
+          reason: 'Token scope accepted',
+          requiredScope: compiledScope.scopes.slice()
+        };
+        if (compiledScope.test(req.locals.tokenScope, config.scopeHierarchy)) {
+          _auditDecision(req, decision);
+          return next();
+        } else {
+          const message = 'Token scope: Forbidden, Access token insufficient scope';
+          const token = req.locals.token || {};
+          const details = {
+            fingerprint: token.fingerprint || null,
+            clientId: token.clientId || null,
+            userId: ((req.locals.user) && (req.locals.user.id)) || null,
+            durationMs: 0,
+            status: 403,
+            error: 'insufficient_scope',
+            reason: message
+          };
+          config.logger.warn(message, details);
+          _emitEvent('scopeDenied', details);
+          const err = new Error(message);
+          err.status = 403;
+          err.oauthError = 'insufficient_scope';
+          err.requiredScope = compiledScope.scopes;
+          _auditDecision(req, Object.assign(decision, { allowed: false, err }));
+          return _sendAuthError(err, req, res, next);
+        }
+      } else {
+        const err = new Error('Error, Tokens scope not found in request object');
+        return next(err);
+      }
+    };
+  };
+
+  /**
+   * Build policy evaluation context from request object
+   * @param {Object} req - Node request object, after requireAccessToken()
+   * @returns {Object} Context for compiled policy evaluate(), or null if no token data
+   */
+  const _policyContext = (req) => {
+    if ((!Object.hasOwn(req, 'locals')) || (req.locals == null) ||
+      (!Array.isArray(req.locals.tokenScope))) {
+      return null;
+    }
+    const token = req.locals.token || null;
+    return {
+      scope: req.locals.tokenScope,
+      hierarchy: config.scopeHierarchy,
+      userId: ((req.locals.user) && (req.locals.user.id)) || null,
+      params: req.params || null,
+      claims: ((token) && (tokenClaims.get(token))) || null
+    };
+  };
+
+  /**
+   * Middleware to enforce an authorization policy, after requireAccessToken()
+   * Policies combine scope requirements, resource ownership and token meta-data claims.
+   * The 403 response describes the rule that failed.
+   * @example
+   * // Admin, or the user named in the route
+   * app.get('/users/:userId', requireAccessToken(), requirePolicy({
+   *   anyOf: [{ scope: 'api.admin' }, { ownerParam: 'userId' }],
+   *   claims: { 'client.clientId': ['web-app'] }
+   * }), routeHandler);
+   * @param {Object} policy - Policy object, see policy.js
+   * @returns {Function} Express middleware function
+   * @throws Will throw error for malformed policy
+   */
+  const requirePolicy = (policy) => {
+    // Compiled once, when the route is defined
+    const compiledPolicy = compilePolicy(policy);
+    return (req, res, next) => {
+      const context = _policyContext(req);
+      if (context == null) {
+        return next(new Error('Error, Tokens scope not found in request object'));
+      }
+      const result = compiledPolicy.evaluate(context);
+      if (result.allowed) {
+        _auditDecision(req, { middleware: 'requirePolicy', allowed: true, reason: 'Policy allowed' });
+        return next();
+      }
+      const message = 'Forbidden, policy denied, ' + result.reason;
+      const token = req.locals.token || {};
+      const details = {
+        fingerprint: token.fingerprint || null,
+        clientId: token.clientId || null,
+        userId: context.userId,
+        durationMs: 0,
+        status: 403,
+        error: (result.scopes) ? 'insufficient_scope' : 'policy_denied',
+        reason: message
+      };
+      config.logger.warn('Token auth: ' + message, details);
+      _emitEvent('scopeDenied', details);
+      const err = new Error(message);
+      err.status = 403;
+      if (result.scopes) {
+        err.oauthError = 'insufficient_scope';
+        err.requiredScope = result.scopes;
+      } else {
+        // Not a scope problem, no RFC 6750 error code
+        err.oauthError = null;
+      }
+      _auditDecision(req, {
+        middleware: 'requirePolicy', allowed: false, err, error: details.error, requiredScope: result.scopes
+      });
+      return _sendAuthError(err, req, res, next);
+    };
+  };
+
+  /**
+   * Utility to evaluate a policy using request object
+   * @example
+   * if (can(req, { anyOf: [{ scope: 'api.admin' }, { ownerParam: 'userId' }] })) {
+   *   // case of policy match, do some custom stuff
+   * }
+   * @param {Object} req - Node request object, after requireAccessToken()
+   * @param {Object} policy - Policy object, or compiled policy
+   * @returns {boolean} True if policy allows the request
+   * @throws Will throw error for malformed policy, or missing token data
+   */
+  const can = (req, policy) => {
+    const compiledPolicy = compilePolicy(policy);
+    const context = _policyContext(req);
+    if (context == null) {
+      throw new Error('Error, Scope not found in request object');
+    }
+    return compiledPolicy.evaluate(context).allowed;
+  };
+
+  /**
+   * Middleware to enforce OpenAPI 3 security requirement scopes, after requireAccessToken()
+   * The request method and path are matched to a documented operation.
+   * Requests for undocumented operations are denied (fail closed).
+   * Operations without a security requirement are written to the log as a warning
+   * when the middleware is created, and listed in the middleware report property.
+   * @example
+   * const apiSpec = require('./openapi.json');
+   * app.use('/v1', requireAccessToken(), scopesFromOpenApi(apiSpec));
+   * @param {Object} spec - OpenAPI 3 document, parsed JSON or YAML
+   * @param {Object} [options]
+   * @param {string} [options.basePath] - Path prefix of the operations, default path of servers[0].url
+   * @param {boolean} [options.reportUnsecured] - Log operations without security, default true
+   * @returns {Function} Express middleware function, with report { operations, unsecured }
+   * @throws Will throw error for unsupported OpenAPI document
+   */
+  const scopesFromOpenApi = (spec, options) => {
+    const opts = options || {};
+    // Compiled once, when the route is defined
+    const api = compileOpenApi(spec, opts);
+    if ((opts.reportUnsecured !== false) && (api.unsecured.length > 0)) {
+      config.logger.warn('Token auth: OpenAPI operations without security requirement, ' +
+        api.unsecured.join(', '));
+    }
+    const middleware = (req, res, next) => {
+      // Express mounted routers remove the mount path from req.url
+      const path = (req.originalUrl || req.url || '/').split('?')[0];
+      const operation = api.match(req.method, path);
+      if ((operation) && (operation.public)) {
+        _auditDecision(req, {
+          middleware: 'scopesFromOpenApi',
+          allowed: true,
+          reason: 'Operation ' + operation.name + ' without security requirement'
+        });
+        return next();
+      }
+      if ((!Object.hasOwn(req, 'locals')) || (req.locals == null) ||
+        (!Array.isArray(req.locals.tokenScope))) {
+        return next(new Error('Error, Tokens scope not found in request object'));
+      }
+      let message = null;
+      let result = null;
+      if (operation == null) {
+        message = 'Forbidden, operation not documented';
+      } else {
+        result = checkOperationScope(operation, req.locals.tokenScope, config.scopeHierarchy);
+        if (result.allowed) {
+          _auditDecision(req, {
+            middleware: 'scopesFromOpenApi',
+            allowed: true,
+            reason: 'Operation ' + operation.name + ' security requirement satisfied',
+            requiredScope: result.requiredScope
+          });
+          return next();
+        }
+        message = 'Forbidden, Access token insufficient scope';
+      }
+      const token = req.locals.token || {};
+      const details = {
+        fingerprint: token.fingerprint || null,
+        clientId: token.clientId || null,
+        userId: ((req.locals.user) && (req.locals.user.id)) || null,
+        durationMs: 0,
+        status: 403,
+        error: (operation) ? 'insufficient_scope' : 'operation_undocumented',
+        reason: message + ', ' + req.method + ' ' + path
+      };
+      config.logger.warn('Token auth: ' + details.reason, details);
+      _emitEvent('scopeDenied', details);
+      const err = new Error(message);
+      err.status = 403;
+      if (operation) {
+        err.oauthError = 'insufficient_scope';
+        err.requiredScope = result.requiredScope;
+      } else {
+        err.oauthError = null;
+      }
+      _auditDecision(req, {
+        middleware: 'scopesFromOpenApi',
+        allowed: false,
+        err,
+        error: details.error,
+        requiredScope: (result) ? result.requiredScope : null
+      });
+      return _sendAuthError(err, req, res, next);
+    };
+    middleware.report = {
+      operations: api.operations,
+      unsecured: api.unsecured
+    };
+    return middleware;
+  };
+
+  /**
+   * Middleware to limit request rate by token identity, after requireAccessToken()
+   * Token bucket limits are keyed on req.locals.user.id and req.locals.token.clientId.
+   * Responses include RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and
+   * RateLimit-Policy headers for the most restrictive bucket.
+   * Denied requests receive status 429 with a Retry-After header.
+   * If the store fails, the request is allowed and the error is logged.
+   * @example
+   * app.use('/api', requireAccessToken(), rateLimitByIdentity({
+   *   perUser: { limit: 100, windowSeconds: 60 },
+   *   perClient: { limit: 1000, windowSeconds: 60 },
+   *   perScope: { 'api.admin': { perUser: { limit: 1000, windowSeconds: 60 } } }
+   * }));
+   * @param {Object} options
+   * @param {Object} [options.perUser] - { limit, windowSeconds } for each user
+   * @param {Object} [options.perClient] - { limit, windowSeconds } for each client
+   * @param {Object} [options.perScope] - Overrides by scope, { scope: { perUser, perClient } }
+   * @param {Object} [options.store] - Rate limit store, default in memory
+   * @returns {Function} Express middleware function
+   * @throws Will throw error for invalid options
+   */
+  const rateLimitByIdentity = (options) => {
+    if (options == null) {
+      throw new Error('token-check, rateLimitByIdentity requires an options object');
+    }
+    // Compiled once, when the route is defined
+    const compiledScopes = Object.create(null);
+    if ((!(options.perScope == null)) && (typeof options.perScope === 'object')) {
+      Object.keys(options.perScope).forEach((scopeName) => {
+        compiledScopes[scopeName] = compileScope(scopeName);
+      });
+    }
+    const limiter = createRateLimiter(Object.assign({}, options, {
+      matchScope: (scopeName, scopes) => compiledScopes[scopeName].test(scopes, config.scopeHierarchy)
+    }));
+    return (req, res, next) => {
+      if ((!Object.hasOwn(req, 'locals')) || (!Array.isArray(req.locals.tokenScope))) {
+        return next(new Error('Error, Tokens scope not found in request object'));
+      }
+      const token = req.locals.token || {};
+      const userId = ((req.locals.user) && (req.locals.user.id)) || null;
+      const clientId = token.clientId || null;
+      return limiter.check({ userId, clientId, scopes: req.locals.tokenScope })
+        .catch((err) => {
+          // Rate limit store unavailable, fail open
+          config.logger.error('Token auth: rate limit store error, ' + err.message);
+          return null;
+        })
+        .then((result) => {
+          if (result == null) return next();
+          res.setHeader('RateLimit-Limit', result.limit.toString());
+          res.setHeader('RateLimit-Remaining', result.remaining.toString());
+          res.setHeader('RateLimit-Reset', result.resetSeconds.toString());
+          res.setHeader('RateLimit-Policy', result.limit.toString() + ';w=' +
+            result.windowSeconds.toString());
+          if (!result.limited) return next();
+          const message = 'Rate limit exceeded';
+          const details = {
+            fingerprint: token.fingerprint || null,
+            clientId,
+            userId,
+            durationMs: 0,
+            status: 429,
+            error: 'rate_limited',
+            reason: message + ', ' + result.bucket +
+              ((result.scopeName) ? ' scope ' + result.scopeName : '') + ' limit'
+          };
+          config.logger.warn('Token auth: ' + details.reason, details);
+          _emitEvent('rateLimited', details);
+          const err = new Error(message);
+          err.status = 429;
+          err.retryAfter = result.retryAfterSeconds;
+          return _sendAuthError(err, req, res, next);
+        });
+    };
+  };
+
+  /**
+   * Utility to match arbitrary scope using request object
+   * @example
+   * // Compare scope, requireAccessToken() called previously
+   * if (matchScope(req, 'api.admin')) {
+   *   // case of scope match, do some custom stuff
+   * }
+   * @example
+   * // Expression compiled once, outside of the route handler
+   * const canRefund = compileScope('billing.admin OR (billing.write AND NOT billing.readonly)');
+   * if (matchScope(req, canRefund)) { ... }
+   * @param   {string|string[]|Object} requiredScope - Scope values, expression, or compiled scope
+   * @throws Throws error on missing argument or malformed scope expression
+   * @returns {boolean} return true if scope in list, otherwise return false
+   */
+  const matchScope = (req, requiredScope) => {
+    if ((requiredScope == null) ||
+      ((typeof requiredScope !== 'string') &&
+      (typeof requiredScope !== 'object'))) {
+      throw new Error('matchScope requires string, array or object');
+    }
+    // Called on each request, compiled once for each requirement
+    const compiledScope = compileScopeCached(requiredScope);
+    let scopeFound = false;
+    if ((Object.hasOwn(req, 'locals')) &&
+      (Object.hasOwn(req.locals, 'tokenScope')) &&
+      (Array.isArray(req.locals.tokenScope))) {
+      scopeFound = compiledScope.test(req.locals.tokenScope, config.scopeHierarchy);
+    } else {
+      throw new Error('Error, Scope not found in request object');
+    }
+    // return result as boolean
+    return scopeFound;
+  };
+
+  /**
+   * Authenticate an HTTP upgrade request, such as a WebSocket connection,
+   * before the upgrade is accepted. There is no response object.
+   * Token extraction, cache, validation and scope are the same as requireAccessToken().
+   * @example
+   * server.on('upgrade', (req, socket, head) => {
+   *   authenticateUpgrade(req, { scope: 'chat.read' })
+   *     .then((locals) => wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req)))
+   *     .catch((err) => {
+   *       socket.end('HTTP/1.1 ' + err.status + ' ' + http.STATUS_CODES[err.status] + '\r\n\r\n');
+   *     });
+   * });
+   * @param {Object} req - Node request object
+   * @param {Object} [options] - Same as requireAccessToken() options
+   * @returns {Promise} Resolves req.locals, or rejects error with status, publicMessage and headers
+   */
+  const authenticateUpgrade = (req, options) => {
+    let opt = null;
+    try {
+      opt = _parseRouteOptions(options);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    return _verifyRequest(req, null, opt)
+      .then((chain) => {
+        upgradeTokens.set(req, {
+          accessToken: chain.accessToken,
+          tokenCacheKey: chain.tokenCacheKey,
+          issuer: chain.issuer,
+          introspect: opt.introspect,
+          exp: (typeof chain.introspect.exp === 'number') ? chain.introspect.exp : null,
+          userId: _introspectUserId(chain.introspect),
+          clientId: _introspectClientId(chain.introspect)
+        });
+        return req.locals;
+      });
+  };
+
+  /**
+   * Adapter for the verifyClient option of the ws WebSocket server
+   * @example
+   * const wss = new WebSocketServer({ server, verifyClient: upgradeVerifyClient({ scope: 'chat.read' }) });
+   * wss.on('connection', (ws, req) => { ... req.locals ... });
+   * @param {Object} [options] - Same as requireAccessToken() options
+   * @returns {Function} (info, done) => undefined
+   * @throws Throws error on malformed scope expression or invalid extractors
+   */
+  const upgradeVerifyClient = (options) => {
+    // Validate options when the server is created
+    _parseRouteOptions(options);
+    return (info, done) => {
+      authenticateUpgrade(info.req, options)
+        .then(() => done(true))
+        .catch((err) => done(false, err.status, err.publicMessage, err.headers));
+    };
+  };
+
+  /**
+   * Framework independent token validation using request headers.
+   * Only extractors reading headers apply, "query" and "body" find no token.
+   * A DPoP token also requires the request method and url options, for the proof htm and htu.
+   * @example
+   * verifyRequest(request.headers, { scope: 'api.read', method: request.method, url: request.url })
+   *   .then((locals) => { ... locals.tokenScope, locals.user, locals.token ... })
+   *   .catch((err) => { ... err.status, err.publicMessage, err.headers ... });
+   * @param {Object} headers - Request headers object, or WHATWG Headers
+   * @param {Object} [options] - Same as requireAccessToken() options, and
+   * @param {string} [options.method] - Request method, such as 'GET'
+   * @param {string} [options.url] - Request path with query, or absolute URL
+   * @returns {Promise} Resolves { tokenScope, user, token }, or rejects error with status,
+   * publicMessage and headers
+   */
+  const verifyRequest = (headers, options) => {
+    let opt = null;
+    try {
+      opt = _parseRouteOptions(options);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    const method = (options) ? options.method : null;
+    const url = (options) ? options.url : null;
+    if ((!(method == null)) && ((typeof method !== 'string') || (!/^[A-Za-z]+$/.test(method)))) {
+      return Promise.reject(new Error('verifyRequest, invalid method in options'));
+    }
+    if ((!(url == null)) && ((typeof url !== 'string') ||
+      ((!url.startsWith('/')) && (!_isAbsoluteUrl(url))))) {
+      return Promise.reject(new Error('verifyRequest, invalid url in options'));
+    }
+    // Header names are lower case, same as node:http
+    const req = { headers: Object.create(null) };
+    if (!(method == null)) req.method = method.toUpperCase();
+    if (!(url == null)) req.url = url;
+    if ((!(headers == null)) && (typeof headers.forEach === 'function') &&
+      (typeof headers.get === 'function')) {
+      headers.forEach((value, name) => { req.headers[name.toLowerCase()] = value; });
+    } else if ((!(headers == null)) && (typeof headers === 'object')) {
+      Object.keys(headers).forEach((name) => { req.headers[name.toLowerCase()] = headers[name]; });
+    }
+    return _verifyRequest(req, null, opt).then(() => req.locals);
+  };
+
+  /**
+   * Fastify plugin, adds fastify.requireAccessToken(options) preHandler
+   * and request.locals decorators
+   * @example
+   * fastify.register(fastifyTokenAuth);
+   * fastify.get('/api', { preHandler: fastify.requireAccessToken({ scope: 'api.read' }) }, handler);
+   */
+  const fastifyTokenAuth = createFastifyPlugin(adapterHandlers);
+
+  /**
+   * Koa middleware, sets ctx.state.tokenScope, ctx.state.user and ctx.state.token
+   * @example
+   * router.get('/api', koaRequireAccessToken({ scope: 'api.read' }), handler);
+   * @param {Object} [options] - Same as requireAccessToken() options
+   * @returns {Function} Koa middleware
+   * @throws Throws error on malformed scope expression or invalid extractors
+   */
+  const koaRequireAccessToken = (options) => {
+    return createKoaMiddleware(_parseRouteOptions(options), adapterHandlers);
+  };
+
+  /**
+   * Wrap a node:http request handler, sets req.locals
+   * @example
+   * http.createServer(httpRequireAccessToken({ scope: 'api.read' }, (req, res) => { ... }));
+   * @param {Object} options - Same as requireAccessToken() options
+   * @param {Function} handler - Request handler (req, res), called when authorized
+   * @returns {Function} Request handler (req, res)
+   * @throws Throws error on malformed scope expression or invalid extractors
+   */
+  const httpRequireAccessToken = (options, handler) => {
+    if (typeof handler !== 'function') {
+      throw new Error('httpRequireAccessToken requires handler function');
+    }
+    return createHttpHandler(_parseRouteOptions(options), handler, adapterHandlers);
+  };
+
+  /**
+   * Revalidate a watched token using the token cache or authorization server
+   * @param {Object} watched - Token state saved by authenticateUpgrade()
+   * @returns {Promise} Resolves true if active, false if not active.
+   * Rejects if authorization server unavailable.
+   */
+  const _revalidateToken = (watched) => {
+    return _initChainObject({ introspect: watched.introspect })
+      .then((chain) => {
+        chain.accessToken = watched.accessToken;
+        chain.issuer = watched.issuer;
+        return _findCachedToken(chain);
+      })
+      .then((chain) => _validateToken(chain))
+      .then((chain) => _saveInactiveTokenToCache(chain))
+      .then((chain) => _checkTokenActive(chain))
+      .then((chain) => _checkRevokedSubject(chain))
+      .then((chain) => _checkTokenClaims(chain))
+      .then((chain) => _saveTokenToCache(chain))
+      .then(() => true)
+      .catch((err) => {
+        if ((err.status === 401) || (err.status === 403)) return false;
+        throw err;
+      });
+  };
+
+  /**
+   * Notify when the token of a long-lived connection expires or is revoked.
+   * Revocation is detected by revokeCachedToken(), purgeCacheByUser(), purgeCacheByClient()
+   * and revocationWebhook() in this process, and optionally by revalidating the token
+   * every recheckSeconds, which also detects revocation in a shared token store.
+   * The listener is called once, then the watch stops.
+   * @example
+   * wss.on('connection', (ws, req) => {
+   *   const stop = watchToken(req, (info) => ws.close(1008, 'Token ' + info.reason), { recheckSeconds: 60 });
+   *   ws.on('close', stop);
+   * });
+   * @param {Object} req - Request previously passed to authenticateUpgrade()
+   * @param {Function} listener - Called with { reason: 'expired' | 'revoked', fingerprint }
+   * @param {Object} [options]
+   * @param {number} [options.recheckSeconds] - Revalidate interval, default 0 (disabled)
+   * @returns {Function} stop() to end the watch
+   * @throws Throws error if request was not authenticated
+   */
+  const watchToken = (req, listener, options) => {
+    const watched = upgradeTokens.get(req);
+    if (watched == null) {
+      throw new Error('watchToken, request not authenticated by authenticateUpgrade()');
+    }
+    if (typeof listener !== 'function') {
+      throw new Error('watchToken requires listener function');
+    }
+    let recheckSeconds = 0;
+    if ((!(options == null)) && (Object.hasOwn(options, 'recheckSeconds'))) {
+      recheckSeconds = parseInt(options.recheckSeconds);
+      if ((!Number.isFinite(recheckSeconds)) || (recheckSeconds < 0)) {
+        throw new Error('watchToken, invalid recheckSeconds in options');
+      }
+    }
+    const fingerprint = _tokenFingerprint(watched.tokenCacheKey);
+    let stopped = false;
+    let expiryTimerId = null;
+    let recheckTimerId = null;
+
+    const onPurged = (details) => {
+      if (((details.by === 'token') && (details.fingerprint === fingerprint)) ||
+        ((details.by === 'user') && (details.userId === watched.userId)) ||
+        ((details.by === 'client') && (details.clientId === watched.clientId))) {
+        _notify('revoked');
+      }
+    };
+
+    const stop = () => {
+      stopped = true;
+      if (expiryTimerId) clearTimeout(expiryTimerId);
+      if (recheckTimerId) clearTimeout(recheckTimerId);
+      tokenWatchers.delete(onPurged);
+    };
+
+    const _notify = (reason) => {
+      if (stopped) return;
+      stop();
+      listener({ reason, fingerprint });
+    };
+
+    const _armExpiry = () => {
+      const remainingMs = (watched.exp * 1000) - Date.now();
+      if (remainingMs <= 0) return _notify('expired');
+      // Limit of setTimeout is about 24 days
+      expiryTimerId = setTimeout(_armExpiry, Math.min(remainingMs, 2147483647));
+      expiryTimerId.unref();
+    };
+
+    const _armRecheck = () => {
+      recheckTimerId = setTimeout(() => {
+        _revalidateToken(watched)
+          .then((active) => {
+            if (!active) return _notify('revoked');
+            if (!stopped) _armRecheck();
+          })
+          .catch((err) => {
+            // Authorization server unavailable, connection remains open
+            config.logger.warn('Token auth: watchToken revalidation, ' + err.message);
+            if (!stopped) _armRecheck();
+          });
+      }, recheckSeconds * 1000);
+      recheckTimerId.unref();
+    };
+
+    tokenWatchers.add(onPurged);
+    if (!(watched.exp == null)) _armExpiry();
+    if ((recheckSeconds > 0) && (!stopped)) _armRecheck();
+    return stop;
+  };
+
+  /**
+   * Revoke token cache entry.
+   * If the token expiration is known, the entry is replaced with a revoked entry
+   * and a revoked marker is saved until the token expires, so a locally verified
+   * JWT is not accepted again.
+   * Otherwise the entry is removed.
+   * @param {string} key - Token cache key, SHA-256 hex digest of token
+   * @param {number} tokenExp - Token exp claim (unix seconds), or null
+   * @returns {Promise} Resolves when done
+   */
+  const _revokeCacheKey = (key, tokenExp) => {
+    revocationGeneration++;
+    inflightIntrospections.delete(key);
+    return config.tokenStore.get(key)
+      .then((found) => {
+        let exp = tokenExp;
+        if ((found) && (found.introspect) && (typeof found.introspect.exp === 'number')) {
+          exp = found.introspect.exp;
+        }
+        const ttlSeconds = (exp) ? exp - Math.floor(Date.now() / 1000) : 0;
+        if (ttlSeconds > 0) {
+          const entry = {
+            introspect: { active: false },
+            validatedBy: 'revoked',
+            // Time as unix time in milliseconds
+            cacheExpires: exp * 1000
+          };
+          // The token cache entry may be evicted, the marker is kept until the token expires
+          const marker = Object.assign({ revokedAt: Math.floor(Date.now() / 1000) }, entry);
+          return config.revocationStore.set(_revokedMarkerKey('token', key), marker, ttlSeconds)
+            .then(() => config.tokenStore.set(key, entry, ttlSeconds));
+        } else {
+          return config.tokenStore.delete(key);
+        }
+      })
+      .then(() => {
+        const details = { by: 'token', fingerprint: _tokenFingerprint(key), userId: null, clientId: null };
+        config.logger.info('Token auth: cached token revoked', details);
+        _emitEvent('cachePurged', details);
+      });
+  };
+
+  /**
+   * Revoke an access token in the token cache
+   * @example
+   * revokeCachedToken(accessToken).then(() => { ... });
+   * @param {string} accessToken - Access token
+   * @returns {Promise} Resolves when done
+   */
+  const revokeCachedToken = (accessToken) => {
+    if ((typeof accessToken !== 'string') || (accessToken.length === 0)) {
+      return Promise.reject(new Error('revokeCachedToken requires string'));
+    }
+    let tokenExp = null;
+    try {
+      tokenExp = decodeJwt(accessToken).payload.exp;
+    } catch (err) {
+      // Opaque token, expiration not known
+    }
+    return _revokeCacheKey(_tokenCacheKey(accessToken), (typeof tokenExp === 'number') ? tokenExp : null);
+  };
+
+  /**
+   * Revocation store key of the revoked marker of a token, user or client
+   * @param {string} by - 'token', 'user' or 'client'
+   * @param {string} id - Token cache key, user id or client id
+   * @returns {string} SHA-256 hex digest
+   */
+  const _revokedMarkerKey = (by, id) => _tokenCacheKey('revoked-' + by + ':' + id);
+
+  /**
+   * Remove cached tokens matching predicate.
+   * A revoked marker for the user or client is saved first, so tokens verified
+   * locally as JWT are not accepted again, see _checkRevokedSubject().
+   * @param {string} by - 'user' or 'client'
+   * @param {string} id - User id or client id
+   * @param {Function} predicate - (entry) => boolean
+   * @returns {Promise} Resolves number of removed entries
+   */
+  const _purgeCache = (by, id, predicate) => {
+    if ((typeof id !== 'string') || (id.length === 0)) {
+      return Promise.reject(new Error('Cache purge requires string ' + by + ' id'));
+    }
+    if (typeof config.tokenStore.purge !== 'function') {
+      return Promise.reject(new Error('token-check, token store does not support purge'));
+    }
+    revocationGeneration++;
+    const revokedAt = Math.floor(Date.now() / 1000);
+    const marker = {
+      introspect: { active: false },
+      validatedBy: 'revoked',
+      // Tokens issued at or before this time (unix seconds) are rejected
+      revokedAt,
+      // Time as unix time in milliseconds
+      cacheExpires: (revokedAt + config.maxTokenLifetimeSeconds) * 1000
+    };
+    return config.revocationStore.set(_revokedMarkerKey(by, id), marker, config.maxTokenLifetimeSeconds)
+      .then(() => config.tokenStore.purge(predicate))
+      .then((removed) => {
+        const details = {
+          by,
+          fingerprint: null,
+          userId: (by === 'user') ? id : null,
+          clientId: (by === 'client') ? id : null,
+          removed
+        };
+        config.logger.info('Token auth: token cache purged by ' + by, details);
+        _emitEvent('cachePurged', details);
+        return removed;
+      });
+  };
+
+  /**
+   * Remove all cached tokens for a user
+   * @param {string} userId - User id (introspect user.id, or JWT sub)
+   * @returns {Promise} Resolves number of removed entries
+   */
+  const purgeCacheByUser = (userId) => {
+    return _purgeCache('user', userId, (entry) => {
+      return (_introspectUserId(entry.introspect) === userId);
+    });
+  };
+
+  /**
+   * Remove all cached tokens issued to a client
+   * @param {string} clientId - Client id
+   * @returns {Promise} Resolves number of removed entries
+   */
+  const purgeCacheByClient = (clientId) => {
+    return _purgeCache('client', clientId, (entry) => {
+      return (_introspectClientId(entry.introspect) === clientId);
+    });
+  };
+
+  /**
+   * Access token for outbound requests using the client credentials grant.
+   * Tokens are cached by scope and refreshed before expiration.
+   * @example
+   * getClientToken({ scope: 'inventory.read' })
+   *   .then((accessToken) => { ... });
+   * @param {Object} [options]
+   * @param {string|string[]} [options.scope] - Requested scope
+   * @param {boolean} [options.forceRefresh] - Request a new token, ignoring the cache
+   * @returns {Promise} Resolves access token string, rejects error if not issued
+   */
+  const getClientToken = (options) => {
+    if (config.clientTokens == null) {
+      return Promise.reject(new Error('Module configuration not found. Did you forget in run authInit() ?'));
+    }
+    return config.clientTokens.getToken(options);
+  };
+
+  /**
+   * Fetch with client credentials access token.
+   * If the response status is 401, the token is refreshed and the request is sent once more.
+   * A request with a stream body is not sent again.
+   * @example
+   * authorizedFetch('http://127.0.0.1:4000/api/items', { method: 'GET' }, { scope: 'inventory.read' })
+   *   .then((response) => response.json());
+   * @param {string|URL} url - Request URL
+   * @param {Object} [init] - fetch() options
+   * @param {Object} [options]
+   * @param {string|string[]} [options.scope] - Requested scope
+   * @returns {Promise} Resolves fetch Response
+   */
+  const authorizedFetch = (url, init, options) => {
+    const scope = (options) ? options.scope : null;
+    const _send = (accessToken) => {
+      const headers = new Headers((init) ? init.headers : undefined);
+      headers.set('Authorization', 'Bearer ' + accessToken);
+      return fetch(url, Object.assign({}, init, { headers }));
+    };
+    const body = (init) ? init.body : null;
+    const canRepeat = ((body == null) || (typeof body === 'string') || (Buffer.isBuffer(body)) ||
+      (body instanceof URLSearchParams) || (body instanceof FormData) || (body instanceof Blob));
+    return getClientToken({ scope })
+      .then((accessToken) => _send(accessToken))
+      .then((response) => {
+        if ((response.status !== 401) || (!canRepeat)) return response;
+        config.logger.info('Token auth: authorizedFetch status 401, refreshing client token');
+        // Release connection of the discarded response
+        if (response.body) response.body.cancel().catch(() => {});
+        return getClientToken({ scope, forceRefresh: true })
+          .then((accessToken) => _send(accessToken));
+      });
+  };
+
+  /**
+   * Authorization server metadata from discovery, for example the revocation_endpoint.
+   * @example
+   * getAuthServerMetadata()
+   *   .then((metadata) => { ... metadata.revocation_endpoint ... });
+   * @param {string} [issuer] - Issuer identifier, default first authorization server
+   * @returns {Promise} Resolves metadata document, rejects error if discovery not enabled
+   */
+  const getAuthServerMetadata = (issuer) => {
+    const issuerConfig = (issuer == null)
+      ? config.issuers[0]
+      : config.issuers.find((item) => (item.issuer === issuer));
+    if ((issuerConfig == null) || (issuerConfig.discovery == null)) {
+      return Promise.reject(new Error('Authorization server metadata discovery not enabled'));
+    }
+    return issuerConfig.discovery.getMetadata();
+  };
+
+  /**
+   * Remove all cached tokens and revoked markers
+   * @returns {Promise} Resolves when done
+   */
+  const clearTokenCache = () => {
+    revocationGeneration++;
+    inflightIntrospections.clear();
+    return config.tokenStore.clear()
+      .then(() => {
+        if (config.revocationStore !== config.tokenStore) return config.revocationStore.clear();
+      })
+      .then(() => {
+        const details = { by: 'all', fingerprint: null, userId: null, clientId: null };
+        config.logger.info('Token auth: token cache cleared', details);
+        _emitEvent('cachePurged', details);
+      });
+  };
+
+  /**
+   * Middleware to receive revocation notifications from the authorization server
+   * @example
+   * app.post('/revocation', revocationWebhook({
+   *   clients: [{ clientId: 'auth-server', clientSecret: 'ssh-secret' }]
+   * }));
+   * @param {Object} options
+   * @param {Object[]} [options.clients] - Array of { clientId, clientSecret } allowed to POST
+   * @param {string|string[]} [options.audience] - Accepted security event token aud claim
+   * @param {number} [options.maxBodyBytes] - Maximum request body size, default 65536
+   * @param {number} [options.maxAgeSeconds] - Accepted security event token age, default 300
+   * @param {Object} [options.replayStore] - Token cache store for security event token jti values
+   * @throws Throws error on invalid options
+   */
+  const revocationWebhook = (options) => {
+    return createRevocationWebhook(options, {
+      revokeCacheKey: _revokeCacheKey,
+      tokenCacheKey: _tokenCacheKey,
+      revokeCachedToken,
+      purgeCacheByUser,
+      purgeCacheByClient,
+      findIssuer: (iss) => {
+        return config.issuers.find((issuerConfig) => {
+          // Single issuer without configured iss, trusted by JWKS signature
+          if ((!config.routeByIssuer) && (issuerConfig.issuer == null)) return true;
+          return (issuerConfig.issuer === iss);
+        }) || null;
+      },
+      clockSkewSeconds: () => config.clockSkewSeconds,
+      log: (level, message) => config.logger[level](message)
+    });
+  };
+
+  /**
+   * Token cache and authorization statistics
+   * @example
+   * const stats = getStats();
+   * // { accepted: 120, cacheHits: 100, cacheMisses: 20, cacheSize: 18, rejected: { 401: { invalid_token: 2 } }, ... }
+   * @returns {Object} Statistics object
+   */
+  const getStats = () => {
+    const cacheSize = (typeof config.tokenStore.size === 'function') ? config.tokenStore.size() : null;
+    const stats = metrics.getStats(cacheSize);
+    stats.cacheStore = (typeof config.tokenStore.stats === 'function') ? config.tokenStore.stats() : null;
+    return stats;
+  };
+
+  /**
+   * Middleware to serve metrics in Prometheus text exposition format
+   * @example
+   * app.get('/metrics', metricsMiddleware());
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - Metric name prefix, default 'token_auth_'
+   */
+  const metricsMiddleware = (options) => {
+    const opt = options || {};
+    const prefix = (Object.hasOwn(opt, 'prefix')) ? opt.prefix : 'token_auth_';
+    if ((typeof prefix !== 'string') || (!(/^[a-zA-Z_:][a-zA-Z0-9_:]*$|^$/.test(prefix)))) {
+      throw new Error('metricsMiddleware, invalid prefix');
+    }
+    return (req, res, next) => {
+      const cacheSize = (typeof config.tokenStore.size === 'function') ? config.tokenStore.size() : null;
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-store');
+      res.end(metrics.renderPrometheus({ prefix, cacheSize }));
+    };
+  };
+
+  if (!(factoryOptions == null)) authInit(factoryOptions);
+
+  return {
+    authInit,
+    authShutdown,
+    requireAccessToken,
+    requireScopeForApiRoute,
+    matchScope,
+    requirePolicy,
+    can,
+    scopesFromOpenApi,
+    rateLimitByIdentity,
+    getStats,
+    metricsMiddleware,
+    revokeCachedToken,
+    purgeCacheByUser,
+    purgeCacheByClient,
+    clearTokenCache,
+    revocationWebhook,
+    authenticateUpgrade,
+    upgradeVerifyClient,
+    watchToken,
+    verifyRequest,
+    fastifyTokenAuth,
+    koaRequireAccessToken,
+    httpRequireAccessToken,
+    getClientToken,
+    authorizedFetch,
+    getAuthServerMetadata,
+    events,
+    get tokenStore () { return config.tokenStore; }
+  };
 };
+
+// ------------------------
+// Module Exports
+// ------------------------
+
+// Default instance, configured by calling authInit()
+const defaultInstance = createTokenAuth();
+
+exports.createTokenAuth = createTokenAuth;
+exports.authInit = defaultInstance.authInit;
+exports.authShutdown = defaultInstance.authShutdown;
+exports.requireAccessToken = defaultInstance.requireAccessToken;
+exports.requireScopeForApiRoute = defaultInstance.requireScopeForApiRoute;
+exports.matchScope = defaultInstance.matchScope;
+exports.requirePolicy = defaultInstance.requirePolicy;
+exports.can = defaultInstance.can;
+exports.scopesFromOpenApi = defaultInstance.scopesFromOpenApi;
+exports.rateLimitByIdentity = defaultInstance.rateLimitByIdentity;
+exports.getStats = defaultInstance.getStats;
+exports.metricsMiddleware = defaultInstance.metricsMiddleware;
+exports.revokeCachedToken = defaultInstance.revokeCachedToken;
+exports.purgeCacheByUser = defaultInstance.purgeCacheByUser;
+exports.purgeCacheByClient = defaultInstance.purgeCacheByClient;
+exports.clearTokenCache = defaultInstance.clearTokenCache;
+exports.revocationWebhook = defaultInstance.revocationWebhook;
+exports.authenticateUpgrade = defaultInstance.authenticateUpgrade;
+exports.upgradeVerifyClient = defaultInstance.upgradeVerifyClient;
+exports.watchToken = defaultInstance.watchToken;
+exports.verifyRequest = defaultInstance.verifyRequest;
+exports.fastifyTokenAuth = defaultInstance.fastifyTokenAuth;
+exports.koaRequireAccessToken = defaultInstance.koaRequireAccessToken;
+exports.httpRequireAccessToken = defaultInstance.httpRequireAccessToken;
+exports.getClientToken = defaultInstance.getClientToken;
+exports.authorizedFetch = defaultInstance.authorizedFetch;
+exports.getAuthServerMetadata = defaultInstance.getAuthServerMetadata;
+exports.authEvents = defaultInstance.events;
+exports.compileScope = compileScope;
+exports.compilePolicy = compilePolicy;
+exports.createMemoryStore = createMemoryStore;
+exports.createRedisStore = createRedisStore;
+exports.createMemoryRateLimitStore = createMemoryRateLimitStore;
+exports.createRedisRateLimitStore = createRedisRateLimitStore;
+exports.createFileAuditSink = createFileAuditSink;
@@ -0,0 +1,278 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  JSON Web Token signature verification
+//  using public keys from the authorization server JSON Web Key Set (JWKS)
+//
+// ------------------------------
+
+const crypto = require('node:crypto');
+
+/**
+ * Supported JWS signature algorithms.
+ * Symmetric (HS256) and unsigned (none) tokens are never accepted.
+ * @type {Object} jwsAlgorithms - Map of JWS alg to node:crypto verify parameters
+ */
+const jwsAlgorithms = {
+  RS256: { hash: 'sha256', keyTypes: ['rsa'] },
+  RS384: { hash: 'sha384', keyTypes: ['rsa'] },
+  RS512: { hash: 'sha512', keyTypes: ['rsa'] },
+  PS256: { hash: 'sha256', keyTypes: ['rsa', 'rsa-pss'], pss: true },
+  PS384: { hash: 'sha384', keyTypes: ['rsa', 'rsa-pss'], pss: true },
+  PS512: { hash: 'sha512', keyTypes: ['rsa', 'rsa-pss'], pss: true },
+  ES256: { hash: 'sha256', keyTypes: ['ec'], ecdsa: true },
+  ES384: { hash: 'sha384', keyTypes: ['ec'], ecdsa: true },
+  ES512: { hash: 'sha512', keyTypes: ['ec'], ecdsa: true },
+  EdDSA: { hash: null, keyTypes: ['ed25519', 'ed448'] }
+};
+
+/** @type {string[]} jwsAlgorithmNames - Supported JWS alg values */
+exports.jwsAlgorithmNames = Object.keys(jwsAlgorithms);
+
+/**
+ * Build a 401 error for token validation failures
+ * @param {string} message - Error message
+ * @param {string} [code] - Optional error code
+ * @returns {Error} Error object with status 401
+ */
+const _tokenError = (message, code) => {
+  const err = new Error(message);
+  err.status = 401;
+  if (code) err.code = code;
+  return err;
+};
+
+/**
+ * Decode base64url encoded JSON object
+ * @param {string} segment - base64url encoded string
+ * @returns {Object} Decoded JSON object
+ * @throws Will throw error if not a JSON object
+ */
+const _decodeSegment = (segment) => {
+  const decoded = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  if ((decoded == null) || (typeof decoded !== 'object') || (Array.isArray(decoded))) {
+    throw new Error('Not a JSON object');
+  }
+  return decoded;
+};
+
+/**
+ * Decode JWT without signature verification.
+ * @param {string} token - JWT "xxxxxx.xxxxxx.xxxxx"
+ * @returns {Object} decoded - { header, payload, signingInput, signature }
+ * @throws Will throw 401 error for malformed token
+ */
+exports.decodeJwt = (token) => {
+  if ((typeof token !== 'string') || (token.split('.').length !== 3)) {
+    throw _tokenError('JWT malformed', 'ERR_JWT_MALFORMED');
+  }
+  const parts = token.split('.');
+  const decoded = Object.create(null);
+  try {
+    decoded.header = _decodeSegment(parts[0]);
+    decoded.payload = _decodeSegment(parts[1]);
+  } catch (e) {
+    throw _tokenError('JWT malformed', 'ERR_JWT_MALFORMED');
+  }
+  decoded.signingInput = parts[0] + '.' + parts[1];
+  decoded.signature = Buffer.from(parts[2], 'base64url');
+  return decoded;
+};
+
+/**
+ * Verify the JWS signature of a decoded JWT
+ * @param {Object} decoded - Return value from decodeJwt()
+ * @param {KeyObject} keyObject - node:crypto public key
+ * @returns {boolean} True if signature is valid
+ * @throws Will throw 401 error for unsupported algorithm or wrong key type
+ */
+exports.verifyJwtSignature = (decoded, keyObject) => {
+  const alg = decoded.header.alg;
+  if ((typeof alg !== 'string') || (!Object.hasOwn(jwsAlgorithms, alg))) {
+    throw _tokenError('JWT algorithm not supported', 'ERR_JWT_ALGORITHM');
+  }
+  const algParams = jwsAlgorithms[alg];
+  if (algParams.keyTypes.indexOf(keyObject.asymmetricKeyType) < 0) {
+    throw _tokenError('JWT algorithm does not match key type', 'ERR_JWT_ALGORITHM');
+  }
+  const verifyKey = { key: keyObject };
+  if (algParams.pss) {
+    verifyKey.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+    verifyKey.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+  }
+  if (algParams.ecdsa) {
+    verifyKey.dsaEncoding = 'ieee-p1363';
+  }
+  try {
+    return crypto.verify(algParams.hash, Buffer.from(decoded.signingInput, 'utf8'),
+      verifyKey, decoded.signature);
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Validate registered JWT claims exp, nbf, iss and aud
+ * @param {Object} payload - Decoded JWT payload
+ * @param {Object} options
+ * @param {string} [options.issuer] - Expected iss claim, skipped if null
+ * @param {string|string[]} [options.audience] - Accepted aud value(s), skipped if null
+ * @param {number} [options.clockSkewSeconds] - Allowed clock difference
+ * @throws Will throw 401 error for failed claim validation
+ */
+exports.validateJwtClaims = (payload, options) => {
+  const skew = options.clockSkewSeconds || 0;
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number') {
+    throw _tokenError('JWT missing exp claim', 'ERR_JWT_CLAIM');
+  }
+  if (payload.exp + skew <= now) {
+    throw _tokenError('JWT expired', 'ERR_JWT_EXPIRED');
+  }
+  if ((Object.hasOwn(payload, 'nbf')) &&
+    ((typeof payload.nbf !== 'number') || (payload.nbf - skew > now))) {
+    throw _tokenError('JWT not yet valid', 'ERR_JWT_CLAIM');
+  }
+  if ((!(options.issuer == null)) && (payload.iss !== options.issuer)) {
+    throw _tokenError('JWT issuer mismatch', 'ERR_JWT_CLAIM');
+  }
+  if (!(options.audience == null)) {
+    const expected = (Array.isArray(options.audience)) ? options.audience : [options.audience];
+    const actual = (Array.isArray(payload.aud)) ? payload.aud : [payload.aud];
+    let audFound = false;
+    actual.forEach((aud) => {
+      if (expected.indexOf(aud) >= 0) audFound = true;
+    });
+    if (!audFound) {
+      throw _tokenError('JWT audience mismatch', 'ERR_JWT_CLAIM');
+    }
+  }
+};
+
+/**
+ * Create a JSON Web Key Set client with key cache.
+ * Keys are fetched on first use and cached for cacheSeconds.
+ * A token signed with an unknown kid will trigger a refetch of the key set,
+ * limited to once per minRefreshSeconds to protect the authorization server.
+ * @example
+ * const jwks = createJwksClient({ jwksURL: 'http://127.0.0.1:3500/.well-known/jwks.json' });
+ * jwks.getKey(decoded.header).then((keyObject) => { ... });
+ * @param {Object} options
+ * @param {string} options.jwksURL - URL of authorization server JWKS endpoint
+ * @param {number} [options.cacheSeconds] - Key set cache time, default 3600
+ * @param {number} [options.minRefreshSeconds] - Minimum time between fetches, default 30
+ * @param {number} [options.timeoutMs] - Network request timeout, default 5000
+ * @returns {Object} JWKS client with getKey(header) function
+ */
+exports.createJwksClient = (options) => {
+  const jwksURL = options.jwksURL;
+  const cacheSeconds = (options.cacheSeconds == null) ? 3600 : options.cacheSeconds;
+  const minRefreshSeconds = (options.minRefreshSeconds == null) ? 30 : options.minRefreshSeconds;
+  const timeoutMs = options.timeoutMs || 5000;
+
+  /** @type {Object[]} keys - Array of { jwk, keyObject } */
+  let keys = [];
+  /** @type {number} fetchedAt - Time of last fetch in ms, 0 = never */
+  let fetchedAt = 0;
+  /** @type {Promise} pendingFetch - In-flight request shared between callers */
+  let pendingFetch = null;
+
+  const _fetchKeySet = () => {
+    if (pendingFetch) return pendingFetch;
+    const fetchController = new AbortController();
+    const fetchTimerId = setTimeout(() => fetchController.abort(), timeoutMs);
+    const fetchOptions = {
+      method: 'GET',
+      redirect: 'error',
+      cache: 'no-store',
+      signal: fetchController.signal,
+      headers: {
+        Accept: 'application/json'
+      }
+    };
+    pendingFetch = fetch(jwksURL, fetchOptions)
+      .then((response) => {
+        if (response.status === 200) {
+          return response.json();
+        } else {
+          const err = new Error('HTTP status error, ' + response.status.toString() +
+            ' ' + response.statusText + ', GET ' + jwksURL);
+          throw err;
+        }
+      })
+      .then((jwks) => {
+        clearTimeout(fetchTimerId);
+        if ((jwks == null) || (!Array.isArray(jwks.keys))) {
+          throw new Error('JWKS response missing keys array');
+        }
+        const newKeys = [];
+        jwks.keys.forEach((jwk) => {
+          // Ignore encryption keys and keys that can not be imported
+          if ((Object.hasOwn(jwk, 'use')) && (jwk.use !== 'sig')) return;
+          try {
+            newKeys.push({
+              jwk,
+              keyObject: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+            });
+          } catch (e) {
+            // skip unsupported key
+          }
+        });
+        keys = newKeys;
+        fetchedAt = Date.now();
+        pendingFetch = null;
+        return keys;
+      })
+      .catch((err) => {
+        clearTimeout(fetchTimerId);
+        pendingFetch = null;
+        // Prevent repeated fetch on every request while JWKS endpoint is failing
+        fetchedAt = Date.now() - ((cacheSeconds - minRefreshSeconds) * 1000);
+        const error = new Error('JWKS fetch error, GET ' + jwksURL + ', ' +
+          (err.message || err.toString()));
+        // Authorization server unavailable
+        error.status = 503;
+        error.unavailable = true;
+        error.code = 'ERR_JWKS_FETCH';
+        throw error;
+      });
+    return pendingFetch;
+  };
+
+  const _matchKey = (header) => {
+    return keys.find((entry) => {
+      if ((Object.hasOwn(header, 'kid')) && (entry.jwk.kid !== header.kid)) return false;
+      if ((Object.hasOwn(entry.jwk, 'alg')) && (entry.jwk.alg !== header.alg)) return false;
+      return true;
+    });
+  };
+
+  /**
+   * Find public key matching the JWT header kid and alg.
+   * @param {Object} header - Decoded JWT header
+   * @returns {Promise} Resolves KeyObject, or rejects 401 error (code ERR_JWKS_NO_MATCHING_KEY)
+   */
+  const getKey = (header) => {
+    const age = Date.now() - fetchedAt;
+    const expired = (age > cacheSeconds * 1000);
+    const canRefresh = (age > minRefreshSeconds * 1000);
+    let keysReady = Promise.resolve(keys);
+    if (expired) keysReady = _fetchKeySet();
+    return keysReady
+      .then(() => {
+        const found = _matchKey(header);
+        if ((found) || (expired) || (!canRefresh)) return found;
+        // Unknown kid, possible key rotation, refresh key set and try again
+        return _fetchKeySet().then(() => _matchKey(header));
+      })
+      .then((found) => {
+        if (found) return found.keyObject;
+        throw _tokenError('JWKS no matching key for kid', 'ERR_JWKS_NO_MATCHING_KEY');
+      });
+  };
+
+  return {
+    getKey
+  };
+};
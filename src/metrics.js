@@ -0,0 +1,216 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Authorization metrics
+//
+//  Counters are updated from the same points that emit authorization events.
+//  getStats() returns a plain object, renderPrometheus() returns
+//  Prometheus text exposition format version 0.0.4
+//
+// ------------------------------
+
+/**
+ * Introspection latency histogram bucket upper bounds, seconds
+ * @type {number[]} durationBuckets
+ */
+const durationBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape Prometheus label value
+ * @param {string} value - Label value
+ * @returns {string} Escaped label value
+ */
+const _escapeLabel = (value) => {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+};
+
+/**
+ * Format Prometheus label set
+ * @param {Object} labels - Label names and values
+ * @returns {string} Example: {status="401",reason="invalid_token"}
+ */
+const _formatLabels = (labels) => {
+  const names = Object.keys(labels);
+  if (names.length === 0) return '';
+  return '{' + names.map((name) => name + '="' + _escapeLabel(labels[name]) + '"').join(',') + '}';
+};
+
+/**
+ * Create a histogram with fixed buckets
+ * @returns {Object} { counts, sum, count }
+ */
+const _createHistogram = () => {
+  return {
+    counts: durationBuckets.map(() => 0),
+    sum: 0,
+    count: 0
+  };
+};
+
+/**
+ * Create metrics collector
+ * @example
+ * const metrics = createMetrics();
+ * metrics.record('cacheHit', { negative: false });
+ * metrics.renderPrometheus({ prefix: 'token_auth_', cacheSize: 12 });
+ * @returns {Object} Metrics collector with record, getStats and renderPrometheus functions
+ */
+exports.createMetrics = () => {
+  const counters = {
+    accepted: 0,
+    cacheHits: 0,
+    cacheNegativeHits: 0,
+    cacheMisses: 0,
+    cacheStaleMisses: 0,
+    cachePruneRuns: 0,
+    cachePrunedEntries: 0,
+    introspectSuccess: 0,
+    introspectFailure: 0
+  };
+  /** @type {Object} rejected - Denied requests by status, then by reason */
+  const rejected = Object.create(null);
+  /** @type {Object} introspectDuration - Histograms by outcome */
+  const introspectDuration = {
+    success: _createHistogram(),
+    failure: _createHistogram()
+  };
+
+  const _observe = (histogram, durationMs) => {
+    const seconds = durationMs / 1000;
+    durationBuckets.forEach((bound, i) => {
+      if (seconds <= bound) histogram.counts[i]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+  };
+
+  /**
+   * Record an authorization event
+   * @param {string} eventName - Event name, see README "Logging and events"
+   * @param {Object} details - Event details object
+   */
+  const record = (eventName, details) => {
+    if (eventName === 'tokenAccepted') {
+      counters.accepted++;
+    } else if (eventName === 'cacheHit') {
+      counters.cacheHits++;
+      if (details.negative) counters.cacheNegativeHits++;
+    } else if (eventName === 'cacheMiss') {
+      counters.cacheMisses++;
+      if (details.stale) counters.cacheStaleMisses++;
+    } else if (eventName === 'introspectSuccess') {
+      counters.introspectSuccess++;
+      _observe(introspectDuration.success, details.durationMs);
+    } else if (eventName === 'introspectFailure') {
+      counters.introspectFailure++;
+      _observe(introspectDuration.failure, details.durationMs);
+    } else if ((eventName === 'tokenRejected') || (eventName === 'scopeDenied') ||
+      (eventName === 'rateLimited')) {
+      const status = String(details.status);
+      if (!(status in rejected)) rejected[status] = Object.create(null);
+      rejected[status][details.error] = (rejected[status][details.error] || 0) + 1;
+    } else if (eventName === 'cachePruned') {
+      counters.cachePruneRuns++;
+      counters.cachePrunedEntries += details.removed || 0;
+    }
+  };
+
+  /**
+   * Current statistics
+   * @param {number} [cacheSize] - Number of cached tokens, null if not known
+   * @returns {Object} Statistics object
+   */
+  const getStats = (cacheSize) => {
+    const stats = Object.assign({}, counters);
+    stats.cacheSize = (cacheSize == null) ? null : cacheSize;
+    stats.rejected = {};
+    Object.keys(rejected).forEach((status) => {
+      stats.rejected[status] = Object.assign({}, rejected[status]);
+    });
+    stats.introspectDurationMs = {};
+    Object.keys(introspectDuration).forEach((outcome) => {
+      const histogram = introspectDuration[outcome];
+      stats.introspectDurationMs[outcome] = {
+        count: histogram.count,
+        average: (histogram.count > 0) ? Math.round(histogram.sum * 1000 / histogram.count) : 0
+      };
+    });
+    return stats;
+  };
+
+  /**
+   * Prometheus text exposition format
+   * @param {Object} options
+   * @param {string} options.prefix - Metric name prefix
+   * @param {number} [options.cacheSize] - Number of cached tokens, omitted if null
+   * @returns {string} Metrics text
+   */
+  const renderPrometheus = (options) => {
+    const prefix = options.prefix;
+    const lines = [];
+    const _metric = (name, type, help, samples) => {
+      lines.push('# HELP ' + prefix + name + ' ' + help);
+      lines.push('# TYPE ' + prefix + name + ' ' + type);
+      samples.forEach((sample) => {
+        lines.push(prefix + (sample.name || name) + _formatLabels(sample.labels || {}) +
+          ' ' + String(sample.value));
+      });
+    };
+
+    _metric('requests_accepted_total', 'counter', 'Requests with a valid access token',
+      [{ value: counters.accepted }]);
+    const rejectedSamples = [];
+    Object.keys(rejected).forEach((status) => {
+      Object.keys(rejected[status]).forEach((reason) => {
+        rejectedSamples.push({ labels: { status, reason }, value: rejected[status][reason] });
+      });
+    });
+    _metric('requests_rejected_total', 'counter', 'Requests denied by status and reason',
+      rejectedSamples);
+    _metric('cache_hits_total', 'counter', 'Token cache hits',
+      [{ labels: { negative: 'false' }, value: counters.cacheHits - counters.cacheNegativeHits },
+        { labels: { negative: 'true' }, value: counters.cacheNegativeHits }]);
+    _metric('cache_misses_total', 'counter', 'Token cache misses',
+      [{ labels: { stale: 'false' }, value: counters.cacheMisses - counters.cacheStaleMisses },
+        { labels: { stale: 'true' }, value: counters.cacheStaleMisses }]);
+    if (!(options.cacheSize == null)) {
+      _metric('cache_size', 'gauge', 'Number of cached tokens', [{ value: options.cacheSize }]);
+    }
+    _metric('cache_prune_runs_total', 'counter', 'Token cache cleanup timer runs',
+      [{ value: counters.cachePruneRuns }]);
+    _metric('cache_pruned_entries_total', 'counter', 'Expired tokens removed by cleanup timer',
+      [{ value: counters.cachePrunedEntries }]);
+    const durationSamples = [];
+    Object.keys(introspectDuration).forEach((outcome) => {
+      const histogram = introspectDuration[outcome];
+      durationBuckets.forEach((bound, i) => {
+        durationSamples.push({
+          name: 'introspect_duration_seconds_bucket',
+          labels: { outcome, le: String(bound) },
+          value: histogram.counts[i]
+        });
+      });
+      durationSamples.push({
+        name: 'introspect_duration_seconds_bucket',
+        labels: { outcome, le: '+Inf' },
+        value: histogram.count
+      });
+      durationSamples.push({
+        name: 'introspect_duration_seconds_sum', labels: { outcome }, value: histogram.sum
+      });
+      durationSamples.push({
+        name: 'introspect_duration_seconds_count', labels: { outcome }, value: histogram.count
+      });
+    });
+    _metric('introspect_duration_seconds', 'histogram',
+      'Authorization server introspection request duration', durationSamples);
+    return lines.join('\n') + '\n';
+  };
+
+  return {
+    record,
+    getStats,
+    renderPrometheus
+  };
+};
@@ -0,0 +1,220 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  OpenAPI 3 security requirements
+//
+//  The OpenAPI document is compiled once. Each request method and path is matched
+//  to an operation, and the operation security requirements are converted
+//  to scope requirements.
+//
+//    security: [{ oauth: ['api.read'] }, { oauth: ['api.admin'] }]   Any requirement object
+//    security: [{ oauth: ['api.read', 'api.write'] }]                All scopes of one object
+//    security: []                                                    No security, public
+//
+//  Operation security overrides the document security. Scopes are enforced for
+//  oauth2 and openIdConnect schemes. A http bearer scheme only requires a token.
+//  Requirements using other schemes, such as apiKey, can not be satisfied by this module.
+//
+// ------------------------------
+
+const { compileScope } = require('./scope');
+
+const httpMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Build an OpenAPI document error
+ * @param {string} detail - Description of problem
+ * @returns {Error} Error object
+ */
+const _openApiError = (detail) => {
+  return new Error('token-check, invalid OpenAPI document, ' + detail);
+};
+
+/**
+ * Escape regular expression characters
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+const _escapeRegExp = (text) => {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Convert path template to regular expression, '/users/{userId}' matches '/users/42'
+ * @param {string} template - OpenAPI path template
+ * @returns {RegExp} Regular expression
+ */
+const _templateToRegExp = (template) => {
+  const pattern = template.split(/\{[^}/]+\}/).map(_escapeRegExp).join('[^/]+');
+  return new RegExp('^' + pattern + '$');
+};
+
+/**
+ * Base path from the first servers entry, '/v1' for 'https://api.example.com/v1'
+ * @param {Object} spec - OpenAPI document
+ * @returns {string} Base path without trailing slash, or empty string
+ */
+const _serversBasePath = (spec) => {
+  if ((!Array.isArray(spec.servers)) || (spec.servers.length === 0) ||
+    (typeof spec.servers[0].url !== 'string')) {
+    return '';
+  }
+  // Server variables, such as {version}, are not resolved
+  if (spec.servers[0].url.indexOf('{') >= 0) return '';
+  try {
+    return new URL(spec.servers[0].url, 'http://localhost').pathname.replace(/\/+$/, '');
+  } catch (e) {
+    return '';
+  }
+};
+
+/**
+ * Compile security requirement array
+ * @param {Object[]} security - Security requirement objects
+ * @param {Object} schemes - components.securitySchemes
+ * @param {string} location - Operation name for error messages
+ * @returns {Object} { public, alternatives: [{ supported, scopes, compiledScope }] }
+ */
+const _compileSecurity = (security, schemes, location) => {
+  if (!Array.isArray(security)) throw _openApiError('security of ' + location + ' must be an array');
+  let isPublic = (security.length === 0);
+  const alternatives = [];
+  security.forEach((requirement) => {
+    if ((requirement == null) || (typeof requirement !== 'object')) {
+      throw _openApiError('security requirement of ' + location + ' must be an object');
+    }
+    const names = Object.keys(requirement);
+    // Empty requirement object, security is optional
+    if (names.length === 0) isPublic = true;
+    let supported = true;
+    const scopes = [];
+    names.forEach((name) => {
+      const scheme = schemes[name];
+      if (scheme == null) {
+        throw _openApiError('security scheme ' + name + ' of ' + location + ' not defined');
+      }
+      if ((scheme.type === 'oauth2') || (scheme.type === 'openIdConnect')) {
+        (requirement[name] || []).forEach((scope) => {
+          if (scopes.indexOf(scope) < 0) scopes.push(scope);
+        });
+      } else if (!((scheme.type === 'http') && (String(scheme.scheme).toLowerCase() === 'bearer'))) {
+        supported = false;
+      }
+    });
+    alternatives.push({
+      supported,
+      scopes,
+      compiledScope: (scopes.length > 0) ? compileScope({ allOf: scopes }) : null
+    });
+  });
+  return { public: isPublic, alternatives };
+};
+
+/**
+ * Compile OpenAPI 3 document
+ * @example
+ * const api = compileOpenApi(require('./openapi.json'));
+ * const operation = api.match('GET', '/v1/users/42');
+ * @param {Object} spec - OpenAPI 3 document, parsed JSON or YAML
+ * @param {Object} [options]
+ * @param {string} [options.basePath] - Path prefix of the operations, default path of servers[0].url
+ * @returns {Object} { match(method, path), operations, unsecured }
+ * @throws Will throw error for unsupported document
+ */
+exports.compileOpenApi = (spec, options) => {
+  if ((spec == null) || (typeof spec !== 'object') ||
+    (typeof spec.openapi !== 'string') || (!spec.openapi.startsWith('3.'))) {
+    throw _openApiError('expected openapi version 3');
+  }
+  if ((spec.paths == null) || (typeof spec.paths !== 'object')) {
+    throw _openApiError('paths object not found');
+  }
+  const opts = options || {};
+  const basePath = (typeof opts.basePath === 'string')
+    ? opts.basePath.replace(/\/+$/, '')
+    : _serversBasePath(spec);
+  const schemes = ((spec.components) && (spec.components.securitySchemes)) || {};
+  const documentSecurity = spec.security || [];
+
+  const operations = [];
+  Object.keys(spec.paths).forEach((template) => {
+    const pathItem = spec.paths[template];
+    if ((pathItem == null) || (typeof pathItem !== 'object')) return;
+    if (Object.hasOwn(pathItem, '$ref')) {
+      throw _openApiError('path item $ref of ' + template + ' not supported');
+    }
+    const regExp = _templateToRegExp(template);
+    httpMethods.forEach((method) => {
+      const operation = pathItem[method];
+      if ((operation == null) || (typeof operation !== 'object')) return;
+      const name = method.toUpperCase() + ' ' + template;
+      const security = _compileSecurity(
+        (Object.hasOwn(operation, 'security')) ? operation.security : documentSecurity,
+        schemes, name);
+      operations.push({
+        name,
+        method: method.toUpperCase(),
+        template,
+        regExp,
+        operationId: operation.operationId || null,
+        templateParams: (template.match(/\{[^}/]+\}/g) || []).length,
+        public: security.public,
+        alternatives: security.alternatives
+      });
+    });
+  });
+  // Concrete paths are matched before templated paths (OpenAPI 3 Paths Object)
+  operations.sort((a, b) => a.templateParams - b.templateParams);
+
+  /**
+   * Find operation for request
+   * HEAD requests use the GET operation if no HEAD operation is documented.
+   * @param {string} method - Request method
+   * @param {string} path - Request path, without query
+   * @returns {Object} Operation, or null if not documented
+   */
+  const match = (method, path) => {
+    if ((basePath.length > 0) && (path !== basePath) && (!path.startsWith(basePath + '/'))) {
+      return null;
+    }
+    const relativePath = path.slice(basePath.length) || '/';
+    const upperMethod = String(method).toUpperCase();
+    const _find = (candidateMethod) => operations.find((operation) => {
+      return ((operation.method === candidateMethod) && (operation.regExp.test(relativePath)));
+    });
+    return _find(upperMethod) || ((upperMethod === 'HEAD') ? _find('GET') : null) || null;
+  };
+
+  return {
+    match,
+    basePath,
+    operations: operations.map((operation) => operation.name),
+    // Startup report, operations without a security requirement
+    unsecured: operations.filter((operation) => operation.public)
+      .map((operation) => operation.name)
+  };
+};
+
+/**
+ * Check token scope against operation security
+ * @param {Object} operation - Operation from match()
+ * @param {string[]} tokenScope - Scope values from access token
+ * @param {boolean} hierarchy - Enable hierarchical scope
+ * @returns {Object} { allowed, requiredScope }, requiredScope of the satisfied requirement,
+ * or for the WWW-Authenticate header when denied
+ */
+exports.checkOperationScope = (operation, tokenScope, hierarchy) => {
+  if (operation.public) return { allowed: true, requiredScope: null };
+  const supported = operation.alternatives.filter((alternative) => alternative.supported);
+  const satisfied = supported.find((alternative) => {
+    return ((alternative.compiledScope == null) ||
+      (alternative.compiledScope.test(tokenScope, hierarchy)));
+  });
+  // Satisfied requirement, or the first one when denied
+  const reported = satisfied || supported[0];
+  return {
+    allowed: (!(satisfied == null)),
+    requiredScope: ((reported) && (reported.scopes.length > 0)) ? reported.scopes : null
+  };
+};
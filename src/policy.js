@@ -0,0 +1,201 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Authorization policies
+//
+//  A policy is compiled once, when the route is defined, then evaluated
+//  against the token scope, token meta-data claims and request parameters.
+//
+//    { scope: 'api.write' }                     Scope requirement, see scope.js
+//    { ownerParam: 'userId' }                   req.params.userId equals req.locals.user.id
+//    { claims: { 'client.clientId': ['web-app'] } }
+//                                               Token meta-data value at dotted path,
+//                                               equal to the value, or one of the array values
+//    { anyOf: [policy, ...] }                   At least one policy
+//    { allOf: [policy, ...] }                   Every policy
+//    { noneOf: [policy, ...] }                  No policy
+//
+//  Properties of one policy object are combined with AND.
+//
+// ------------------------------
+
+const { compileScope } = require('./scope');
+
+/** @type {WeakSet} compiledPolicies - Objects returned by compilePolicy() */
+const compiledPolicies = new WeakSet();
+
+const policyProperties = ['scope', 'ownerParam', 'claims', 'anyOf', 'allOf', 'noneOf'];
+
+/**
+ * Build a policy configuration error
+ * @param {string} detail - Description of problem
+ * @returns {Error} Error object
+ */
+const _policyError = (detail) => {
+  return new Error('Invalid policy, ' + detail);
+};
+
+/**
+ * Value at dotted path
+ * @param {Object} source - Token meta-data
+ * @param {string} path - Example 'client.clientId'
+ * @returns {*} Value, or undefined if not found
+ */
+const _valueAtPath = (source, path) => {
+  return path.split('.').reduce((value, name) => {
+    if ((value == null) || (typeof value !== 'object') || (!Object.hasOwn(value, name))) {
+      return undefined;
+    }
+    return value[name];
+  }, source);
+};
+
+/**
+ * Compare claim value, array claims match if any element matches
+ * @param {*} claimValue - Value from token meta-data
+ * @param {Array} accepted - Accepted values
+ * @returns {boolean} True if accepted
+ */
+const _claimAccepted = (claimValue, accepted) => {
+  if (Array.isArray(claimValue)) {
+    return claimValue.some((item) => (accepted.indexOf(item) >= 0));
+  }
+  return (accepted.indexOf(claimValue) >= 0);
+};
+
+/**
+ * Compile policy object to a rule function.
+ * A rule returns null when satisfied, otherwise { reason, scopes }
+ * @param {Object} policy - Policy object
+ * @returns {Function} Rule (context) => failure or null
+ * @throws Will throw error for malformed policy
+ */
+const _compileRule = (policy) => {
+  if ((policy == null) || (typeof policy !== 'object') || (Array.isArray(policy))) {
+    throw _policyError('expected object');
+  }
+  const keys = Object.keys(policy);
+  if (keys.length === 0) throw _policyError('empty object');
+  const rules = keys.map((key) => {
+    if (policyProperties.indexOf(key) < 0) throw _policyError('unknown property ' + key);
+    const value = policy[key];
+    if (key === 'scope') {
+      const compiledScope = compileScope(value);
+      return (context) => {
+        if (compiledScope.test(context.scope, context.hierarchy)) return null;
+        return {
+          reason: 'scope ' + compiledScope.scopes.join(' ') + ' required',
+          scopes: compiledScope.scopes
+        };
+      };
+    }
+    if (key === 'ownerParam') {
+      if ((typeof value !== 'string') || (value.length === 0)) {
+        throw _policyError('ownerParam must be a parameter name');
+      }
+      return (context) => {
+        const paramValue = ((context.params) && (Object.hasOwn(context.params, value)))
+          ? context.params[value]
+          : null;
+        if ((!(paramValue == null)) && (!(context.userId == null)) &&
+          (String(paramValue) === String(context.userId))) {
+          return null;
+        }
+        return { reason: 'parameter ' + value + ' must match user id' };
+      };
+    }
+    if (key === 'claims') {
+      if ((value == null) || (typeof value !== 'object') || (Array.isArray(value)) ||
+        (Object.keys(value).length === 0)) {
+        throw _policyError('claims must be a non-empty object');
+      }
+      const claimRules = Object.keys(value).map((path) => {
+        const accepted = (Array.isArray(value[path])) ? value[path] : [value[path]];
+        if (accepted.length === 0) throw _policyError('claim ' + path + ' has no accepted values');
+        return { path, accepted };
+      });
+      return (context) => {
+        const failed = claimRules.find((claimRule) => {
+          return !_claimAccepted(_valueAtPath(context.claims, claimRule.path), claimRule.accepted);
+        });
+        return (failed) ? { reason: 'claim ' + failed.path + ' not accepted' } : null;
+      };
+    }
+    // anyOf, allOf, noneOf
+    if ((!Array.isArray(value)) || (value.length === 0)) {
+      throw _policyError(key + ' must be a non-empty array');
+    }
+    const items = value.map(_compileRule);
+    if (key === 'allOf') {
+      return (context) => {
+        let failure = null;
+        items.find((item) => {
+          failure = item(context);
+          return (!(failure == null));
+        });
+        return failure;
+      };
+    }
+    if (key === 'anyOf') {
+      return (context) => {
+        const failures = [];
+        const passed = items.some((item) => {
+          const failure = item(context);
+          if (failure) failures.push(failure);
+          return (failure == null);
+        });
+        if (passed) return null;
+        return { reason: 'any of (' + failures.map((item) => item.reason).join('; ') + ')' };
+      };
+    }
+    return (context) => {
+      const matched = items.findIndex((item) => (item(context) == null));
+      if (matched < 0) return null;
+      return { reason: 'noneOf rule ' + (matched + 1).toString() + ' matched' };
+    };
+  });
+  return (context) => {
+    let failure = null;
+    rules.find((rule) => {
+      failure = rule(context);
+      return (!(failure == null));
+    });
+    return failure;
+  };
+};
+
+/**
+ * Compile a policy
+ * @example
+ * const ownerOrAdmin = compilePolicy({ anyOf: [{ scope: 'api.admin' }, { ownerParam: 'userId' }] });
+ * ownerOrAdmin.evaluate({ scope: ['api.read'], userId: 'u1', params: { userId: 'u1' }, claims: {} });
+ * // { allowed: true, reason: null, scopes: null }
+ * @param {Object} policy - Policy object, or compiled policy
+ * @returns {Object} Compiled policy { evaluate(context) }
+ * @throws Will throw error for malformed policy
+ */
+exports.compilePolicy = (policy) => {
+  if ((!(policy == null)) && (compiledPolicies.has(policy))) return policy;
+  const rule = _compileRule(policy);
+  const compiled = Object.freeze({
+    /**
+     * Evaluate policy
+     * @param {Object} context
+     * @param {string[]} context.scope - Token scope
+     * @param {boolean} [context.hierarchy] - Enable hierarchical scope
+     * @param {string} [context.userId] - User id, null for client tokens
+     * @param {Object} [context.params] - Request parameters
+     * @param {Object} [context.claims] - Token meta-data
+     * @returns {Object} { allowed, reason, scopes }, reason describes the failed rule,
+     * scopes is set when a scope rule failed
+     */
+    evaluate: (context) => {
+      const failure = rule(context);
+      if (failure == null) return { allowed: true, reason: null, scopes: null };
+      return { allowed: false, reason: failure.reason, scopes: failure.scopes || null };
+    }
+  });
+  compiledPolicies.add(compiled);
+  return compiled;
+};
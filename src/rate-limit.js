@@ -0,0 +1,263 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Identity based rate limiting, token bucket algorithm
+//
+//  Each bucket holds up to "limit" requests and refills at limit / windowSeconds
+//  requests per second. A request is allowed if the bucket has one request available.
+//
+//  A rate limit store is an object with the following asynchronous function.
+//
+//    consume(key, capacity, refillPerSecond, cost)
+//                              Refill bucket, then remove cost if available.
+//                              Resolves { allowed, tokens }, tokens remaining after the request.
+//
+//  A shared store must update the bucket atomically.
+//
+// ------------------------------
+
+const { createRespClient } = require('./resp-client');
+
+/**
+ * In-memory rate limit store (default)
+ * Buckets are held in a Map within the node process, least recently used are evicted.
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Maximum number of buckets, default 10000
+ * @returns {Object} Rate limit store
+ */
+exports.createMemoryRateLimitStore = (options) => {
+  const maxEntries = ((options) && (options.maxEntries > 0)) ? parseInt(options.maxEntries) : 10000;
+  /** @type {Map} buckets - { tokens, updatedAt } by key */
+  const buckets = new Map();
+
+  const consume = (key, capacity, refillPerSecond, cost) => {
+    const now = Date.now();
+    let bucket = buckets.get(key);
+    buckets.delete(key);
+    if (bucket == null) {
+      bucket = { tokens: capacity, updatedAt: now };
+    } else {
+      const elapsedSeconds = Math.max(0, now - bucket.updatedAt) / 1000;
+      bucket.tokens = Math.min(capacity, bucket.tokens + (elapsedSeconds * refillPerSecond));
+      bucket.updatedAt = now;
+    }
+    const allowed = (bucket.tokens >= cost);
+    if (allowed) bucket.tokens -= cost;
+    while (buckets.size >= maxEntries) {
+      // First key in Map is least recently used, a full bucket is lost at worst
+      buckets.delete(buckets.keys().next().value);
+    }
+    // Move to most recently used position
+    buckets.set(key, bucket);
+    return Promise.resolve({ allowed, tokens: bucket.tokens });
+  };
+
+  return {
+    consume,
+    size: () => buckets.size
+  };
+};
+
+/**
+ * Token bucket update, runs atomically in Redis.
+ * Time is from the Redis server, so all node processes use the same clock.
+ * KEYS[1] bucket key, ARGV capacity, refillPerSecond, cost, ttl ms
+ * @type {string} _redisBucketScript
+ */
+const _redisBucketScript = [
+  'local capacity = tonumber(ARGV[1])',
+  'local rate = tonumber(ARGV[2])',
+  'local cost = tonumber(ARGV[3])',
+  'local time = redis.call("TIME")',
+  'local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)',
+  'local state = redis.call("HMGET", KEYS[1], "tokens", "updated")',
+  'local tokens = tonumber(state[1])',
+  'local updated = tonumber(state[2])',
+  'if tokens == nil or updated == nil then',
+  '  tokens = capacity',
+  'else',
+  '  tokens = math.min(capacity, tokens + math.max(0, now - updated) * rate / 1000)',
+  'end',
+  'local allowed = 0',
+  'if tokens >= cost then',
+  '  tokens = tokens - cost',
+  '  allowed = 1',
+  'end',
+  'redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "updated", tostring(now))',
+  'redis.call("PEXPIRE", KEYS[1], ARGV[4])',
+  // Lua numbers are converted to integer replies, return tokens as string
+  'return { allowed, tostring(tokens) }'
+].join('\n');
+
+/**
+ * Redis rate limit store, shared between node processes.
+ * Each bucket is a hash updated by a Lua script (EVAL), expiring when full.
+ * @example
+ * rateLimitByIdentity({
+ *   perUser: { limit: 100, windowSeconds: 60 },
+ *   store: createRedisRateLimitStore({ host: '127.0.0.1', port: 6379 })
+ * });
+ * @param {Object} [options] - Connection options, see createRedisStore()
+ * @param {string} [options.keyPrefix] - Prefix for Redis keys, default 'rate-limit:'
+ * @param {Object} [options.client] - Optional existing client with command(args) function
+ * @returns {Object} Rate limit store
+ */
+exports.createRedisRateLimitStore = (options) => {
+  const opt = options || {};
+  const client = opt.client || createRespClient(opt);
+  const keyPrefix = opt.keyPrefix || 'rate-limit:';
+
+  const consume = (key, capacity, refillPerSecond, cost) => {
+    // Bucket is full again after this time, no need to keep it
+    const ttlMs = Math.ceil((capacity / refillPerSecond) * 1000) + 1000;
+    return client.command(['EVAL', _redisBucketScript, 1, keyPrefix + key,
+      capacity, refillPerSecond, cost, ttlMs])
+      .then((reply) => {
+        return { allowed: (reply[0] === 1), tokens: parseFloat(reply[1]) };
+      });
+  };
+
+  return {
+    consume,
+    close: () => (client.quit) ? client.quit() : Promise.resolve()
+  };
+};
+
+/**
+ * Validate a rate limit rule
+ * @param {Object} rule - { limit, windowSeconds }
+ * @param {string} name - Option name for error messages
+ * @returns {Object} Rule { limit, windowSeconds, refillPerSecond }, or null if not configured
+ * @throws Will throw error for invalid rule
+ */
+const _parseRule = (rule, name) => {
+  if (rule == null) return null;
+  if ((typeof rule !== 'object') ||
+    (!Number.isInteger(rule.limit)) || (rule.limit < 1) ||
+    (typeof rule.windowSeconds !== 'number') || (!(rule.windowSeconds > 0))) {
+    throw new Error('token-check, invalid ' + name + ' in options');
+  }
+  return {
+    limit: rule.limit,
+    windowSeconds: rule.windowSeconds,
+    refillPerSecond: rule.limit / rule.windowSeconds
+  };
+};
+
+/**
+ * Create rate limiter for request identities
+ * @example
+ * const limiter = createRateLimiter({
+ *   perUser: { limit: 100, windowSeconds: 60 },
+ *   perScope: { 'api.admin': { perUser: { limit: 1000, windowSeconds: 60 } } }
+ * });
+ * limiter.check({ userId: 'u1', clientId: 'app', scopes: ['api.read'] }).then((result) => { ... });
+ * @param {Object} options
+ * @param {Object} [options.perUser] - { limit, windowSeconds } for each user id
+ * @param {Object} [options.perClient] - { limit, windowSeconds } for each client id
+ * @param {Object} [options.perScope] - Overrides by scope name, { scope: { perUser, perClient } }
+ * @param {Object} [options.store] - Rate limit store, default in memory
+ * @param {Function} [options.matchScope] - (scopeName, scopes) => boolean, default exact match
+ * @returns {Object} Rate limiter with check(identity) function
+ * @throws Will throw error for invalid options
+ */
+exports.createRateLimiter = (options) => {
+  const rules = {
+    user: _parseRule(options.perUser, 'perUser'),
+    client: _parseRule(options.perClient, 'perClient')
+  };
+  const scopeRules = [];
+  if (!(options.perScope == null)) {
+    if ((typeof options.perScope !== 'object') || (Array.isArray(options.perScope))) {
+      throw new Error('token-check, invalid perScope in options');
+    }
+    Object.keys(options.perScope).forEach((scopeName) => {
+      const override = options.perScope[scopeName];
+      if ((override == null) || (typeof override !== 'object')) {
+        throw new Error('token-check, invalid perScope ' + scopeName + ' in options');
+      }
+      scopeRules.push({
+        scopeName,
+        user: _parseRule(override.perUser, 'perScope ' + scopeName + ' perUser'),
+        client: _parseRule(override.perClient, 'perScope ' + scopeName + ' perClient')
+      });
+    });
+  }
+  if ((rules.user == null) && (rules.client == null) &&
+    (scopeRules.every((item) => ((item.user == null) && (item.client == null))))) {
+    throw new Error('token-check, rateLimitByIdentity requires perUser, perClient or perScope');
+  }
+  const store = options.store || exports.createMemoryRateLimitStore();
+  if ((store == null) || (typeof store.consume !== 'function')) {
+    throw new Error('token-check, invalid store in options');
+  }
+  const matchScope = options.matchScope ||
+    ((scopeName, scopes) => (scopes.indexOf(scopeName) >= 0));
+
+  /**
+   * Select rule for a bucket type, the first matching perScope override is used
+   * @param {string} type - 'user' or 'client'
+   * @param {string[]} scopes - Token scope
+   * @returns {Object} { rule, scopeName }, rule null if not limited
+   */
+  const _selectRule = (type, scopes) => {
+    const found = scopeRules.find((item) => ((!(item[type] == null)) &&
+      (matchScope(item.scopeName, scopes))));
+    if (found) return { rule: found[type], scopeName: found.scopeName };
+    return { rule: rules[type], scopeName: null };
+  };
+
+  /**
+   * Consume one request from each bucket of the identity
+   * @param {Object} identity
+   * @param {string} [identity.userId] - User id, null for client credentials tokens
+   * @param {string} [identity.clientId] - Client id
+   * @param {string[]} [identity.scopes] - Token scope
+   * @returns {Promise} Resolves { limited, limit, remaining, resetSeconds, retryAfterSeconds,
+   * windowSeconds, bucket, scopeName } for the most restrictive bucket, or null if no bucket applies
+   */
+  const check = (identity) => {
+    const scopes = identity.scopes || [];
+    const checks = [];
+    [['user', identity.userId], ['client', identity.clientId]].forEach((pair) => {
+      const type = pair[0];
+      const id = pair[1];
+      if ((id == null) || (id === '')) return;
+      const selected = _selectRule(type, scopes);
+      if (selected.rule == null) return;
+      const rule = selected.rule;
+      const key = type + ':' + String(id) +
+        ((selected.scopeName) ? ':scope:' + selected.scopeName : '');
+      checks.push(store.consume(key, rule.limit, rule.refillPerSecond, 1)
+        .then((consumed) => {
+          const tokens = Math.max(0, consumed.tokens);
+          return {
+            limited: (!consumed.allowed),
+            limit: rule.limit,
+            windowSeconds: rule.windowSeconds,
+            remaining: Math.floor(tokens),
+            resetSeconds: Math.ceil((rule.limit - tokens) / rule.refillPerSecond),
+            retryAfterSeconds: (consumed.allowed)
+              ? 0
+              : Math.max(1, Math.ceil((1 - tokens) / rule.refillPerSecond)),
+            bucket: type,
+            scopeName: selected.scopeName
+          };
+        }));
+    });
+    return Promise.all(checks)
+      .then((results) => {
+        if (results.length === 0) return null;
+        // Report the denied bucket, else the one with fewest remaining requests
+        return results.reduce((worst, result) => {
+          if (result.limited !== worst.limited) return (result.limited) ? result : worst;
+          return (result.remaining < worst.remaining) ? result : worst;
+        });
+      });
+  };
+
+  return {
+    check
+  };
+};
@@ -0,0 +1,218 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Minimal Redis Serialization Protocol (RESP2) client
+//  Used by the Redis token cache store, zero NPM dependencies.
+//
+// ------------------------------
+
+const net = require('node:net');
+
+/**
+ * Encode command arguments as RESP array of bulk strings
+ * @param {string[]} args - Command and arguments, example ['GET', 'key']
+ * @returns {Buffer} Encoded command
+ */
+const _encodeCommand = (args) => {
+  let encoded = '*' + args.length.toString() + '\r\n';
+  args.forEach((arg) => {
+    const argString = String(arg);
+    encoded += '$' + Buffer.byteLength(argString, 'utf8').toString() + '\r\n' + argString + '\r\n';
+  });
+  return Buffer.from(encoded, 'utf8');
+};
+
+/**
+ * Parse one RESP reply from buffer
+ * @param {Buffer} buffer - Received data
+ * @param {number} offset - Start position
+ * @returns {Object|null} { value, offset } or null if reply is incomplete.
+ * Error replies are returned as Error objects in value.
+ */
+const _parseReply = (buffer, offset) => {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd < 0) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+  if (type === '+') {
+    return { value: line, offset: next };
+  } else if (type === '-') {
+    return { value: new Error('Redis error, ' + line), offset: next };
+  } else if (type === ':') {
+    return { value: parseInt(line), offset: next };
+  } else if (type === '$') {
+    const length = parseInt(line);
+    if (length < 0) return { value: null, offset: next };
+    if (buffer.length < next + length + 2) return null;
+    return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+  } else if (type === '*') {
+    const count = parseInt(line);
+    if (count < 0) return { value: null, offset: next };
+    const items = [];
+    let position = next;
+    for (let i = 0; i < count; i++) {
+      const item = _parseReply(buffer, position);
+      if (item == null) return null;
+      items.push(item.value);
+      position = item.offset;
+    }
+    return { value: items, offset: position };
+  } else {
+    throw new Error('Redis protocol error, unexpected reply type');
+  }
+};
+
+/**
+ * Create a RESP client connection.
+ * The TCP connection is opened on first command and re-opened after errors.
+ * Optional AUTH and SELECT commands are sent at the start of each connection.
+ * If either is refused, the connection is closed and pending commands are rejected
+ * with the AUTH or SELECT error.
+ * The socket does not keep the node process running while idle.
+ * @example
+ * const client = createRespClient({ host: '127.0.0.1', port: 6379 });
+ * client.command(['GET', 'somekey']).then((value) => { ... });
+ * @param {Object} options
+ * @param {string} [options.host] - Redis server host, default '127.0.0.1'
+ * @param {number} [options.port] - Redis server port, default 6379
+ * @param {string} [options.username] - Optional ACL username
+ * @param {string} [options.password] - Optional password for AUTH command
+ * @param {number} [options.db] - Optional database number for SELECT command
+ * @param {number} [options.timeoutMs] - Command timeout, default 2000
+ * @returns {Object} Client with command(args) and quit() functions
+ */
+exports.createRespClient = (options) => {
+  const opt = options || {};
+  const host = opt.host || '127.0.0.1';
+  const port = opt.port || 6379;
+  const timeoutMs = opt.timeoutMs || 2000;
+
+  let socket = null;
+  let receiveBuffer = Buffer.alloc(0);
+  /** @type {Object[]} pending - Queue of { resolve, reject, setup } waiting for replies */
+  let pending = [];
+  let commandTimerId = null;
+  /** @type {Promise} connectionReady - Resolves after AUTH and SELECT are accepted */
+  let connectionReady = null;
+
+  const _failAll = (err) => {
+    const failed = pending;
+    pending = [];
+    failed.forEach((waiting) => waiting.reject(err));
+  };
+
+  const _restartTimer = () => {
+    if (commandTimerId) clearTimeout(commandTimerId);
+    commandTimerId = null;
+    if (pending.length > 0) {
+      commandTimerId = setTimeout(() => {
+        if (socket) socket.destroy(new Error('Redis command timeout'));
+      }, timeoutMs);
+    }
+  };
+
+  const _onData = (data) => {
+    receiveBuffer = Buffer.concat([receiveBuffer, data]);
+    let offset = 0;
+    let reply = null;
+    try {
+      reply = _parseReply(receiveBuffer, offset);
+      while (reply) {
+        offset = reply.offset;
+        const waiting = pending.shift();
+        if ((waiting) && (waiting.setup) && (reply.value instanceof Error)) {
+          // Later replies are NOAUTH errors, or from the wrong database
+          const setupError = new Error('Redis ' + waiting.setup + ' failed, ' +
+            host + ':' + port.toString() + ', ' + reply.value.message);
+          waiting.reject(setupError);
+          _failAll(setupError);
+          socket.destroy();
+          return;
+        }
+        if (waiting) {
+          if (reply.value instanceof Error) {
+            waiting.reject(reply.value);
+          } else {
+            waiting.resolve(reply.value);
+          }
+        }
+        reply = _parseReply(receiveBuffer, offset);
+      }
+    } catch (err) {
+      socket.destroy(err);
+      return;
+    }
+    receiveBuffer = receiveBuffer.subarray(offset);
+    _restartTimer();
+    if ((pending.length === 0) && (socket)) socket.unref();
+  };
+
+  const _send = (args, setup) => {
+    if (socket == null) {
+      return Promise.reject(new Error('Redis connection closed, ' + host + ':' + port.toString()));
+    }
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject, setup: setup || null });
+      socket.ref();
+      socket.write(_encodeCommand(args));
+      if (pending.length === 1) _restartTimer();
+    });
+  };
+
+  const _connect = () => {
+    receiveBuffer = Buffer.alloc(0);
+    socket = net.createConnection({ host, port });
+    socket.setNoDelay(true);
+    socket.on('data', _onData);
+    socket.on('error', () => {
+      // handled in close event
+    });
+    socket.on('close', () => {
+      socket = null;
+      if (commandTimerId) clearTimeout(commandTimerId);
+      commandTimerId = null;
+      _failAll(new Error('Redis connection closed, ' + host + ':' + port.toString()));
+    });
+    // Commands written before connect are buffered by the socket
+    const setup = [];
+    if (opt.password) {
+      const authArgs = (opt.username) ? ['AUTH', opt.username, opt.password] : ['AUTH', opt.password];
+      setup.push(_send(authArgs, 'AUTH'));
+    }
+    if (!(opt.db == null)) {
+      setup.push(_send(['SELECT', opt.db], 'SELECT'));
+    }
+    // Other commands wait, so they are never run unauthenticated or in the wrong database
+    connectionReady = Promise.all(setup);
+  };
+
+  /**
+   * Send command to Redis server
+   * @param {string[]} args - Command and arguments
+   * @returns {Promise} Resolves with reply, or rejects with error
+   */
+  const command = (args) => {
+    if (socket == null) _connect();
+    return connectionReady.then(() => _send(args));
+  };
+
+  /**
+   * Close connection
+   * @returns {Promise} Resolves when closed
+   */
+  const quit = () => {
+    if (socket == null) return Promise.resolve();
+    const closing = socket;
+    return new Promise((resolve) => {
+      closing.once('close', () => resolve());
+      closing.end();
+    });
+  };
+
+  return {
+    command,
+    quit
+  };
+};
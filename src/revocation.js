@@ -0,0 +1,381 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Revocation webhook receiver
+//
+//  Accepts revocation notifications from the authorization server:
+//
+//    Client authenticated POST
+//      Authorization: Basic (clientId:clientSecret)
+//      Content-Type: application/json or application/x-www-form-urlencoded
+//      Body: { "token": "..." } or { "user_id": "..." } or { "client_id": "..." }
+//
+//    Security Event Token, push delivery (RFC 8417, RFC 8935)
+//      Content-Type: application/secevent+jwt
+//      Body: JWT with typ secevent+jwt, signed with an authorization server JWKS key.
+//      The iat claim must be within maxAgeSeconds, and each jti is accepted once.
+//
+//  Success returns status 202 Accepted.
+//
+// ------------------------------
+
+const crypto = require('node:crypto');
+const { decodeJwt, verifyJwtSignature } = require('./jwt');
+const { createMemoryStore } = require('./cache-stores');
+
+/**
+ * Security event types that revoke tokens
+ * @type {string[]} revocationEventTypes
+ */
+const revocationEventTypes = [
+  'https://schemas.openid.net/secevent/oauth/event-type/token-revoked',
+  'https://schemas.openid.net/secevent/risc/event-type/sessions-revoked',
+  'https://schemas.openid.net/secevent/risc/event-type/account-disabled',
+  'https://schemas.openid.net/secevent/risc/event-type/account-purged',
+  'https://schemas.openid.net/secevent/risc/event-type/credential-compromise',
+  'https://schemas.openid.net/secevent/caep/event-type/session-revoked'
+];
+
+/**
+ * Build a webhook error
+ * @param {number} status - HTTP status
+ * @param {string} code - RFC 8935 error code
+ * @param {string} message - Error description
+ * @returns {Error} Error with status and code
+ */
+const _webhookError = (status, code, message) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+};
+
+/**
+ * Constant time string compare
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} True if equal
+ */
+const _safeEqual = (a, b) => {
+  const digestA = crypto.createHash('sha256').update(String(a)).digest();
+  const digestB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+};
+
+/**
+ * Read request body as string.
+ * Uses req.body if already parsed by a body parser.
+ * @param {Object} req - Node request object
+ * @param {number} maxBytes - Maximum body size
+ * @returns {Promise} Resolves string or object
+ */
+const _readBody = (req, maxBytes) => {
+  if (!(req.body == null)) {
+    if ((Buffer.isBuffer(req.body)) || (typeof req.body === 'string')) {
+      return Promise.resolve(req.body.toString('utf8'));
+    }
+    return Promise.resolve(req.body);
+  }
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = 0;
+    req.on('data', (chunk) => {
+      received += chunk.length;
+      if (received > maxBytes) {
+        reject(_webhookError(413, 'invalid_request', 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', (err) => reject(err));
+  });
+};
+
+/**
+ * Parse notification body to object
+ * @param {string|Object} body - Request body
+ * @param {string} contentType - Content-Type header, lower case without parameters
+ * @returns {Object} Parsed body
+ * @throws Will throw 400 error if not parsable
+ */
+const _parseBody = (body, contentType) => {
+  if (typeof body === 'object') return body;
+  try {
+    if (contentType === 'application/x-www-form-urlencoded') {
+      return Object.fromEntries(new URLSearchParams(body));
+    }
+    const parsed = JSON.parse(body);
+    if ((parsed == null) || (typeof parsed !== 'object')) throw new Error('Not an object');
+    return parsed;
+  } catch (e) {
+    throw _webhookError(400, 'invalid_request', 'Unable to parse request body');
+  }
+};
+
+/**
+ * Confirm Basic authorization header matches a configured client
+ * @param {Object} req - Node request object
+ * @param {Object[]} clients - Array of { clientId, clientSecret }
+ * @returns {string} Authenticated client id
+ * @throws Will throw 401 error on failure
+ */
+const _authenticateClient = (req, clients) => {
+  const authHeader = req.headers.authorization || '';
+  const parts = authHeader.split(' ');
+  if ((clients.length === 0) || (parts.length !== 2) || (parts[0].toLowerCase() !== 'basic')) {
+    throw _webhookError(401, 'authentication_failed', 'Client authentication required');
+  }
+  const credentials = Buffer.from(parts[1], 'base64').toString('utf8');
+  const separator = credentials.indexOf(':');
+  let clientId = null;
+  let clientSecret = null;
+  try {
+    // RFC 6749 section 2.3.1, credentials are form-urlencoded
+    clientId = decodeURIComponent(credentials.slice(0, separator));
+    clientSecret = decodeURIComponent(credentials.slice(separator + 1));
+  } catch (e) {
+    throw _webhookError(401, 'authentication_failed', 'Client authentication failed');
+  }
+  let matched = false;
+  clients.forEach((client) => {
+    // Compare all entries, do not exit early
+    const idMatch = _safeEqual(client.clientId, clientId);
+    const secretMatch = _safeEqual(client.clientSecret, clientSecret);
+    if ((separator > 0) && (idMatch) && (secretMatch)) matched = true;
+  });
+  if (!matched) {
+    throw _webhookError(401, 'authentication_failed', 'Client authentication failed');
+  }
+  return clientId;
+};
+
+/**
+ * Convert a RISC oauth_token subject to a token cache key.
+ * @param {Object} subject - Subject identifier
+ * @param {Object} handlers - Token cache key function
+ * @returns {string} SHA-256 hex digest, or null
+ */
+const _tokenSubjectToCacheKey = (subject, handlers) => {
+  if (typeof subject.token !== 'string') return null;
+  if ((subject.token_type) && (subject.token_type !== 'access_token')) return null;
+  if (subject.token_identifier_alg === 'plain') {
+    return handlers.tokenCacheKey(subject.token);
+  }
+  if (subject.token_identifier_alg === 'hash_256') {
+    return Buffer.from(subject.token, 'base64url').toString('hex');
+  }
+  return null;
+};
+
+/**
+ * Create revocation webhook middleware
+ * @param {Object} options
+ * @param {Object[]} [options.clients] - Array of { clientId, clientSecret } allowed to POST
+ * @param {string|string[]} [options.audience] - Accepted SET aud claim, skipped if null
+ * @param {number} [options.maxBodyBytes] - Maximum request body size, default 65536
+ * @param {number} [options.maxAgeSeconds] - Accepted SET age by iat claim, default 300
+ * @param {Object} [options.replayStore] - Token cache store with add() for SET jti values, default in memory
+ * @param {Object} handlers - Functions provided by the token auth instance
+ * @param {Function} handlers.revokeCacheKey - (key, tokenExp) => Promise
+ * @param {Function} handlers.tokenCacheKey - (token) => SHA-256 hex digest
+ * @param {Function} handlers.revokeCachedToken - (token) => Promise
+ * @param {Function} handlers.purgeCacheByUser - (userId) => Promise
+ * @param {Function} handlers.purgeCacheByClient - (clientId) => Promise
+ * @param {Function} handlers.findIssuer - (iss) => issuer configuration or null
+ * @param {Function} handlers.clockSkewSeconds - () => allowed clock difference in seconds
+ * @param {Function} handlers.log - (level, message) => undefined
+ * @returns {Function} Middleware (req, res, next)
+ */
+exports.createRevocationWebhook = (options, handlers) => {
+  const opt = options || {};
+  const clients = opt.clients || [];
+  if ((!Array.isArray(clients)) || (!clients.every((client) => {
+    return ((!(client == null)) &&
+      (typeof client.clientId === 'string') && (client.clientId.length > 0) &&
+      (typeof client.clientSecret === 'string') && (client.clientSecret.length > 0));
+  }))) {
+    throw new Error('revocationWebhook, invalid clients in options');
+  }
+  const audience = (opt.audience == null) ? null : [].concat(opt.audience);
+  const maxBodyBytes = (opt.maxBodyBytes > 0) ? parseInt(opt.maxBodyBytes) : 65536;
+  if ((Object.hasOwn(opt, 'maxAgeSeconds')) && (!(parseInt(opt.maxAgeSeconds) > 0))) {
+    throw new Error('revocationWebhook, invalid maxAgeSeconds in options');
+  }
+  const maxAgeSeconds = (opt.maxAgeSeconds > 0) ? parseInt(opt.maxAgeSeconds) : 300;
+  if ((Object.hasOwn(opt, 'replayStore')) && ((opt.replayStore == null) ||
+    (typeof opt.replayStore.add !== 'function') || (typeof opt.replayStore.delete !== 'function'))) {
+    throw new Error('revocationWebhook, invalid replayStore in options');
+  }
+  const replayStore = opt.replayStore || createMemoryStore({ maxEntries: 100000 });
+
+  /**
+   * Record SET jti, each jti is accepted once per issuer
+   * @param {string} replayKey - Replay store key
+   * @param {number} ttlSeconds - Time the jti is kept
+   * @returns {Promise} Resolves when recorded, rejects 400 error if already used
+   */
+  const _recordJti = (replayKey, ttlSeconds) => {
+    // Atomic, so processes sharing the store can not both accept the jti
+    return replayStore.add(replayKey, { cacheExpires: 0 }, ttlSeconds)
+      .then((added) => !added, (err) => {
+        // Replay check is required, fail closed
+        throw _webhookError(500, 'server_error', 'SET replay store error, ' + err.message);
+      })
+      .then((replayed) => {
+        if (replayed) throw _webhookError(400, 'invalid_request', 'SET jti already used');
+      });
+  };
+
+  /**
+   * Client authenticated notification
+   * @returns {Promise} Resolves when cache entries are removed
+   */
+  const _handleClientNotification = (req, body) => {
+    const authenticatedClientId = _authenticateClient(req, clients);
+    const pending = [];
+    if ((typeof body.token === 'string') && (body.token.length > 0)) {
+      pending.push(handlers.revokeCachedToken(body.token));
+    }
+    if ((typeof body.user_id === 'string') && (body.user_id.length > 0)) {
+      pending.push(handlers.purgeCacheByUser(body.user_id));
+    }
+    if ((typeof body.client_id === 'string') && (body.client_id.length > 0)) {
+      pending.push(handlers.purgeCacheByClient(body.client_id));
+    }
+    if (pending.length === 0) {
+      return Promise.reject(_webhookError(400, 'invalid_request',
+        'Expected token, user_id or client_id'));
+    }
+    handlers.log('info', 'Token auth: revocation notification from client ' +
+      authenticatedClientId);
+    return Promise.all(pending);
+  };
+
+  /**
+   * Security Event Token notification
+   * @returns {Promise} Resolves when cache entries are removed
+   */
+  const _handleSecurityEvent = (setJwt) => {
+    let decoded = null;
+    try {
+      decoded = decodeJwt(setJwt.trim());
+    } catch (e) {
+      return Promise.reject(_webhookError(400, 'invalid_request', 'SET malformed'));
+    }
+    const payload = decoded.payload;
+    // Prevent an access token or ID token from being accepted as a SET (RFC 8417 2.3)
+    const typ = (typeof decoded.header.typ === 'string')
+      ? decoded.header.typ.toLowerCase().replace(/^application\//, '')
+      : null;
+    if ((typ !== 'secevent+jwt') ||
+      (payload.events == null) || (typeof payload.events !== 'object')) {
+      return Promise.reject(_webhookError(400, 'invalid_request', 'Not a security event token'));
+    }
+    const clockSkewSeconds = handlers.clockSkewSeconds();
+    const now = Math.floor(Date.now() / 1000);
+    if ((typeof payload.iat !== 'number') || (payload.iat - clockSkewSeconds > now) ||
+      (payload.iat + maxAgeSeconds < now)) {
+      return Promise.reject(_webhookError(400, 'invalid_request', 'SET iat outside accepted window'));
+    }
+    if ((typeof payload.jti !== 'string') || (payload.jti.length === 0) ||
+      (payload.jti.length > 256)) {
+      return Promise.reject(_webhookError(400, 'invalid_request', 'SET jti missing or invalid'));
+    }
+    const replayKey = 'set:' + crypto.createHash('sha256')
+      .update(String(payload.iss) + ':' + payload.jti).digest('hex');
+    const issuerConfig = handlers.findIssuer(payload.iss);
+    if (issuerConfig == null) {
+      return Promise.reject(_webhookError(400, 'invalid_issuer', 'SET issuer not trusted'));
+    }
+    if (issuerConfig.jwksClient == null) {
+      return Promise.reject(_webhookError(400, 'invalid_key', 'No JWKS configured for SET issuer'));
+    }
+    if ((audience) &&
+      (![].concat(payload.aud).some((aud) => audience.indexOf(aud) >= 0))) {
+      return Promise.reject(_webhookError(400, 'invalid_audience', 'SET audience mismatch'));
+    }
+    return issuerConfig.jwksClient.getKey(decoded.header)
+      .catch((err) => {
+        if (err.unavailable) throw err;
+        throw _webhookError(400, 'invalid_key', 'SET signing key not found');
+      })
+      .then((keyObject) => {
+        if (!verifyJwtSignature(decoded, keyObject)) {
+          throw _webhookError(400, 'invalid_key', 'SET signature invalid');
+        }
+        // Recorded after the signature check, so unsigned requests do not fill the store
+        return _recordJti(replayKey, maxAgeSeconds + clockSkewSeconds);
+      })
+      .then(() => {
+        const pending = [];
+        Object.keys(payload.events).forEach((eventType) => {
+          if (revocationEventTypes.indexOf(eventType) < 0) {
+            handlers.log('debug', 'Token auth: ignored security event ' + eventType);
+            return;
+          }
+          const eventPayload = payload.events[eventType] || {};
+          const subject = eventPayload.subject || payload.sub_id;
+          if ((subject == null) || (typeof subject !== 'object')) return;
+          if (subject.subject_type === 'oauth_token') {
+            const key = _tokenSubjectToCacheKey(subject, handlers);
+            if (key) pending.push(handlers.revokeCacheKey(key, null));
+          } else if ((subject.format === 'opaque') && (typeof subject.id === 'string')) {
+            pending.push(handlers.purgeCacheByUser(subject.id));
+          } else if ((subject.format === 'iss_sub') && (typeof subject.sub === 'string')) {
+            pending.push(handlers.purgeCacheByUser(subject.sub));
+          }
+        });
+        handlers.log('info', 'Token auth: security event token from ' + payload.iss);
+        return Promise.all(pending)
+          .catch((err) => {
+            // Not processed, the transmitter may send the SET again
+            return replayStore.delete(replayKey)
+              .catch(() => {})
+              .then(() => { throw err; });
+          });
+      });
+  };
+
+  return (req, res, next) => {
+    if (req.method !== 'POST') {
+      res.statusCode = 405;
+      res.setHeader('Allow', 'POST');
+      return res.end();
+    }
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    _readBody(req, maxBodyBytes)
+      .then((body) => {
+        if (contentType === 'application/secevent+jwt') {
+          if (typeof body !== 'string') {
+            throw _webhookError(400, 'invalid_request', 'Expected SET in request body');
+          }
+          return _handleSecurityEvent(body);
+        }
+        return _handleClientNotification(req, _parseBody(body, contentType));
+      })
+      .then(() => {
+        res.statusCode = 202;
+        res.end();
+      })
+      .catch((err) => {
+        const status = err.status || 500;
+        let code = err.code;
+        let description = err.message;
+        if (status === 503) {
+          code = 'temporarily_unavailable';
+          description = 'Authorization server unavailable';
+        } else if (status >= 500) {
+          code = 'server_error';
+          description = 'Server error';
+        }
+        handlers.log('warn', 'Token auth: revocation webhook, ' + err.message);
+        res.statusCode = status;
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        if (status === 401) res.setHeader('WWW-Authenticate', 'Basic');
+        res.end(JSON.stringify({ err: code, description }));
+      });
+  };
+};
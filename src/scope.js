@@ -0,0 +1,303 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Scope requirements
+//
+//  A scope requirement is compiled once, when the route is defined,
+//  then tested against the token scope on each request.
+//
+//    'api.write'                               Single scope
+//    ['api.read', 'api.write']                 Any of the scopes, empty strings are ignored
+//    'api.write AND billing.read'              Expression with AND, OR, NOT and parentheses
+//    '(api.read OR api.write) AND NOT api.readonly'
+//    { allOf: ['api.write', 'billing.read'] }  Object form with allOf, anyOf, noneOf
+//
+//  Operators are upper case words separated by whitespace. Parentheses group terms.
+//  Precedence, highest first: NOT, AND, OR.
+//  A string without operators or parentheses, and each string of an array,
+//  is one scope name compared as is, the same as version 2.0.
+//
+// ------------------------------
+
+/** @type {WeakSet} compiledScopes - Objects returned by compileScope() */
+const compiledScopes = new WeakSet();
+
+const operators = ['AND', 'OR', 'NOT'];
+
+/** @type {Map} scopeCache - Compiled scopes by requirement JSON, see compileScopeCached() */
+const scopeCache = new Map();
+const scopeCacheMaxEntries = 1000;
+
+/**
+ * Build a scope expression error
+ * @param {string} source - Expression text
+ * @param {string} detail - Description of problem
+ * @returns {Error} Error object
+ */
+const _scopeError = (source, detail) => {
+  return new Error('Invalid scope expression "' + source + '", ' + detail);
+};
+
+/**
+ * Confirm scope name uses RFC 6749 scope-token characters
+ * Parentheses are reserved for grouping.
+ * @param {string} name - Scope name
+ * @returns {boolean} True if valid
+ */
+const _isScopeName = (name) => {
+  return /^[\x21\x23-\x27\x2A-\x5B\x5D-\x7E]+$/.test(name);
+};
+
+/**
+ * Split expression into tokens
+ * @param {string} source - Expression text
+ * @returns {string[]} Tokens
+ */
+const _tokenize = (source) => {
+  return source.replace(/\(/g, ' ( ').replace(/\)/g, ' ) ').split(/\s+/)
+    .filter((token) => token.length > 0);
+};
+
+/**
+ * Parse scope expression to syntax tree
+ * @param {string} source - Expression text
+ * @returns {Object} Node { op: 'scope', name } | { op: 'and'|'or', items } | { op: 'not', item }
+ * @throws Will throw error for malformed expression
+ */
+const _parseExpression = (source) => {
+  const tokens = _tokenize(source);
+  let position = 0;
+  if (tokens.length === 0) throw _scopeError(source, 'empty expression');
+
+  const _describe = () => {
+    return (position < tokens.length)
+      ? 'unexpected "' + tokens[position] + '" at term ' + (position + 1).toString()
+      : 'unexpected end of expression';
+  };
+
+  const _parseOr = () => {
+    const items = [_parseAnd()];
+    while (tokens[position] === 'OR') {
+      position++;
+      items.push(_parseAnd());
+    }
+    return (items.length === 1) ? items[0] : { op: 'or', items };
+  };
+
+  const _parseAnd = () => {
+    const items = [_parseNot()];
+    while (tokens[position] === 'AND') {
+      position++;
+      items.push(_parseNot());
+    }
+    return (items.length === 1) ? items[0] : { op: 'and', items };
+  };
+
+  const _parseNot = () => {
+    if (tokens[position] === 'NOT') {
+      position++;
+      return { op: 'not', item: _parseNot() };
+    }
+    return _parsePrimary();
+  };
+
+  const _parsePrimary = () => {
+    const token = tokens[position];
+    if (token === '(') {
+      position++;
+      const node = _parseOr();
+      if (tokens[position] !== ')') throw _scopeError(source, _describe());
+      position++;
+      return node;
+    }
+    if ((token == null) || (token === ')') || (operators.indexOf(token) >= 0)) {
+      throw _scopeError(source, _describe());
+    }
+    if (!_isScopeName(token)) {
+      throw _scopeError(source, 'invalid character in scope "' + token + '"');
+    }
+    position++;
+    return { op: 'scope', name: token };
+  };
+
+  const tree = _parseOr();
+  if (position < tokens.length) throw _scopeError(source, _describe());
+  return tree;
+};
+
+/**
+ * Check if string is a scope expression
+ * @param {string} source - Scope requirement string
+ * @returns {boolean} True if string contains an operator or parentheses
+ */
+const _isExpression = (source) => {
+  return _tokenize(source).some((token) => {
+    return ((token === '(') || (token === ')') || (operators.indexOf(token) >= 0));
+  });
+};
+
+/**
+ * Convert scope requirement to syntax tree
+ * @param {string|string[]|Object} requirement - Scope requirement
+ * @returns {Object} Syntax tree node
+ * @throws Will throw error for malformed requirement
+ */
+const _requirementToTree = (requirement) => {
+  if (typeof requirement === 'string') {
+    if (!_isExpression(requirement)) return { op: 'scope', name: requirement };
+    return _parseExpression(requirement);
+  }
+  if (Array.isArray(requirement)) {
+    // Any of the scope names, an empty array is never satisfied
+    const items = requirement
+      .filter((item) => (item !== ''))
+      .map((item) => (typeof item === 'string')
+        ? { op: 'scope', name: item }
+        : _requirementToTree(item));
+    return { op: 'or', items };
+  }
+  if ((!(requirement == null)) && (typeof requirement === 'object')) {
+    const keys = Object.keys(requirement);
+    if (keys.length === 0) throw new Error('Invalid scope requirement, empty object');
+    const items = [];
+    keys.forEach((key) => {
+      const list = requirement[key];
+      if ((!Array.isArray(list)) || (list.length === 0)) {
+        throw new Error('Invalid scope requirement, ' + key + ' must be a non-empty array');
+      }
+      if (key === 'allOf') {
+        items.push({ op: 'and', items: list.map(_requirementToTree) });
+      } else if (key === 'anyOf') {
+        items.push({ op: 'or', items: list.map(_requirementToTree) });
+      } else if (key === 'noneOf') {
+        items.push({ op: 'not', item: { op: 'or', items: list.map(_requirementToTree) } });
+      } else {
+        throw new Error('Invalid scope requirement, unknown property ' + key);
+      }
+    });
+    return (items.length === 1) ? items[0] : { op: 'and', items };
+  }
+  throw new Error('Invalid scope requirement, expected string, array or object');
+};
+
+/**
+ * List scope names that satisfy the requirement, excluding negated terms.
+ * Used for the WWW-Authenticate scope parameter.
+ * @param {Object} node - Syntax tree node
+ * @param {string[]} names - Accumulated names
+ * @returns {string[]} Scope names
+ */
+const _positiveScopes = (node, names) => {
+  if (node.op === 'scope') {
+    if (names.indexOf(node.name) < 0) names.push(node.name);
+  } else if ((node.op === 'and') || (node.op === 'or')) {
+    node.items.forEach((item) => _positiveScopes(item, names));
+  }
+  return names;
+};
+
+/**
+ * Check if token scope grants a required scope.
+ * With hierarchy, a granted scope "api" or "api.*" also grants "api.read".
+ * @param {string[]} tokenScope - Scope values from access token
+ * @param {string} required - Required scope
+ * @param {boolean} hierarchy - Enable hierarchical scope
+ * @returns {boolean} True if granted
+ */
+const _scopeGranted = (tokenScope, required, hierarchy) => {
+  if (tokenScope.indexOf(required) >= 0) return true;
+  if (!hierarchy) return false;
+  return tokenScope.some((granted) => {
+    if ((typeof granted !== 'string') || (granted.length === 0) || (granted === '*')) return false;
+    const prefix = (granted.endsWith('.*')) ? granted.slice(0, -1) : granted + '.';
+    return required.startsWith(prefix);
+  });
+};
+
+/**
+ * Split scope names into those granted by the token scope and those missing
+ * @example
+ * partitionScopes(['api.read', 'api.write'], ['api.read'], false);
+ * // { matched: ['api.read'], missing: ['api.write'] }
+ * @param {string[]} scopes - Scope names, such as compiled scope scopes
+ * @param {string[]} tokenScope - Scope values from access token
+ * @param {boolean} [hierarchy] - Enable hierarchical scope
+ * @returns {Object} { matched, missing }
+ */
+exports.partitionScopes = (scopes, tokenScope, hierarchy) => {
+  const granted = (Array.isArray(tokenScope)) ? tokenScope : [];
+  const result = { matched: [], missing: [] };
+  scopes.forEach((name) => {
+    if (_scopeGranted(granted, name, (hierarchy === true))) {
+      result.matched.push(name);
+    } else {
+      result.missing.push(name);
+    }
+  });
+  return result;
+};
+
+/**
+ * Evaluate syntax tree
+ * @param {Object} node - Syntax tree node
+ * @param {string[]} tokenScope - Scope values from access token
+ * @param {boolean} hierarchy - Enable hierarchical scope
+ * @returns {boolean} True if requirement is satisfied
+ */
+const _evaluate = (node, tokenScope, hierarchy) => {
+  if (node.op === 'scope') return _scopeGranted(tokenScope, node.name, hierarchy);
+  if (node.op === 'not') return !_evaluate(node.item, tokenScope, hierarchy);
+  if (node.op === 'and') return node.items.every((item) => _evaluate(item, tokenScope, hierarchy));
+  return node.items.some((item) => _evaluate(item, tokenScope, hierarchy));
+};
+
+/**
+ * Compile a scope requirement
+ * @example
+ * const canWrite = compileScope('api.write AND NOT api.readonly');
+ * canWrite.test(['api.write'], false); // true
+ * @param {string|string[]|Object} requirement - Scope requirement, or compiled scope
+ * @returns {Object} Compiled scope { test(tokenScope, hierarchy), scopes }
+ * @throws Will throw error for malformed requirement
+ */
+const compileScope = (requirement) => {
+  if ((!(requirement == null)) && (compiledScopes.has(requirement))) return requirement;
+  const tree = _requirementToTree(requirement);
+  const compiled = Object.freeze({
+    /**
+     * Test token scope against requirement
+     * @param {string[]} tokenScope - Scope values from access token
+     * @param {boolean} [hierarchy] - Enable hierarchical scope
+     * @returns {boolean} True if requirement is satisfied
+     */
+    test: (tokenScope, hierarchy) => {
+      if (!Array.isArray(tokenScope)) return false;
+      return _evaluate(tree, tokenScope, (hierarchy === true));
+    },
+    scopes: Object.freeze(_positiveScopes(tree, []))
+  });
+  compiledScopes.add(compiled);
+  return compiled;
+};
+exports.compileScope = compileScope;
+
+/**
+ * Compile a scope requirement, reusing the result for an equal requirement
+ * For requirements given on each request, such as matchScope(req, 'api.admin').
+ * @param {string|string[]|Object} requirement - Scope requirement, or compiled scope
+ * @returns {Object} Compiled scope, see compileScope()
+ * @throws Will throw error for malformed requirement
+ */
+exports.compileScopeCached = (requirement) => {
+  if ((!(requirement == null)) && (compiledScopes.has(requirement))) return requirement;
+  const key = JSON.stringify(requirement);
+  let compiled = scopeCache.get(key);
+  if (compiled == null) {
+    compiled = compileScope(requirement);
+    // Oldest entry removed first
+    if (scopeCache.size >= scopeCacheMaxEntries) scopeCache.delete(scopeCache.keys().next().value);
+    scopeCache.set(key, compiled);
+  }
+  return compiled;
+};
@@ -0,0 +1,389 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Testing toolkit
+//
+//    const { createFakeAuthServer, resetTokenCache } = require('@cotarr/collab-backend-token-auth/testing');
+//
+//  In-process fake authorization server for tests of routes protected
+//  by requireAccessToken(). Not intended for production use.
+//
+//    POST /oauth/introspect                         collab-auth JSON or RFC 7662 form request
+//    GET  /.well-known/jwks.json                    Public key of the minted tokens
+//    GET  /.well-known/oauth-authorization-server   Metadata for discovery
+//
+// ------------------------------
+
+const crypto = require('node:crypto');
+const http = require('node:http');
+const tokenAuth = require('./index');
+
+/**
+ * Read request body as string, size limited
+ * @param {Object} req - Node request object
+ * @returns {Promise} Resolves body string
+ */
+const _readBody = (req) => {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > 65536) req.destroy(new Error('Request body too large'));
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+};
+
+/**
+ * Send JSON response
+ * @param {Object} res - Node response object
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response object
+ */
+const _sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Start a fake authorization server on an ephemeral port of 127.0.0.1
+ * @example
+ * let authServer = null;
+ * before(() => createFakeAuthServer().then((server) => {
+ *   authServer = server;
+ *   authInit(authServer.authInitOptions({ tokenCacheSeconds: 0 }));
+ * }));
+ * afterEach(() => { authServer.reset(); return resetTokenCache(); });
+ * after(() => authShutdown().then(() => authServer.close()));
+ *
+ * const token = authServer.mintToken({ scope: ['api.read'], user: { id: 'u1', number: 1 } });
+ * // request with header Authorization: Bearer <token>
+ * @param {Object} [options]
+ * @param {string} [options.clientId] - Accepted client credentials, default 'test-client'
+ * @param {string} [options.clientSecret] - Accepted client credentials, default 'test-secret'
+ * @returns {Promise} Resolves fake server object
+ */
+exports.createFakeAuthServer = (options) => {
+  const opts = options || {};
+  const clientId = opts.clientId || 'test-client';
+  const clientSecret = opts.clientSecret || 'test-secret';
+  // Signing key for JWT validationMode, one key per server
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const jwk = Object.assign(publicKey.export({ format: 'jwk' }), { kid, alg: 'ES256', use: 'sig' });
+
+  /** @type {Map} tokens - Minted token records by token string */
+  const tokens = new Map();
+  /** @type {number} latencyMs - Delay before each introspection response */
+  let latencyMs = 0;
+  /** @type {Object[]} failures - Queued error responses { status } */
+  let failures = [];
+  /** @type {number} introspectCount - Number of introspection requests received */
+  let introspectCount = 0;
+  let issuer = null;
+
+  /**
+   * Check client credentials from Basic authorization or request parameters.
+   * The === comparison is acceptable for this fake server only. Do not copy it
+   * into production code, compare secrets with crypto.timingSafeEqual() there.
+   * @param {Object} req - Node request object
+   * @param {Object} params - Parsed request body
+   * @returns {boolean} True if accepted
+   */
+  const _checkClient = (req, params) => {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Basic ')) {
+      const decoded = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+      return (decoded === clientId + ':' + clientSecret);
+    }
+    return ((params.client_id === clientId) && (params.client_secret === clientSecret));
+  };
+
+  /**
+   * Introspection response for a token
+   * @param {string} token - Access token
+   * @param {boolean} standard - True for RFC 7662 response format
+   * @returns {Object} Introspection response
+   */
+  const _introspect = (token, standard) => {
+    const record = tokens.get(token);
+    if ((record == null) || (!record.active) || (record.revoked) ||
+      (record.exp <= Math.floor(Date.now() / 1000))) {
+      return { active: false };
+    }
+    if (standard) {
+      const response = {
+        active: true,
+        iss: issuer,
+        jti: record.jti,
+        scope: record.scope.join(' '),
+        client_id: record.client.clientId,
+        token_type: 'Bearer',
+        exp: record.exp,
+        iat: record.iat
+      };
+      if (record.user) {
+        response.sub = record.user.id;
+        if (record.user.username) response.username = record.user.username;
+      } else {
+        response.sub = record.client.clientId;
+      }
+      return response;
+    }
+    const response = {
+      active: true,
+      iss: issuer,
+      jti: record.jti,
+      scope: record.scope,
+      client: record.client,
+      exp: record.exp,
+      iat: record.iat,
+      grant_type: (record.user) ? 'authorization_code' : 'client_credentials'
+    };
+    if (record.user) response.user = record.user;
+    return response;
+  };
+
+  /**
+   * POST /oauth/introspect
+   * @param {Object} req - Node request object
+   * @param {Object} res - Node response object
+   * @returns {Promise} Resolves when response sent
+   */
+  const _handleIntrospect = (req, res) => {
+    introspectCount++;
+    return _readBody(req)
+      .then((body) => new Promise((resolve) => setTimeout(() => resolve(body), latencyMs)))
+      .then((body) => {
+        if (failures.length > 0) {
+          const failure = failures.shift();
+          return _sendJson(res, failure.status, { error: 'server_error' });
+        }
+        const contentType = (req.headers['content-type'] || '').split(';')[0].trim();
+        const standard = (contentType === 'application/x-www-form-urlencoded');
+        let params = null;
+        try {
+          params = (standard)
+            ? Object.fromEntries(new URLSearchParams(body))
+            : JSON.parse(body);
+        } catch (e) {
+          return _sendJson(res, 400, { error: 'invalid_request' });
+        }
+        if ((params == null) || (typeof params !== 'object')) {
+          return _sendJson(res, 400, { error: 'invalid_request' });
+        }
+        if (!_checkClient(req, params)) {
+          res.setHeader('WWW-Authenticate', 'Basic realm="fake-auth"');
+          return _sendJson(res, 401, { error: 'invalid_client' });
+        }
+        const token = (standard) ? params.token : params.access_token;
+        if (typeof token !== 'string') return _sendJson(res, 400, { error: 'invalid_request' });
+        return _sendJson(res, 200, _introspect(token, standard));
+      });
+  };
+
+  const server = http.createServer((req, res) => {
+    const path = req.url.split('?')[0];
+    let handled = null;
+    if ((req.method === 'POST') && (path === '/oauth/introspect')) {
+      handled = _handleIntrospect(req, res);
+    } else if ((req.method === 'GET') && (path === '/.well-known/jwks.json')) {
+      _sendJson(res, 200, { keys: [jwk] });
+    } else if ((req.method === 'GET') && (path === '/.well-known/oauth-authorization-server')) {
+      _sendJson(res, 200, {
+        issuer,
+        introspection_endpoint: issuer + '/oauth/introspect',
+        jwks_uri: issuer + '/.well-known/jwks.json',
+        introspection_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post']
+      });
+    } else {
+      _sendJson(res, 404, { error: 'not_found' });
+    }
+    if (handled) {
+      handled.catch(() => {
+        if (!res.headersSent) _sendJson(res, 500, { error: 'server_error' });
+      });
+    }
+  });
+
+  /**
+   * Sign JWT with the server key
+   * @param {Object} header - JWT header
+   * @param {Object} payload - JWT payload
+   * @returns {string} JWT
+   */
+  const _sign = (header, payload) => {
+    const signingInput = Buffer.from(JSON.stringify(header)).toString('base64url') + '.' +
+      Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.sign('sha256', Buffer.from(signingInput),
+      { key: privateKey, dsaEncoding: 'ieee-p1363' }).toString('base64url');
+    return signingInput + '.' + signature;
+  };
+
+  /**
+   * Create a token known to the fake server.
+   * The token is a signed JWT, valid for introspection and for jwt validationMode.
+   * @param {Object} [tokenOptions]
+   * @param {string|string[]} [tokenOptions.scope] - Token scope, default ['api.read', 'api.write']
+   * @param {Object} [tokenOptions.user] - { id, number, username }, null for client token
+   * @param {Object} [tokenOptions.client] - { clientId }, default { clientId: 'test-app' }
+   * @param {number} [tokenOptions.exp] - Expiration, unix seconds, default now + expiresIn
+   * @param {number} [tokenOptions.expiresIn] - Lifetime in seconds, default 3600
+   * @param {boolean} [tokenOptions.active] - Introspection active value, default true
+   * @param {Object} [tokenOptions.claims] - Additional JWT payload claims, example { aud }
+   * @returns {string} Access token
+   */
+  const mintToken = (tokenOptions) => {
+    const tokenOpts = tokenOptions || {};
+    const now = Math.floor(Date.now() / 1000);
+    let scope = (tokenOpts.scope == null) ? ['api.read', 'api.write'] : tokenOpts.scope;
+    if (typeof scope === 'string') scope = scope.split(' ');
+    const record = {
+      jti: crypto.randomUUID(),
+      scope,
+      user: (Object.hasOwn(tokenOpts, 'user'))
+        ? tokenOpts.user
+        : { id: crypto.randomUUID(), number: 1, username: 'test-user' },
+      client: tokenOpts.client || { clientId: 'test-app' },
+      iat: now,
+      exp: (tokenOpts.exp == null) ? now + (tokenOpts.expiresIn || 3600) : tokenOpts.exp,
+      active: (tokenOpts.active !== false),
+      revoked: false
+    };
+    const payload = Object.assign({
+      iss: issuer,
+      jti: record.jti,
+      sub: (record.user) ? record.user.id : record.client.clientId,
+      client_id: record.client.clientId,
+      scope: record.scope.join(' '),
+      iat: record.iat,
+      exp: record.exp
+    }, tokenOpts.claims);
+    if (record.user) payload.user = record.user;
+    const token = _sign({ alg: 'ES256', typ: 'at+jwt', kid }, payload);
+    tokens.set(token, record);
+    return token;
+  };
+
+  /**
+   * Create signed Security Event Token for revocationWebhook() tests
+   * @param {Object} events - SET events claim, example { [eventType]: { subject } }
+   * @param {Object} [setOptions]
+   * @param {string} [setOptions.typ] - JWT header typ, default 'secevent+jwt'
+   * @param {Object} [setOptions.claims] - Additional or replaced payload claims, example { iat, jti }
+   * @returns {string} Security Event Token
+   */
+  const mintSecurityEvent = (events, setOptions) => {
+    const setOpts = setOptions || {};
+    const payload = Object.assign({
+      iss: issuer,
+      jti: crypto.randomUUID(),
+      iat: Math.floor(Date.now() / 1000),
+      events
+    }, setOpts.claims);
+    return _sign({ alg: 'ES256', typ: setOpts.typ || 'secevent+jwt', kid }, payload);
+  };
+
+  /**
+   * Revoke token, introspection returns active false
+   * @param {string} token - Access token from mintToken()
+   * @returns {boolean} True if token was found
+   */
+  const revokeToken = (token) => {
+    const record = tokens.get(token);
+    if (record == null) return false;
+    record.revoked = true;
+    return true;
+  };
+
+  /**
+   * Delay each introspection response
+   * @param {number} ms - Latency in milliseconds, 0 = none
+   */
+  const setLatency = (ms) => {
+    latencyMs = ms;
+  };
+
+  /**
+   * Respond to the next introspection requests with an HTTP error
+   * @param {number} [count] - Number of failed requests, default 1
+   * @param {number} [status] - HTTP status, default 503
+   */
+  const failNext = (count, status) => {
+    for (let i = 0; i < (count || 1); i++) failures.push({ status: status || 503 });
+  };
+
+  /**
+   * Restore default behavior, remove minted tokens and counters
+   */
+  const reset = () => {
+    tokens.clear();
+    latencyMs = 0;
+    failures = [];
+    introspectCount = 0;
+  };
+
+  /**
+   * authInit() options for this server
+   * @param {Object} [extraOptions] - Additional authInit() options
+   * @returns {Object} authInit() options
+   */
+  const authInitOptions = (extraOptions) => {
+    return Object.assign({
+      authURL: issuer,
+      clientId,
+      clientSecret,
+      issuer,
+      jwksURL: issuer + '/.well-known/jwks.json'
+    }, extraOptions);
+  };
+
+  /**
+   * Stop the server
+   * @returns {Promise} Resolves when closed
+   */
+  const close = () => {
+    return new Promise((resolve, reject) => {
+      server.close((err) => (err) ? reject(err) : resolve());
+      server.closeAllConnections();
+    });
+  };
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      issuer = 'http://127.0.0.1:' + server.address().port.toString();
+      resolve({
+        url: issuer,
+        issuer,
+        clientId,
+        clientSecret,
+        authInitOptions,
+        mintToken,
+        mintSecurityEvent,
+        revokeToken,
+        setLatency,
+        failNext,
+        reset,
+        close,
+        get introspectCount () { return introspectCount; }
+      });
+    });
+  });
+};
+
+/**
+ * Remove all cached tokens, for use between tests
+ * @example
+ * afterEach(() => resetTokenCache());
+ * @param {Object} [instance] - Instance from createTokenAuth(), default module instance
+ * @returns {Promise} Resolves when done
+ */
+exports.resetTokenCache = (instance) => {
+  return (instance || tokenAuth).clearTokenCache();
+};
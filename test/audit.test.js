@@ -0,0 +1,178 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Audit file sink and decision records
+//
+// ------------------------------
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createTokenAuth } = require('../src/index');
+const { createFileAuditSink } = require('../src/audit');
+const { createFakeAuthServer } = require('../src/testing');
+const { runMiddleware } = require('./helpers/express-mock');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Records of a JSON Lines file
+ * @param {string} filename - File path
+ * @returns {Object[]} Parsed records
+ */
+const readRecords = (filename) => {
+  return fs.readFileSync(filename, 'utf8').split('\n')
+    .filter((line) => (line.length > 0))
+    .map((line) => JSON.parse(line));
+};
+
+describe('createFileAuditSink', () => {
+  let tempDir = null;
+
+  before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-auth-audit-'));
+  });
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('appends one JSON record per line, in order', () => {
+    const filename = path.join(tempDir, 'order.jsonl');
+    const sink = createFileAuditSink({ filename });
+    return Promise.all([1, 2, 3].map((n) => sink.write({ n })))
+      .then(() => sink.close())
+      .then(() => {
+        assert.deepStrictEqual(readRecords(filename), [{ n: 1 }, { n: 2 }, { n: 3 }]);
+        if (process.platform !== 'win32') {
+          assert.strictEqual(fs.statSync(filename).mode & 0o777, 0o600);
+        }
+        return sink.write({ n: 4 });
+      })
+      .then(() => assert.fail('expected rejection'), (err) => {
+        assert.match(err.message, /Audit sink closed/);
+      });
+  });
+
+  it('rotates before maxBytes is exceeded, keeping maxFiles rotated files', () => {
+    const filename = path.join(tempDir, 'rotate.jsonl');
+    // Each record is 10 bytes with the line ending
+    const sink = createFileAuditSink({ filename, maxBytes: 25, maxFiles: 2 });
+    const writes = [];
+    for (let n = 1; n <= 7; n++) writes.push(sink.write({ n: 1000 + n }));
+    return Promise.all(writes)
+      .then(() => sink.close())
+      .then(() => {
+        assert.deepStrictEqual(readRecords(filename), [{ n: 1007 }]);
+        assert.deepStrictEqual(readRecords(filename + '.1'), [{ n: 1005 }, { n: 1006 }]);
+        assert.deepStrictEqual(readRecords(filename + '.2'), [{ n: 1003 }, { n: 1004 }]);
+        assert.strictEqual(fs.existsSync(filename + '.3'), false);
+      });
+  });
+
+  it('counts the size of an existing file, and writes a large record to an empty file', () => {
+    const filename = path.join(tempDir, 'existing.jsonl');
+    fs.writeFileSync(filename, '{"n":1000}\n');
+    const sink = createFileAuditSink({ filename, maxBytes: 15 });
+    return sink.write({ n: 1001 })
+      .then(() => sink.write({ text: 'larger than maxBytes' }))
+      .then(() => sink.close())
+      .then(() => {
+        assert.deepStrictEqual(readRecords(filename), [{ text: 'larger than maxBytes' }]);
+        assert.deepStrictEqual(readRecords(filename + '.1'), [{ n: 1001 }]);
+        assert.deepStrictEqual(readRecords(filename + '.2'), [{ n: 1000 }]);
+      });
+  });
+
+  it('rotates on request, maxFiles 0 deletes the file', () => {
+    const filename = path.join(tempDir, 'manual.jsonl');
+    const sink = createFileAuditSink({ filename, maxFiles: 0 });
+    return sink.write({ n: 1 })
+      .then(() => sink.rotate())
+      .then(() => {
+        assert.strictEqual(fs.existsSync(filename), false);
+        assert.strictEqual(fs.existsSync(filename + '.1'), false);
+        return sink.write({ n: 2 });
+      })
+      .then(() => sink.close())
+      .then(() => {
+        assert.deepStrictEqual(readRecords(filename), [{ n: 2 }]);
+      });
+  });
+
+  it('rejects a failed write, later writes continue', () => {
+    const filename = path.join(tempDir, 'missing-dir', 'audit.jsonl');
+    const sink = createFileAuditSink({ filename });
+    return sink.write({ n: 1 })
+      .then(() => assert.fail('expected rejection'), (err) => {
+        assert.strictEqual(err.code, 'ENOENT');
+        fs.mkdirSync(path.dirname(filename));
+        return sink.write({ n: 2 });
+      })
+      .then(() => sink.close())
+      .then(() => {
+        assert.deepStrictEqual(readRecords(filename), [{ n: 2 }]);
+      });
+  });
+
+  it('validates the filename option', () => {
+    assert.throws(() => createFileAuditSink(), /invalid filename in audit sink options/);
+    assert.throws(() => createFileAuditSink({ filename: '' }), /invalid filename/);
+  });
+});
+
+describe('auditSink decision records', () => {
+  let authServer = null;
+  let tokenAuth = null;
+  const records = [];
+
+  before(() => {
+    return createFakeAuthServer().then((server) => {
+      authServer = server;
+      tokenAuth = createTokenAuth(authServer.authInitOptions({
+        logger: null,
+        auditSink: { write: (record) => records.push(record) }
+      }));
+    });
+  });
+
+  after(() => tokenAuth.authShutdown().then(() => authServer.close()));
+
+  it('records allowed and denied decisions without the access token', () => {
+    const token = authServer.mintToken({
+      scope: ['api.read'],
+      user: { id: 'u-audit', number: 4 },
+      client: { clientId: 'app-audit' }
+    });
+    return runMiddleware(tokenAuth.requireAccessToken({ scope: 'api.admin' }), {
+      url: '/items?access_token=' + token,
+      headers: { authorization: 'Bearer ' + token }
+    })
+      .then(() => runMiddleware(tokenAuth.requireAccessToken(), { headers: {} }))
+      .then(() => delay(10))
+      .then(() => {
+        assert.strictEqual(records.length, 2);
+        const denied = records[0];
+        assert.strictEqual(denied.middleware, 'requireAccessToken');
+        assert.strictEqual(denied.outcome, 'deny');
+        assert.strictEqual(denied.status, 403);
+        assert.strictEqual(denied.error, 'insufficient_scope');
+        assert.strictEqual(denied.route, '/items');
+        assert.strictEqual(denied.userId, 'u-audit');
+        assert.strictEqual(denied.clientId, 'app-audit');
+        assert.deepStrictEqual(denied.missingScope, ['api.admin']);
+        assert.strictEqual(records[1].error, 'missing_token');
+        records.forEach((record) => assert.ok(JSON.stringify(record).indexOf(token) < 0));
+      });
+  });
+
+  it('validates the auditSink option', () => {
+    const instance = createTokenAuth();
+    assert.throws(() => instance.authInit(authServer.authInitOptions({ auditSink: { close: () => {} } })),
+      /invalid auditSink/);
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Error responses do not disclose internal error messages
+//
+// ------------------------------
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { createTokenAuth } = require('../src/index');
+const { runMiddleware } = require('./helpers/express-mock');
+
+describe('authorization error responses', () => {
+  /**
+   * authInit() options without network access
+   * @param {Object} [extraOptions] - Additional authInit() options
+   * @returns {Object} authInit() options
+   */
+  const initOptions = (extraOptions) => {
+    return Object.assign({
+      authURL: 'http://127.0.0.1:1',
+      clientId: 'client1',
+      clientSecret: 'secret1',
+      logger: null
+    }, extraOptions);
+  };
+
+  it('responds 500 with a generic message before authInit()', () => {
+    const tokenAuth = createTokenAuth();
+    const rejected = [];
+    tokenAuth.events.on('tokenRejected', (details) => rejected.push(details));
+    return runMiddleware(tokenAuth.requireAccessToken(), {
+      headers: { authorization: 'Bearer abc' }
+    })
+      .then((result) => {
+        assert.strictEqual(result.next, false);
+        assert.match(rejected[0].reason, /Module configuration not found/);
+        assert.strictEqual(result.status, 500);
+        assert.strictEqual(result.body, 'Internal server error');
+        assert.strictEqual(result.headers['www-authenticate'], undefined);
+      });
+  });
+
+  it('sends the message of client errors', () => {
+    const tokenAuth = createTokenAuth(initOptions());
+    return runMiddleware(tokenAuth.requireAccessToken(), { headers: {} })
+      .then((result) => {
+        assert.strictEqual(result.status, 401);
+        assert.strictEqual(result.body, 'No authorization header');
+        assert.strictEqual(result.headers['www-authenticate'], 'Bearer');
+        return tokenAuth.clearTokenCache();
+      });
+  });
+
+  it('passes an error of the onError hook to next()', () => {
+    const tokenAuth = createTokenAuth(initOptions({
+      onError: () => { throw new Error('Hook failed'); }
+    }));
+    return runMiddleware(tokenAuth.requireAccessToken(), { headers: {} })
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        assert.strictEqual(result.err.message, 'Hook failed');
+        return tokenAuth.clearTokenCache();
+      });
+  });
+});
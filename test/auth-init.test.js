@@ -0,0 +1,189 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  authInit() configuration reload
+//
+// ------------------------------
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+
+const { createTokenAuth } = require('../src/index');
+const { createMemoryStore } = require('../src/cache-stores');
+const { createFakeAuthServer } = require('../src/testing');
+const { runMiddleware } = require('./helpers/express-mock');
+
+/**
+ * authInit() options without network access
+ * @param {Object} [extraOptions] - Additional authInit() options
+ * @returns {Object} authInit() options
+ */
+const initOptions = (extraOptions) => {
+  return Object.assign({
+    authURL: 'http://127.0.0.1:1',
+    clientId: 'client1',
+    clientSecret: 'secret1',
+    logger: null
+  }, extraOptions);
+};
+
+describe('authInit() reload', () => {
+  let tokenAuth = null;
+
+  afterEach(() => tokenAuth.authShutdown());
+
+  /**
+   * WWW-Authenticate header of a request without token
+   * @returns {Promise} Resolves header value
+   */
+  const challenge = () => {
+    return runMiddleware(tokenAuth.requireAccessToken(), { headers: {} })
+      .then((result) => result.headers['www-authenticate']);
+  };
+
+  it('keeps the previous configuration when an option is invalid', () => {
+    tokenAuth = createTokenAuth(initOptions({ realm: 'api1', introspectTimeoutMs: 2000 }));
+    const store = tokenAuth.tokenStore;
+    assert.throws(() => {
+      tokenAuth.authInit(initOptions({
+        realm: 'api2',
+        tokenCacheMaxEntries: 50,
+        validationMode: 'invalid'
+      }));
+    }, /invalid validationMode/);
+    assert.throws(() => tokenAuth.authInit(initOptions({ introspectRetries: 'many' })),
+      /invalid introspectRetries/);
+    assert.strictEqual(tokenAuth.tokenStore, store);
+    return challenge().then((header) => {
+      assert.strictEqual(header, 'Bearer realm="api1"');
+    });
+  });
+
+  it('restores defaults for omitted options', () => {
+    tokenAuth = createTokenAuth(initOptions({ realm: 'api1', scopeHierarchy: true }));
+    tokenAuth.authInit(initOptions());
+    return challenge().then((header) => {
+      assert.strictEqual(header, 'Bearer');
+    });
+  });
+
+  it('keeps the token cache unless the store changes', () => {
+    tokenAuth = createTokenAuth(initOptions());
+    const defaultStore = tokenAuth.tokenStore;
+    tokenAuth.authInit(initOptions({ tokenCacheSeconds: 120 }));
+    assert.strictEqual(tokenAuth.tokenStore, defaultStore);
+    tokenAuth.authInit(initOptions({ tokenCacheMaxEntries: 10000 }));
+    assert.strictEqual(tokenAuth.tokenStore, defaultStore);
+    tokenAuth.authInit(initOptions({ tokenCacheMaxEntries: 50 }));
+    const smallStore = tokenAuth.tokenStore;
+    assert.notStrictEqual(smallStore, defaultStore);
+    tokenAuth.authInit(initOptions({ tokenCacheMaxEntries: 50, realm: 'api1' }));
+    assert.strictEqual(tokenAuth.tokenStore, smallStore);
+    const sharedStore = createMemoryStore();
+    tokenAuth.authInit(initOptions({ tokenStore: sharedStore }));
+    assert.strictEqual(tokenAuth.tokenStore, sharedStore);
+  });
+});
+
+describe('authInit() reload keeps state', () => {
+  let authServer = null;
+  let tokenServer = null;
+  let tokenRequests = 0;
+  let tokenAuth = null;
+
+  before(() => {
+    // Token endpoint for client credentials, and a metadata endpoint that never responds
+    tokenServer = http.createServer((req, res) => {
+      if (req.url === '/oauth/token') {
+        tokenRequests++;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ access_token: 'client-token-' + tokenRequests.toString(), expires_in: 3600 }));
+      }
+    });
+    return createFakeAuthServer()
+      .then((server) => {
+        authServer = server;
+        return new Promise((resolve) => tokenServer.listen(0, '127.0.0.1', resolve));
+      });
+  });
+
+  afterEach(() => {
+    authServer.reset();
+    return tokenAuth.authShutdown();
+  });
+
+  after(() => {
+    tokenServer.closeAllConnections();
+    return authServer.close()
+      .then(() => new Promise((resolve) => tokenServer.close(resolve)));
+  });
+
+  it('keeps an open circuit breaker', () => {
+    const options = authServer.authInitOptions({ breakerFailureThreshold: 1, logger: null });
+    tokenAuth = createTokenAuth(options);
+    const token = authServer.mintToken();
+    const request = { headers: { authorization: 'Bearer ' + token } };
+    authServer.failNext(1, 503);
+    return runMiddleware(tokenAuth.requireAccessToken(), request)
+      .then((result) => {
+        assert.strictEqual(result.status, 503);
+        tokenAuth.authInit(Object.assign({}, options, { realm: 'api' }));
+        return runMiddleware(tokenAuth.requireAccessToken(), request);
+      })
+      .then((result) => {
+        assert.strictEqual(result.status, 503);
+        assert.strictEqual(authServer.introspectCount, 1);
+        tokenAuth.authInit(Object.assign({}, options, { breakerResetSeconds: 10 }));
+        return runMiddleware(tokenAuth.requireAccessToken(), request);
+      })
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        assert.strictEqual(authServer.introspectCount, 2);
+      });
+  });
+
+  it('keeps cached client credentials tokens', () => {
+    tokenRequests = 0;
+    const tokenURL = 'http://127.0.0.1:' + tokenServer.address().port.toString() + '/oauth/token';
+    tokenAuth = createTokenAuth(initOptions({ tokenURL }));
+    return tokenAuth.getClientToken()
+      .then((accessToken) => {
+        assert.strictEqual(accessToken, 'client-token-1');
+        tokenAuth.authInit(initOptions({ tokenURL, realm: 'api' }));
+        return tokenAuth.getClientToken();
+      })
+      .then((accessToken) => {
+        assert.strictEqual(accessToken, 'client-token-1');
+        tokenAuth.authInit(initOptions({ tokenURL, clientSecret: 'secret2' }));
+        return tokenAuth.getClientToken();
+      })
+      .then((accessToken) => {
+        assert.strictEqual(accessToken, 'client-token-2');
+        assert.strictEqual(tokenRequests, 2);
+      });
+  });
+
+  it('aborts an introspection waiting for discovery at shutdown', () => {
+    const issuer = 'http://127.0.0.1:' + tokenServer.address().port.toString();
+    tokenAuth = createTokenAuth({
+      issuer,
+      discovery: true,
+      clientId: 'client1',
+      clientSecret: 'secret1',
+      introspectTimeoutMs: 30000,
+      logger: null
+    });
+    const pending = runMiddleware(tokenAuth.requireAccessToken(),
+      { headers: { authorization: 'Bearer ' + authServer.mintToken() } });
+    const startTime = Date.now();
+    return new Promise((resolve) => setTimeout(resolve, 50))
+      .then(() => tokenAuth.authShutdown())
+      .then(() => pending)
+      .then((result) => {
+        assert.strictEqual(result.status, 503);
+        assert.ok(Date.now() - startTime < 5000);
+      });
+  });
+});
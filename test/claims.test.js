@@ -0,0 +1,129 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Token claim checks against authInit() configuration
+//
+// ------------------------------
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { createTokenAuth } = require('../src/index');
+const { createFakeAuthServer } = require('../src/testing');
+const { runMiddleware } = require('./helpers/express-mock');
+
+/**
+ * Request with Authorization header
+ * @param {string} token - Access token
+ * @returns {Object} Request properties
+ */
+const bearer = (token) => ({ headers: { authorization: 'Bearer ' + token } });
+
+describe('token claim checks', () => {
+  let authServer = null;
+  let tokenAuth = null;
+
+  before(() => {
+    return createFakeAuthServer().then((server) => {
+      authServer = server;
+    });
+  });
+
+  afterEach(() => {
+    authServer.reset();
+    return tokenAuth.authShutdown();
+  });
+
+  after(() => authServer.close());
+
+  /**
+   * New instance using the fake authorization server
+   * @param {Object} [extraOptions] - Additional authInit() options
+   * @returns {Function} requireAccessToken() middleware
+   */
+  const init = (extraOptions) => {
+    tokenAuth = createTokenAuth(authServer.authInitOptions(Object.assign({ logger: null }, extraOptions)));
+    return tokenAuth.requireAccessToken();
+  };
+
+  /**
+   * Run middleware for each token
+   * @param {Function} middleware - requireAccessToken() middleware
+   * @param {string[]} tokens - Access tokens
+   * @returns {Promise} Resolves array of 'next', or status and message of the rejection
+   */
+  const outcomeOf = (middleware, tokens) => {
+    return Promise.all(tokens.map((token) => runMiddleware(middleware, bearer(token))))
+      .then((results) => results.map((result) => (result.next) ? 'next' : result.status + ' ' + result.body));
+  };
+
+  it('checks aud against the audience option', () => {
+    const middleware = init({ validationMode: 'jwt', audience: ['api1', 'api2'] });
+    return outcomeOf(middleware, [
+      authServer.mintToken({ claims: { aud: 'api2' } }),
+      authServer.mintToken({ claims: { aud: ['other', 'api1'] } }),
+      authServer.mintToken({ claims: { aud: 'other' } }),
+      authServer.mintToken()
+    ])
+      .then((outcomes) => {
+        assert.deepStrictEqual(outcomes, ['next', 'next', '401 JWT audience mismatch', '401 JWT audience mismatch']);
+      });
+  });
+
+  it('checks the client against allowedClients and deniedClients', () => {
+    const middleware = init({ allowedClients: ['web-app', 'old-app'], deniedClients: ['old-app'] });
+    return outcomeOf(middleware, [
+      authServer.mintToken({ client: { clientId: 'web-app' } }),
+      authServer.mintToken({ client: { clientId: 'old-app' } }),
+      authServer.mintToken({ client: { clientId: 'other-app' } })
+    ])
+      .then((outcomes) => {
+        assert.deepStrictEqual(outcomes, ['next', '401 Token client denied', '401 Token client not allowed']);
+      });
+  });
+
+  it('checks introspection token_type against the tokenType option', () => {
+    const token = authServer.mintToken();
+    return outcomeOf(init({ tokenType: 'bearer', introspectFormat: 'rfc7662' }), [token])
+      .then((outcomes) => {
+        assert.deepStrictEqual(outcomes, ['next']);
+        return tokenAuth.authShutdown();
+      })
+      // collab-auth responses do not include token_type
+      .then(() => outcomeOf(init({ tokenType: 'Bearer' }), [token]))
+      .then((outcomes) => {
+        assert.deepStrictEqual(outcomes, ['401 Token type not accepted']);
+      });
+  });
+
+  it('rejects nbf and iat in the future, allowing clockSkewSeconds', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const middleware = init({ validationMode: 'jwt', clockSkewSeconds: 30 });
+    return outcomeOf(middleware, [
+      authServer.mintToken({ claims: { nbf: now + 20, iat: now + 20 } }),
+      authServer.mintToken({ claims: { nbf: now + 120 } }),
+      authServer.mintToken({ claims: { iat: now + 120 } })
+    ])
+      .then((outcomes) => {
+        assert.deepStrictEqual(outcomes, ['next', '401 JWT not yet valid', '401 Token issued in the future']);
+      });
+  });
+
+  it('rejects an introspection iss of another server', () => {
+    const middleware = init({ issuer: 'https://auth.example.com' });
+    return outcomeOf(middleware, [authServer.mintToken()])
+      .then((outcomes) => {
+        assert.deepStrictEqual(outcomes, ['401 Token issuer mismatch']);
+        assert.strictEqual(authServer.introspectCount, 1);
+      });
+  });
+
+  it('validates claim options', () => {
+    tokenAuth = createTokenAuth();
+    assert.throws(() => tokenAuth.authInit(authServer.authInitOptions({ allowedClients: [] })),
+      /invalid allowedClients/);
+    assert.throws(() => tokenAuth.authInit(authServer.authInitOptions({ tokenType: 5 })),
+      /invalid tokenType/);
+  });
+});
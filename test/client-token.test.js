@@ -0,0 +1,229 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Client credentials tokens for outbound requests
+//
+// ------------------------------
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+
+const { createTokenAuth } = require('../src/index');
+const { createClientTokenProvider } = require('../src/client-token');
+
+describe('client credentials tokens', () => {
+  let tokenServer = null;
+  let baseURL = null;
+  /** @type {Object[]} requests - Token requests received { authorization, body } */
+  let requests = [];
+  /** @type {Function} respond - (req, body, res) => undefined, token endpoint response */
+  let respond = null;
+
+  /**
+   * Token endpoint response with a new access token
+   * @param {http.ServerResponse} res - Response
+   * @param {Object} [extra] - Additional response properties
+   */
+  const issueToken = (res, extra) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(Object.assign({
+      access_token: 'client-token-' + requests.length.toString(),
+      token_type: 'Bearer',
+      expires_in: 3600
+    }, extra)));
+  };
+
+  before(() => {
+    tokenServer = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        if (req.url === '/api/items') {
+          res.statusCode = (req.headers.authorization === 'Bearer client-token-2') ? 200 : 401;
+          res.end(req.headers.authorization);
+          return;
+        }
+        requests.push({ authorization: req.headers.authorization, body: new URLSearchParams(body) });
+        setTimeout(() => respond(req, body, res), 20);
+      });
+    });
+    return new Promise((resolve) => tokenServer.listen(0, '127.0.0.1', resolve))
+      .then(() => {
+        baseURL = 'http://127.0.0.1:' + tokenServer.address().port.toString();
+      });
+  });
+
+  beforeEach(() => {
+    requests = [];
+    respond = (req, body, res) => issueToken(res);
+  });
+
+  after(() => {
+    tokenServer.closeAllConnections();
+    return new Promise((resolve) => tokenServer.close(resolve));
+  });
+
+  /**
+   * Provider for the local token endpoint
+   * @param {Object} [extraOptions] - Additional provider options
+   * @returns {Object} Client token provider
+   */
+  const provider = (extraOptions) => {
+    return createClientTokenProvider(Object.assign({
+      tokenURL: baseURL + '/oauth/token',
+      clientId: 'api-client',
+      clientSecret: 'api-secret'
+    }, extraOptions));
+  };
+
+  it('sends client_secret_basic credentials and caches the token by scope', () => {
+    const clientTokens = provider();
+    return Promise.all([
+      clientTokens.getToken({ scope: 'api.read api.write' }),
+      clientTokens.getToken({ scope: ['api.write', 'api.read'] })
+    ])
+      .then((accessTokens) => {
+        assert.deepStrictEqual(accessTokens, ['client-token-1', 'client-token-1']);
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(requests[0].authorization,
+          'Basic ' + Buffer.from('api-client:api-secret').toString('base64'));
+        assert.strictEqual(requests[0].body.get('grant_type'), 'client_credentials');
+        assert.strictEqual(requests[0].body.get('scope'), 'api.read api.write');
+        return clientTokens.getToken({ scope: 'api.write api.read' });
+      })
+      .then((accessToken) => {
+        assert.strictEqual(accessToken, 'client-token-1');
+        return clientTokens.getToken();
+      })
+      .then((accessToken) => {
+        assert.strictEqual(accessToken, 'client-token-2');
+        assert.strictEqual(requests[1].body.has('scope'), false);
+        return clientTokens.getToken({ forceRefresh: true });
+      })
+      .then((accessToken) => {
+        assert.strictEqual(accessToken, 'client-token-3');
+      });
+  });
+
+  it('refreshes in background at half lifetime of a short lived token', () => {
+    respond = (req, body, res) => issueToken(res, { expires_in: 2 });
+    const clientTokens = provider();
+    return clientTokens.getToken()
+      .then(() => new Promise((resolve) => setTimeout(resolve, 1100)))
+      .then(() => clientTokens.getToken())
+      .then((accessToken) => {
+        // Cached token is returned while the refresh is pending
+        assert.strictEqual(accessToken, 'client-token-1');
+        return new Promise((resolve) => setTimeout(resolve, 60));
+      })
+      .then(() => clientTokens.getToken())
+      .then((accessToken) => {
+        assert.strictEqual(accessToken, 'client-token-2');
+        assert.strictEqual(requests.length, 2);
+      });
+  });
+
+  it('tries the next client secret when the client is not accepted', () => {
+    const secrets = [];
+    respond = (req, body, res) => {
+      const secret = Buffer.from(req.headers.authorization.slice(6), 'base64').toString().split(':')[1];
+      secrets.push(secret);
+      if (secret !== 'new-secret') {
+        res.statusCode = 401;
+        res.end('{"error":"invalid_client"}');
+        return;
+      }
+      issueToken(res);
+    };
+    const clientTokens = provider({ clientSecret: ['old-secret', 'new-secret'] });
+    return clientTokens.getToken({ scope: 'a' })
+      .then((accessToken) => {
+        assert.strictEqual(accessToken, 'client-token-2');
+        return clientTokens.getToken({ scope: 'b' });
+      })
+      .then(() => {
+        assert.deepStrictEqual(secrets, ['old-secret', 'new-secret', 'new-secret']);
+      });
+  });
+
+  it('sends client_secret_post credentials from getEndpoint', () => {
+    const clientTokens = provider({
+      tokenURL: null,
+      getEndpoint: () => Promise.resolve({ url: baseURL + '/oauth/token', authMethod: 'client_secret_post' })
+    });
+    return clientTokens.getToken()
+      .then(() => {
+        assert.strictEqual(requests[0].authorization, undefined);
+        assert.strictEqual(requests[0].body.get('client_id'), 'api-client');
+        assert.strictEqual(requests[0].body.get('client_secret'), 'api-secret');
+      });
+  });
+
+  it('rejects 503 when unavailable and 500 for a refused request', () => {
+    const clientTokens = provider();
+    respond = (req, body, res) => {
+      res.statusCode = 502;
+      res.end();
+    };
+    return clientTokens.getToken()
+      .then(() => assert.fail('expected rejection'), (err) => {
+        assert.strictEqual(err.status, 503);
+        assert.strictEqual(err.unavailable, true);
+        respond = (req, body, res) => {
+          res.statusCode = 400;
+          res.end('{"error":"invalid_scope"}');
+        };
+        return clientTokens.getToken();
+      })
+      .then(() => assert.fail('expected rejection'), (err) => {
+        assert.strictEqual(err.status, 500);
+        assert.strictEqual(err.invalidClient, false);
+        respond = (req, body, res) => issueToken(res, { access_token: '' });
+        return clientTokens.getToken();
+      })
+      .then(() => assert.fail('expected rejection'), (err) => {
+        assert.match(err.message, /missing access_token/);
+      });
+  });
+
+  it('uses the token lifetime of a JWT without expires_in', () => {
+    const exp = Math.floor(Date.now() / 1000) + 2;
+    const jwt = ['{"alg":"none"}', JSON.stringify({ exp })]
+      .map((part) => Buffer.from(part).toString('base64url')).join('.') + '.';
+    respond = (req, body, res) => issueToken(res, { access_token: jwt, expires_in: undefined });
+    const clientTokens = provider({ refreshAheadSeconds: 0 });
+    return clientTokens.getToken()
+      .then(() => new Promise((resolve) => setTimeout(resolve, 2100)))
+      .then(() => clientTokens.getToken())
+      .then(() => {
+        assert.strictEqual(requests.length, 2);
+      });
+  });
+
+  it('getClientToken() and authorizedFetch() of an instance', () => {
+    const tokenAuth = createTokenAuth();
+    return tokenAuth.getClientToken()
+      .then(() => assert.fail('expected rejection'), (err) => {
+        assert.match(err.message, /authInit/);
+        tokenAuth.authInit({
+          authURL: baseURL,
+          clientId: 'api-client',
+          clientSecret: 'api-secret',
+          logger: null
+        });
+        return tokenAuth.authorizedFetch(baseURL + '/api/items', { method: 'GET' }, { scope: 'items' });
+      })
+      .then((response) => {
+        // First token refused, refreshed and sent once more
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(requests.length, 2);
+        return tokenAuth.getClientToken({ scope: 'items' });
+      })
+      .then((accessToken) => {
+        assert.strictEqual(accessToken, 'client-token-2');
+        return tokenAuth.authShutdown();
+      });
+  });
+});
@@ -0,0 +1,74 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Configuration from environment variables
+//
+// ------------------------------
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createTokenAuth } = require('../src/index');
+const { configFromEnv } = require('../src/config');
+
+describe('configFromEnv', () => {
+  it('converts variables by option type', () => {
+    assert.deepStrictEqual(configFromEnv({
+      TOKEN_AUTH_AUTH_URL: 'http://127.0.0.1:3500',
+      TOKEN_AUTH_CLIENT_SECRET: 'new-secret',
+      TOKEN_AUTH_CLIENT_SECRET_PREVIOUS: 'old-secret',
+      TOKEN_AUTH_EXTRACTORS: 'authorization, query',
+      TOKEN_AUTH_SCOPE_HIERARCHY: 'true',
+      TOKEN_AUTH_TOKEN_CACHE_MAX_ENTRIES: '500',
+      TOKEN_AUTH_INTROSPECT_RETRY_DELAY_MS: '50',
+      TOKEN_AUTH_BREAKER_FAILURE_THRESHOLD: '0',
+      TOKEN_AUTH_BREAKER_RESET_SECONDS: '10',
+      TOKEN_AUTH_MAX_TOKEN_LIFETIME_SECONDS: '3600',
+      TOKEN_AUTH_REALM: ''
+    }), {
+      authURL: 'http://127.0.0.1:3500',
+      clientSecret: ['new-secret', 'old-secret'],
+      extractors: ['authorization', 'query'],
+      scopeHierarchy: true,
+      tokenCacheMaxEntries: 500,
+      introspectRetryDelayMs: 50,
+      breakerFailureThreshold: 0,
+      breakerResetSeconds: 10,
+      maxTokenLifetimeSeconds: 3600
+    });
+  });
+
+  it('rejects invalid numbers and booleans', () => {
+    assert.throws(() => configFromEnv({ APP_TOKEN_CACHE_MAX_ENTRIES: 'many' }, 'APP_'),
+      /invalid APP_TOKEN_CACHE_MAX_ENTRIES in environment/);
+    assert.throws(() => configFromEnv({ TOKEN_AUTH_DISCOVERY: 'yes' }),
+      /invalid TOKEN_AUTH_DISCOVERY in environment/);
+  });
+});
+
+describe('authInit() configFromEnv', () => {
+  const prefix = 'TOKEN_AUTH_TEST_' + process.pid.toString() + '_';
+  const env = {
+    AUTH_URL: 'http://127.0.0.1:1',
+    CLIENT_ID: 'client1',
+    CLIENT_SECRET: 'secret1',
+    TOKEN_CACHE_MAX_ENTRIES: '50'
+  };
+
+  after(() => {
+    Object.keys(env).forEach((suffix) => delete process.env[prefix + suffix]);
+  });
+
+  it('applies options from environment variables', () => {
+    Object.keys(env).forEach((suffix) => { process.env[prefix + suffix] = env[suffix]; });
+    const tokenAuth = createTokenAuth();
+    const defaultStore = tokenAuth.tokenStore;
+    tokenAuth.authInit({ configFromEnv: prefix, logger: null });
+    assert.notStrictEqual(tokenAuth.tokenStore, defaultStore);
+    process.env[prefix + 'TOKEN_CACHE_MAX_ENTRIES'] = '0';
+    assert.throws(() => tokenAuth.authInit({ configFromEnv: prefix, logger: null }),
+      /invalid tokenCacheMaxEntries/);
+    return tokenAuth.authShutdown();
+  });
+});
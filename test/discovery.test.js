@@ -0,0 +1,200 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Authorization server metadata discovery
+//
+// ------------------------------
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+
+const { createTokenAuth } = require('../src/index');
+const { createMetadataClient, wellKnownURLs } = require('../src/discovery');
+const { createFakeAuthServer } = require('../src/testing');
+const { runMiddleware } = require('./helpers/express-mock');
+
+describe('wellKnownURLs', () => {
+  it('inserts the RFC 8414 well-known path before the issuer path', () => {
+    assert.deepStrictEqual(wellKnownURLs('https://auth.example.com/tenant1/'), [
+      'https://auth.example.com/.well-known/oauth-authorization-server/tenant1',
+      'https://auth.example.com/tenant1/.well-known/openid-configuration'
+    ]);
+  });
+});
+
+describe('createMetadataClient', () => {
+  let metadataServer = null;
+  let issuer = null;
+  /** @type {Object} documents - Response by request path, { status, body } */
+  let documents = null;
+  /** @type {string[]} paths - Request paths received */
+  let paths = [];
+
+  before(() => {
+    metadataServer = http.createServer((req, res) => {
+      paths.push(req.url);
+      const document = documents[req.url] || { status: 404, body: {} };
+      res.statusCode = document.status;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(document.body));
+    });
+    return new Promise((resolve) => metadataServer.listen(0, '127.0.0.1', resolve))
+      .then(() => {
+        issuer = 'http://127.0.0.1:' + metadataServer.address().port.toString();
+      });
+  });
+
+  beforeEach(() => {
+    paths = [];
+    documents = Object.create(null);
+  });
+
+  after(() => {
+    metadataServer.closeAllConnections();
+    return new Promise((resolve) => metadataServer.close(resolve));
+  });
+
+  it('loads the RFC 8414 document and selects the client authentication method', () => {
+    documents['/.well-known/oauth-authorization-server'] = {
+      status: 200,
+      body: {
+        issuer,
+        introspection_endpoint: issuer + '/introspect',
+        introspection_endpoint_auth_methods_supported: ['client_secret_post'],
+        jwks_uri: issuer + '/jwks'
+      }
+    };
+    const discovery = createMetadataClient({ issuer });
+    return Promise.all([
+      discovery.getEndpoint('introspection_endpoint'),
+      discovery.getEndpoint('jwks_uri')
+    ])
+      .then((endpoints) => {
+        assert.deepStrictEqual(endpoints, [
+          { url: issuer + '/introspect', authMethod: 'client_secret_post' },
+          { url: issuer + '/jwks', authMethod: null }
+        ]);
+        assert.strictEqual(paths.length, 1);
+        return discovery.getEndpoint('token_endpoint');
+      })
+      .then(() => assert.fail('expected rejection'), (err) => {
+        assert.strictEqual(err.status, 500);
+        assert.strictEqual(err.code, 'ERR_DISCOVERY_ENDPOINT');
+      });
+  });
+
+  it('falls back to the OpenID Connect document when not found', () => {
+    documents['/.well-known/openid-configuration'] = {
+      status: 200,
+      body: { issuer, introspection_endpoint: issuer + '/introspect' }
+    };
+    return createMetadataClient({ issuer }).getEndpoint('introspection_endpoint')
+      .then((endpoint) => {
+        assert.deepStrictEqual(endpoint, { url: issuer + '/introspect', authMethod: 'client_secret_basic' });
+        assert.deepStrictEqual(paths, ['/.well-known/oauth-authorization-server',
+          '/.well-known/openid-configuration']);
+      });
+  });
+
+  it('rejects a document of another issuer, not fetched again before minRefreshSeconds', () => {
+    documents['/.well-known/oauth-authorization-server'] = {
+      status: 200,
+      body: { issuer: 'https://other.example.com', introspection_endpoint: issuer + '/introspect' }
+    };
+    const discovery = createMetadataClient({ issuer });
+    return discovery.getMetadata()
+      .then(() => assert.fail('expected rejection'), (err) => {
+        assert.strictEqual(err.status, 500);
+        assert.strictEqual(err.code, 'ERR_DISCOVERY_ISSUER');
+        assert.match(err.message, /issuer mismatch/);
+        return discovery.getMetadata();
+      })
+      .then(() => assert.fail('expected rejection'), (err) => {
+        assert.strictEqual(err.code, 'ERR_DISCOVERY_ISSUER');
+        assert.strictEqual(paths.length, 1);
+      });
+  });
+
+  it('rejects 503 for a server error and 500 when no document is found', () => {
+    documents['/.well-known/oauth-authorization-server'] = { status: 502, body: {} };
+    return createMetadataClient({ issuer }).getMetadata()
+      .then(() => assert.fail('expected rejection'), (err) => {
+        assert.strictEqual(err.status, 503);
+        assert.strictEqual(err.unavailable, true);
+        documents = Object.create(null);
+        return createMetadataClient({ issuer }).getMetadata();
+      })
+      .then(() => assert.fail('expected rejection'), (err) => {
+        assert.strictEqual(err.status, 500);
+        assert.strictEqual(err.code, 'ERR_DISCOVERY_NOT_FOUND');
+      });
+  });
+});
+
+describe('authInit() discovery', () => {
+  let authServer = null;
+  let tokenAuth = null;
+
+  before(() => {
+    return createFakeAuthServer().then((server) => {
+      authServer = server;
+    });
+  });
+
+  afterEach(() => {
+    authServer.reset();
+    return tokenAuth.authShutdown();
+  });
+
+  after(() => authServer.close());
+
+  /**
+   * New instance discovering endpoints of the fake authorization server
+   * @param {string} issuer - Configured issuer identifier
+   * @returns {Function} requireAccessToken() middleware
+   */
+  const init = (issuer) => {
+    const options = authServer.authInitOptions();
+    tokenAuth = createTokenAuth({
+      issuer,
+      discovery: true,
+      clientId: options.clientId,
+      clientSecret: options.clientSecret,
+      logger: null
+    });
+    return tokenAuth.requireAccessToken();
+  };
+
+  it('introspects at the discovered endpoint', () => {
+    const issuer = authServer.authInitOptions().issuer;
+    const middleware = init(issuer);
+    return runMiddleware(middleware, { headers: { authorization: 'Bearer ' + authServer.mintToken() } })
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        assert.strictEqual(authServer.introspectCount, 1);
+        return tokenAuth.getAuthServerMetadata();
+      })
+      .then((metadata) => {
+        assert.strictEqual(metadata.issuer, issuer);
+      });
+  });
+
+  it('denies with status 500 when the metadata issuer does not match', () => {
+    // Same well-known URL, issuer identifier differs by the trailing slash
+    const middleware = init(authServer.authInitOptions().issuer + '/');
+    return runMiddleware(middleware, { headers: { authorization: 'Bearer ' + authServer.mintToken() } })
+      .then((result) => {
+        assert.strictEqual(result.status, 500);
+        assert.strictEqual(result.body, 'Authorization server configuration error');
+        assert.strictEqual(authServer.introspectCount, 0);
+      });
+  });
+
+  it('requires the issuer option', () => {
+    tokenAuth = createTokenAuth();
+    assert.throws(() => tokenAuth.authInit({ discovery: true, clientId: 'abc', clientSecret: 'xyz' }),
+      /discovery requires issuer/);
+  });
+});
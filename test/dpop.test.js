@@ -0,0 +1,180 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  DPoP proof of possession (RFC 9449) request URL
+//
+// ------------------------------
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+
+const { createTokenAuth } = require('../src/index');
+const { jwkThumbprint } = require('../src/dpop');
+const { createFakeAuthServer } = require('../src/testing');
+const { runMiddleware } = require('./helpers/express-mock');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const clientJwk = publicKey.export({ format: 'jwk' });
+
+/**
+ * Create DPoP proof JWT signed with the client key
+ * @param {string} method - htm claim
+ * @param {string} url - htu claim
+ * @param {string} accessToken - Access token for the ath claim
+ * @returns {string} DPoP proof
+ */
+const createProof = (method, url, accessToken) => {
+  const header = { typ: 'dpop+jwt', alg: 'ES256', jwk: clientJwk };
+  const payload = {
+    jti: crypto.randomUUID(),
+    htm: method,
+    htu: url,
+    iat: Math.floor(Date.now() / 1000),
+    ath: crypto.createHash('sha256').update(accessToken).digest('base64url')
+  };
+  const signingInput = Buffer.from(JSON.stringify(header)).toString('base64url') + '.' +
+    Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.sign('sha256', Buffer.from(signingInput),
+    { key: privateKey, dsaEncoding: 'ieee-p1363' }).toString('base64url');
+  return signingInput + '.' + signature;
+};
+
+describe('DPoP', () => {
+  let authServer = null;
+  let tokenAuth = null;
+  let boundToken = null;
+
+  before(() => {
+    return createFakeAuthServer().then((server) => {
+      authServer = server;
+      tokenAuth = createTokenAuth();
+      tokenAuth.authInit(authServer.authInitOptions({
+        validationMode: 'jwt',
+        dpop: { baseURL: 'https://api.example.com' },
+        logger: null
+      }));
+      boundToken = authServer.mintToken({ claims: { cnf: { jkt: jwkThumbprint(clientJwk) } } });
+    });
+  });
+
+  after(() => tokenAuth.authShutdown().then(() => authServer.close()));
+
+  it('requires baseURL or trustProxy', () => {
+    assert.throws(() => createTokenAuth(authServer.authInitOptions({ dpop: true, logger: null })),
+      /dpop requires baseURL or trustProxy/);
+    assert.throws(() => createTokenAuth(authServer.authInitOptions({ dpop: { trustProxy: 'yes' } })),
+      /invalid dpop.trustProxy/);
+  });
+
+  it('builds htu from baseURL, not the Host header', () => {
+    const middleware = tokenAuth.requireAccessToken();
+    return Promise.all([
+      runMiddleware(middleware, {
+        method: 'POST',
+        url: '/transfer',
+        headers: {
+          host: 'attacker.example',
+          authorization: 'DPoP ' + boundToken,
+          dpop: createProof('POST', 'https://api.example.com/transfer', boundToken)
+        }
+      }),
+      runMiddleware(middleware, {
+        method: 'POST',
+        url: '/transfer',
+        headers: {
+          host: 'attacker.example',
+          authorization: 'DPoP ' + boundToken,
+          dpop: createProof('POST', 'https://attacker.example/transfer', boundToken)
+        }
+      })
+    ])
+      .then((results) => {
+        assert.strictEqual(results[0].next, true);
+        assert.strictEqual(results[0].req.locals.token.binding, 'dpop');
+        assert.strictEqual(results[1].status, 401);
+        assert.match(results[1].headers['www-authenticate'], /^DPoP /);
+      });
+  });
+
+  it('checks verifyRequest() method and url options', () => {
+    const headers = (proof) => ({ authorization: 'DPoP ' + boundToken, dpop: proof });
+    return Promise.all([
+      tokenAuth.verifyRequest(headers(createProof('GET', 'https://api.example.com/items?page=2', boundToken)),
+        { method: 'GET', url: 'https://api.example.com/items?page=2' }),
+      tokenAuth.verifyRequest(headers(createProof('GET', 'https://api.example.com/items', boundToken)),
+        { method: 'GET', url: '/items' }),
+      tokenAuth.verifyRequest(headers(createProof('GET', 'https://api.example.com/items', boundToken)))
+        .then(() => null, (err) => err),
+      tokenAuth.verifyRequest(headers(createProof('GET', 'https://api.example.com/items', boundToken)),
+        { method: 'DELETE', url: '/items' })
+        .then(() => null, (err) => err)
+    ])
+      .then((results) => {
+        assert.strictEqual(results[0].token.binding, 'dpop');
+        assert.strictEqual(results[1].token.binding, 'dpop');
+        assert.strictEqual(results[2].status, 500);
+        assert.strictEqual(results[2].publicMessage, 'Internal server error');
+        assert.strictEqual(results[3].status, 401);
+        assert.strictEqual(results[3].oauthError, 'invalid_dpop_proof');
+      });
+  });
+
+  it('accepts a proof jti once', () => {
+    const proof = createProof('GET', 'https://api.example.com/items', boundToken);
+    const headers = { authorization: 'DPoP ' + boundToken, dpop: proof };
+    const options = { method: 'GET', url: '/items' };
+    return Promise.all([
+      tokenAuth.verifyRequest(headers, options).then(() => null, (err) => err),
+      tokenAuth.verifyRequest(headers, options).then(() => null, (err) => err)
+    ])
+      .then((results) => {
+        assert.strictEqual(results.filter((err) => err == null).length, 1);
+        const replayed = results.find((err) => !(err == null));
+        assert.strictEqual(replayed.status, 401);
+        assert.strictEqual(replayed.oauthError, 'invalid_dpop_proof');
+      });
+  });
+
+  it('keeps used proof jti values when authInit() options do not change', () => {
+    const options = authServer.authInitOptions({
+      validationMode: 'jwt',
+      dpop: { baseURL: 'https://api.example.com' },
+      logger: null
+    });
+    const headers = {
+      authorization: 'DPoP ' + boundToken,
+      dpop: createProof('GET', 'https://api.example.com/items', boundToken)
+    };
+    const reloaded = createTokenAuth(options);
+    return reloaded.verifyRequest(headers, { method: 'GET', url: '/items' })
+      .then(() => {
+        reloaded.authInit(Object.assign({}, options, { realm: 'api' }));
+        return reloaded.verifyRequest(headers, { method: 'GET', url: '/items' })
+          .then(() => null, (err) => err);
+      })
+      .then((err) => {
+        assert.strictEqual(err.oauthError, 'invalid_dpop_proof');
+        return reloaded.authShutdown();
+      });
+  });
+
+  it('requires a replayStore with add()', () => {
+    const replayStore = {
+      get: () => Promise.resolve(),
+      set: () => Promise.resolve(),
+      delete: () => Promise.resolve(),
+      clear: () => Promise.resolve()
+    };
+    assert.throws(() => createTokenAuth(authServer.authInitOptions({
+      dpop: { baseURL: 'https://api.example.com', replayStore },
+      logger: null
+    })), /invalid dpop.replayStore/);
+  });
+
+  it('rejects invalid verifyRequest() url option', () => {
+    return assert.rejects(tokenAuth.verifyRequest({}, { method: 'GET', url: 'items' }),
+      /verifyRequest, invalid url in options/);
+  });
+});
@@ -0,0 +1,152 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Logger and authorization lifecycle events
+//
+// ------------------------------
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { createTokenAuth, authEvents } = require('../src/index');
+const { createFakeAuthServer } = require('../src/testing');
+const { runMiddleware } = require('./helpers/express-mock');
+
+const eventNames = ['cacheHit', 'cacheMiss', 'introspectSuccess', 'introspectFailure',
+  'tokenRejected', 'scopeDenied', 'cachePurged'];
+
+/**
+ * Request with Authorization header
+ * @param {string} token - Access token
+ * @returns {Object} Request properties
+ */
+const bearer = (token) => ({ headers: { authorization: 'Bearer ' + token } });
+
+/**
+ * Logger that records each call
+ * @returns {Object} Logger with entries array of { level, message, details }
+ */
+const createRecordingLogger = () => {
+  const entries = [];
+  const logger = { entries };
+  ['debug', 'info', 'warn', 'error'].forEach((level) => {
+    logger[level] = (message, details) => entries.push({ level, message, details });
+  });
+  return logger;
+};
+
+describe('logger and events', () => {
+  let authServer = null;
+  let tokenAuth = null;
+  let logger = null;
+  let emitted = null;
+
+  before(() => {
+    return createFakeAuthServer().then((server) => {
+      authServer = server;
+    });
+  });
+
+  afterEach(() => {
+    authServer.reset();
+    return tokenAuth.authShutdown();
+  });
+
+  after(() => authServer.close());
+
+  /**
+   * New instance recording log entries and events
+   * @returns {Function} requireAccessToken() middleware
+   */
+  const init = () => {
+    logger = createRecordingLogger();
+    emitted = [];
+    tokenAuth = createTokenAuth(authServer.authInitOptions({ logger }));
+    eventNames.forEach((name) => {
+      tokenAuth.events.on(name, (details) => emitted.push({ name, details }));
+    });
+    return tokenAuth.requireAccessToken();
+  };
+
+  it('emits cache and introspection events without the access token', () => {
+    const middleware = init();
+    const user = { id: 'user-events', number: 3, username: 'dan' };
+    const token = authServer.mintToken({ user, client: { clientId: 'app-events' } });
+    return runMiddleware(middleware, bearer(token))
+      .then(() => runMiddleware(middleware, bearer(token)))
+      .then(() => {
+        assert.deepStrictEqual(emitted.map((event) => event.name),
+          ['cacheMiss', 'introspectSuccess', 'cacheHit']);
+        const success = emitted[1].details;
+        assert.strictEqual(success.active, true);
+        assert.strictEqual(success.clientId, 'app-events');
+        assert.strictEqual(success.userId, 'user-events');
+        assert.strictEqual(typeof success.durationMs, 'number');
+        assert.match(success.fingerprint, /^[0-9a-f]{16}$/);
+        emitted.forEach((event) => {
+          assert.strictEqual(event.details.fingerprint, success.fingerprint);
+          assert.ok(JSON.stringify(event.details).indexOf(token) < 0);
+        });
+        assert.strictEqual(emitted[2].details.negative, false);
+        logger.entries.forEach((entry) => {
+          assert.ok(JSON.stringify(entry).indexOf(token) < 0);
+        });
+      });
+  });
+
+  it('emits tokenRejected and scopeDenied with an error code, logged as warn', () => {
+    const middleware = init();
+    const token = authServer.mintToken({ scope: ['api.read'] });
+    return Promise.all([
+      runMiddleware(middleware, { headers: {} }),
+      runMiddleware(tokenAuth.requireAccessToken({ scope: 'api.admin' }), bearer(token))
+    ])
+      .then(() => {
+        const rejected = emitted.find((event) => (event.name === 'tokenRejected'));
+        assert.strictEqual(rejected.details.status, 401);
+        assert.strictEqual(rejected.details.error, 'missing_token');
+        const denied = emitted.find((event) => (event.name === 'scopeDenied'));
+        assert.strictEqual(denied.details.status, 403);
+        assert.strictEqual(denied.details.error, 'insufficient_scope');
+        const warnings = logger.entries.filter((entry) => (entry.level === 'warn'));
+        assert.strictEqual(warnings.length, 2);
+        warnings.forEach((entry) => assert.match(entry.message, /^Token auth: /));
+      });
+  });
+
+  it('emits introspectFailure, logs server errors as error', () => {
+    const middleware = init();
+    authServer.failNext(1, 503);
+    return runMiddleware(middleware, bearer(authServer.mintToken()))
+      .then((result) => {
+        assert.strictEqual(result.status, 503);
+        const failure = emitted.find((event) => (event.name === 'introspectFailure'));
+        assert.strictEqual(failure.details.status, 503);
+        const rejected = emitted.find((event) => (event.name === 'tokenRejected'));
+        assert.strictEqual(rejected.details.error, 'temporarily_unavailable');
+        assert.ok(logger.entries.some((entry) => (entry.level === 'error')));
+      });
+  });
+
+  it('emits cachePurged for revocation functions', () => {
+    init();
+    return tokenAuth.revokeCachedToken(authServer.mintToken())
+      .then(() => tokenAuth.purgeCacheByClient('app-purged'))
+      .then(() => {
+        const purged = emitted.filter((event) => (event.name === 'cachePurged'));
+        assert.deepStrictEqual(purged.map((event) => event.details.by), ['token', 'client']);
+        assert.strictEqual(purged[1].details.clientId, 'app-purged');
+        assert.strictEqual(purged[1].details.removed, 0);
+      });
+  });
+
+  it('validates the logger option, null is silent', () => {
+    tokenAuth = createTokenAuth();
+    assert.throws(() => tokenAuth.authInit(authServer.authInitOptions({ logger: { info: () => {} } })),
+      /invalid logger/);
+    tokenAuth.authInit(authServer.authInitOptions({ logger: null }));
+    assert.strictEqual(typeof authEvents.on, 'function');
+    assert.notStrictEqual(tokenAuth.events, authEvents);
+  });
+});
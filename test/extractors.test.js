@@ -0,0 +1,58 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Access token extractors
+//
+// ------------------------------
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { compileExtractors, extractToken } = require('../src/extractors');
+
+const token = 'aaaa.bbbb.cccc';
+
+describe('extractToken', () => {
+  it('reads a Bearer token from the Authorization header', () => {
+    const found = extractToken({ headers: { authorization: 'Bearer ' + token } }, null,
+      compileExtractors(['authorization']));
+    assert.strictEqual(found.token, token);
+    assert.strictEqual(found.source, 'authorization');
+    assert.strictEqual(found.scheme, 'Bearer');
+  });
+
+  it('rejects another scheme when the Authorization header is the only extractor', () => {
+    assert.throws(() => {
+      extractToken({ headers: { authorization: 'Basic dXNlcjpwYXNz' } }, null,
+        compileExtractors(['authorization']));
+    }, (err) => ((err.status === 401) && (err.oauthError === 'invalid_request')));
+  });
+
+  it('ignores another scheme when other extractors are configured', () => {
+    const extractors = compileExtractors(['authorization', { cookie: 'access_token' }]);
+    const found = extractToken({
+      headers: { authorization: 'Basic dXNlcjpwYXNz', cookie: 'access_token=' + token }
+    }, null, extractors);
+    assert.strictEqual(found.token, token);
+    assert.strictEqual(found.source, 'cookie:access_token');
+    assert.strictEqual(extractToken({ headers: { authorization: 'Basic dXNlcjpwYXNz' } },
+      null, extractors), null);
+  });
+
+  it('rejects a malformed Bearer header when other extractors are configured', () => {
+    assert.throws(() => {
+      extractToken({ headers: { authorization: 'Bearer ' + token + ' extra' } }, null,
+        compileExtractors(['authorization', 'query']));
+    }, /Expected Bearer token/);
+  });
+
+  it('rejects a token presented in more than one place', () => {
+    assert.throws(() => {
+      extractToken({
+        url: '/path?access_token=' + token,
+        headers: { authorization: 'Bearer ' + token }
+      }, null, compileExtractors(['authorization', 'query']));
+    }, (err) => ((err.status === 400) && (/more than one place/.test(err.message))));
+  });
+});
@@ -0,0 +1,50 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Minimal Express request and response objects for middleware tests
+//
+// ------------------------------
+
+/**
+ * Run one middleware function
+ * @example
+ * const result = await runMiddleware(requireAccessToken(), { headers: { authorization: 'Bearer xxx' } });
+ * // { next: true, err: undefined, req, status: null, body: null, headers: {} }
+ * @param {Function} middleware - Express middleware (req, res, next)
+ * @param {Object} [request] - Request properties, such as method, url and headers
+ * @returns {Promise} Resolves { next, err, req, status, body, headers } when the
+ * middleware calls next() or sends a response
+ */
+exports.runMiddleware = (middleware, request) => {
+  const req = Object.assign({ method: 'GET', url: '/', headers: {} }, request);
+  return new Promise((resolve) => {
+    const result = { next: false, err: undefined, req, status: null, body: null, headers: {} };
+    const _finish = (body) => {
+      result.body = (body === undefined) ? null : body;
+      resolve(result);
+    };
+    const res = {
+      headersSent: false,
+      status: (code) => {
+        result.status = code;
+        return res;
+      },
+      setHeader: (name, value) => {
+        result.headers[name.toLowerCase()] = value;
+      },
+      set: (name, value) => {
+        result.headers[name.toLowerCase()] = value;
+        return res;
+      },
+      send: _finish,
+      json: _finish,
+      end: _finish
+    };
+    middleware(req, res, (err) => {
+      result.next = true;
+      result.err = err;
+      resolve(result);
+    });
+  });
+};
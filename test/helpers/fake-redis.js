@@ -0,0 +1,222 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  In-process fake Redis server for tests
+//
+//  Speaks enough of the Redis serialization protocol (RESP2) for the token
+//  cache store: PING, AUTH, SELECT, GET, SET (PX, EX, NX), DEL, MGET, SCAN, FLUSHDB, QUIT.
+//  Key expiration is checked when a key is read. Not intended for production use.
+//
+// ------------------------------
+
+const net = require('node:net');
+
+/**
+ * Parse RESP command arrays from buffer
+ * @param {Buffer} buffer - Received data
+ * @returns {Object} { commands, rest }, rest is the incomplete remainder
+ */
+const _parseCommands = (buffer) => {
+  const commands = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if ((lineEnd < 0) || (buffer[offset] !== 0x2a)) break;
+    const count = parseInt(buffer.toString('utf8', offset + 1, lineEnd));
+    let position = lineEnd + 2;
+    const args = [];
+    for (let i = 0; i < count; i++) {
+      const headerEnd = buffer.indexOf('\r\n', position);
+      if (headerEnd < 0) break;
+      const length = parseInt(buffer.toString('utf8', position + 1, headerEnd));
+      if (buffer.length < headerEnd + 2 + length + 2) break;
+      args.push(buffer.toString('utf8', headerEnd + 2, headerEnd + 2 + length));
+      position = headerEnd + 2 + length + 2;
+    }
+    if (args.length < count) break;
+    commands.push(args);
+    offset = position;
+  }
+  return { commands, rest: buffer.subarray(offset) };
+};
+
+/**
+ * Encode reply value
+ * @param {*} value - String, integer, null, array or Error
+ * @returns {string} RESP reply
+ */
+const _encodeReply = (value) => {
+  if (value instanceof Error) return '-' + value.message + '\r\n';
+  if (value == null) return '$-1\r\n';
+  if (Number.isInteger(value)) return ':' + value.toString() + '\r\n';
+  if (Array.isArray(value)) return '*' + value.length.toString() + '\r\n' + value.map(_encodeReply).join('');
+  const text = String(value);
+  return '$' + Buffer.byteLength(text, 'utf8').toString() + '\r\n' + text + '\r\n';
+};
+
+/**
+ * Match key against SCAN MATCH pattern, only * wildcards are supported
+ * @param {string} pattern - Glob pattern
+ * @param {string} key - Key
+ * @returns {boolean} True if matched
+ */
+const _globMatch = (pattern, key) => {
+  const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp('^' + source + '$').test(key);
+};
+
+/**
+ * Start fake Redis server on an ephemeral port of 127.0.0.1
+ * @example
+ * const redis = await createFakeRedisServer({ password: 'secret' });
+ * const store = createRedisStore({ port: redis.port, password: 'secret' });
+ * @param {Object} [options]
+ * @param {string} [options.password] - Required AUTH password, default none
+ * @param {number} [options.databases] - Number of databases for SELECT, default 16
+ * @returns {Promise} Resolves { port, commands, keys(db), close() }
+ */
+exports.createFakeRedisServer = (options) => {
+  const opts = options || {};
+  const databaseCount = opts.databases || 16;
+  /** @type {Map[]} databases - Key to { value, expiresAt } */
+  const databases = [];
+  for (let i = 0; i < databaseCount; i++) databases.push(new Map());
+  /** @type {string[][]} commands - Received commands, for assertions */
+  const commands = [];
+  const sockets = new Set();
+  /** @type {Map} scanCursors - SCAN cursor to last key returned */
+  const scanCursors = new Map();
+  let nextCursor = 0;
+
+  const _read = (db, key) => {
+    const stored = db.get(key);
+    if (stored == null) return null;
+    if ((stored.expiresAt) && (stored.expiresAt <= Date.now())) {
+      db.delete(key);
+      return null;
+    }
+    return stored.value;
+  };
+
+  const _execute = (session, args) => {
+    const name = args[0].toUpperCase();
+    if (name === 'AUTH') {
+      const password = args[args.length - 1];
+      if ((opts.password) && (password !== opts.password)) {
+        return new Error('WRONGPASS invalid username-password pair or user is disabled.');
+      }
+      session.authenticated = true;
+      return 'OK';
+    }
+    if ((opts.password) && (!session.authenticated)) {
+      return new Error('NOAUTH Authentication required.');
+    }
+    const db = databases[session.db];
+    if (name === 'PING') return 'PONG';
+    if (name === 'QUIT') return 'OK';
+    if (name === 'SELECT') {
+      const index = parseInt(args[1]);
+      if ((!(index >= 0)) || (index >= databaseCount)) return new Error('ERR DB index is out of range');
+      session.db = index;
+      return 'OK';
+    }
+    if (name === 'GET') return _read(db, args[1]);
+    if (name === 'MGET') return args.slice(1).map((key) => _read(db, key));
+    if (name === 'SET') {
+      let expiresAt = null;
+      let ifAbsent = false;
+      for (let i = 3; i < args.length; i += 2) {
+        const option = args[i].toUpperCase();
+        if (option === 'NX') {
+          ifAbsent = true;
+          i--;
+          continue;
+        }
+        const amount = parseInt(args[i + 1]);
+        if ((!(amount > 0)) || (['PX', 'EX'].indexOf(option) < 0)) {
+          return new Error('ERR syntax error');
+        }
+        expiresAt = Date.now() + ((option === 'PX') ? amount : amount * 1000);
+      }
+      if ((ifAbsent) && (_read(db, args[1]) != null)) return null;
+      db.set(args[1], { value: args[2], expiresAt });
+      return 'OK';
+    }
+    if (name === 'DEL') {
+      let removed = 0;
+      args.slice(1).forEach((key) => {
+        if (_read(db, key) != null) removed++;
+        db.delete(key);
+      });
+      return removed;
+    }
+    if (name === 'SCAN') {
+      // Keys are returned in sorted order, the cursor refers to the last key returned,
+      // so keys deleted during the scan do not cause others to be skipped.
+      const after = scanCursors.get(args[1]);
+      scanCursors.delete(args[1]);
+      let pattern = '*';
+      let count = 10;
+      for (let i = 2; i < args.length; i += 2) {
+        if (args[i].toUpperCase() === 'MATCH') pattern = args[i + 1];
+        if (args[i].toUpperCase() === 'COUNT') count = parseInt(args[i + 1]);
+      }
+      const keys = Array.from(db.keys()).sort()
+        .filter((key) => (after == null) || (key > after));
+      const batch = keys.slice(0, count);
+      let next = '0';
+      if (keys.length > count) {
+        nextCursor++;
+        next = nextCursor.toString();
+        scanCursors.set(next, batch[batch.length - 1]);
+      }
+      return [next, batch.filter((key) => {
+        return ((_read(db, key) != null) && (_globMatch(pattern, key)));
+      })];
+    }
+    if (name === 'FLUSHDB') {
+      db.clear();
+      return 'OK';
+    }
+    return new Error('ERR unknown command \'' + args[0] + '\'');
+  };
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    const session = { db: 0, authenticated: false };
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      const parsed = _parseCommands(buffer);
+      buffer = parsed.rest;
+      parsed.commands.forEach((args) => {
+        commands.push(args);
+        socket.write(_encodeReply(_execute(session, args)));
+        if (args[0].toUpperCase() === 'QUIT') socket.end();
+      });
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        commands,
+        /**
+         * Keys of a database, including expired keys not yet read
+         * @param {number} [db] - Database number, default 0
+         * @returns {string[]} Keys
+         */
+        keys: (db) => Array.from(databases[db || 0].keys()),
+        close: () => new Promise((resolve) => {
+          sockets.forEach((socket) => socket.destroy());
+          server.close(() => resolve());
+        })
+      });
+    });
+  });
+};
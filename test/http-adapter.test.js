@@ -0,0 +1,89 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  node:http request handler wrapper
+//
+// ------------------------------
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+
+const { createTokenAuth } = require('../src/index');
+const { createFakeAuthServer } = require('../src/testing');
+
+describe('httpRequireAccessToken', () => {
+  let authServer = null;
+  let tokenAuth = null;
+  let apiServer = null;
+  let apiURL = null;
+  const logged = [];
+
+  before(() => {
+    return createFakeAuthServer()
+      .then((server) => {
+        authServer = server;
+        tokenAuth = createTokenAuth();
+        tokenAuth.authInit(authServer.authInitOptions({
+          logger: {
+            debug: () => {},
+            info: () => {},
+            warn: () => {},
+            error: (message) => logged.push(message)
+          }
+        }));
+        apiServer = http.createServer(tokenAuth.httpRequireAccessToken({ scope: 'api.read' }, (req, res) => {
+          if (req.url === '/throw') throw new Error('Handler failed');
+          if (req.url === '/reject') return Promise.reject(new Error('Async handler failed'));
+          res.end('Hello ' + req.locals.user.id);
+        }));
+        return new Promise((resolve) => apiServer.listen(0, '127.0.0.1', resolve));
+      })
+      .then(() => {
+        apiURL = 'http://127.0.0.1:' + apiServer.address().port.toString();
+      });
+  });
+
+  after(() => {
+    return tokenAuth.authShutdown()
+      .then(() => new Promise((resolve) => apiServer.close(resolve)))
+      .then(() => authServer.close());
+  });
+
+  /**
+   * Request to the test API
+   * @param {string} path - URL path
+   * @param {string} [token] - Access token
+   * @returns {Promise} Resolves { status, body }
+   */
+  const get = (path, token) => {
+    const headers = (token) ? { Authorization: 'Bearer ' + token } : {};
+    return fetch(apiURL + path, { headers })
+      .then((response) => response.text().then((body) => ({ status: response.status, body })));
+  };
+
+  it('calls the handler when authorized', () => {
+    const token = authServer.mintToken({ user: { id: 'user1', number: 1 } });
+    return get('/', token).then((result) => {
+      assert.deepStrictEqual(result, { status: 200, body: 'Hello user1' });
+    });
+  });
+
+  it('denies requests without a token', () => {
+    return get('/').then((result) => {
+      assert.strictEqual(result.status, 401);
+    });
+  });
+
+  it('responds 500 when the handler throws', () => {
+    const token = authServer.mintToken();
+    return Promise.all([get('/throw', token), get('/reject', token)])
+      .then((results) => {
+        assert.deepStrictEqual(results[0], { status: 500, body: 'Internal server error' });
+        assert.deepStrictEqual(results[1], { status: 500, body: 'Internal server error' });
+        assert.ok(logged.some((message) => /Handler failed/.test(message)));
+        assert.ok(logged.some((message) => /Async handler failed/.test(message)));
+      });
+  });
+});
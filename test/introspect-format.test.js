@@ -0,0 +1,156 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  RFC 7662 introspection format and claimMapper
+//
+// ------------------------------
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { createTokenAuth } = require('../src/index');
+const { createFakeAuthServer } = require('../src/testing');
+const { runMiddleware } = require('./helpers/express-mock');
+
+/**
+ * Request with Authorization header
+ * @param {string} token - Access token
+ * @returns {Object} Request properties
+ */
+const bearer = (token) => ({ headers: { authorization: 'Bearer ' + token } });
+
+describe('introspectFormat and claimMapper', () => {
+  let authServer = null;
+  let tokenAuth = null;
+
+  before(() => {
+    return createFakeAuthServer().then((server) => {
+      authServer = server;
+    });
+  });
+
+  afterEach(() => {
+    authServer.reset();
+    return tokenAuth.authShutdown();
+  });
+
+  after(() => authServer.close());
+
+  /**
+   * New instance using the fake authorization server
+   * @param {Object} [extraOptions] - Additional authInit() options
+   * @returns {Object} Instance
+   */
+  const init = (extraOptions) => {
+    tokenAuth = createTokenAuth(authServer.authInitOptions(Object.assign({ logger: null }, extraOptions)));
+    return tokenAuth;
+  };
+
+  it('maps an RFC 7662 response to req.locals', () => {
+    init({ introspectFormat: 'rfc7662' });
+    const token = authServer.mintToken({
+      scope: ['api.read', 'api.write'],
+      user: { id: 'user-7662', username: 'erin' },
+      client: { clientId: 'app-7662' }
+    });
+    return runMiddleware(tokenAuth.requireAccessToken({ scope: 'api.write' }), bearer(token))
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        assert.deepStrictEqual(result.req.locals.tokenScope, ['api.read', 'api.write']);
+        assert.strictEqual(result.req.locals.user.id, 'user-7662');
+        assert.strictEqual(result.req.locals.user.username, 'erin');
+        assert.strictEqual(result.req.locals.token.clientId, 'app-7662');
+      });
+  });
+
+  it('has no user for an RFC 7662 client credentials token, sub is the client id', () => {
+    init({ introspectFormat: 'rfc7662' });
+    const token = authServer.mintToken({ user: null, client: { clientId: 'service-app' } });
+    return runMiddleware(tokenAuth.requireAccessToken(), bearer(token))
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        assert.strictEqual(result.req.locals.user, undefined);
+        assert.strictEqual(result.req.locals.token.clientId, 'service-app');
+      });
+  });
+
+  it('rejects an inactive RFC 7662 token', () => {
+    init({ introspectFormat: 'rfc7662' });
+    const token = authServer.mintToken();
+    authServer.revokeToken(token);
+    return runMiddleware(tokenAuth.requireAccessToken(), bearer(token))
+      .then((result) => {
+        assert.strictEqual(result.status, 401);
+      });
+  });
+
+  it('calls claimMapper with converted meta-data and the raw response, result is cached', () => {
+    const calls = [];
+    init({
+      introspectFormat: 'rfc7662',
+      claimMapper: (introspect, raw) => {
+        calls.push(raw);
+        introspect.scope = introspect.scope.concat(['type:' + raw.token_type]);
+        return introspect;
+      }
+    });
+    const token = authServer.mintToken({ scope: ['api.read'] });
+    const middleware = tokenAuth.requireAccessToken({ scope: 'type:Bearer' });
+    return runMiddleware(middleware, bearer(token))
+      .then(() => runMiddleware(middleware, bearer(token)))
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        assert.deepStrictEqual(result.req.locals.tokenScope, ['api.read', 'type:Bearer']);
+        assert.strictEqual(calls.length, 1);
+        assert.strictEqual(calls[0].scope, 'api.read');
+      });
+  });
+
+  it('calls claimMapper with the JWT payload in jwt validationMode', () => {
+    init({
+      validationMode: 'jwt',
+      claimMapper: (introspect, raw) => {
+        introspect.scope = introspect.scope.concat(raw.roles.map((role) => 'role:' + role));
+        return introspect;
+      }
+    });
+    const token = authServer.mintToken({ scope: ['api.read'], claims: { roles: ['admin'] } });
+    return runMiddleware(tokenAuth.requireAccessToken({ scope: 'role:admin' }), bearer(token))
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        assert.strictEqual(authServer.introspectCount, 0);
+      });
+  });
+
+  it('denies with status 500 when claimMapper throws or returns no object', () => {
+    let mapperResult = null;
+    init({
+      claimMapper: () => {
+        if (mapperResult instanceof Error) throw mapperResult;
+        return mapperResult;
+      }
+    });
+    const middleware = tokenAuth.requireAccessToken();
+    mapperResult = new Error('mapper failed');
+    return runMiddleware(middleware, bearer(authServer.mintToken()))
+      .then((result) => {
+        assert.strictEqual(result.status, 500);
+        assert.strictEqual(result.body, 'Token meta-data error');
+        mapperResult = 'not an object';
+        return runMiddleware(middleware, bearer(authServer.mintToken()));
+      })
+      .then((result) => {
+        assert.strictEqual(result.status, 500);
+        assert.strictEqual(tokenAuth.getStats().cacheStore.size, 0);
+      });
+  });
+
+  it('validates introspectFormat and claimMapper options', () => {
+    tokenAuth = createTokenAuth();
+    assert.throws(() => tokenAuth.authInit(authServer.authInitOptions({ introspectFormat: 'rfc9999' })),
+      /invalid introspectFormat/);
+    assert.throws(() => tokenAuth.authInit(authServer.authInitOptions({ claimMapper: 'map' })),
+      /invalid claimMapper/);
+  });
+});
@@ -0,0 +1,130 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Multiple authorization servers, tokens routed by iss claim
+//
+// ------------------------------
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { createTokenAuth } = require('../src/index');
+const { createFakeAuthServer } = require('../src/testing');
+const { runMiddleware } = require('./helpers/express-mock');
+
+/**
+ * Request with Authorization header
+ * @param {string} token - Access token
+ * @returns {Object} Request properties
+ */
+const bearer = (token) => ({ headers: { authorization: 'Bearer ' + token } });
+
+describe('issuers', () => {
+  let serverA = null;
+  let serverB = null;
+  let tokenAuth = null;
+
+  before(() => {
+    return Promise.all([
+      createFakeAuthServer(),
+      createFakeAuthServer({ clientId: 'client-b', clientSecret: 'secret-b' })
+    ])
+      .then((servers) => {
+        serverA = servers[0];
+        serverB = servers[1];
+      });
+  });
+
+  afterEach(() => {
+    serverA.reset();
+    serverB.reset();
+    return tokenAuth.authShutdown();
+  });
+
+  after(() => Promise.all([serverA.close(), serverB.close()]));
+
+  /**
+   * New instance trusting both fake servers
+   * @param {Object} [extraOptions] - Additional authInit() options
+   * @returns {Function} requireAccessToken() middleware
+   */
+  const init = (extraOptions) => {
+    tokenAuth = createTokenAuth(Object.assign({
+      issuers: [
+        serverA.authInitOptions(),
+        serverB.authInitOptions({ clientId: 'client-b', clientSecret: 'secret-b' })
+      ],
+      logger: null
+    }, extraOptions));
+    return tokenAuth.requireAccessToken();
+  };
+
+  it('introspects each token at the server of its iss claim', () => {
+    const middleware = init();
+    return Promise.all([
+      runMiddleware(middleware, bearer(serverA.mintToken())),
+      runMiddleware(middleware, bearer(serverB.mintToken())),
+      runMiddleware(middleware, bearer(serverB.mintToken()))
+    ])
+      .then((results) => {
+        results.forEach((result) => assert.strictEqual(result.next, true));
+        assert.strictEqual(serverA.introspectCount, 1);
+        assert.strictEqual(serverB.introspectCount, 2);
+      });
+  });
+
+  it('rejects tokens of an untrusted or missing issuer', () => {
+    const middleware = init();
+    return Promise.all([
+      runMiddleware(middleware, bearer(serverA.mintToken({ claims: { iss: 'https://other.example.com' } }))),
+      runMiddleware(middleware, bearer(serverA.mintToken({ claims: { iss: undefined } }))),
+      runMiddleware(middleware, bearer('opaque-access-token-value'))
+    ])
+      .then((results) => {
+        results.forEach((result) => assert.strictEqual(result.status, 401));
+        assert.strictEqual(serverA.introspectCount + serverB.introspectCount, 0);
+      });
+  });
+
+  it('verifies jwt tokens with the key set of the iss claim', () => {
+    const middleware = init({ validationMode: 'jwt' });
+    // Signed by server B, claiming to be issued by server A
+    const forged = serverB.mintToken({ claims: { iss: serverA.authInitOptions().issuer } });
+    return Promise.all([
+      runMiddleware(middleware, bearer(serverA.mintToken())),
+      runMiddleware(middleware, bearer(serverB.mintToken())),
+      runMiddleware(middleware, bearer(forged))
+    ])
+      .then((results) => {
+        assert.strictEqual(results[0].next, true);
+        assert.strictEqual(results[1].next, true);
+        assert.strictEqual(results[2].status, 401);
+      });
+  });
+
+  it('uses top level options as defaults for each issuer', () => {
+    const optionsA = serverA.authInitOptions();
+    tokenAuth = createTokenAuth({
+      clientId: optionsA.clientId,
+      clientSecret: optionsA.clientSecret,
+      issuers: [{ issuer: optionsA.issuer, authURL: optionsA.authURL }],
+      logger: null
+    });
+    return runMiddleware(tokenAuth.requireAccessToken(), bearer(serverA.mintToken()))
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+      });
+  });
+
+  it('validates issuers options', () => {
+    tokenAuth = createTokenAuth();
+    assert.throws(() => tokenAuth.authInit({ issuers: [], logger: null }), /invalid issuers/);
+    assert.throws(() => tokenAuth.authInit({
+      clientId: 'client1',
+      clientSecret: 'secret1',
+      issuers: [{ authURL: 'http://127.0.0.1:1' }],
+      logger: null
+    }), /invalid issuer in issuers/);
+  });
+});
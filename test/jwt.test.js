@@ -0,0 +1,205 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Local JWT signature and claim validation
+//
+// ------------------------------
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+
+const { createTokenAuth } = require('../src/index');
+const { decodeJwt, verifyJwtSignature, validateJwtClaims, createJwksClient } = require('../src/jwt');
+const { createFakeAuthServer } = require('../src/testing');
+const { runMiddleware } = require('./helpers/express-mock');
+
+/**
+ * Encode JWT header and payload
+ * @param {Object} header - JWT header
+ * @param {Object} payload - JWT payload
+ * @returns {string} Signing input
+ */
+const signingInput = (header, payload) => {
+  return Buffer.from(JSON.stringify(header)).toString('base64url') + '.' +
+    Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Create JWT signed with a private key
+ * @param {string} alg - JWS alg
+ * @param {KeyObject} privateKey - Signing key
+ * @param {Object} payload - JWT payload
+ * @returns {string} JWT
+ */
+const signJwt = (alg, privateKey, payload) => {
+  const input = signingInput({ alg, typ: 'JWT' }, payload);
+  const hash = (alg === 'EdDSA') ? null : 'sha' + alg.slice(2);
+  const key = { key: privateKey };
+  if (alg.startsWith('PS')) {
+    key.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+    key.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+  }
+  if (alg.startsWith('ES')) key.dsaEncoding = 'ieee-p1363';
+  return input + '.' + crypto.sign(hash, Buffer.from(input), key).toString('base64url');
+};
+
+const futureExp = () => Math.floor(Date.now() / 1000) + 600;
+
+describe('verifyJwtSignature', () => {
+  const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const ed = crypto.generateKeyPairSync('ed25519');
+
+  it('verifies RS256, PS256, ES256 and EdDSA signatures', () => {
+    [
+      ['RS256', rsa],
+      ['PS256', rsa],
+      ['ES256', ec],
+      ['EdDSA', ed]
+    ].forEach((item) => {
+      const token = signJwt(item[0], item[1].privateKey, { sub: 'user1', exp: futureExp() });
+      assert.strictEqual(verifyJwtSignature(decodeJwt(token), item[1].publicKey), true, item[0]);
+    });
+  });
+
+  it('returns false for a modified payload or another key', () => {
+    const token = signJwt('ES256', ec.privateKey, { sub: 'user1', exp: futureExp() });
+    const parts = token.split('.');
+    const modified = parts[0] + '.' +
+      Buffer.from(JSON.stringify({ sub: 'admin', exp: futureExp() })).toString('base64url') + '.' + parts[2];
+    assert.strictEqual(verifyJwtSignature(decodeJwt(modified), ec.publicKey), false);
+    const otherKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).publicKey;
+    assert.strictEqual(verifyJwtSignature(decodeJwt(token), otherKey), false);
+  });
+
+  it('rejects HS256 signed with the public key, and alg none', () => {
+    const publicPem = rsa.publicKey.export({ type: 'spki', format: 'pem' });
+    const input = signingInput({ alg: 'HS256', typ: 'JWT' }, { sub: 'admin', exp: futureExp() });
+    const hmacToken = input + '.' + crypto.createHmac('sha256', publicPem).update(input).digest('base64url');
+    assert.throws(() => verifyJwtSignature(decodeJwt(hmacToken), rsa.publicKey),
+      (err) => ((err.status === 401) && (err.code === 'ERR_JWT_ALGORITHM')));
+    const noneToken = signingInput({ alg: 'none' }, { sub: 'admin', exp: futureExp() }) + '.';
+    assert.throws(() => verifyJwtSignature(decodeJwt(noneToken), rsa.publicKey),
+      /JWT algorithm not supported/);
+  });
+
+  it('rejects an algorithm that does not match the key type', () => {
+    const token = signJwt('ES256', ec.privateKey, { sub: 'user1', exp: futureExp() });
+    const decoded = decodeJwt(token);
+    decoded.header.alg = 'RS256';
+    assert.throws(() => verifyJwtSignature(decoded, ec.publicKey),
+      /JWT algorithm does not match key type/);
+  });
+
+  it('rejects malformed tokens', () => {
+    ['abc', 'a.b', 'a.b.c.d', '!!!.e30.', 'e30.bm90IGpzb24.', null].forEach((token) => {
+      assert.throws(() => decodeJwt(token), (err) => (err.code === 'ERR_JWT_MALFORMED'));
+    });
+  });
+});
+
+describe('validateJwtClaims', () => {
+  const now = Math.floor(Date.now() / 1000);
+
+  it('checks exp and nbf with clock skew', () => {
+    assert.throws(() => validateJwtClaims({}, {}), /JWT missing exp claim/);
+    assert.throws(() => validateJwtClaims({ exp: now - 1 }, {}), /JWT expired/);
+    validateJwtClaims({ exp: now - 10 }, { clockSkewSeconds: 30 });
+    assert.throws(() => validateJwtClaims({ exp: now + 60, nbf: now + 60 }, { clockSkewSeconds: 30 }),
+      /JWT not yet valid/);
+    assert.throws(() => validateJwtClaims({ exp: now + 60, nbf: 'now' }, {}), /JWT not yet valid/);
+  });
+
+  it('checks iss and aud', () => {
+    const payload = { exp: now + 60, iss: 'https://auth.example.com', aud: ['api1', 'api2'] };
+    validateJwtClaims(payload, { issuer: 'https://auth.example.com', audience: 'api2' });
+    validateJwtClaims(payload, { audience: ['api3', 'api1'] });
+    assert.throws(() => validateJwtClaims(payload, { issuer: 'https://other.example.com' }),
+      /JWT issuer mismatch/);
+    assert.throws(() => validateJwtClaims(payload, { audience: 'api3' }), /JWT audience mismatch/);
+  });
+});
+
+describe('jwt validationMode', () => {
+  let authServer = null;
+  let tokenAuth = null;
+
+  before(() => {
+    return createFakeAuthServer().then((server) => {
+      authServer = server;
+      tokenAuth = createTokenAuth(authServer.authInitOptions({ validationMode: 'jwt', logger: null }));
+    });
+  });
+
+  after(() => tokenAuth.authShutdown().then(() => authServer.close()));
+
+  /**
+   * Run requireAccessToken() with a bearer token
+   * @param {string} token - Access token
+   * @returns {Promise} Resolves runMiddleware() result
+   */
+  const request = (token) => {
+    return runMiddleware(tokenAuth.requireAccessToken(), { headers: { authorization: 'Bearer ' + token } });
+  };
+
+  it('accepts a signed token without introspection', () => {
+    return request(authServer.mintToken()).then((result) => {
+      assert.strictEqual(result.next, true);
+      assert.strictEqual(authServer.introspectCount, 0);
+    });
+  });
+
+  it('rejects unsigned, HS256 and modified tokens', () => {
+    const parts = authServer.mintToken().split('.');
+    const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    const noneToken = signingInput(Object.assign({}, header, { alg: 'none' }), payload) + '.';
+    const hsInput = signingInput(Object.assign({}, header, { alg: 'HS256' }), payload);
+    const hsToken = hsInput + '.' + crypto.createHmac('sha256', 'secret').update(hsInput).digest('base64url');
+    const modified = parts[0] + '.' +
+      Buffer.from(JSON.stringify(Object.assign({}, payload, { scope: 'admin' }))).toString('base64url') +
+      '.' + parts[2];
+    return Promise.all([noneToken, hsToken, modified].map(request))
+      .then((results) => {
+        results.forEach((result) => assert.strictEqual(result.status, 401));
+        assert.strictEqual(authServer.introspectCount, 0);
+      });
+  });
+});
+
+describe('createJwksClient', () => {
+  let authServer = null;
+
+  before(() => {
+    return createFakeAuthServer().then((server) => {
+      authServer = server;
+    });
+  });
+
+  after(() => authServer.close());
+
+  it('finds the key by kid, rejects an unknown kid', () => {
+    const jwks = createJwksClient({ jwksURL: authServer.authInitOptions().jwksURL, minRefreshSeconds: 0 });
+    const header = decodeJwt(authServer.mintToken()).header;
+    return jwks.getKey(header)
+      .then((keyObject) => {
+        assert.strictEqual(keyObject.asymmetricKeyType, 'ec');
+        return jwks.getKey({ alg: 'ES256', kid: 'unknown' }).then(() => null, (err) => err);
+      })
+      .then((err) => {
+        assert.strictEqual(err.status, 401);
+        assert.strictEqual(err.code, 'ERR_JWKS_NO_MATCHING_KEY');
+      });
+  });
+
+  it('rejects with 503 when the key set can not be fetched', () => {
+    const jwks = createJwksClient({ jwksURL: 'http://127.0.0.1:1/jwks.json', timeoutMs: 1000 });
+    return jwks.getKey({ alg: 'ES256', kid: 'a' }).then(() => null, (err) => err)
+      .then((err) => {
+        assert.strictEqual(err.status, 503);
+        assert.strictEqual(err.code, 'ERR_JWKS_FETCH');
+      });
+  });
+});
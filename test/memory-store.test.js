@@ -0,0 +1,190 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  In-memory LRU token cache store
+//
+// ------------------------------
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+
+const { createMemoryStore } = require('../src/cache-stores');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Token cache keys are SHA-256 hex digests
+ * @param {number} n - Key number
+ * @returns {string} Key
+ */
+const digestKey = (n) => crypto.createHash('sha256').update('token' + n.toString()).digest('hex');
+
+/**
+ * Fill store with entries, without waiting for each promise
+ * @param {Object} store - Memory store
+ * @param {number} count - Number of entries
+ * @returns {string[]} Keys
+ */
+const fillStore = (store, count) => {
+  const keys = [];
+  for (let i = 0; i < count; i++) {
+    keys.push(digestKey(i));
+    store.set(keys[i], { validatedBy: 'jwt', n: i }, 3600);
+  }
+  return keys;
+};
+
+/**
+ * Average time of one get() in nanoseconds, over lookups of random keys
+ * @param {Object} store - Memory store
+ * @param {string[]} keys - Cached keys
+ * @param {number} lookups - Number of lookups
+ * @returns {number} Nanoseconds per lookup
+ */
+const averageLookupNs = (store, keys, lookups) => {
+  const order = [];
+  for (let i = 0; i < lookups; i++) order.push(keys[crypto.randomInt(keys.length)]);
+  const start = process.hrtime.bigint();
+  order.forEach((key) => store.get(key));
+  return Number(process.hrtime.bigint() - start) / lookups;
+};
+
+describe('createMemoryStore', () => {
+  it('saves and returns entries', () => {
+    const store = createMemoryStore();
+    const entry = { introspect: { sub: 'user1' }, validatedBy: 'introspect' };
+    return store.set('key1', entry, 60)
+      .then(() => Promise.all([store.get('key1'), store.get('missing')]))
+      .then((entries) => {
+        assert.deepStrictEqual(entries, [entry, undefined]);
+        assert.strictEqual(store.size(), 1);
+        const stats = store.stats();
+        assert.strictEqual(stats.hits, 1);
+        assert.strictEqual(stats.misses, 1);
+        assert.strictEqual(stats.maxEntries, 10000);
+      });
+  });
+
+  it('evicts the least recently used entry when full', () => {
+    const store = createMemoryStore({ maxEntries: 3 });
+    return store.set('a', { n: 1 }, 60)
+      .then(() => store.set('b', { n: 2 }, 60))
+      .then(() => store.set('c', { n: 3 }, 60))
+      // Reading "a" makes "b" the least recently used
+      .then(() => store.get('a'))
+      .then(() => store.set('d', { n: 4 }, 60))
+      .then(() => Promise.all(['a', 'b', 'c', 'd'].map((key) => store.get(key))))
+      .then((entries) => {
+        assert.deepStrictEqual(entries, [{ n: 1 }, undefined, { n: 3 }, { n: 4 }]);
+        assert.strictEqual(store.size(), 3);
+        assert.strictEqual(store.stats().evictions, 1);
+      });
+  });
+
+  it('never evicts entries with maxEntries Infinity', () => {
+    const store = createMemoryStore({ maxEntries: Infinity });
+    fillStore(store, 20000);
+    assert.strictEqual(store.size(), 20000);
+    assert.strictEqual(store.stats().evictions, 0);
+  });
+
+  it('replaces an existing key without eviction', () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+    return store.set('a', { n: 1 }, 60)
+      .then(() => store.set('b', { n: 2 }, 60))
+      .then(() => store.set('a', { n: 3 }, 60))
+      .then(() => Promise.all([store.get('a'), store.get('b')]))
+      .then((entries) => {
+        assert.deepStrictEqual(entries, [{ n: 3 }, { n: 2 }]);
+        assert.strictEqual(store.stats().evictions, 0);
+      });
+  });
+
+  it('expires entries after the time to live', () => {
+    const store = createMemoryStore();
+    return store.set('short', { n: 1 }, 0.05)
+      .then(() => store.set('long', { n: 2 }, 60))
+      .then(() => delay(80))
+      .then(() => Promise.all([store.get('short'), store.get('long')]))
+      .then((entries) => {
+        assert.deepStrictEqual(entries, [undefined, { n: 2 }]);
+        assert.strictEqual(store.stats().expired, 1);
+        assert.strictEqual(store.size(), 1);
+      });
+  });
+
+  it('adds an entry only if the key is not cached', () => {
+    const store = createMemoryStore();
+    return Promise.all([
+      store.add('jti1', { n: 1 }, 60),
+      store.add('jti1', { n: 2 }, 60),
+      store.add('short', { n: 3 }, 0.05)
+    ])
+      .then((added) => {
+        assert.deepStrictEqual(added, [true, false, true]);
+        return delay(80);
+      })
+      .then(() => Promise.all([store.add('short', { n: 4 }, 60), store.get('jti1'), store.get('short')]))
+      .then((results) => {
+        assert.deepStrictEqual(results, [true, { n: 1 }, { n: 4 }]);
+      });
+  });
+
+  it('prunes expired entries', () => {
+    const store = createMemoryStore();
+    return store.set('a', { n: 1 }, 0.05)
+      .then(() => store.set('b', { n: 2 }, 0.05))
+      .then(() => store.set('c', { n: 3 }, 60))
+      .then(() => delay(80))
+      .then(() => store.prune())
+      .then((removed) => {
+        assert.strictEqual(removed, 2);
+        assert.strictEqual(store.size(), 1);
+      });
+  });
+
+  it('deletes, purges and clears entries', () => {
+    const store = createMemoryStore();
+    return Promise.all([
+      store.set('a', { introspect: { sub: 'user1' } }, 60),
+      store.set('b', { introspect: { sub: 'user2' } }, 60),
+      store.set('c', { introspect: { sub: 'user1' } }, 60),
+      store.set('d', { introspect: { sub: 'user3' } }, 60)
+    ])
+      .then(() => store.delete('d'))
+      .then(() => store.purge((entry) => (entry.introspect.sub === 'user1')))
+      .then((removed) => {
+        assert.strictEqual(removed, 2);
+        assert.strictEqual(store.size(), 1);
+        return store.clear();
+      })
+      .then(() => {
+        assert.strictEqual(store.size(), 0);
+      });
+  });
+
+  it('keeps lookup time flat at 100k entries', () => {
+    const lookups = 20000;
+    const small = createMemoryStore({ maxEntries: 1000 });
+    const smallKeys = fillStore(small, 1000);
+    const large = createMemoryStore({ maxEntries: 100000 });
+    const largeKeys = fillStore(large, 100000);
+    assert.strictEqual(large.size(), 100000);
+
+    // Warm up, then take the best of several runs to reduce timer and GC noise
+    averageLookupNs(small, smallKeys, lookups);
+    averageLookupNs(large, largeKeys, lookups);
+    let smallNs = Infinity;
+    let largeNs = Infinity;
+    for (let run = 0; run < 5; run++) {
+      smallNs = Math.min(smallNs, averageLookupNs(small, smallKeys, lookups));
+      largeNs = Math.min(largeNs, averageLookupNs(large, largeKeys, lookups));
+    }
+    // A linear search would be about 100 times slower, allow for cache effects
+    assert.ok(largeNs < smallNs * 10,
+      'lookup at 100k entries ' + largeNs.toFixed(0) + ' ns, at 1k entries ' + smallNs.toFixed(0) + ' ns');
+    assert.strictEqual(large.stats().evictions, 0);
+  });
+});
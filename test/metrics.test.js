@@ -0,0 +1,117 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  getStats() and Prometheus metrics
+//
+// ------------------------------
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createTokenAuth } = require('../src/index');
+const { createMetrics } = require('../src/metrics');
+const { createFakeAuthServer } = require('../src/testing');
+const { runMiddleware } = require('./helpers/express-mock');
+
+/**
+ * Find sample value in Prometheus text
+ * @param {string} text - Metrics text
+ * @param {string} sample - Metric name with labels
+ * @returns {number} Value, or undefined if not found
+ */
+const sampleValue = (text, sample) => {
+  const line = text.split('\n').find((item) => item.startsWith(sample + ' '));
+  return (line == null) ? undefined : Number(line.slice(sample.length + 1));
+};
+
+describe('createMetrics', () => {
+  it('counts events by type, status and reason', () => {
+    const metrics = createMetrics();
+    metrics.record('tokenAccepted', null);
+    metrics.record('cacheHit', { negative: false });
+    metrics.record('cacheHit', { negative: true });
+    metrics.record('cacheMiss', { stale: true });
+    metrics.record('tokenRejected', { status: 401, error: 'invalid_token' });
+    metrics.record('tokenRejected', { status: 401, error: 'invalid_token' });
+    metrics.record('scopeDenied', { status: 403, error: 'insufficient_scope' });
+    metrics.record('introspectSuccess', { durationMs: 20 });
+    metrics.record('introspectSuccess', { durationMs: 40 });
+    metrics.record('cachePruned', { removed: 3 });
+    const stats = metrics.getStats(7);
+    assert.strictEqual(stats.accepted, 1);
+    assert.strictEqual(stats.cacheHits, 2);
+    assert.strictEqual(stats.cacheNegativeHits, 1);
+    assert.strictEqual(stats.cacheStaleMisses, 1);
+    assert.strictEqual(stats.cacheSize, 7);
+    assert.strictEqual(stats.cachePrunedEntries, 3);
+    assert.deepStrictEqual(stats.rejected, { 401: { invalid_token: 2 }, 403: { insufficient_scope: 1 } });
+    assert.deepStrictEqual(stats.introspectDurationMs.success, { count: 2, average: 30 });
+    assert.deepStrictEqual(stats.introspectDurationMs.failure, { count: 0, average: 0 });
+  });
+
+  it('renders Prometheus text with cumulative histogram buckets', () => {
+    const metrics = createMetrics();
+    metrics.record('introspectSuccess', { durationMs: 20 });
+    metrics.record('introspectSuccess', { durationMs: 300 });
+    metrics.record('tokenRejected', { status: 401, error: 'bad "quoted"\nreason' });
+    const text = metrics.renderPrometheus({ prefix: 'app_', cacheSize: null });
+    assert.match(text, /^# HELP app_requests_accepted_total /);
+    assert.match(text, /\n# TYPE app_introspect_duration_seconds histogram\n/);
+    assert.strictEqual(sampleValue(text, 'app_introspect_duration_seconds_bucket{outcome="success",le="0.01"}'), 0);
+    assert.strictEqual(sampleValue(text, 'app_introspect_duration_seconds_bucket{outcome="success",le="0.025"}'), 1);
+    assert.strictEqual(sampleValue(text, 'app_introspect_duration_seconds_bucket{outcome="success",le="0.5"}'), 2);
+    assert.strictEqual(sampleValue(text, 'app_introspect_duration_seconds_bucket{outcome="success",le="+Inf"}'), 2);
+    assert.strictEqual(sampleValue(text, 'app_introspect_duration_seconds_count{outcome="success"}'), 2);
+    assert.strictEqual(sampleValue(text,
+      'app_requests_rejected_total{status="401",reason="bad \\"quoted\\"\\nreason"}'), 1);
+    assert.strictEqual(text.indexOf('app_cache_size'), -1);
+    assert.ok(text.endsWith('\n'));
+  });
+});
+
+describe('getStats() and metricsMiddleware()', () => {
+  let authServer = null;
+  let tokenAuth = null;
+
+  before(() => {
+    return createFakeAuthServer().then((server) => {
+      authServer = server;
+      tokenAuth = createTokenAuth(authServer.authInitOptions({ logger: null }));
+    });
+  });
+
+  after(() => tokenAuth.authShutdown().then(() => authServer.close()));
+
+  it('counts requests of the instance', () => {
+    const middleware = tokenAuth.requireAccessToken();
+    const token = authServer.mintToken();
+    return runMiddleware(middleware, { headers: { authorization: 'Bearer ' + token } })
+      .then(() => runMiddleware(middleware, { headers: { authorization: 'Bearer ' + token } }))
+      .then(() => runMiddleware(middleware, { headers: {} }))
+      .then(() => {
+        const stats = tokenAuth.getStats();
+        assert.strictEqual(stats.accepted, 2);
+        assert.strictEqual(stats.cacheHits, 1);
+        assert.strictEqual(stats.cacheMisses, 1);
+        assert.strictEqual(stats.introspectSuccess, 1);
+        assert.strictEqual(stats.cacheSize, 1);
+        assert.deepStrictEqual(stats.rejected, { 401: { missing_token: 1 } });
+        assert.strictEqual(stats.cacheStore.size, 1);
+        return runMiddleware(tokenAuth.metricsMiddleware(), {});
+      })
+      .then((result) => {
+        assert.match(result.headers['content-type'], /^text\/plain; version=0\.0\.4/);
+        assert.strictEqual(result.headers['cache-control'], 'no-store');
+        assert.strictEqual(sampleValue(result.body, 'token_auth_requests_accepted_total'), 2);
+        assert.strictEqual(sampleValue(result.body, 'token_auth_cache_size'), 1);
+        assert.strictEqual(sampleValue(result.body,
+          'token_auth_requests_rejected_total{status="401",reason="missing_token"}'), 1);
+      });
+  });
+
+  it('validates the metric name prefix', () => {
+    assert.throws(() => tokenAuth.metricsMiddleware({ prefix: 'bad-prefix' }), /invalid prefix/);
+    assert.strictEqual(typeof tokenAuth.metricsMiddleware({ prefix: '' }), 'function');
+  });
+});
@@ -0,0 +1,177 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  OpenAPI 3 security requirement scopes
+//
+// ------------------------------
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createTokenAuth } = require('../src/index');
+const { compileOpenApi, checkOperationScope } = require('../src/openapi');
+const { runMiddleware } = require('./helpers/express-mock');
+
+/**
+ * OpenAPI document of a small user API
+ * @returns {Object} OpenAPI 3 document
+ */
+const userApiSpec = () => ({
+  openapi: '3.0.3',
+  servers: [{ url: 'https://api.example.com/v1' }],
+  components: {
+    securitySchemes: {
+      oauth: { type: 'oauth2', flows: {} },
+      bearer: { type: 'http', scheme: 'Bearer' },
+      key: { type: 'apiKey', in: 'header', name: 'X-Key' }
+    }
+  },
+  security: [{ oauth: ['api.read'] }],
+  paths: {
+    '/users': {
+      get: { operationId: 'listUsers' },
+      post: { security: [{ oauth: ['api.write', 'users.create'] }, { oauth: ['api.admin'] }] }
+    },
+    '/users/{userId}': {
+      get: {},
+      delete: { security: [{ key: [] }, { oauth: ['api.admin'] }] }
+    },
+    '/users/me': {
+      get: { security: [{ bearer: [] }] }
+    },
+    '/health': {
+      get: { security: [] }
+    },
+    '/status': {
+      get: { security: [{}, { oauth: ['api.read'] }] }
+    }
+  }
+});
+
+/**
+ * Request after requireAccessToken()
+ * @param {string} method - Request method
+ * @param {string} url - Request URL
+ * @param {string[]} [scopes] - Token scope, omitted for no token data
+ * @returns {Object} Request properties
+ */
+const apiRequest = (method, url, scopes) => {
+  const request = { method, url, headers: {} };
+  if (scopes) request.locals = { tokenScope: scopes, token: { clientId: 'app' } };
+  return request;
+};
+
+describe('compileOpenApi', () => {
+  it('matches operations below the servers base path', () => {
+    const api = compileOpenApi(userApiSpec());
+    assert.strictEqual(api.basePath, '/v1');
+    assert.strictEqual(api.match('GET', '/v1/users').operationId, 'listUsers');
+    assert.strictEqual(api.match('GET', '/v1/users/42').name, 'GET /users/{userId}');
+    assert.strictEqual(api.match('GET', '/v1/users/42/photos'), null);
+    assert.strictEqual(api.match('GET', '/users'), null);
+    assert.strictEqual(api.match('PUT', '/v1/users'), null);
+    // Concrete path before templated path
+    assert.strictEqual(api.match('GET', '/v1/users/me').name, 'GET /users/me');
+    assert.strictEqual(api.match('head', '/v1/users/42').name, 'GET /users/{userId}');
+    assert.deepStrictEqual(api.unsecured, ['GET /health', 'GET /status']);
+  });
+
+  it('uses the basePath option instead of servers', () => {
+    const api = compileOpenApi(userApiSpec(), { basePath: '/api/' });
+    assert.strictEqual(api.match('GET', '/api/health').name, 'GET /health');
+    assert.strictEqual(api.match('GET', '/v1/health'), null);
+  });
+
+  it('throws for an unsupported document', () => {
+    assert.throws(() => compileOpenApi({ swagger: '2.0', paths: {} }), /expected openapi version 3/);
+    assert.throws(() => compileOpenApi({ openapi: '3.1.0' }), /paths object not found/);
+    assert.throws(() => compileOpenApi({ openapi: '3.1.0', paths: { '/a': { $ref: '#/x' } } }),
+      /path item \$ref of \/a not supported/);
+    assert.throws(() => compileOpenApi({ openapi: '3.1.0', paths: { '/a': { get: { security: [{ oauth: [] }] } } } }),
+      /security scheme oauth of GET \/a not defined/);
+  });
+});
+
+describe('checkOperationScope', () => {
+  const api = compileOpenApi(userApiSpec());
+
+  it('requires all scopes of one requirement object, any of the objects', () => {
+    const operation = api.match('POST', '/v1/users');
+    assert.deepStrictEqual(checkOperationScope(operation, ['api.write', 'users.create'], false),
+      { allowed: true, requiredScope: ['api.write', 'users.create'] });
+    assert.deepStrictEqual(checkOperationScope(operation, ['api.admin'], false),
+      { allowed: true, requiredScope: ['api.admin'] });
+    assert.deepStrictEqual(checkOperationScope(operation, ['api.write'], false),
+      { allowed: false, requiredScope: ['api.write', 'users.create'] });
+  });
+
+  it('ignores requirements of other schemes, bearer only requires a token', () => {
+    assert.deepStrictEqual(checkOperationScope(api.match('DELETE', '/v1/users/42'), ['api.read'], false),
+      { allowed: false, requiredScope: ['api.admin'] });
+    assert.deepStrictEqual(checkOperationScope(api.match('GET', '/v1/users/me'), [], false),
+      { allowed: true, requiredScope: null });
+  });
+});
+
+describe('scopesFromOpenApi()', () => {
+  const warnings = [];
+  const logger = {
+    debug: () => {},
+    info: () => {},
+    warn: (message) => warnings.push(message),
+    error: () => {}
+  };
+  const tokenAuth = createTokenAuth({
+    authURL: 'http://127.0.0.1:3500',
+    clientId: 'abc123',
+    clientSecret: 'ssh-secret',
+    logger
+  });
+
+  after(() => tokenAuth.authShutdown());
+
+  it('logs operations without security when created', () => {
+    const middleware = tokenAuth.scopesFromOpenApi(userApiSpec());
+    assert.deepStrictEqual(middleware.report.unsecured, ['GET /health', 'GET /status']);
+    assert.strictEqual(middleware.report.operations.length, 7);
+    assert.match(warnings[0], /without security requirement, GET \/health, GET \/status/);
+    tokenAuth.scopesFromOpenApi(userApiSpec(), { reportUnsecured: false });
+    assert.strictEqual(warnings.length, 1);
+  });
+
+  it('enforces operation scopes, public operations need no token data', () => {
+    const middleware = tokenAuth.scopesFromOpenApi(userApiSpec(), { reportUnsecured: false });
+    return Promise.all([
+      runMiddleware(middleware, apiRequest('GET', '/v1/users?page=2', ['api.read'])),
+      runMiddleware(middleware, apiRequest('POST', '/v1/users', ['api.read'])),
+      runMiddleware(middleware, apiRequest('GET', '/v1/health')),
+      runMiddleware(middleware, apiRequest('GET', '/v1/users'))
+    ])
+      .then((results) => {
+        assert.strictEqual(results[0].next, true);
+        assert.strictEqual(results[0].err, undefined);
+        assert.strictEqual(results[1].status, 403);
+        assert.match(results[1].headers['www-authenticate'], /error="insufficient_scope"/);
+        assert.match(results[1].headers['www-authenticate'], /scope="api.write users.create"/);
+        assert.strictEqual(results[2].next, true);
+        assert.strictEqual(results[2].err, undefined);
+        assert.match(results[3].err.message, /scope not found/);
+      });
+  });
+
+  it('denies undocumented operations, using originalUrl of a mounted router', () => {
+    const middleware = tokenAuth.scopesFromOpenApi(userApiSpec(), { reportUnsecured: false });
+    return Promise.all([
+      runMiddleware(middleware, apiRequest('PATCH', '/v1/users', ['api.admin'])),
+      runMiddleware(middleware, Object.assign(apiRequest('GET', '/users', ['api.read']),
+        { originalUrl: '/v1/users' }))
+    ])
+      .then((results) => {
+        assert.strictEqual(results[0].status, 403);
+        assert.strictEqual(results[0].body, 'Forbidden, operation not documented');
+        assert.doesNotMatch(results[0].headers['www-authenticate'], /insufficient_scope/);
+        assert.strictEqual(results[1].next, true);
+      });
+  });
+});
@@ -0,0 +1,151 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Authorization policies
+//
+// ------------------------------
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { createTokenAuth } = require('../src/index');
+const { compilePolicy } = require('../src/policy');
+const { createFakeAuthServer } = require('../src/testing');
+const { runMiddleware } = require('./helpers/express-mock');
+
+describe('compilePolicy', () => {
+  const context = {
+    scope: ['api.read'],
+    userId: 'u1',
+    params: { userId: 'u1', otherId: 'u2' },
+    claims: { client: { clientId: 'web-app' }, aud: ['api1', 'api2'] }
+  };
+
+  it('combines properties of one policy with AND', () => {
+    const policy = compilePolicy({ scope: 'api.read', ownerParam: 'userId' });
+    assert.deepStrictEqual(policy.evaluate(context), { allowed: true, reason: null, scopes: null });
+    assert.deepStrictEqual(compilePolicy({ scope: 'api.read', ownerParam: 'otherId' }).evaluate(context),
+      { allowed: false, reason: 'parameter otherId must match user id', scopes: null });
+    assert.deepStrictEqual(compilePolicy({ scope: 'api.write', ownerParam: 'userId' }).evaluate(context),
+      { allowed: false, reason: 'scope api.write required', scopes: ['api.write'] });
+  });
+
+  it('matches claims at a dotted path, array claims match any element', () => {
+    assert.strictEqual(compilePolicy({ claims: { 'client.clientId': ['web-app', 'cli'] } })
+      .evaluate(context).allowed, true);
+    assert.strictEqual(compilePolicy({ claims: { aud: 'api2' } }).evaluate(context).allowed, true);
+    assert.strictEqual(compilePolicy({ claims: { 'client.missing.name': 'x' } })
+      .evaluate(context).reason, 'claim client.missing.name not accepted');
+    assert.strictEqual(compilePolicy({ claims: { aud: 'api3' } }).evaluate({ scope: [] }).allowed, false);
+  });
+
+  it('evaluates anyOf, allOf and noneOf', () => {
+    const ownerOrAdmin = compilePolicy({ anyOf: [{ scope: 'api.admin' }, { ownerParam: 'otherId' }] });
+    assert.deepStrictEqual(ownerOrAdmin.evaluate(context), {
+      allowed: false,
+      reason: 'any of (scope api.admin required; parameter otherId must match user id)',
+      scopes: null
+    });
+    assert.strictEqual(compilePolicy({ allOf: [{ scope: 'api.read' }, { ownerParam: 'userId' }] })
+      .evaluate(context).allowed, true);
+    assert.strictEqual(compilePolicy({ noneOf: [{ scope: 'api.admin' }, { scope: 'api.read' }] })
+      .evaluate(context).reason, 'noneOf rule 2 matched');
+  });
+
+  it('returns a compiled policy unchanged', () => {
+    const compiled = compilePolicy({ scope: 'api.read' });
+    assert.strictEqual(compilePolicy(compiled), compiled);
+    assert.ok(Object.isFrozen(compiled));
+  });
+
+  it('throws for a malformed policy', () => {
+    assert.throws(() => compilePolicy(null), /Invalid policy, expected object/);
+    assert.throws(() => compilePolicy({}), /empty object/);
+    assert.throws(() => compilePolicy({ role: 'admin' }), /unknown property role/);
+    assert.throws(() => compilePolicy({ ownerParam: '' }), /ownerParam must be a parameter name/);
+    assert.throws(() => compilePolicy({ claims: {} }), /claims must be a non-empty object/);
+    assert.throws(() => compilePolicy({ claims: { aud: [] } }), /claim aud has no accepted values/);
+    assert.throws(() => compilePolicy({ anyOf: [] }), /anyOf must be a non-empty array/);
+    assert.throws(() => compilePolicy({ allOf: [{ scope: 'a AND' }] }), /Invalid scope expression/);
+  });
+});
+
+describe('requirePolicy() and can()', () => {
+  let authServer = null;
+  let tokenAuth = null;
+
+  before(() => {
+    return createFakeAuthServer().then((server) => {
+      authServer = server;
+      tokenAuth = createTokenAuth(authServer.authInitOptions({ logger: null }));
+    });
+  });
+
+  afterEach(() => authServer.reset());
+
+  after(() => tokenAuth.authShutdown().then(() => authServer.close()));
+
+  /**
+   * Run requireAccessToken(), then the policy middleware with route parameters
+   * @param {Function} middleware - requirePolicy() middleware
+   * @param {Object} tokenOptions - mintToken() options
+   * @param {Object} params - Route parameters
+   * @returns {Promise} Resolves runMiddleware() result of the policy middleware
+   */
+  const runPolicy = (middleware, tokenOptions, params) => {
+    const token = authServer.mintToken(tokenOptions);
+    return runMiddleware(tokenAuth.requireAccessToken(), { headers: { authorization: 'Bearer ' + token } })
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        return runMiddleware(middleware, Object.assign(result.req, { params }));
+      });
+  };
+
+  it('allows the owner or an admin of a trusted client', () => {
+    const middleware = tokenAuth.requirePolicy({
+      anyOf: [{ scope: 'api.admin' }, { ownerParam: 'userId' }],
+      claims: { 'client.clientId': ['web-app'] }
+    });
+    const user = { id: 'u-owner', number: 1 };
+    const client = { clientId: 'web-app' };
+    return Promise.all([
+      runPolicy(middleware, { user, client }, { userId: 'u-owner' }),
+      runPolicy(middleware, { user, client, scope: ['api.admin'] }, { userId: 'u-other' }),
+      runPolicy(middleware, { user, client: { clientId: 'other-app' } }, { userId: 'u-owner' })
+    ])
+      .then((results) => {
+        assert.strictEqual(results[0].next, true);
+        assert.strictEqual(results[1].next, true);
+        assert.strictEqual(results[2].status, 403);
+        assert.strictEqual(results[2].body, 'Forbidden, policy denied, claim client.clientId not accepted');
+        assert.doesNotMatch(results[2].headers['www-authenticate'], /insufficient_scope/);
+      });
+  });
+
+  it('answers insufficient_scope when a scope rule failed', () => {
+    const middleware = tokenAuth.requirePolicy({ scope: 'api.admin' });
+    const denied = [];
+    tokenAuth.events.on('scopeDenied', (details) => denied.push(details));
+    return runPolicy(middleware, { scope: ['api.read'] }, {})
+      .then((result) => {
+        assert.strictEqual(result.status, 403);
+        assert.match(result.headers['www-authenticate'], /error="insufficient_scope"/);
+        assert.match(result.headers['www-authenticate'], /scope="api.admin"/);
+        assert.strictEqual(denied[0].error, 'insufficient_scope');
+      });
+  });
+
+  it('evaluates a policy in a route handler with can()', () => {
+    return runPolicy((req, res, next) => next(), { user: { id: 'u1', number: 1 } }, { userId: 'u1' })
+      .then((result) => {
+        assert.strictEqual(tokenAuth.can(result.req, { ownerParam: 'userId' }), true);
+        assert.strictEqual(tokenAuth.can(result.req, { scope: 'api.admin' }), false);
+        assert.throws(() => tokenAuth.can({ headers: {} }, { scope: 'api.read' }));
+        return runMiddleware(tokenAuth.requirePolicy({ scope: 'api.read' }), { headers: {} });
+      })
+      .then((result) => {
+        assert.match(result.err.message, /scope not found/);
+      });
+  });
+});
@@ -0,0 +1,211 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Identity based rate limiting, token bucket algorithm
+//
+// ------------------------------
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createTokenAuth } = require('../src/index');
+const {
+  createMemoryRateLimitStore, createRedisRateLimitStore, createRateLimiter
+} = require('../src/rate-limit');
+const { runMiddleware } = require('./helpers/express-mock');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Request after requireAccessToken()
+ * @param {string} userId - User id, or null for a client credentials token
+ * @param {string} clientId - Client id
+ * @param {string[]} [scopes] - Token scope
+ * @returns {Object} Request properties
+ */
+const authorizedRequest = (userId, clientId, scopes) => {
+  const locals = {
+    tokenScope: scopes || ['api.read'],
+    token: { fingerprint: '0123456789abcdef', clientId }
+  };
+  if (userId) locals.user = { id: userId };
+  return { headers: {}, locals };
+};
+
+describe('createMemoryRateLimitStore', () => {
+  it('allows capacity requests, then refills at the configured rate', () => {
+    const store = createMemoryRateLimitStore();
+    return Promise.all([1, 2, 3].map(() => store.consume('key', 2, 20, 1)))
+      .then((results) => {
+        assert.deepStrictEqual(results.map((result) => result.allowed), [true, true, false]);
+        assert.strictEqual(results[1].tokens, 0);
+        return delay(70);
+      })
+      .then(() => store.consume('key', 2, 20, 1))
+      .then((result) => {
+        // About 1.4 requests refilled in 70 ms
+        assert.strictEqual(result.allowed, true);
+        assert.ok((result.tokens > 0) && (result.tokens < 1));
+      });
+  });
+
+  it('evicts the least recently used bucket at maxEntries', () => {
+    const store = createMemoryRateLimitStore({ maxEntries: 2 });
+    return store.consume('a', 1, 0.001, 1)
+      .then(() => store.consume('b', 1, 0.001, 1))
+      .then(() => store.consume('a', 1, 0.001, 1))
+      .then(() => store.consume('c', 1, 0.001, 1))
+      .then(() => {
+        assert.strictEqual(store.size(), 2);
+        return Promise.all([store.consume('a', 1, 0.001, 1), store.consume('b', 1, 0.001, 1)]);
+      })
+      .then((results) => {
+        // Bucket "a" was kept, "b" was evicted and is full again
+        assert.deepStrictEqual(results.map((result) => result.allowed), [false, true]);
+      });
+  });
+});
+
+describe('createRedisRateLimitStore', () => {
+  it('runs the bucket script with a ttl of the refill time', () => {
+    const commands = [];
+    const client = {
+      command: (args) => {
+        commands.push(args);
+        return Promise.resolve([1, '4.5']);
+      }
+    };
+    const store = createRedisRateLimitStore({ client, keyPrefix: 'rl:' });
+    return store.consume('user:u1', 10, 2, 1)
+      .then((result) => {
+        assert.deepStrictEqual(result, { allowed: true, tokens: 4.5 });
+        assert.strictEqual(commands[0][0], 'EVAL');
+        assert.deepStrictEqual(commands[0].slice(2), [1, 'rl:user:u1', 10, 2, 1, 6000]);
+      });
+  });
+});
+
+describe('createRateLimiter', () => {
+  it('reports the most restrictive of the user and client buckets', () => {
+    const limiter = createRateLimiter({
+      perUser: { limit: 5, windowSeconds: 60 },
+      perClient: { limit: 2, windowSeconds: 60 }
+    });
+    return limiter.check({ userId: 'u1', clientId: 'app', scopes: [] })
+      .then((result) => {
+        assert.strictEqual(result.bucket, 'client');
+        assert.strictEqual(result.remaining, 1);
+        assert.strictEqual(result.resetSeconds, 30);
+        return limiter.check({ userId: 'u2', clientId: 'app', scopes: [] });
+      })
+      .then(() => limiter.check({ userId: 'u3', clientId: 'app', scopes: [] }))
+      .then((result) => {
+        assert.strictEqual(result.limited, true);
+        assert.strictEqual(result.bucket, 'client');
+        assert.strictEqual(result.retryAfterSeconds, 30);
+        return limiter.check({ userId: null, clientId: null, scopes: [] });
+      })
+      .then((result) => {
+        assert.strictEqual(result, null);
+      });
+  });
+
+  it('uses a separate bucket for a perScope override', () => {
+    const limiter = createRateLimiter({
+      perUser: { limit: 1, windowSeconds: 60 },
+      perScope: { 'api.admin': { perUser: { limit: 3, windowSeconds: 60 } } }
+    });
+    return limiter.check({ userId: 'u1', scopes: ['api.read'] })
+      .then(() => limiter.check({ userId: 'u1', scopes: ['api.admin'] }))
+      .then((result) => {
+        assert.strictEqual(result.limited, false);
+        assert.strictEqual(result.scopeName, 'api.admin');
+        assert.strictEqual(result.remaining, 2);
+      });
+  });
+
+  it('validates rules and store', () => {
+    assert.throws(() => createRateLimiter({}), /requires perUser, perClient or perScope/);
+    assert.throws(() => createRateLimiter({ perUser: { limit: 0, windowSeconds: 60 } }),
+      /invalid perUser/);
+    assert.throws(() => createRateLimiter({ perClient: { limit: 1, windowSeconds: 0 } }),
+      /invalid perClient/);
+    assert.throws(() => createRateLimiter({ perScope: { a: { perUser: { limit: 1.5, windowSeconds: 1 } } } }),
+      /invalid perScope a perUser/);
+    assert.throws(() => createRateLimiter({ perUser: { limit: 1, windowSeconds: 1 }, store: {} }),
+      /invalid store/);
+  });
+});
+
+describe('rateLimitByIdentity()', () => {
+  const tokenAuth = createTokenAuth({
+    authURL: 'http://127.0.0.1:3500',
+    clientId: 'abc123',
+    clientSecret: 'ssh-secret',
+    logger: null
+  });
+
+  after(() => tokenAuth.authShutdown());
+
+  it('sends RateLimit headers, then 429 with Retry-After', () => {
+    const middleware = tokenAuth.rateLimitByIdentity({ perUser: { limit: 2, windowSeconds: 10 } });
+    const limited = [];
+    tokenAuth.events.on('rateLimited', (details) => limited.push(details));
+    return runMiddleware(middleware, authorizedRequest('u1', 'app'))
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        assert.strictEqual(result.headers['ratelimit-limit'], '2');
+        assert.strictEqual(result.headers['ratelimit-remaining'], '1');
+        assert.strictEqual(result.headers['ratelimit-reset'], '5');
+        assert.strictEqual(result.headers['ratelimit-policy'], '2;w=10');
+        return runMiddleware(middleware, authorizedRequest('u1', 'app'));
+      })
+      .then(() => runMiddleware(middleware, authorizedRequest('u1', 'app')))
+      .then((result) => {
+        assert.strictEqual(result.status, 429);
+        assert.strictEqual(result.headers['retry-after'], '5');
+        assert.strictEqual(result.headers['ratelimit-remaining'], '0');
+        assert.strictEqual(limited.length, 1);
+        assert.strictEqual(limited[0].userId, 'u1');
+        assert.strictEqual(limited[0].error, 'rate_limited');
+        return runMiddleware(middleware, authorizedRequest('u2', 'app'));
+      })
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+      });
+  });
+
+  it('matches perScope overrides with scope expressions', () => {
+    const middleware = tokenAuth.rateLimitByIdentity({
+      perClient: { limit: 1, windowSeconds: 60 },
+      perScope: { 'api.admin OR api.owner': { perClient: { limit: 5, windowSeconds: 60 } } }
+    });
+    return runMiddleware(middleware, authorizedRequest(null, 'service', ['api.admin']))
+      .then(() => runMiddleware(middleware, authorizedRequest(null, 'service', ['api.admin'])))
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        assert.strictEqual(result.headers['ratelimit-limit'], '5');
+        assert.strictEqual(result.headers['ratelimit-remaining'], '3');
+      });
+  });
+
+  it('allows the request when the store fails', () => {
+    const store = { consume: () => Promise.reject(new Error('store down')) };
+    const middleware = tokenAuth.rateLimitByIdentity({ perUser: { limit: 1, windowSeconds: 1 }, store });
+    return runMiddleware(middleware, authorizedRequest('u1', 'app'))
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        assert.strictEqual(result.headers['ratelimit-limit'], undefined);
+      });
+  });
+
+  it('requires requireAccessToken() first', () => {
+    const middleware = tokenAuth.rateLimitByIdentity({ perUser: { limit: 1, windowSeconds: 1 } });
+    assert.throws(() => tokenAuth.rateLimitByIdentity(), /requires an options object/);
+    return runMiddleware(middleware, { headers: {} })
+      .then((result) => {
+        assert.match(result.err.message, /scope not found/);
+      });
+  });
+});
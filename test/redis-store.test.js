@@ -0,0 +1,184 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Redis token cache store, using the in-process fake Redis server
+//
+// ------------------------------
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { createRedisStore } = require('../src/cache-stores');
+const { createFakeRedisServer } = require('./helpers/fake-redis');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('createRedisStore', () => {
+  let redis = null;
+  let store = null;
+
+  before(() => {
+    return createFakeRedisServer().then((server) => {
+      redis = server;
+    });
+  });
+
+  after(() => redis.close());
+
+  beforeEach(() => {
+    store = createRedisStore({ port: redis.port, keyPrefix: 'test:' });
+    return store.clear();
+  });
+
+  it('returns undefined for a missing key', () => {
+    return store.get('missing').then((entry) => {
+      assert.strictEqual(entry, undefined);
+      return store.close();
+    });
+  });
+
+  it('saves entries with SET PX and reads them with GET', () => {
+    const entry = { introspect: { sub: 'user1', client_id: 'client1' }, validatedBy: 'introspect' };
+    return store.set('key1', entry, 60)
+      .then(() => store.get('key1'))
+      .then((saved) => {
+        assert.deepStrictEqual(saved, entry);
+        const setCommand = redis.commands.find((args) => (args[0] === 'SET') && (args[1] === 'test:key1'));
+        assert.strictEqual(setCommand[3], 'PX');
+        assert.strictEqual(setCommand[4], '60000');
+        return store.close();
+      });
+  });
+
+  it('expires entries after the time to live', () => {
+    return store.set('short', { validatedBy: 'jwt' }, 0.05)
+      .then(() => delay(80))
+      .then(() => store.get('short'))
+      .then((saved) => {
+        assert.strictEqual(saved, undefined);
+        return store.close();
+      });
+  });
+
+  it('does not save entries with a zero time to live', () => {
+    return store.set('none', { validatedBy: 'jwt' }, 0)
+      .then(() => store.get('none'))
+      .then((saved) => {
+        assert.strictEqual(saved, undefined);
+        return store.close();
+      });
+  });
+
+  it('adds entries with SET PX NX', () => {
+    return Promise.all([
+      store.add('jti1', { n: 1 }, 60),
+      store.add('jti1', { n: 2 }, 60),
+      store.add('none', { n: 3 }, 0)
+    ])
+      .then((added) => {
+        assert.deepStrictEqual(added, [true, false, false]);
+        const setCommand = redis.commands.find((args) => (args[0] === 'SET') && (args[1] === 'test:jti1'));
+        assert.deepStrictEqual(setCommand.slice(3), ['PX', '60000', 'NX']);
+        return store.get('jti1');
+      })
+      .then((saved) => {
+        assert.deepStrictEqual(saved, { n: 1 });
+        return store.close();
+      });
+  });
+
+  it('deletes entries with DEL', () => {
+    return store.set('key2', { validatedBy: 'jwt' }, 60)
+      .then(() => store.delete('key2'))
+      .then(() => store.get('key2'))
+      .then((saved) => {
+        assert.strictEqual(saved, undefined);
+        return store.close();
+      });
+  });
+
+  it('clears only prefixed keys, using SCAN across several batches', () => {
+    const other = createRedisStore({ port: redis.port, keyPrefix: 'other:' });
+    const writes = [];
+    for (let i = 0; i < 250; i++) writes.push(store.set('many' + i.toString(), { n: i }, 60));
+    writes.push(other.set('kept', { n: -1 }, 60));
+    return Promise.all(writes)
+      .then(() => store.clear())
+      .then(() => {
+        assert.deepStrictEqual(redis.keys().filter((key) => key.startsWith('test:')), []);
+        return other.get('kept');
+      })
+      .then((kept) => {
+        assert.deepStrictEqual(kept, { n: -1 });
+        const scans = redis.commands.filter((args) => (args[0] === 'SCAN') && (args[3] === 'test:*'));
+        assert.ok(scans.length > 1);
+        return Promise.all([store.close(), other.clear().then(() => other.close())]);
+      });
+  });
+
+  it('purges entries matching a predicate', () => {
+    return Promise.all([
+      store.set('a', { introspect: { sub: 'user1' } }, 60),
+      store.set('b', { introspect: { sub: 'user2' } }, 60),
+      store.set('c', { introspect: { sub: 'user1' } }, 60)
+    ])
+      .then(() => store.purge((entry) => (entry.introspect.sub === 'user1')))
+      .then((removed) => {
+        assert.strictEqual(removed, 2);
+        return Promise.all([store.get('a'), store.get('b'), store.get('c')]);
+      })
+      .then((entries) => {
+        assert.deepStrictEqual(entries, [undefined, { introspect: { sub: 'user2' } }, undefined]);
+        return store.close();
+      });
+  });
+});
+
+describe('createRedisStore with AUTH and SELECT', () => {
+  let redis = null;
+
+  before(() => {
+    return createFakeRedisServer({ password: 'secret1', databases: 4 }).then((server) => {
+      redis = server;
+    });
+  });
+
+  after(() => redis.close());
+
+  it('authenticates and selects the database', () => {
+    const store = createRedisStore({ port: redis.port, password: 'secret1', db: 2 });
+    return store.set('key3', { validatedBy: 'jwt' }, 60)
+      .then(() => store.get('key3'))
+      .then((saved) => {
+        assert.deepStrictEqual(saved, { validatedBy: 'jwt' });
+        assert.deepStrictEqual(redis.keys(2), ['token-auth:key3']);
+        assert.deepStrictEqual(redis.keys(0), []);
+        return store.close();
+      });
+  });
+
+  it('rejects pending commands when AUTH is refused', () => {
+    const store = createRedisStore({ port: redis.port, password: 'wrong', timeoutMs: 500 });
+    return Promise.all([
+      assert.rejects(store.get('key4'), /Redis AUTH failed.*WRONGPASS/),
+      assert.rejects(store.set('key4', { validatedBy: 'jwt' }, 60), /Redis AUTH failed.*WRONGPASS/)
+    ])
+      .then(() => {
+        assert.deepStrictEqual(redis.keys(0), []);
+        return store.close();
+      });
+  });
+
+  it('rejects pending commands when SELECT is refused', () => {
+    const store = createRedisStore({ port: redis.port, password: 'secret1', db: 9, timeoutMs: 500 });
+    return Promise.all([
+      assert.rejects(store.set('key5', { validatedBy: 'jwt' }, 60), /Redis SELECT failed.*out of range/),
+      assert.rejects(store.get('key5'), /Redis SELECT failed.*out of range/)
+    ])
+      .then(() => {
+        assert.deepStrictEqual(redis.keys(0), []);
+        return store.close();
+      });
+  });
+});
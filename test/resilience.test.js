@@ -0,0 +1,138 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Introspection retries, circuit breaker and stale-if-error
+//
+// ------------------------------
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { createTokenAuth } = require('../src/index');
+const { createCircuitBreaker } = require('../src/circuit-breaker');
+const { createFakeAuthServer } = require('../src/testing');
+const { runMiddleware } = require('./helpers/express-mock');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Request with Authorization header
+ * @param {string} token - Access token
+ * @returns {Object} Request properties
+ */
+const bearer = (token) => ({ headers: { authorization: 'Bearer ' + token } });
+
+describe('createCircuitBreaker', () => {
+  it('opens after consecutive failures, allows one trial after resetSeconds', () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 2, resetSeconds: 0.05 });
+    breaker.failure();
+    breaker.success();
+    breaker.failure();
+    assert.strictEqual(breaker.getState(), 'closed');
+    breaker.failure();
+    assert.strictEqual(breaker.getState(), 'open');
+    assert.strictEqual(breaker.allowRequest(), false);
+    assert.strictEqual(breaker.retryAfterSeconds(), 1);
+    return delay(80)
+      .then(() => {
+        assert.strictEqual(breaker.allowRequest(), true);
+        assert.strictEqual(breaker.getState(), 'half-open');
+        assert.strictEqual(breaker.allowRequest(), false);
+        // Failed trial opens the breaker again
+        breaker.failure();
+        assert.strictEqual(breaker.getState(), 'open');
+        return delay(80);
+      })
+      .then(() => {
+        assert.strictEqual(breaker.allowRequest(), true);
+        breaker.success();
+        assert.strictEqual(breaker.getState(), 'closed');
+        assert.strictEqual(breaker.retryAfterSeconds(), 0);
+      });
+  });
+
+  it('never opens with failureThreshold 0', () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 0, resetSeconds: 30 });
+    for (let i = 0; i < 10; i++) breaker.failure();
+    assert.strictEqual(breaker.allowRequest(), true);
+  });
+});
+
+describe('introspection resilience', () => {
+  let authServer = null;
+  let tokenAuth = null;
+
+  before(() => {
+    return createFakeAuthServer().then((server) => {
+      authServer = server;
+    });
+  });
+
+  afterEach(() => {
+    authServer.reset();
+    return tokenAuth.authShutdown();
+  });
+
+  after(() => authServer.close());
+
+  /**
+   * New instance using the fake authorization server
+   * @param {Object} [extraOptions] - Additional authInit() options
+   * @returns {Function} requireAccessToken() middleware
+   */
+  const init = (extraOptions) => {
+    tokenAuth = createTokenAuth(authServer.authInitOptions(Object.assign({ logger: null }, extraOptions)));
+    return tokenAuth.requireAccessToken();
+  };
+
+  it('retries server errors, not client errors', () => {
+    const middleware = init({ introspectRetries: 2, introspectRetryDelayMs: 1 });
+    authServer.failNext(2, 503);
+    return runMiddleware(middleware, bearer(authServer.mintToken()))
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        assert.strictEqual(authServer.introspectCount, 3);
+        authServer.reset();
+        authServer.failNext(1, 400);
+        return runMiddleware(middleware, bearer(authServer.mintToken()));
+      })
+      .then((result) => {
+        assert.strictEqual(result.status, 401);
+        assert.strictEqual(authServer.introspectCount, 1);
+      });
+  });
+
+  it('answers 503 with Retry-After while the circuit breaker is open', () => {
+    const middleware = init({ breakerFailureThreshold: 2, breakerResetSeconds: 30 });
+    authServer.failNext(2, 503);
+    return runMiddleware(middleware, bearer(authServer.mintToken()))
+      .then(() => runMiddleware(middleware, bearer(authServer.mintToken())))
+      .then(() => runMiddleware(middleware, bearer(authServer.mintToken())))
+      .then((result) => {
+        assert.strictEqual(result.status, 503);
+        assert.strictEqual(result.headers['retry-after'], '30');
+        assert.strictEqual(authServer.introspectCount, 2);
+      });
+  });
+
+  it('uses an expired cache entry within staleIfErrorSeconds', () => {
+    const middleware = init({ tokenCacheSeconds: 1, staleIfErrorSeconds: 60 });
+    const token = authServer.mintToken();
+    const otherToken = authServer.mintToken();
+    return runMiddleware(middleware, bearer(token))
+      .then(() => delay(1100))
+      .then(() => {
+        authServer.failNext(2, 503);
+        return Promise.all([
+          runMiddleware(middleware, bearer(token)),
+          runMiddleware(middleware, bearer(otherToken))
+        ]);
+      })
+      .then((results) => {
+        assert.strictEqual(results[0].next, true);
+        assert.strictEqual(results[1].status, 503);
+        assert.strictEqual(authServer.introspectCount, 3);
+      });
+  });
+});
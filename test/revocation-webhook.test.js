@@ -0,0 +1,149 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Revocation webhook Security Event Tokens
+//
+// ------------------------------
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+
+const { createTokenAuth } = require('../src/index');
+const { createFakeAuthServer } = require('../src/testing');
+const { runMiddleware } = require('./helpers/express-mock');
+
+const sessionsRevoked = 'https://schemas.openid.net/secevent/risc/event-type/sessions-revoked';
+
+describe('revocationWebhook security event tokens', () => {
+  let authServer = null;
+  let tokenAuth = null;
+  let webhookServer = null;
+  let webhookURL = null;
+
+  before(() => {
+    return createFakeAuthServer()
+      .then((server) => {
+        authServer = server;
+        tokenAuth = createTokenAuth();
+        tokenAuth.authInit(authServer.authInitOptions({ validationMode: 'jwt', logger: null }));
+        webhookServer = http.createServer(tokenAuth.revocationWebhook({ maxAgeSeconds: 60 }));
+        return new Promise((resolve) => webhookServer.listen(0, '127.0.0.1', resolve));
+      })
+      .then(() => {
+        webhookURL = 'http://127.0.0.1:' + webhookServer.address().port.toString();
+      });
+  });
+
+  after(() => {
+    return tokenAuth.authShutdown()
+      .then(() => new Promise((resolve) => webhookServer.close(resolve)))
+      .then(() => authServer.close());
+  });
+
+  /**
+   * Push SET to the webhook
+   * @param {string} set - Security Event Token
+   * @returns {Promise} Resolves { status, body }
+   */
+  const push = (set) => {
+    return fetch(webhookURL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/secevent+jwt' },
+      body: set
+    })
+      .then((response) => response.text().then((text) => ({
+        status: response.status,
+        body: (text.length > 0) ? JSON.parse(text) : null
+      })));
+  };
+
+  /**
+   * Events claim revoking the sessions of a user
+   * @param {string} userId - User id
+   * @returns {Object} SET events claim
+   */
+  const revokeUser = (userId) => ({
+    [sessionsRevoked]: { subject: { format: 'opaque', id: userId } }
+  });
+
+  it('purges the user of a valid SET', () => {
+    const token = authServer.mintToken({ user: { id: 'user-set', number: 3 } });
+    return push(authServer.mintSecurityEvent(revokeUser('user-set')))
+      .then((result) => {
+        assert.strictEqual(result.status, 202);
+        return runMiddleware(tokenAuth.requireAccessToken(), {
+          headers: { authorization: 'Bearer ' + token }
+        });
+      })
+      .then((result) => {
+        assert.strictEqual(result.status, 401);
+      });
+  });
+
+  it('requires typ secevent+jwt', () => {
+    return Promise.all([
+      push(authServer.mintSecurityEvent(revokeUser('user-typ'), { typ: 'JWT' })),
+      push(authServer.mintSecurityEvent(revokeUser('user-typ'), { typ: 'at+jwt' })),
+      push(authServer.mintSecurityEvent(revokeUser('user-typ'), { typ: 'application/secevent+jwt' }))
+    ])
+      .then((results) => {
+        assert.deepStrictEqual(results[0].body,
+          { err: 'invalid_request', description: 'Not a security event token' });
+        assert.strictEqual(results[1].status, 400);
+        assert.strictEqual(results[2].status, 202);
+      });
+  });
+
+  it('rejects a SET without jti or with an old or future iat', () => {
+    const now = Math.floor(Date.now() / 1000);
+    return Promise.all([
+      push(authServer.mintSecurityEvent(revokeUser('user-iat'), { claims: { iat: now - 3600 } })),
+      push(authServer.mintSecurityEvent(revokeUser('user-iat'), { claims: { iat: now + 3600 } })),
+      push(authServer.mintSecurityEvent(revokeUser('user-iat'), { claims: { iat: undefined } })),
+      push(authServer.mintSecurityEvent(revokeUser('user-iat'), { claims: { jti: undefined } }))
+    ])
+      .then((results) => {
+        assert.strictEqual(results[0].body.description, 'SET iat outside accepted window');
+        assert.strictEqual(results[1].body.description, 'SET iat outside accepted window');
+        assert.strictEqual(results[2].status, 400);
+        assert.strictEqual(results[3].body.description, 'SET jti missing or invalid');
+      });
+  });
+
+  it('accepts a jti once', () => {
+    const set = authServer.mintSecurityEvent(revokeUser('user-replay'));
+    return push(set)
+      .then((result) => {
+        assert.strictEqual(result.status, 202);
+        return push(set);
+      })
+      .then((result) => {
+        assert.strictEqual(result.status, 400);
+        assert.strictEqual(result.body.description, 'SET jti already used');
+      });
+  });
+
+  it('accepts a jti once in concurrent requests', () => {
+    const set = authServer.mintSecurityEvent(revokeUser('user-concurrent'));
+    return Promise.all([push(set), push(set)])
+      .then((results) => {
+        assert.deepStrictEqual(results.map((result) => result.status).sort(), [202, 400]);
+      });
+  });
+
+  it('validates options', () => {
+    assert.throws(() => tokenAuth.revocationWebhook({ maxAgeSeconds: 0 }),
+      /invalid maxAgeSeconds/);
+    assert.throws(() => tokenAuth.revocationWebhook({ replayStore: {} }),
+      /invalid replayStore/);
+    const getSetStore = {
+      get: () => Promise.resolve(),
+      set: () => Promise.resolve(),
+      delete: () => Promise.resolve()
+    };
+    assert.throws(() => tokenAuth.revocationWebhook({ replayStore: getSetStore }),
+      /invalid replayStore/);
+  });
+});
@@ -0,0 +1,211 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Revocation of locally verified JWT access tokens
+//
+// ------------------------------
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { createTokenAuth } = require('../src/index');
+const { createFakeAuthServer, resetTokenCache } = require('../src/testing');
+const { runMiddleware } = require('./helpers/express-mock');
+
+/**
+ * Request with Authorization header
+ * @param {string} token - Access token
+ * @returns {Object} Request properties
+ */
+const bearer = (token) => ({ headers: { authorization: 'Bearer ' + token } });
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('revocation in jwt validationMode', () => {
+  let authServer = null;
+  let tokenAuth = null;
+
+  before(() => {
+    return createFakeAuthServer().then((server) => {
+      authServer = server;
+    });
+  });
+
+  afterEach(() => {
+    authServer.reset();
+    return tokenAuth.authShutdown();
+  });
+
+  after(() => authServer.close());
+
+  /**
+   * New instance using the fake authorization server
+   * @param {Object} [extraOptions] - Additional authInit() options
+   * @returns {Function} requireAccessToken() middleware
+   */
+  const init = (extraOptions) => {
+    tokenAuth = createTokenAuth();
+    tokenAuth.authInit(authServer.authInitOptions(Object.assign({
+      validationMode: 'jwt',
+      logger: null
+    }, extraOptions)));
+    return tokenAuth.requireAccessToken();
+  };
+
+  it('rejects tokens of a purged user, accepts tokens issued later', () => {
+    const middleware = init();
+    const user = { id: 'user-revoked', number: 7, username: 'bob' };
+    const oldToken = authServer.mintToken({ user });
+    const otherToken = authServer.mintToken();
+    return runMiddleware(middleware, bearer(oldToken))
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        return tokenAuth.purgeCacheByUser('user-revoked');
+      })
+      .then(() => Promise.all([
+        runMiddleware(middleware, bearer(oldToken)),
+        runMiddleware(middleware, bearer(otherToken))
+      ]))
+      .then((results) => {
+        assert.strictEqual(results[0].status, 401);
+        assert.strictEqual(results[0].body, 'Access token revoked');
+        assert.strictEqual(results[1].next, true);
+        const newToken = authServer.mintToken({
+          user,
+          claims: { iat: Math.floor(Date.now() / 1000) + 1 }
+        });
+        return runMiddleware(middleware, bearer(newToken));
+      })
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        assert.strictEqual(authServer.introspectCount, 0);
+      });
+  });
+
+  it('rejects tokens of a purged client with token cache disabled', () => {
+    const middleware = init({ tokenCacheSeconds: 0 });
+    const token = authServer.mintToken({ client: { clientId: 'app-revoked' } });
+    return tokenAuth.purgeCacheByClient('app-revoked')
+      .then(() => runMiddleware(middleware, bearer(token)))
+      .then((result) => {
+        assert.strictEqual(result.status, 401);
+      });
+  });
+
+  it('rejects a revoked token with token cache disabled', () => {
+    const middleware = init({ tokenCacheSeconds: 0 });
+    const token = authServer.mintToken();
+    return runMiddleware(middleware, bearer(token))
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        return tokenAuth.revokeCachedToken(token);
+      })
+      .then(() => runMiddleware(middleware, bearer(token)))
+      .then((result) => {
+        assert.strictEqual(result.status, 401);
+      });
+  });
+
+  it('keeps revoked markers when the token cache evicts entries', () => {
+    const middleware = init({ tokenCacheMaxEntries: 2 });
+    const userToken = authServer.mintToken({ user: { id: 'user-evicted', number: 9, username: 'carol' } });
+    const revokedToken = authServer.mintToken();
+    const otherTokens = [1, 2, 3, 4, 5].map(() => authServer.mintToken());
+    return Promise.all([runMiddleware(middleware, bearer(userToken)), runMiddleware(middleware, bearer(revokedToken))])
+      .then(() => Promise.all([
+        tokenAuth.purgeCacheByUser('user-evicted'),
+        tokenAuth.revokeCachedToken(revokedToken)
+      ]))
+      .then(() => Promise.all(otherTokens.map((token) => runMiddleware(middleware, bearer(token)))))
+      .then((results) => {
+        assert.ok(results.every((result) => result.next === true));
+        assert.ok(tokenAuth.tokenStore.stats().evictions > 0);
+        return Promise.all([
+          runMiddleware(middleware, bearer(userToken)),
+          runMiddleware(middleware, bearer(revokedToken))
+        ]);
+      })
+      .then((results) => {
+        assert.strictEqual(results[0].status, 401);
+        assert.strictEqual(results[1].status, 401);
+      });
+  });
+
+  it('validates the revocationStore option', () => {
+    assert.throws(() => init({ revocationStore: { get: () => Promise.resolve() } }),
+      /invalid revocationStore/);
+  });
+
+  it('removes revoked markers when the token cache is cleared', () => {
+    const middleware = init();
+    const token = authServer.mintToken({ client: { clientId: 'app-cleared' } });
+    return tokenAuth.purgeCacheByClient('app-cleared')
+      .then(() => resetTokenCache(tokenAuth))
+      .then(() => runMiddleware(middleware, bearer(token)))
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+      });
+  });
+});
+
+describe('revocation during introspection', () => {
+  let authServer = null;
+  let tokenAuth = null;
+  let middleware = null;
+
+  before(() => {
+    return createFakeAuthServer().then((server) => {
+      authServer = server;
+    });
+  });
+
+  beforeEach(() => {
+    tokenAuth = createTokenAuth();
+    tokenAuth.authInit(authServer.authInitOptions({ logger: null }));
+    middleware = tokenAuth.requireAccessToken();
+  });
+
+  afterEach(() => {
+    authServer.reset();
+    return tokenAuth.authShutdown();
+  });
+
+  after(() => authServer.close());
+
+  it('keeps the revoked entry when the introspection completes later', () => {
+    const token = authServer.mintToken();
+    authServer.setLatency(100);
+    const pending = runMiddleware(middleware, bearer(token));
+    return delay(20)
+      .then(() => tokenAuth.revokeCachedToken(token))
+      .then(() => pending)
+      .then((result) => {
+        // Accepted by the introspection that was already running
+        assert.strictEqual(result.next, true);
+        return runMiddleware(middleware, bearer(token));
+      })
+      .then((result) => {
+        assert.strictEqual(result.status, 401);
+        assert.strictEqual(authServer.introspectCount, 1);
+      });
+  });
+
+  it('does not cache a token of a user purged during introspection', () => {
+    const token = authServer.mintToken({ user: { id: 'user-inflight', number: 8, username: 'eve' } });
+    authServer.setLatency(100);
+    const pending = runMiddleware(middleware, bearer(token));
+    return delay(20)
+      .then(() => tokenAuth.purgeCacheByUser('user-inflight'))
+      .then(() => pending)
+      .then(() => {
+        authServer.setLatency(0);
+        authServer.revokeToken(token);
+        return runMiddleware(middleware, bearer(token));
+      })
+      .then((result) => {
+        assert.strictEqual(result.status, 401);
+        assert.strictEqual(authServer.introspectCount, 2);
+      });
+  });
+});
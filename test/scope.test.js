@@ -0,0 +1,111 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Scope requirements and expressions
+//
+// ------------------------------
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { compileScope, compileScopeCached } = require('../src/scope');
+const { createTokenAuth } = require('../src/index');
+
+/**
+ * Test requirement against token scope
+ * @param {string|string[]|Object} requirement - Scope requirement
+ * @param {string[]} tokenScope - Token scope
+ * @param {boolean} [hierarchy] - Enable hierarchical scope
+ * @returns {boolean} True if satisfied
+ */
+const allows = (requirement, tokenScope, hierarchy) => {
+  return compileScope(requirement).test(tokenScope, hierarchy);
+};
+
+describe('compileScope', () => {
+  it('evaluates NOT before AND before OR', () => {
+    // a OR (b AND (NOT c))
+    const expression = 'a OR b AND NOT c';
+    assert.strictEqual(allows(expression, ['a', 'c']), true);
+    assert.strictEqual(allows(expression, ['b']), true);
+    assert.strictEqual(allows(expression, ['b', 'c']), false);
+    assert.strictEqual(allows(expression, ['c']), false);
+    assert.strictEqual(allows('NOT a AND b', ['b']), true);
+    assert.strictEqual(allows('NOT a AND b', ['a', 'b']), false);
+  });
+
+  it('groups terms with parentheses', () => {
+    const expression = '(a OR b) AND NOT (c OR d)';
+    assert.strictEqual(allows(expression, ['a']), true);
+    assert.strictEqual(allows(expression, ['b', 'd']), false);
+    assert.strictEqual(allows('((a))', ['a']), true);
+    assert.strictEqual(allows('NOT NOT a', ['a']), true);
+    assert.deepStrictEqual(Array.from(compileScope(expression).scopes), ['a', 'b']);
+  });
+
+  it('supports allOf, anyOf and noneOf', () => {
+    const requirement = { allOf: ['api.write', 'billing.read'], noneOf: ['api.readonly'] };
+    assert.strictEqual(allows(requirement, ['api.write', 'billing.read']), true);
+    assert.strictEqual(allows(requirement, ['api.write']), false);
+    assert.strictEqual(allows(requirement, ['api.write', 'billing.read', 'api.readonly']), false);
+    assert.strictEqual(allows({ anyOf: ['a', 'b AND c'] }, ['b', 'c']), true);
+    assert.strictEqual(allows({ anyOf: ['a', { allOf: ['b', 'c'] }] }, ['b']), false);
+  });
+
+  it('keeps version 2.0 behavior of plain strings and arrays', () => {
+    assert.strictEqual(allows(['api.read', ''], ['api.read']), true);
+    assert.strictEqual(allows(['api.read', ''], ['']), false);
+    assert.strictEqual(allows([], ['api.read']), false);
+    assert.strictEqual(allows('api.read api.write', ['api.read']), false);
+    assert.strictEqual(allows('api.read api.write', ['api.read api.write']), true);
+    assert.strictEqual(allows(['a AND b'], ['a', 'b']), false);
+  });
+
+  it('grants lower scopes with hierarchy', () => {
+    assert.strictEqual(allows('api.read', ['api'], true), true);
+    assert.strictEqual(allows('api.write.items', ['api.*'], true), true);
+    assert.strictEqual(allows('api', ['api.*'], true), false);
+    assert.strictEqual(allows('api.read', ['api'], false), false);
+    assert.strictEqual(allows('api.read', ['apix'], true), false);
+    assert.strictEqual(allows('NOT api.readonly', ['api'], true), false);
+  });
+
+  it('rejects malformed expressions', () => {
+    [
+      'a AND',
+      'OR a',
+      '(a OR b',
+      'a OR b)',
+      'a AND AND b',
+      'NOT',
+      '()',
+      'a "b" OR c'
+    ].forEach((expression) => {
+      assert.throws(() => compileScope(expression), /Invalid scope expression/, expression);
+    });
+    assert.throws(() => compileScope({}), /empty object/);
+    assert.throws(() => compileScope({ allOf: [] }), /non-empty array/);
+    assert.throws(() => compileScope({ oneOf: ['a'] }), /unknown property/);
+    assert.throws(() => compileScope(42), /expected string, array or object/);
+  });
+
+  it('reuses compiled scopes', () => {
+    const compiled = compileScope('a OR b');
+    assert.strictEqual(compileScope(compiled), compiled);
+    assert.strictEqual(compileScopeCached('a AND c'), compileScopeCached('a AND c'));
+    assert.strictEqual(compileScopeCached(['a', 'b']), compileScopeCached(['a', 'b']));
+    assert.strictEqual(compileScopeCached(compiled), compiled);
+  });
+});
+
+describe('matchScope', () => {
+  it('tests the request token scope', () => {
+    const tokenAuth = createTokenAuth();
+    const req = { locals: { tokenScope: ['api.read', 'billing.read'] } };
+    assert.strictEqual(tokenAuth.matchScope(req, 'api.read AND billing.read'), true);
+    assert.strictEqual(tokenAuth.matchScope(req, ['api.write', 'billing.read']), true);
+    assert.strictEqual(tokenAuth.matchScope(req, 'api.read AND NOT billing.read'), false);
+    assert.throws(() => tokenAuth.matchScope({}, 'api.read'), /Scope not found/);
+  });
+});
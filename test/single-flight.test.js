@@ -0,0 +1,118 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  Shared introspection requests and negative cache
+//
+// ------------------------------
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { createTokenAuth } = require('../src/index');
+const { createFakeAuthServer } = require('../src/testing');
+const { runMiddleware } = require('./helpers/express-mock');
+
+/**
+ * Request with Authorization header
+ * @param {string} token - Access token
+ * @returns {Object} Request properties
+ */
+const bearer = (token) => ({ headers: { authorization: 'Bearer ' + token } });
+
+describe('single-flight introspection', () => {
+  let authServer = null;
+  let tokenAuth = null;
+
+  before(() => {
+    return createFakeAuthServer().then((server) => {
+      authServer = server;
+    });
+  });
+
+  afterEach(() => {
+    authServer.reset();
+    return tokenAuth.authShutdown();
+  });
+
+  after(() => authServer.close());
+
+  /**
+   * New instance using the fake authorization server
+   * @param {Object} [extraOptions] - Additional authInit() options
+   * @returns {Function} requireAccessToken() middleware
+   */
+  const init = (extraOptions) => {
+    tokenAuth = createTokenAuth(authServer.authInitOptions(Object.assign({ logger: null }, extraOptions)));
+    return tokenAuth.requireAccessToken();
+  };
+
+  it('shares one introspection between concurrent requests for a token', () => {
+    const middleware = init();
+    const token = authServer.mintToken();
+    const otherToken = authServer.mintToken();
+    authServer.setLatency(50);
+    return Promise.all([
+      runMiddleware(middleware, bearer(token)),
+      runMiddleware(middleware, bearer(token)),
+      runMiddleware(middleware, bearer(token)),
+      runMiddleware(middleware, bearer(otherToken))
+    ])
+      .then((results) => {
+        results.forEach((result) => assert.strictEqual(result.next, true));
+        assert.strictEqual(authServer.introspectCount, 2);
+        return runMiddleware(middleware, bearer(token));
+      })
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        assert.strictEqual(authServer.introspectCount, 2);
+      });
+  });
+
+  it('shares a failed introspection without caching the failure', () => {
+    const middleware = init();
+    const token = authServer.mintToken();
+    authServer.setLatency(50);
+    authServer.failNext(1, 503);
+    return Promise.all([
+      runMiddleware(middleware, bearer(token)),
+      runMiddleware(middleware, bearer(token))
+    ])
+      .then((results) => {
+        results.forEach((result) => assert.strictEqual(result.status, 503));
+        assert.strictEqual(authServer.introspectCount, 1);
+        return runMiddleware(middleware, bearer(token));
+      })
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        assert.strictEqual(authServer.introspectCount, 2);
+      });
+  });
+
+  it('caches inactive tokens for negativeCacheSeconds', () => {
+    const middleware = init({ negativeCacheSeconds: 5 });
+    const token = authServer.mintToken();
+    authServer.revokeToken(token);
+    return runMiddleware(middleware, bearer(token))
+      .then((result) => {
+        assert.strictEqual(result.status, 401);
+        return runMiddleware(middleware, bearer(token));
+      })
+      .then((result) => {
+        assert.strictEqual(result.status, 401);
+        assert.strictEqual(authServer.introspectCount, 1);
+        assert.strictEqual(tokenAuth.getStats().cacheStore.size, 1);
+      });
+  });
+
+  it('introspects inactive tokens again without negative cache', () => {
+    const middleware = init();
+    const token = authServer.mintToken({ active: false });
+    return runMiddleware(middleware, bearer(token))
+      .then(() => runMiddleware(middleware, bearer(token)))
+      .then((result) => {
+        assert.strictEqual(result.status, 401);
+        assert.strictEqual(authServer.introspectCount, 2);
+      });
+  });
+});
@@ -0,0 +1,113 @@
+'use strict';
+//
+//  collab-backend-token-auth
+//
+//  requireAccessToken() with the fake authorization server of the testing toolkit
+//
+// ------------------------------
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { createTokenAuth } = require('../src/index');
+const { createFakeAuthServer, resetTokenCache } = require('../src/testing');
+const { runMiddleware } = require('./helpers/express-mock');
+
+/**
+ * Request with Authorization header
+ * @param {string} token - Access token
+ * @returns {Object} Request properties
+ */
+const bearer = (token) => ({ headers: { authorization: 'Bearer ' + token } });
+
+describe('requireAccessToken with createFakeAuthServer', () => {
+  let authServer = null;
+  let tokenAuth = null;
+
+  before(() => {
+    return createFakeAuthServer().then((server) => {
+      authServer = server;
+      tokenAuth = createTokenAuth();
+      tokenAuth.authInit(authServer.authInitOptions({
+        introspectRetries: 2,
+        introspectRetryDelayMs: 1,
+        logger: null
+      }));
+    });
+  });
+
+  afterEach(() => {
+    authServer.reset();
+    return resetTokenCache(tokenAuth);
+  });
+
+  after(() => tokenAuth.authShutdown().then(() => authServer.close()));
+
+  it('allows a token with the required scope', () => {
+    const token = authServer.mintToken({ scope: 'api.read', user: { id: 'u1', number: 1 } });
+    return runMiddleware(tokenAuth.requireAccessToken({ scope: 'api.read' }), bearer(token))
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        assert.strictEqual(result.req.locals.user.id, 'u1');
+        assert.deepStrictEqual(result.req.locals.tokenScope, ['api.read']);
+        assert.strictEqual(authServer.introspectCount, 1);
+      });
+  });
+
+  it('denies missing scope, unknown, expired and inactive tokens', () => {
+    const middleware = tokenAuth.requireAccessToken({ scope: 'api.write' });
+    return Promise.all([
+      runMiddleware(middleware, bearer(authServer.mintToken({ scope: 'api.read' }))),
+      runMiddleware(middleware, bearer('not-a-known-token')),
+      runMiddleware(middleware, bearer(authServer.mintToken({ expiresIn: -60 }))),
+      runMiddleware(middleware, bearer(authServer.mintToken({ active: false }))),
+      runMiddleware(middleware, { headers: {} })
+    ])
+      .then((results) => {
+        assert.strictEqual(results[0].status, 403);
+        results.slice(1).forEach((result) => {
+          assert.strictEqual(result.next, false);
+          assert.strictEqual(result.status, 401);
+        });
+      });
+  });
+
+  it('denies a revoked token after the token cache is reset', () => {
+    const middleware = tokenAuth.requireAccessToken();
+    const token = authServer.mintToken();
+    return runMiddleware(middleware, bearer(token))
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        assert.strictEqual(authServer.revokeToken(token), true);
+        return runMiddleware(middleware, bearer(token));
+      })
+      .then((result) => {
+        // Served from the token cache, no introspection
+        assert.strictEqual(result.next, true);
+        assert.strictEqual(authServer.introspectCount, 1);
+        return resetTokenCache(tokenAuth);
+      })
+      .then(() => runMiddleware(middleware, bearer(token)))
+      .then((result) => {
+        assert.strictEqual(result.status, 401);
+        assert.strictEqual(authServer.introspectCount, 2);
+      });
+  });
+
+  it('retries failed introspection requests', () => {
+    const middleware = tokenAuth.requireAccessToken();
+    authServer.failNext(2, 503);
+    return runMiddleware(middleware, bearer(authServer.mintToken()))
+      .then((result) => {
+        assert.strictEqual(result.next, true);
+        assert.strictEqual(authServer.introspectCount, 3);
+        authServer.failNext(3, 500);
+        return runMiddleware(middleware, bearer(authServer.mintToken()));
+      })
+      .then((result) => {
+        assert.strictEqual(result.next, false);
+        assert.strictEqual(result.status, 503);
+        assert.strictEqual(authServer.introspectCount, 6);
+      });
+  });
+});